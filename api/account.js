@@ -4,11 +4,12 @@
  */
 
 import { jsonResponse } from './utils.js';
+import { deleteTrackObjects, trackStoragePrefix } from './tracks.js';
 
 export const AccountHandler = {
   /**
    * Delete all user-owned trips and related data.
-   * Cleans up R2 attachment binaries before wiping DB rows.
+   * Cleans up R2 attachment binaries and recorded ride tracks before wiping DB rows.
    */
   async deleteAllUserData(context) {
     const { env, user } = context;
@@ -27,9 +28,18 @@ export const AccountHandler = {
       }
     }
 
+    // Recorded GPS tracks are location history; purge their chunks too
+    const trips = await env.RIDE_TRIP_PLANNER_DB.prepare(
+      'SELECT id FROM trips WHERE user_id = ?'
+    ).bind(user.id).all();
+    let trackObjects = 0;
+    for (const trip of trips.results || []) {
+      trackObjects += await deleteTrackObjects(env, trackStoragePrefix(trip.id));
+    }
+
     // Remove all trips (cascades to child tables via FK)
     await env.RIDE_TRIP_PLANNER_DB.prepare('DELETE FROM trips WHERE user_id = ?').bind(user.id).run();
 
-    return jsonResponse({ success: true, deleted_objects: attachments.results?.length || 0 });
+    return jsonResponse({ success: true, deleted_objects: (attachments.results?.length || 0) + trackObjects });
   }
 };
@@ -4,7 +4,7 @@
  */
 
 import { jsonResponse, errorResponse, generateId, parseBody, BASE_URL } from './utils.js';
-import { verifyTripOwnership } from './handler-utils.js';
+import { verifyTripOwnership, recordActorStatement } from './handler-utils.js';
 
 export const AttachmentsHandler = {
   /**
@@ -42,19 +42,26 @@ export const AttachmentsHandler = {
       objectPutSucceeded = true;
 
       // Cover image management handled by v2 schema triggers
-      await env.RIDE_TRIP_PLANNER_DB.prepare(
-        `INSERT INTO attachments (id, trip_id, journal_entry_id, waypoint_id, filename, original_name, mime_type, size_bytes, storage_key, is_private, is_cover, caption)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
-      ).bind(
-        id, params.tripId, journalEntryId, waypointId,
-        `${id}.${ext}`, file.name, file.type, file.size,
-        storageKey, isPrivate ? 1 : 0, isCover ? 1 : 0, caption
-      ).run();
+      const db = env.RIDE_TRIP_PLANNER_DB;
+      await db.batch([
+        db.prepare(
+          `INSERT INTO attachments (id, trip_id, journal_entry_id, waypoint_id, filename, original_name, mime_type, size_bytes, storage_key, is_private, is_cover, caption)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ).bind(
+          id, params.tripId, journalEntryId, waypointId,
+          `${id}.${ext}`, file.name, file.type, file.size,
+          storageKey, isPrivate ? 1 : 0, isCover ? 1 : 0, caption
+        ),
+        recordActorStatement(db, params.tripId, trip.version, user.id)
+      ]);
 
       const attachment = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT * FROM attachments WHERE id = ?').bind(id).first();
+      const tripState = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT version, updated_at FROM trips WHERE id = ?').bind(params.tripId).first();
 
       return jsonResponse({
-        attachment: { ...attachment, url: `${BASE_URL}/api/attachments/${id}` }
+        attachment: { ...attachment, url: `${BASE_URL}/api/attachments/${id}` },
+        trip_version: tripState?.version ?? 0,
+        trip_updated_at: tripState?.updated_at ?? null
       }, 201);
     } catch (err) {
       if (objectPutSucceeded) {
@@ -71,7 +78,7 @@ export const AttachmentsHandler = {
     const { env, params, user } = context;
 
     const attachment = await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'SELECT a.*, t.user_id, t.is_public as trip_is_public FROM attachments a JOIN trips t ON a.trip_id = t.id WHERE a.id = ?'
+      'SELECT a.*, t.user_id, t.is_public as trip_is_public FROM attachments a JOIN trips t ON a.trip_id = t.id WHERE a.id = ? AND t.deleted_at IS NULL'
     ).bind(params.id).first();
 
     if (!attachment) return errorResponse('Attachment not found', 404);
@@ -112,7 +119,7 @@ export const AttachmentsHandler = {
     const body = await parseBody(request);
 
     const attachment = await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'SELECT a.*, t.user_id FROM attachments a JOIN trips t ON a.trip_id = t.id WHERE a.id = ?'
+      'SELECT a.*, t.user_id, t.version AS trip_version FROM attachments a JOIN trips t ON a.trip_id = t.id WHERE a.id = ? AND t.deleted_at IS NULL'
     ).bind(params.id).first();
 
     if (!attachment || attachment.user_id !== user.id) {
@@ -132,12 +139,19 @@ export const AttachmentsHandler = {
 
     if (updates.length > 0) {
       values.push(params.id);
-      await env.RIDE_TRIP_PLANNER_DB.prepare(`UPDATE attachments SET ${updates.join(', ')} WHERE id = ?`).bind(...values).run();
+      const db = env.RIDE_TRIP_PLANNER_DB;
+      await db.batch([
+        db.prepare(`UPDATE attachments SET ${updates.join(', ')} WHERE id = ?`).bind(...values),
+        recordActorStatement(db, attachment.trip_id, attachment.trip_version, user.id)
+      ]);
     }
 
     const updated = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT * FROM attachments WHERE id = ?').bind(params.id).first();
+    const tripState = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT version, updated_at FROM trips WHERE id = ?').bind(updated.trip_id).first();
     return jsonResponse({
-      attachment: { ...updated, url: `${BASE_URL}/api/attachments/${params.id}` }
+      attachment: { ...updated, url: `${BASE_URL}/api/attachments/${params.id}` },
+      trip_version: tripState?.version ?? 0,
+      trip_updated_at: tripState?.updated_at ?? null
     });
   },
 
@@ -148,7 +162,7 @@ export const AttachmentsHandler = {
     const { env, user, params } = context;
 
     const attachment = await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'SELECT a.*, t.user_id FROM attachments a JOIN trips t ON a.trip_id = t.id WHERE a.id = ?'
+      'SELECT a.*, t.user_id, t.version AS trip_version FROM attachments a JOIN trips t ON a.trip_id = t.id WHERE a.id = ? AND t.deleted_at IS NULL'
     ).bind(params.id).first();
 
     if (!attachment || attachment.user_id !== user.id) {
@@ -157,7 +171,11 @@ export const AttachmentsHandler = {
 
     // Delete from R2 then DB
     await env.RIDE_TRIP_PLANNER_ATTACHMENTS.delete(attachment.storage_key);
-    await env.RIDE_TRIP_PLANNER_DB.prepare('DELETE FROM attachments WHERE id = ?').bind(params.id).run();
+    const db = env.RIDE_TRIP_PLANNER_DB;
+    await db.batch([
+      db.prepare('DELETE FROM attachments WHERE id = ?').bind(params.id),
+      recordActorStatement(db, attachment.trip_id, attachment.trip_version, user.id)
+    ]);
 
     return jsonResponse({ success: true });
   }
@@ -78,12 +78,52 @@ export function preconditionRequiredResponse() {
 }
 
 /**
- * Verify trip ownership. Returns the trip row or null.
+ * Verify trip ownership. Returns the trip row or null; trips in the trash
+ * count as not found.
  * @param {boolean} fullRow - if true, returns SELECT * instead of just id/version/updated_at
  */
 export async function verifyTripOwnership(env, tripId, userId, fullRow = false) {
   const cols = fullRow ? '*' : 'id, version, updated_at, settings';
   return env.RIDE_TRIP_PLANNER_DB.prepare(
-    `SELECT ${cols} FROM trips WHERE id = ? AND user_id = ?`
+    `SELECT ${cols} FROM trips WHERE id = ? AND user_id = ? AND deleted_at IS NULL`
   ).bind(tripId, userId).first();
 }
+
+/**
+ * Record `actorId` as who made the trip's changes logged after `version`.
+ * The trip_events triggers only know the owner; batch this after the write.
+ */
+export function recordActorStatement(db, tripId, version, actorId) {
+  return db.prepare('UPDATE trip_events SET actor_id = ? WHERE trip_id = ? AND version > ?')
+    .bind(actorId, tripId, Number(version ?? 0));
+}
+
+/**
+ * Ids of a trip's waypoints and journal entries in the trash. Deleting keeps
+ * the links to them, so what belongs to them is hidden while they are there
+ * (see hideTrashedLinks) and comes back when they are restored.
+ */
+export async function loadTrashedParents(db, tripId) {
+  const [waypoints, journal] = await db.batch([
+    db.prepare('SELECT id FROM waypoints WHERE trip_id = ? AND deleted_at IS NOT NULL').bind(tripId),
+    db.prepare('SELECT id FROM journal_entries WHERE trip_id = ? AND deleted_at IS NOT NULL').bind(tripId)
+  ]);
+  return {
+    waypoints: new Set((waypoints.results || []).map(r => r.id)),
+    journal: new Set((journal.results || []).map(r => r.id))
+  };
+}
+
+/**
+ * Journal entries and attachments as clients see them: files of an entry in
+ * the trash (or, when not on an entry, of a waypoint in the trash) are left
+ * out, and links to a waypoint in the trash read as none.
+ */
+export function hideTrashedLinks(trashed, { journal = [], attachments = [] }) {
+  const unlink = row => (trashed.waypoints.has(row.waypoint_id) ? { ...row, waypoint_id: null } : row);
+  const hidden = a => (a.journal_entry_id ? trashed.journal.has(a.journal_entry_id) : trashed.waypoints.has(a.waypoint_id));
+  return {
+    journal: journal.map(unlink),
+    attachments: attachments.filter(a => !hidden(a)).map(unlink)
+  };
+}
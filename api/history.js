@@ -0,0 +1,192 @@
+/**
+ * Trip History API Handler
+ * Lists a trip's change log (trip_events, written by the schema_v2 triggers)
+ * and restores a trip to an earlier version from it.
+ */
+
+import { jsonResponse, errorResponse, parseBody } from './utils.js';
+import { safeJsonParse, parseIfMatchVersion, conflictResponse, verifyTripOwnership, recordActorStatement } from './handler-utils.js';
+
+const HISTORY_PAGE_SIZE = 50;
+
+// Columns a restore writes back. is_public is left alone: rolling back edits
+// must never publish or unpublish a trip. Attachments are only relinked and
+// re-captioned; their files can't be brought back or removed from here.
+const RESTORE_COLUMNS = {
+  trip: [
+    'name', 'description', 'settings', 'public_title', 'public_description',
+    'public_contact', 'cover_image_url', 'cover_focus_x', 'cover_focus_y'
+  ],
+  waypoint: ['name', 'address', 'lat', 'lng', 'type', 'notes', 'sort_order', 'arrival_radius'],
+  journal: [
+    'waypoint_id', 'title', 'content', 'is_private', 'tags', 'location',
+    'arrived_at', 'departed_at', 'odometer'
+  ],
+  attachment: ['journal_entry_id', 'waypoint_id', 'is_private', 'is_cover', 'caption']
+};
+
+const ENTITY_TABLES = { waypoint: 'waypoints', journal: 'journal_entries', attachment: 'attachments' };
+
+/**
+ * Version the trip's history starts at, or null if it has none
+ */
+async function historyBaseline(env, tripId) {
+  const row = await env.RIDE_TRIP_PLANNER_DB.prepare(
+    `SELECT MAX(version) AS version FROM trip_events WHERE trip_id = ? AND op = 'baseline'`
+  ).bind(tripId).first();
+  return row?.version ?? null;
+}
+
+/**
+ * Insert a row as it was, or put an existing one back the way it was
+ * (out of the trash, if it is there)
+ */
+function upsertStatement(db, entity, tripId, row) {
+  const columns = ['id', 'trip_id', ...RESTORE_COLUMNS[entity], 'created_at'];
+  const values = columns.map(c => (c === 'trip_id' ? tripId : row[c] ?? null));
+  const updates = [...RESTORE_COLUMNS[entity].map(c => `${c} = excluded.${c}`), 'deleted_at = NULL'].join(', ');
+  return db.prepare(
+    `INSERT INTO ${ENTITY_TABLES[entity]} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+     ON CONFLICT(id) DO UPDATE SET ${updates} WHERE trip_id = excluded.trip_id`
+  ).bind(...values);
+}
+
+/**
+ * Put columns of an existing row back the way they were
+ */
+function updateStatement(db, table, columns, row, where, ...whereValues) {
+  return db.prepare(
+    `UPDATE ${table} SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE ${where}`
+  ).bind(...columns.map(c => row[c] ?? null), ...whereValues);
+}
+
+export const HistoryHandler = {
+  /**
+   * List a trip's changes, newest first, HISTORY_PAGE_SIZE at a time
+   * (?before=<seq> for older ones). Route recalculations are left out.
+   */
+  async listHistory(context) {
+    const { env, user, params, url } = context;
+
+    const trip = await verifyTripOwnership(env, params.id, user.id);
+    if (!trip) return errorResponse('Trip not found', 404);
+
+    const before = Number(url.searchParams.get('before'));
+    const rows = await env.RIDE_TRIP_PLANNER_DB.prepare(
+      `SELECT e.seq, e.version, e.actor_id, u.name AS actor_name, e.entity, e.entity_id, e.op,
+              e.before, e.after, e.created_at
+       FROM trip_events e LEFT JOIN users u ON u.id = e.actor_id
+       WHERE e.trip_id = ? AND e.entity != 'route' AND e.seq < ?
+       ORDER BY e.seq DESC LIMIT ?`
+    ).bind(
+      params.id,
+      Number.isInteger(before) && before > 0 ? before : Number.MAX_SAFE_INTEGER,
+      HISTORY_PAGE_SIZE + 1
+    ).all();
+
+    const events = (rows.results || []).slice(0, HISTORY_PAGE_SIZE).map(e => ({
+      ...e,
+      before: safeJsonParse(e.before, null),
+      after: safeJsonParse(e.after, null)
+    }));
+
+    return jsonResponse({
+      version: trip.version,
+      restorable_from: await historyBaseline(env, params.id),
+      events,
+      next_before: (rows.results || []).length > HISTORY_PAGE_SIZE ? events[events.length - 1].seq : null
+    });
+  },
+
+  /**
+   * Roll a trip back to `version` (body). Every trip field, waypoint and
+   * journal entry changed since then is put back as it was: added ones are
+   * moved to the trash, deleted ones come back. The restore is itself a change, so it
+   * shows in the history and can be undone the same way. If-Match is checked
+   * when sent.
+   */
+  async restoreTrip(context) {
+    const { env, user, params, request } = context;
+    const db = env.RIDE_TRIP_PLANNER_DB;
+    const body = await parseBody(request);
+
+    const trip = await verifyTripOwnership(env, params.id, user.id);
+    if (!trip) return errorResponse('Trip not found', 404);
+
+    const ifMatch = parseIfMatchVersion(request);
+    if (ifMatch !== null && Number(trip.version ?? 0) !== ifMatch) {
+      return conflictResponse(trip);
+    }
+
+    const target = Number(body?.version);
+    if (!Number.isInteger(target)) return errorResponse('version is required');
+    if (target >= Number(trip.version)) return errorResponse('The trip is already at that version');
+    const baseline = await historyBaseline(env, params.id);
+    if (baseline === null || target < baseline) {
+      return errorResponse('The trip history does not go back to that version');
+    }
+
+    const events = await db.prepare(
+      `SELECT entity, entity_id, op, before, after FROM trip_events
+       WHERE trip_id = ? AND version > ? AND entity != 'route' AND op IN ('insert', 'update', 'delete')
+       ORDER BY seq`
+    ).bind(params.id, target).all();
+
+    // Per row: how it was at `target` (the first change's before) and now (the last change's after)
+    const rows = new Map();
+    (events.results || []).forEach((e) => {
+      const key = `${e.entity}:${e.entity_id}`;
+      if (!rows.has(key)) rows.set(key, { entity: e.entity, id: e.entity_id, then: e.before });
+      rows.get(key).now = e.after;
+    });
+    const changed = [...rows.values()].filter(r => r.then !== r.now);
+    const then = r => safeJsonParse(r.then, null);
+    const of = (entity, restored) => changed.filter(r => r.entity === entity && (then(r) !== null) === restored);
+
+    // Rows coming back before the rows that reference them; deletions last
+    const stmts = [];
+    of('trip', true).forEach(r => stmts.push(
+      updateStatement(db, 'trips', RESTORE_COLUMNS.trip, then(r), 'id = ?', params.id)
+    ));
+    of('waypoint', true).forEach(r => stmts.push(upsertStatement(db, 'waypoint', params.id, then(r))));
+    of('journal', true).forEach(r => stmts.push(upsertStatement(db, 'journal', params.id, then(r))));
+    of('attachment', true).forEach(r => stmts.push(
+      updateStatement(db, 'attachments', RESTORE_COLUMNS.attachment, then(r), 'id = ? AND trip_id = ?', r.id, params.id)
+    ));
+    ['journal', 'waypoint'].forEach((entity) => {
+      of(entity, false).forEach(r => stmts.push(
+        db.prepare(
+          `UPDATE ${ENTITY_TABLES[entity]} SET deleted_at = datetime('now') WHERE id = ? AND trip_id = ? AND deleted_at IS NULL`
+        ).bind(r.id, params.id)
+      ));
+    });
+    // The saved route was calculated for the waypoints being replaced. Drop
+    // it (logged, so delta sync clears it too); the app routes again on open.
+    if (changed.some(r => r.entity === 'waypoint')) {
+      stmts.push(
+        db.prepare('DELETE FROM route_data WHERE trip_id = ?').bind(params.id),
+        db.prepare(
+          `INSERT INTO trip_events (trip_id, version, entity, entity_id, op)
+           SELECT id, version, 'route', id, 'delete' FROM trips WHERE id = ?`
+        ).bind(params.id)
+      );
+    }
+    stmts.push(db.prepare(
+      `INSERT INTO trip_events (trip_id, version, entity, entity_id, op, after)
+       SELECT id, version, 'trip', id, 'restore', json_object('from_version', ?, 'to_version', ?)
+       FROM trips WHERE id = ?`
+    ).bind(trip.version, target, params.id));
+    stmts.push(recordActorStatement(db, params.id, trip.version, user.id));
+
+    // One batch: the trip is restored completely or not at all
+    await db.batch(stmts);
+
+    const tripState = await db.prepare('SELECT version, updated_at FROM trips WHERE id = ?').bind(params.id).first();
+    return jsonResponse({
+      success: true,
+      restored_version: target,
+      trip_version: tripState?.version ?? 0,
+      trip_updated_at: tripState?.updated_at ?? null
+    });
+  }
+};
@@ -4,7 +4,32 @@
  */
 
 import { jsonResponse, errorResponse, generateId, parseBody } from './utils.js';
-import { verifyTripOwnership } from './handler-utils.js';
+import { verifyTripOwnership, parseIfMatchVersion, conflictResponse, recordActorStatement } from './handler-utils.js';
+
+/**
+ * ISO timestamp from client input, or null when missing/unparseable
+ */
+function toTimestamp(value) {
+  return value && !Number.isNaN(Date.parse(value)) ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Odometer reading in metres, or null
+ */
+function toOdometer(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * 409 if the request's If-Match isn't the trip's version. Only checked when
+ * sent: ride-log entries are written in the background without one.
+ */
+function checkIfMatch(request, trip) {
+  const ifMatch = parseIfMatchVersion(request);
+  return ifMatch !== null && Number(trip.version ?? 0) !== ifMatch ? conflictResponse(trip) : null;
+}
 
 export const JournalHandler = {
   /**
@@ -16,16 +41,20 @@ export const JournalHandler = {
 
     const trip = await verifyTripOwnership(env, params.tripId, user.id);
     if (!trip) return errorResponse('Trip not found', 404);
+    const conflict = checkIfMatch(request, trip);
+    if (conflict) return conflict;
 
     if (!body?.title) {
       return errorResponse('Title is required');
     }
 
     const id = generateId();
+    const db = env.RIDE_TRIP_PLANNER_DB;
 
-    await env.RIDE_TRIP_PLANNER_DB.prepare(
-      `INSERT INTO journal_entries (id, trip_id, waypoint_id, title, content, is_private, tags, location)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    await db.batch([db.prepare(
+      `INSERT INTO journal_entries (id, trip_id, waypoint_id, title, content, is_private, tags, location,
+                                    arrived_at, departed_at, odometer)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
     ).bind(
       id,
       params.tripId,
@@ -34,17 +63,23 @@ export const JournalHandler = {
       body.content || '',
       body.is_private ? 1 : 0,
       JSON.stringify(body.tags || []),
-      body.location ? JSON.stringify(body.location) : null
-    ).run();
+      body.location ? JSON.stringify(body.location) : null,
+      toTimestamp(body.arrived_at),
+      toTimestamp(body.departed_at),
+      toOdometer(body.odometer)
+    ), recordActorStatement(db, params.tripId, trip.version, user.id)]);
 
     const entry = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT * FROM journal_entries WHERE id = ?').bind(id).first();
+    const tripState = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT version, updated_at FROM trips WHERE id = ?').bind(params.tripId).first();
 
     return jsonResponse({
       entry: {
         ...entry,
         tags: JSON.parse(entry.tags || '[]'),
         location: JSON.parse(entry.location || 'null')
-      }
+      },
+      trip_version: tripState?.version ?? 0,
+      trip_updated_at: tripState?.updated_at ?? null
     }, 201);
   },
 
@@ -57,6 +92,8 @@ export const JournalHandler = {
 
     const trip = await verifyTripOwnership(env, params.tripId, user.id);
     if (!trip) return errorResponse('Trip not found', 404);
+    const conflict = checkIfMatch(request, trip);
+    if (conflict) return conflict;
 
     const updates = [];
     const values = [];
@@ -66,39 +103,60 @@ export const JournalHandler = {
     if (body.is_private !== undefined) { updates.push('is_private = ?'); values.push(body.is_private ? 1 : 0); }
     if (body.tags !== undefined) { updates.push('tags = ?'); values.push(JSON.stringify(body.tags)); }
     if (body.location !== undefined) { updates.push('location = ?'); values.push(JSON.stringify(body.location)); }
+    if (body.arrived_at !== undefined) { updates.push('arrived_at = ?'); values.push(toTimestamp(body.arrived_at)); }
+    if (body.departed_at !== undefined) { updates.push('departed_at = ?'); values.push(toTimestamp(body.departed_at)); }
+    if (body.odometer !== undefined) { updates.push('odometer = ?'); values.push(toOdometer(body.odometer)); }
 
     if (updates.length > 0) {
       // updated_at auto-managed by trg_journal_updated trigger
       values.push(params.id, params.tripId);
-      await env.RIDE_TRIP_PLANNER_DB.prepare(
-        `UPDATE journal_entries SET ${updates.join(', ')} WHERE id = ? AND trip_id = ?`
-      ).bind(...values).run();
+      const db = env.RIDE_TRIP_PLANNER_DB;
+      await db.batch([
+        db.prepare(
+          `UPDATE journal_entries SET ${updates.join(', ')} WHERE id = ? AND trip_id = ? AND deleted_at IS NULL`
+        ).bind(...values),
+        recordActorStatement(db, params.tripId, trip.version, user.id)
+      ]);
     }
 
-    const entry = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT * FROM journal_entries WHERE id = ?').bind(params.id).first();
+    const entry = await env.RIDE_TRIP_PLANNER_DB.prepare(
+      'SELECT * FROM journal_entries WHERE id = ? AND trip_id = ? AND deleted_at IS NULL'
+    ).bind(params.id, params.tripId).first();
+    if (!entry) return errorResponse('Journal entry not found', 404);
+    const tripState = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT version, updated_at FROM trips WHERE id = ?').bind(params.tripId).first();
 
     return jsonResponse({
       entry: {
         ...entry,
         tags: JSON.parse(entry.tags || '[]'),
         location: JSON.parse(entry.location || 'null')
-      }
+      },
+      trip_version: tripState?.version ?? 0,
+      trip_updated_at: tripState?.updated_at ?? null
     });
   },
 
   /**
-   * Delete journal entry
+   * Move a journal entry to the trash. Its files stay attached to it, hidden
+   * until it is restored or purged with it.
    */
   async deleteJournalEntry(context) {
-    const { env, user, params } = context;
+    const { env, user, params, request } = context;
 
     const trip = await verifyTripOwnership(env, params.tripId, user.id);
     if (!trip) return errorResponse('Trip not found', 404);
-
-    await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'DELETE FROM journal_entries WHERE id = ? AND trip_id = ?'
-    ).bind(params.id, params.tripId).run();
-
-    return jsonResponse({ success: true });
+    const conflict = checkIfMatch(request, trip);
+    if (conflict) return conflict;
+
+    const db = env.RIDE_TRIP_PLANNER_DB;
+    await db.batch([
+      db.prepare(
+        `UPDATE journal_entries SET deleted_at = datetime('now') WHERE id = ? AND trip_id = ? AND deleted_at IS NULL`
+      ).bind(params.id, params.tripId),
+      recordActorStatement(db, params.tripId, trip.version, user.id)
+    ]);
+    const tripState = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT version, updated_at FROM trips WHERE id = ?').bind(params.tripId).first();
+
+    return jsonResponse({ success: true, trip_version: tripState?.version ?? 0, trip_updated_at: tripState?.updated_at ?? null });
   }
 };
@@ -0,0 +1,359 @@
+/**
+ * Maintenance
+ * The daily scheduled run (worker.js scheduled handler): empties the trash,
+ * reconciles R2 against the attachments and ride_tracks tables, prunes the
+ * sessions:{userId} registries, applies the login_events retention policy
+ * and drops old trip history. Every run writes a report to maintenance_runs for admin.html.
+ *
+ * The R2 and KV scans stop after a fixed budget per run and carry on from
+ * where they stopped next time (maintenance_state), so a big bucket or many
+ * registries take several runs instead of one that runs out of time.
+ */
+
+import { jsonResponse } from './utils.js';
+import { purgeTrash } from './trash.js';
+
+// Objects and rows younger than this are left alone: an upload may have put
+// its object without having written its row yet
+const R2_GRACE_MS = 24 * 60 * 60 * 1000;
+const R2_GRACE_SQL = '-1 day';
+
+// D1 allows at most 100 bound parameters per statement
+const SQL_IN_LIMIT = 100;
+
+// Attachment rows whose object is missing are counted; this many are listed
+const MISSING_SAMPLE = 20;
+
+// Per-run budgets: R2 list pages (up to 1000 objects each) and registries
+const R2_MAX_PAGES = 20;
+const SESSIONS_MAX_KEYS = 300;
+
+// IPs anonymised per batch, and batches per run
+const ANONYMISE_BATCH = 500;
+const ANONYMISE_MAX_BATCHES = 20;
+
+const DEFAULT_LOGIN_RETENTION_DAYS = 365;
+const DEFAULT_IP_ANONYMISE_DAYS = 30;
+const DEFAULT_HISTORY_RETENTION_DAYS = 180;
+
+// Trips whose old history is dropped per run
+const HISTORY_PRUNE_TRIPS = 100;
+
+// Reports older than this are dropped by the run itself
+const REPORT_RETENTION_DAYS = 90;
+
+/**
+ * Whole number of days from an env var; 0 turns the policy off
+ */
+function configDays(env, name, fallback) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+/** SQLite datetime('now') format, UTC */
+function sqlNow() {
+  return new Date().toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+/**
+ * The values of `column` in `table` that are among `values`
+ */
+async function existing(db, table, column, values) {
+  const found = new Set();
+  for (const part of chunk(values, SQL_IN_LIMIT)) {
+    const rows = await db.prepare(
+      `SELECT ${column} AS v FROM ${table} WHERE ${column} IN (${part.map(() => '?').join(', ')})`
+    ).bind(...part).all();
+    (rows.results || []).forEach(r => found.add(r.v));
+  }
+  return found;
+}
+
+/** Where a task's scan stopped last run, {} when it starts over */
+async function loadState(db, task) {
+  const row = await db.prepare('SELECT state FROM maintenance_state WHERE task = ?').bind(task).first();
+  return row ? JSON.parse(row.state || '{}') : {};
+}
+
+function saveState(db, task, state) {
+  return db.prepare(
+    `INSERT INTO maintenance_state (task, state, updated_at) VALUES (?, ?, datetime('now'))
+     ON CONFLICT(task) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at`
+  ).bind(task, JSON.stringify(state)).run();
+}
+
+/**
+ * An IP cut to its network: the last octet of an IPv4 address zeroed, an
+ * IPv6 address kept to its /48. Anything unreadable becomes 'unknown'.
+ */
+function anonymiseIp(raw) {
+  // x-forwarded-for may hold a chain; the first entry is the client
+  const ip = String(raw || '').split(',')[0].trim().toLowerCase();
+  const v4 = ip.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.\d{1,3}$/);
+  if (v4) return `${v4[1]}.${v4[2]}.${v4[3]}.0`;
+  if (!/^[0-9a-f:.]+$/.test(ip) || !ip.includes(':')) return 'unknown';
+
+  const [head, tail] = ip.split('::');
+  const groups = head ? head.split(':') : [];
+  if (tail !== undefined) {
+    const rest = tail ? tail.split(':') : [];
+    groups.push(...Array(Math.max(8 - groups.length - rest.length, 0)).fill('0'), ...rest);
+  }
+  return groups.length >= 3 ? `${groups.slice(0, 3).join(':')}::` : 'unknown';
+}
+
+/** The track id of a trips/<tripId>/tracks/<trackId>/<seq>.json key, else null */
+function trackIdOf(key) {
+  const parts = key.split('/');
+  return parts[2] === 'tracks' ? parts[3] : null;
+}
+
+/**
+ * Delete R2 objects under trips/ that no attachment or ride track row
+ * points to, and count attachment rows whose object is gone. Resumes after
+ * the last key checked; listing is in key order, so each page also settles
+ * the attachment rows whose keys fall between it and the page before.
+ */
+async function reconcileR2(env) {
+  const db = env.RIDE_TRIP_PLANNER_DB;
+  const bucket = env.RIDE_TRIP_PLANNER_ATTACHMENTS;
+  const cutoff = Date.now() - R2_GRACE_MS;
+  const result = { scanned: 0, orphans_deleted: 0, orphan_bytes: 0, missing: 0, missing_ids: [], pass_complete: false };
+  let { after = '' } = await loadState(db, 'r2');
+
+  for (let pages = 0; pages < R2_MAX_PAGES && !result.pass_complete; pages++) {
+    const page = await bucket.list({ prefix: 'trips/', ...(after ? { startAfter: after } : {}) });
+    const objects = page.objects || [];
+    result.scanned += objects.length;
+    result.pass_complete = !page.truncated || !objects.length;
+
+    // Track chunks belong to a ride_tracks row, anything else is an attachment
+    const old = objects.filter(o => new Date(o.uploaded).getTime() < cutoff);
+    const tracks = old.filter(o => trackIdOf(o.key));
+    const files = old.filter(o => !trackIdOf(o.key));
+    const knownTracks = await existing(db, 'ride_tracks', 'id', [...new Set(tracks.map(o => trackIdOf(o.key)))]);
+    const knownFiles = await existing(db, 'attachments', 'storage_key', files.map(o => o.key));
+    const orphans = [
+      ...tracks.filter(o => !knownTracks.has(trackIdOf(o.key))),
+      ...files.filter(o => !knownFiles.has(o.key))
+    ];
+    if (orphans.length) {
+      await bucket.delete(orphans.map(o => o.key));
+      result.orphans_deleted += orphans.length;
+      result.orphan_bytes += orphans.reduce((sum, o) => sum + (o.size || 0), 0);
+    }
+
+    // The other way round: rows in this page's key range whose file is gone
+    const upTo = result.pass_complete ? null : objects[objects.length - 1].key;
+    await findMissing(db, new Set(objects.map(o => o.key)), after, upTo, result);
+    after = upTo || '';
+  }
+
+  await saveState(db, 'r2', { after });
+  return result;
+}
+
+/**
+ * Count attachment rows with a storage key in (after, upTo] (no upper bound
+ * when upTo is null) that are not among the listed keys. Listed, not changed.
+ */
+async function findMissing(db, listed, after, upTo, result) {
+  for (;;) {
+    const rows = await db.prepare(
+      `SELECT id, storage_key FROM attachments
+       WHERE storage_key > ? AND (? IS NULL OR storage_key <= ?)
+         AND created_at <= datetime('now', '${R2_GRACE_SQL}')
+       ORDER BY storage_key LIMIT 1000`
+    ).bind(after, upTo, upTo).all();
+    const list = rows.results || [];
+    list.filter(r => !listed.has(r.storage_key)).forEach((r) => {
+      result.missing += 1;
+      if (result.missing_ids.length < MISSING_SAMPLE) result.missing_ids.push(r.id);
+    });
+    if (list.length < 1000) return;
+    after = list[list.length - 1].storage_key;
+  }
+}
+
+/**
+ * Drop expired sessions from the sessions:{userId} registries; registries
+ * left empty are deleted. The session tokens themselves expire by KV TTL.
+ * Resumes from the KV list cursor saved by the previous run.
+ */
+async function pruneSessionRegistries(env) {
+  const db = env.RIDE_TRIP_PLANNER_DB;
+  const kv = env.RIDE_TRIP_PLANNER_SESSIONS;
+  const now = Date.now();
+  const result = { registries: 0, entries_pruned: 0, registries_removed: 0, pass_complete: false };
+  let { cursor } = await loadState(db, 'sessions');
+
+  while (!result.pass_complete && result.registries < SESSIONS_MAX_KEYS) {
+    const limit = Math.min(1000, SESSIONS_MAX_KEYS - result.registries);
+    const page = await kv.list({ prefix: 'sessions:', cursor, limit });
+    for (const { name } of page.keys || []) {
+      result.registries += 1;
+      const raw = await kv.get(name, 'json');
+      const sessions = Array.isArray(raw) ? raw : [];
+      const live = sessions.filter(s => s?.expiresAt > now);
+      if (live.length === sessions.length && sessions.length) continue;
+      result.entries_pruned += sessions.length - live.length;
+      if (!live.length) {
+        await kv.delete(name);
+        result.registries_removed += 1;
+      } else {
+        // Keep the registry as long as its last session (KV's minimum TTL is 60 s)
+        const ttl = Math.ceil((Math.max(...live.map(s => s.expiresAt)) - now) / 1000);
+        await kv.put(name, JSON.stringify(live), { expirationTtl: Math.max(ttl, 60) });
+      }
+    }
+    result.pass_complete = page.list_complete;
+    cursor = page.list_complete ? undefined : page.cursor;
+  }
+
+  await saveState(db, 'sessions', cursor ? { cursor } : {});
+  return result;
+}
+
+/**
+ * Delete login events past the retention period and anonymise the IPs of
+ * the rest once they are old enough. Both periods come from env vars.
+ */
+async function applyLoginRetention(env) {
+  const db = env.RIDE_TRIP_PLANNER_DB;
+  const retentionDays = configDays(env, 'LOGIN_EVENTS_RETENTION_DAYS', DEFAULT_LOGIN_RETENTION_DAYS);
+  const anonymiseDays = configDays(env, 'LOGIN_IP_ANONYMISE_DAYS', DEFAULT_IP_ANONYMISE_DAYS);
+  const result = { retention_days: retentionDays, anonymise_after_days: anonymiseDays, deleted: 0, anonymised: 0 };
+
+  if (retentionDays > 0) {
+    const deleted = await db.prepare(
+      `DELETE FROM login_events WHERE created_at < datetime('now', ?)`
+    ).bind(`-${retentionDays} days`).run();
+    result.deleted = deleted.meta.changes;
+  }
+
+  if (anonymiseDays > 0) {
+    for (let i = 0; i < ANONYMISE_MAX_BATCHES; i++) {
+      const rows = await db.prepare(
+        `SELECT id, ip FROM login_events WHERE ip_anonymised = 0 AND created_at < datetime('now', ?) LIMIT ?`
+      ).bind(`-${anonymiseDays} days`, ANONYMISE_BATCH).all();
+      const list = rows.results || [];
+      if (!list.length) break;
+      await db.batch(list.map(r => db.prepare(
+        'UPDATE login_events SET ip = ?, ip_anonymised = 1 WHERE id = ?'
+      ).bind(anonymiseIp(r.ip), r.id)));
+      result.anonymised += list.length;
+      if (list.length < ANONYMISE_BATCH) break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Drop trip_events older than TRIP_HISTORY_RETENTION_DAYS. A trip's history
+ * then starts at the newest version dropped: a new 'baseline' row marks it,
+ * so restores and delta sync from before it fall back as for any trip whose
+ * history doesn't reach that far.
+ */
+async function pruneTripHistory(env) {
+  const db = env.RIDE_TRIP_PLANNER_DB;
+  const retentionDays = configDays(env, 'TRIP_HISTORY_RETENTION_DAYS', DEFAULT_HISTORY_RETENTION_DAYS);
+  const result = { retention_days: retentionDays, trips: 0, deleted: 0 };
+  if (retentionDays === 0) return result;
+
+  const rows = await db.prepare(
+    `SELECT trip_id, MAX(version) AS version FROM trip_events
+     WHERE op != 'baseline' AND created_at < datetime('now', ?)
+     GROUP BY trip_id LIMIT ?`
+  ).bind(`-${retentionDays} days`, HISTORY_PRUNE_TRIPS).all();
+  const trips = rows.results || [];
+  if (!trips.length) return result;
+
+  const stmts = trips.flatMap(({ trip_id: tripId, version }) => [
+    db.prepare('DELETE FROM trip_events WHERE trip_id = ? AND version <= ?').bind(tripId, version),
+    db.prepare(
+      `INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op)
+       SELECT id, ?, 'system', 'trip', id, 'baseline' FROM trips WHERE id = ?`
+    ).bind(version, tripId)
+  ]);
+  const results = await db.batch(stmts);
+  result.trips = trips.length;
+  // Every other result is a DELETE; the baselines just written don't count
+  result.deleted = results.filter((_, i) => i % 2 === 0).reduce((sum, r) => sum + (r.meta?.changes || 0), 0);
+  return result;
+}
+
+const TASKS = {
+  trash: purgeTrash,
+  r2: reconcileR2,
+  sessions: pruneSessionRegistries,
+  logins: applyLoginRetention,
+  history: pruneTripHistory
+};
+
+/**
+ * Run every maintenance task and record the report. A failing task doesn't
+ * stop the others; its error goes into the report instead.
+ * @param {'cron'|'manual'} source
+ */
+export async function runMaintenance(env, source = 'cron') {
+  const db = env.RIDE_TRIP_PLANNER_DB;
+  const startedAt = sqlNow();
+  const report = { errors: {} };
+
+  for (const [name, task] of Object.entries(TASKS)) {
+    try {
+      report[name] = await task(env);
+    } catch (err) {
+      console.error(`Maintenance: ${name} failed`, err);
+      report.errors[name] = String(err?.message || err);
+    }
+  }
+
+  const failed = Object.keys(report.errors).length;
+  const status = failed === 0 ? 'ok' : failed === Object.keys(TASKS).length ? 'failed' : 'partial';
+  try {
+    await db.batch([
+      db.prepare(
+        'INSERT INTO maintenance_runs (source, status, report, started_at) VALUES (?, ?, ?, ?)'
+      ).bind(source, status, JSON.stringify(report), startedAt),
+      db.prepare(
+        `DELETE FROM maintenance_runs WHERE started_at < datetime('now', '-${REPORT_RETENTION_DAYS} days')`
+      )
+    ]);
+  } catch (err) {
+    console.error('Maintenance: saving the report failed', err);
+  }
+  return { source, status, started_at: startedAt, report };
+}
+
+export const MaintenanceHandler = {
+  /**
+   * Admin: recent maintenance reports, newest first
+   */
+  async listRuns(context) {
+    const { env } = context;
+
+    const rows = await env.RIDE_TRIP_PLANNER_DB.prepare(
+      'SELECT id, source, status, report, started_at, finished_at FROM maintenance_runs ORDER BY started_at DESC LIMIT 60'
+    ).all();
+
+    return jsonResponse({
+      runs: (rows.results || []).map(r => ({ ...r, report: JSON.parse(r.report || '{}') }))
+    });
+  },
+
+  /**
+   * Admin: run maintenance now instead of waiting for the cron
+   */
+  async runNow(context) {
+    return jsonResponse(await runMaintenance(context.env, 'manual'));
+  }
+};
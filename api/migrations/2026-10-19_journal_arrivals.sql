@@ -0,0 +1,7 @@
+-- 2026-10-19: Automatic ride log
+-- Journal entries created on waypoint arrival carry the arrival/departure
+-- times and the odometer (metres ridden so far). All NULL for manual notes.
+
+ALTER TABLE journal_entries ADD COLUMN arrived_at TEXT;
+ALTER TABLE journal_entries ADD COLUMN departed_at TEXT;
+ALTER TABLE journal_entries ADD COLUMN odometer REAL;
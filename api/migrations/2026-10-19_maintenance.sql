@@ -0,0 +1,30 @@
+-- 2026-10-19: Scheduled maintenance
+-- The worker's daily scheduled run also removes R2 objects no row points to,
+-- prunes expired entries from the sessions:{userId} registries, and applies
+-- the login_events retention policy: rows older than LOGIN_EVENTS_RETENTION_DAYS
+-- are deleted and IPs older than LOGIN_IP_ANONYMISE_DAYS cut to their network.
+-- Each run writes a report to maintenance_runs, listed in admin.html.
+-- The R2 and KV scans are capped per run; maintenance_state keeps where
+-- each one stopped so the next run carries on from there.
+
+ALTER TABLE login_events ADD COLUMN ip_anonymised INTEGER NOT NULL DEFAULT 0 CHECK(ip_anonymised IN (0, 1));
+
+CREATE TABLE IF NOT EXISTS maintenance_runs (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  source       TEXT NOT NULL CHECK(source IN ('cron','manual')),
+  status       TEXT NOT NULL CHECK(status IN ('ok','partial','failed')),
+  report       TEXT NOT NULL DEFAULT '{}',  -- JSON: counts and errors per task
+  started_at   TEXT NOT NULL,
+  finished_at  TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_runs_started ON maintenance_runs(started_at DESC);
+
+CREATE TABLE IF NOT EXISTS maintenance_state (
+  task         TEXT PRIMARY KEY CHECK(task IN ('r2','sessions')),
+  state        TEXT NOT NULL DEFAULT '{}',  -- JSON: R2 key or KV cursor to resume from
+  updated_at   TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- R2 reconcile looks attachments up by key, in key order
+CREATE INDEX IF NOT EXISTS idx_attachments_key ON attachments(storage_key);
@@ -0,0 +1,10 @@
+-- 2026-10-19: Ride summary from the in-ride trip computer
+-- Saved when the rider leaves ride mode. Times are seconds, speeds m/s.
+-- moving_distance leaves out drift while stopped; distance stays the
+-- recorded total kept by the chunk uploads.
+
+ALTER TABLE ride_tracks ADD COLUMN moving_distance REAL NOT NULL DEFAULT 0;
+ALTER TABLE ride_tracks ADD COLUMN moving_time INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE ride_tracks ADD COLUMN stopped_time INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE ride_tracks ADD COLUMN avg_speed REAL;
+ALTER TABLE ride_tracks ADD COLUMN max_speed REAL;
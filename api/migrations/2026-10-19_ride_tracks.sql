@@ -0,0 +1,31 @@
+-- 2026-10-19: Recorded ride tracks
+-- One row per recorded ride. The GPS breadcrumbs themselves live in R2 as
+-- numbered JSON chunks under trips/<trip_id>/tracks/<track_id>/, uploaded in
+-- batches while the rider is moving.
+--
+-- Tracks deliberately do NOT bump trips.version: recording a ride is not a
+-- plan edit and must not invalidate If-Match preconditions mid-ride.
+
+CREATE TABLE IF NOT EXISTS ride_tracks (
+  id            TEXT PRIMARY KEY,
+  trip_id       TEXT NOT NULL,
+  name          TEXT,
+  started_at    TEXT NOT NULL,
+  ended_at      TEXT,
+  point_count   INTEGER NOT NULL DEFAULT 0,
+  chunk_count   INTEGER NOT NULL DEFAULT 0,
+  distance      REAL NOT NULL DEFAULT 0, -- metres ridden, as measured by the client
+  created_at    TEXT DEFAULT (datetime('now')),
+  updated_at    TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_tracks_trip ON ride_tracks(trip_id, started_at DESC);
+
+CREATE TRIGGER IF NOT EXISTS trg_ride_tracks_updated
+AFTER UPDATE ON ride_tracks
+FOR EACH ROW
+WHEN OLD.updated_at = NEW.updated_at
+BEGIN
+  UPDATE ride_tracks SET updated_at = datetime('now') WHERE id = NEW.id;
+END;
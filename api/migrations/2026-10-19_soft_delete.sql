@@ -0,0 +1,171 @@
+-- 2026-10-19: Trash for trips, waypoints and journal entries
+-- Deleting now sets deleted_at instead of removing the row, so it can be
+-- restored from the Trash. The worker's scheduled handler purges rows (and
+-- their R2 objects) once they have been in the trash for 30 days.
+--
+-- The waypoint and journal triggers are recreated: moving a row to the trash
+-- logs a 'delete' and restoring it an 'insert', while purging it from the
+-- trash is not logged again.
+
+ALTER TABLE trips ADD COLUMN deleted_at TEXT;
+ALTER TABLE waypoints ADD COLUMN deleted_at TEXT;
+ALTER TABLE journal_entries ADD COLUMN deleted_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_trips_deleted     ON trips(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_waypoints_deleted ON waypoints(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_journal_deleted   ON journal_entries(deleted_at) WHERE deleted_at IS NOT NULL;
+
+DROP TRIGGER IF EXISTS trg_waypoints_update_bump;
+CREATE TRIGGER IF NOT EXISTS trg_waypoints_update_bump
+AFTER UPDATE ON waypoints
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'waypoint', NEW.id,
+    CASE WHEN OLD.deleted_at IS NOT NULL THEN 'insert' WHEN NEW.deleted_at IS NOT NULL THEN 'delete' ELSE 'update' END,
+    CASE WHEN OLD.deleted_at IS NULL THEN json_object('id', OLD.id, 'name', OLD.name, 'address', OLD.address,
+      'lat', OLD.lat, 'lng', OLD.lng, 'type', OLD.type,
+      'notes', OLD.notes, 'sort_order', OLD.sort_order,
+      'arrival_radius', OLD.arrival_radius, 'created_at', OLD.created_at) END,
+    CASE WHEN NEW.deleted_at IS NULL THEN json_object('id', NEW.id, 'name', NEW.name, 'address', NEW.address,
+      'lat', NEW.lat, 'lng', NEW.lng, 'type', NEW.type,
+      'notes', NEW.notes, 'sort_order', NEW.sort_order,
+      'arrival_radius', NEW.arrival_radius, 'created_at', NEW.created_at) END
+  FROM trips WHERE id = NEW.trip_id
+    AND (OLD.name IS NOT NEW.name OR OLD.address IS NOT NEW.address
+     OR OLD.lat IS NOT NEW.lat OR OLD.lng IS NOT NEW.lng
+     OR OLD.type IS NOT NEW.type OR OLD.notes IS NOT NEW.notes
+     OR OLD.sort_order IS NOT NEW.sort_order
+     OR OLD.arrival_radius IS NOT NEW.arrival_radius
+     OR OLD.deleted_at IS NOT NEW.deleted_at)
+    AND (OLD.deleted_at IS NULL OR NEW.deleted_at IS NULL);
+END;
+
+DROP TRIGGER IF EXISTS trg_waypoints_delete_bump;
+CREATE TRIGGER IF NOT EXISTS trg_waypoints_delete_bump
+AFTER DELETE ON waypoints
+FOR EACH ROW
+WHEN OLD.deleted_at IS NULL  -- purged from the trash: logged when it was moved there
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = OLD.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'waypoint', OLD.id, 'delete',
+    json_object('id', OLD.id, 'name', OLD.name, 'address', OLD.address,
+      'lat', OLD.lat, 'lng', OLD.lng, 'type', OLD.type,
+      'notes', OLD.notes, 'sort_order', OLD.sort_order,
+      'arrival_radius', OLD.arrival_radius, 'created_at', OLD.created_at),
+    NULL
+  FROM trips WHERE id = OLD.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_journal_update_bump;
+CREATE TRIGGER IF NOT EXISTS trg_journal_update_bump
+AFTER UPDATE ON journal_entries
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'journal', NEW.id,
+    CASE WHEN OLD.deleted_at IS NOT NULL THEN 'insert' WHEN NEW.deleted_at IS NOT NULL THEN 'delete' ELSE 'update' END,
+    CASE WHEN OLD.deleted_at IS NULL THEN json_object('id', OLD.id, 'waypoint_id', OLD.waypoint_id, 'title', OLD.title,
+      'content', OLD.content, 'is_private', OLD.is_private,
+      'tags', OLD.tags, 'location', OLD.location,
+      'arrived_at', OLD.arrived_at, 'departed_at', OLD.departed_at,
+      'odometer', OLD.odometer, 'created_at', OLD.created_at) END,
+    CASE WHEN NEW.deleted_at IS NULL THEN json_object('id', NEW.id, 'waypoint_id', NEW.waypoint_id, 'title', NEW.title,
+      'content', NEW.content, 'is_private', NEW.is_private,
+      'tags', NEW.tags, 'location', NEW.location,
+      'arrived_at', NEW.arrived_at, 'departed_at', NEW.departed_at,
+      'odometer', NEW.odometer, 'created_at', NEW.created_at) END
+  FROM trips WHERE id = NEW.trip_id
+    AND (OLD.waypoint_id IS NOT NEW.waypoint_id OR OLD.title IS NOT NEW.title
+     OR OLD.content IS NOT NEW.content OR OLD.is_private IS NOT NEW.is_private
+     OR OLD.tags IS NOT NEW.tags OR OLD.location IS NOT NEW.location
+     OR OLD.arrived_at IS NOT NEW.arrived_at
+     OR OLD.departed_at IS NOT NEW.departed_at
+     OR OLD.odometer IS NOT NEW.odometer
+     OR OLD.deleted_at IS NOT NEW.deleted_at)
+    AND (OLD.deleted_at IS NULL OR NEW.deleted_at IS NULL)
+    AND OLD.updated_at = NEW.updated_at;
+END;
+
+DROP TRIGGER IF EXISTS trg_journal_delete_bump;
+CREATE TRIGGER IF NOT EXISTS trg_journal_delete_bump
+AFTER DELETE ON journal_entries
+FOR EACH ROW
+WHEN OLD.deleted_at IS NULL  -- purged from the trash: logged when it was moved there
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = OLD.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'journal', OLD.id, 'delete',
+    json_object('id', OLD.id, 'waypoint_id', OLD.waypoint_id, 'title', OLD.title,
+      'content', OLD.content, 'is_private', OLD.is_private,
+      'tags', OLD.tags, 'location', OLD.location,
+      'arrived_at', OLD.arrived_at, 'departed_at', OLD.departed_at,
+      'odometer', OLD.odometer, 'created_at', OLD.created_at),
+    NULL
+  FROM trips WHERE id = OLD.trip_id;
+END;
+
+-- Views leave out trips in the trash
+DROP VIEW IF EXISTS v_trip_list;
+CREATE VIEW IF NOT EXISTS v_trip_list AS
+SELECT
+  t.*,
+  (SELECT COUNT(*) FROM waypoints   WHERE trip_id = t.id AND deleted_at IS NULL) AS waypoint_count,
+  (SELECT COUNT(*) FROM journal_entries WHERE trip_id = t.id AND deleted_at IS NULL) AS journal_count,
+  (SELECT COUNT(*) FROM attachments WHERE trip_id = t.id) AS attachment_count,
+  CASE WHEN t.short_code IS NOT NULL
+    THEN 'https://ride.incitat.io/' || t.short_code
+    ELSE NULL
+  END AS short_url
+FROM trips t
+WHERE t.deleted_at IS NULL;
+
+DROP VIEW IF EXISTS v_trip_with_route;
+CREATE VIEW IF NOT EXISTS v_trip_with_route AS
+SELECT
+  t.*,
+  CASE WHEN t.short_code IS NOT NULL
+    THEN 'https://ride.incitat.io/' || t.short_code
+    ELSE NULL
+  END AS short_url,
+  rd.coordinates AS route_coordinates,
+  rd.distance    AS route_distance,
+  rd.duration    AS route_duration
+FROM trips t
+LEFT JOIN route_data rd ON rd.trip_id = t.id
+WHERE t.deleted_at IS NULL;
+
+DROP VIEW IF EXISTS v_trip_public;
+CREATE VIEW IF NOT EXISTS v_trip_public AS
+SELECT
+  t.short_code,
+  COALESCE(t.public_title, t.name)        AS title,
+  COALESCE(t.public_description, t.description, '') AS description,
+  t.public_contact                         AS contact,
+  t.cover_image_url                        AS cover_image,
+  t.cover_focus_x,
+  t.cover_focus_y,
+  t.created_at,
+  rd.coordinates AS route_coordinates,
+  rd.distance    AS route_distance,
+  rd.duration    AS route_duration
+FROM trips t
+LEFT JOIN route_data rd ON rd.trip_id = t.id
+WHERE t.is_public = 1 AND t.short_code IS NOT NULL AND t.deleted_at IS NULL;
+
+DROP VIEW IF EXISTS v_attachment_access;
+CREATE VIEW IF NOT EXISTS v_attachment_access AS
+SELECT
+  a.*,
+  t.user_id       AS trip_owner_id,
+  t.is_public     AS trip_is_public,
+  'https://ride.incitat.io/api/attachments/' || a.id AS url
+FROM attachments a
+JOIN trips t ON a.trip_id = t.id AND t.deleted_at IS NULL;
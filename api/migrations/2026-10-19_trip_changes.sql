@@ -0,0 +1,152 @@
+-- 2026-10-19: Per-trip change log for delta sync
+-- GET /api/trips/:id/changes?since=<version> lists the waypoints, journal
+-- entries, attachments and route changed after a version, so clients patch
+-- their copy instead of reloading the whole trip. The version-bump triggers
+-- are recreated to also write the log; attachment updates now bump too.
+--
+-- Existing trips get a 'baseline' row at their current version: changes
+-- from before it were never logged, so older versions need a full reload.
+
+CREATE TABLE IF NOT EXISTS trip_changes (
+  seq         INTEGER PRIMARY KEY AUTOINCREMENT,
+  trip_id     TEXT NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  version     INTEGER NOT NULL,
+  entity      TEXT NOT NULL CHECK(entity IN ('trip','waypoint','journal','attachment','route')),
+  entity_id   TEXT NOT NULL,
+  op          TEXT NOT NULL CHECK(op IN ('baseline','insert','update','delete')),
+  created_at  TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_changes_trip ON trip_changes(trip_id, version);
+
+INSERT INTO trip_changes (trip_id, version, entity, entity_id, op)
+SELECT id, version, 'trip', id, 'baseline' FROM trips;
+
+CREATE TRIGGER IF NOT EXISTS trg_trips_changelog_start
+AFTER INSERT ON trips
+FOR EACH ROW
+BEGIN
+  INSERT INTO trip_changes (trip_id, version, entity, entity_id, op)
+  VALUES (NEW.id, NEW.version, 'trip', NEW.id, 'baseline');
+END;
+
+DROP TRIGGER IF EXISTS trg_waypoints_insert_bump;
+CREATE TRIGGER trg_waypoints_insert_bump
+AFTER INSERT ON waypoints
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_changes (trip_id, version, entity, entity_id, op)
+  SELECT id, version, 'waypoint', NEW.id, 'insert' FROM trips WHERE id = NEW.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_waypoints_update_bump;
+CREATE TRIGGER trg_waypoints_update_bump
+AFTER UPDATE ON waypoints
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_changes (trip_id, version, entity, entity_id, op)
+  SELECT id, version, 'waypoint', NEW.id, 'update' FROM trips WHERE id = NEW.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_waypoints_delete_bump;
+CREATE TRIGGER trg_waypoints_delete_bump
+AFTER DELETE ON waypoints
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = OLD.trip_id;
+  INSERT INTO trip_changes (trip_id, version, entity, entity_id, op)
+  SELECT id, version, 'waypoint', OLD.id, 'delete' FROM trips WHERE id = OLD.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_journal_insert_bump;
+CREATE TRIGGER trg_journal_insert_bump
+AFTER INSERT ON journal_entries
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_changes (trip_id, version, entity, entity_id, op)
+  SELECT id, version, 'journal', NEW.id, 'insert' FROM trips WHERE id = NEW.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_journal_update_bump;
+CREATE TRIGGER trg_journal_update_bump
+AFTER UPDATE ON journal_entries
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_changes (trip_id, version, entity, entity_id, op)
+  SELECT id, version, 'journal', NEW.id, 'update' FROM trips WHERE id = NEW.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_journal_delete_bump;
+CREATE TRIGGER trg_journal_delete_bump
+AFTER DELETE ON journal_entries
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = OLD.trip_id;
+  INSERT INTO trip_changes (trip_id, version, entity, entity_id, op)
+  SELECT id, version, 'journal', OLD.id, 'delete' FROM trips WHERE id = OLD.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_attachments_insert_bump;
+CREATE TRIGGER trg_attachments_insert_bump
+AFTER INSERT ON attachments
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_changes (trip_id, version, entity, entity_id, op)
+  SELECT id, version, 'attachment', NEW.id, 'insert' FROM trips WHERE id = NEW.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_attachments_delete_bump;
+CREATE TRIGGER trg_attachments_delete_bump
+AFTER DELETE ON attachments
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = OLD.trip_id;
+  INSERT INTO trip_changes (trip_id, version, entity, entity_id, op)
+  SELECT id, version, 'attachment', OLD.id, 'delete' FROM trips WHERE id = OLD.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_attachments_update_bump;
+CREATE TRIGGER trg_attachments_update_bump
+AFTER UPDATE ON attachments
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_changes (trip_id, version, entity, entity_id, op)
+  SELECT id, version, 'attachment', NEW.id, 'update' FROM trips WHERE id = NEW.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_route_insert_bump;
+CREATE TRIGGER trg_route_insert_bump
+AFTER INSERT ON route_data
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_changes (trip_id, version, entity, entity_id, op)
+  SELECT id, version, 'route', NEW.trip_id, 'insert' FROM trips WHERE id = NEW.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_route_update_bump;
+CREATE TRIGGER trg_route_update_bump
+AFTER UPDATE ON route_data
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_changes (trip_id, version, entity, entity_id, op)
+  SELECT id, version, 'route', NEW.trip_id, 'update' FROM trips WHERE id = NEW.trip_id;
+END;
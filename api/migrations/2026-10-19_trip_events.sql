@@ -0,0 +1,317 @@
+-- 2026-10-19: Trip change history with point-in-time restore
+-- Extends the delta sync log (2026-10-19_trip_changes.sql) into trip_events:
+-- every change to a trip's details, waypoints, journal entries, attachments
+-- and route is now logged with who made it and the row before and after it
+-- (route rows only by id), so the history panel can describe it and
+-- POST /api/trips/:id/restore can roll the trip back to an earlier version.
+-- Delta sync (GET /api/trips/:id/changes) reads the same log.
+--
+-- actor_id is the user whose request made the change: the API handlers
+-- record it in the same batch as their write, and 'system' marks scheduled
+-- maintenance. The triggers fill in the trip owner until then.
+--
+-- The rows trip_changes logged are carried over (without before/after, by
+-- nobody). Existing trips start their history at their current version
+-- ('baseline'); clients holding an older version fall back to a full
+-- reload once.
+
+CREATE TABLE IF NOT EXISTS trip_events (
+  seq         INTEGER PRIMARY KEY AUTOINCREMENT,
+  trip_id     TEXT NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  version     INTEGER NOT NULL,
+  actor_id    TEXT,
+  entity      TEXT NOT NULL CHECK(entity IN ('trip','waypoint','journal','attachment','route')),
+  entity_id   TEXT NOT NULL,
+  op          TEXT NOT NULL CHECK(op IN ('baseline','insert','update','delete','restore')),
+  before      TEXT,   -- JSON
+  after       TEXT,   -- JSON
+  created_at  TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_events_trip ON trip_events(trip_id, version);
+
+INSERT INTO trip_events (seq, trip_id, version, entity, entity_id, op, created_at)
+SELECT seq, trip_id, version, entity, entity_id, op, created_at FROM trip_changes;
+
+INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, after)
+SELECT id, version, 'system', 'trip', id, 'baseline',
+    json_object('name', trips.name, 'description', trips.description,
+      'settings', trips.settings, 'is_public', trips.is_public,
+      'public_title', trips.public_title,
+      'public_description', trips.public_description,
+      'public_contact', trips.public_contact,
+      'cover_image_url', trips.cover_image_url,
+      'cover_focus_x', trips.cover_focus_x,
+      'cover_focus_y', trips.cover_focus_y)
+FROM trips;
+
+CREATE TRIGGER IF NOT EXISTS trg_trips_events_start
+AFTER INSERT ON trips
+FOR EACH ROW
+BEGIN
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, after)
+  VALUES (NEW.id, NEW.version, NEW.user_id, 'trip', NEW.id, 'baseline',
+    json_object('name', NEW.name, 'description', NEW.description,
+      'settings', NEW.settings, 'is_public', NEW.is_public,
+      'public_title', NEW.public_title,
+      'public_description', NEW.public_description,
+      'public_contact', NEW.public_contact,
+      'cover_image_url', NEW.cover_image_url,
+      'cover_focus_x', NEW.cover_focus_x,
+      'cover_focus_y', NEW.cover_focus_y));
+END;
+
+DROP TRIGGER IF EXISTS trg_trips_updated;
+CREATE TRIGGER trg_trips_updated
+AFTER UPDATE ON trips
+FOR EACH ROW
+WHEN OLD.updated_at = NEW.updated_at  -- prevent infinite recursion
+BEGIN
+  UPDATE trips
+  SET updated_at = datetime('now'),
+      version    = version + 1
+  WHERE id = NEW.id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'trip', id, 'update',
+    json_object('name', OLD.name, 'description', OLD.description,
+      'settings', OLD.settings, 'is_public', OLD.is_public,
+      'public_title', OLD.public_title,
+      'public_description', OLD.public_description,
+      'public_contact', OLD.public_contact,
+      'cover_image_url', OLD.cover_image_url,
+      'cover_focus_x', OLD.cover_focus_x,
+      'cover_focus_y', OLD.cover_focus_y),
+    json_object('name', NEW.name, 'description', NEW.description,
+      'settings', NEW.settings, 'is_public', NEW.is_public,
+      'public_title', NEW.public_title,
+      'public_description', NEW.public_description,
+      'public_contact', NEW.public_contact,
+      'cover_image_url', NEW.cover_image_url,
+      'cover_focus_x', NEW.cover_focus_x,
+      'cover_focus_y', NEW.cover_focus_y)
+  FROM trips WHERE id = NEW.id
+    AND (OLD.name IS NOT NEW.name OR OLD.description IS NOT NEW.description
+     OR OLD.settings IS NOT NEW.settings OR OLD.is_public IS NOT NEW.is_public
+     OR OLD.public_title IS NOT NEW.public_title
+     OR OLD.public_description IS NOT NEW.public_description
+     OR OLD.public_contact IS NOT NEW.public_contact
+     OR OLD.cover_image_url IS NOT NEW.cover_image_url
+     OR OLD.cover_focus_x IS NOT NEW.cover_focus_x
+     OR OLD.cover_focus_y IS NOT NEW.cover_focus_y);
+END;
+
+DROP TRIGGER IF EXISTS trg_waypoints_insert_bump;
+CREATE TRIGGER trg_waypoints_insert_bump
+AFTER INSERT ON waypoints
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'waypoint', NEW.id, 'insert',
+    NULL,
+    json_object('id', NEW.id, 'name', NEW.name, 'address', NEW.address,
+      'lat', NEW.lat, 'lng', NEW.lng, 'type', NEW.type,
+      'notes', NEW.notes, 'sort_order', NEW.sort_order,
+      'arrival_radius', NEW.arrival_radius, 'created_at', NEW.created_at)
+  FROM trips WHERE id = NEW.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_waypoints_update_bump;
+CREATE TRIGGER trg_waypoints_update_bump
+AFTER UPDATE ON waypoints
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'waypoint', NEW.id, 'update',
+    json_object('id', OLD.id, 'name', OLD.name, 'address', OLD.address,
+      'lat', OLD.lat, 'lng', OLD.lng, 'type', OLD.type,
+      'notes', OLD.notes, 'sort_order', OLD.sort_order,
+      'arrival_radius', OLD.arrival_radius, 'created_at', OLD.created_at),
+    json_object('id', NEW.id, 'name', NEW.name, 'address', NEW.address,
+      'lat', NEW.lat, 'lng', NEW.lng, 'type', NEW.type,
+      'notes', NEW.notes, 'sort_order', NEW.sort_order,
+      'arrival_radius', NEW.arrival_radius, 'created_at', NEW.created_at)
+  FROM trips WHERE id = NEW.trip_id
+    AND (OLD.name IS NOT NEW.name OR OLD.address IS NOT NEW.address
+     OR OLD.lat IS NOT NEW.lat OR OLD.lng IS NOT NEW.lng
+     OR OLD.type IS NOT NEW.type OR OLD.notes IS NOT NEW.notes
+     OR OLD.sort_order IS NOT NEW.sort_order
+     OR OLD.arrival_radius IS NOT NEW.arrival_radius);
+END;
+
+DROP TRIGGER IF EXISTS trg_waypoints_delete_bump;
+CREATE TRIGGER trg_waypoints_delete_bump
+AFTER DELETE ON waypoints
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = OLD.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'waypoint', OLD.id, 'delete',
+    json_object('id', OLD.id, 'name', OLD.name, 'address', OLD.address,
+      'lat', OLD.lat, 'lng', OLD.lng, 'type', OLD.type,
+      'notes', OLD.notes, 'sort_order', OLD.sort_order,
+      'arrival_radius', OLD.arrival_radius, 'created_at', OLD.created_at),
+    NULL
+  FROM trips WHERE id = OLD.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_journal_insert_bump;
+CREATE TRIGGER trg_journal_insert_bump
+AFTER INSERT ON journal_entries
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'journal', NEW.id, 'insert',
+    NULL,
+    json_object('id', NEW.id, 'waypoint_id', NEW.waypoint_id, 'title', NEW.title,
+      'content', NEW.content, 'is_private', NEW.is_private,
+      'tags', NEW.tags, 'location', NEW.location,
+      'arrived_at', NEW.arrived_at, 'departed_at', NEW.departed_at,
+      'odometer', NEW.odometer, 'created_at', NEW.created_at)
+  FROM trips WHERE id = NEW.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_journal_update_bump;
+CREATE TRIGGER trg_journal_update_bump
+AFTER UPDATE ON journal_entries
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'journal', NEW.id, 'update',
+    json_object('id', OLD.id, 'waypoint_id', OLD.waypoint_id, 'title', OLD.title,
+      'content', OLD.content, 'is_private', OLD.is_private,
+      'tags', OLD.tags, 'location', OLD.location,
+      'arrived_at', OLD.arrived_at, 'departed_at', OLD.departed_at,
+      'odometer', OLD.odometer, 'created_at', OLD.created_at),
+    json_object('id', NEW.id, 'waypoint_id', NEW.waypoint_id, 'title', NEW.title,
+      'content', NEW.content, 'is_private', NEW.is_private,
+      'tags', NEW.tags, 'location', NEW.location,
+      'arrived_at', NEW.arrived_at, 'departed_at', NEW.departed_at,
+      'odometer', NEW.odometer, 'created_at', NEW.created_at)
+  FROM trips WHERE id = NEW.trip_id
+    AND (OLD.waypoint_id IS NOT NEW.waypoint_id OR OLD.title IS NOT NEW.title
+     OR OLD.content IS NOT NEW.content OR OLD.is_private IS NOT NEW.is_private
+     OR OLD.tags IS NOT NEW.tags OR OLD.location IS NOT NEW.location
+     OR OLD.arrived_at IS NOT NEW.arrived_at
+     OR OLD.departed_at IS NOT NEW.departed_at
+     OR OLD.odometer IS NOT NEW.odometer)
+    AND OLD.updated_at = NEW.updated_at;
+END;
+
+DROP TRIGGER IF EXISTS trg_journal_delete_bump;
+CREATE TRIGGER trg_journal_delete_bump
+AFTER DELETE ON journal_entries
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = OLD.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'journal', OLD.id, 'delete',
+    json_object('id', OLD.id, 'waypoint_id', OLD.waypoint_id, 'title', OLD.title,
+      'content', OLD.content, 'is_private', OLD.is_private,
+      'tags', OLD.tags, 'location', OLD.location,
+      'arrived_at', OLD.arrived_at, 'departed_at', OLD.departed_at,
+      'odometer', OLD.odometer, 'created_at', OLD.created_at),
+    NULL
+  FROM trips WHERE id = OLD.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_attachments_insert_bump;
+CREATE TRIGGER trg_attachments_insert_bump
+AFTER INSERT ON attachments
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'attachment', NEW.id, 'insert',
+    NULL,
+    json_object('id', NEW.id, 'journal_entry_id', NEW.journal_entry_id,
+      'waypoint_id', NEW.waypoint_id, 'original_name', NEW.original_name,
+      'mime_type', NEW.mime_type, 'is_private', NEW.is_private,
+      'is_cover', NEW.is_cover, 'caption', NEW.caption,
+      'created_at', NEW.created_at)
+  FROM trips WHERE id = NEW.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_attachments_delete_bump;
+CREATE TRIGGER trg_attachments_delete_bump
+AFTER DELETE ON attachments
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = OLD.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'attachment', OLD.id, 'delete',
+    json_object('id', OLD.id, 'journal_entry_id', OLD.journal_entry_id,
+      'waypoint_id', OLD.waypoint_id, 'original_name', OLD.original_name,
+      'mime_type', OLD.mime_type, 'is_private', OLD.is_private,
+      'is_cover', OLD.is_cover, 'caption', OLD.caption,
+      'created_at', OLD.created_at),
+    NULL
+  FROM trips WHERE id = OLD.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_attachments_update_bump;
+CREATE TRIGGER trg_attachments_update_bump
+AFTER UPDATE ON attachments
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'attachment', NEW.id, 'update',
+    json_object('id', OLD.id, 'journal_entry_id', OLD.journal_entry_id,
+      'waypoint_id', OLD.waypoint_id, 'original_name', OLD.original_name,
+      'mime_type', OLD.mime_type, 'is_private', OLD.is_private,
+      'is_cover', OLD.is_cover, 'caption', OLD.caption,
+      'created_at', OLD.created_at),
+    json_object('id', NEW.id, 'journal_entry_id', NEW.journal_entry_id,
+      'waypoint_id', NEW.waypoint_id, 'original_name', NEW.original_name,
+      'mime_type', NEW.mime_type, 'is_private', NEW.is_private,
+      'is_cover', NEW.is_cover, 'caption', NEW.caption,
+      'created_at', NEW.created_at)
+  FROM trips WHERE id = NEW.trip_id
+    AND (OLD.journal_entry_id IS NOT NEW.journal_entry_id
+     OR OLD.waypoint_id IS NOT NEW.waypoint_id
+     OR OLD.original_name IS NOT NEW.original_name
+     OR OLD.mime_type IS NOT NEW.mime_type
+     OR OLD.is_private IS NOT NEW.is_private
+     OR OLD.is_cover IS NOT NEW.is_cover OR OLD.caption IS NOT NEW.caption);
+END;
+
+DROP TRIGGER IF EXISTS trg_route_insert_bump;
+CREATE TRIGGER trg_route_insert_bump
+AFTER INSERT ON route_data
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'route', NEW.trip_id, 'insert', NULL, NULL
+  FROM trips WHERE id = NEW.trip_id;
+END;
+
+DROP TRIGGER IF EXISTS trg_route_update_bump;
+CREATE TRIGGER trg_route_update_bump
+AFTER UPDATE ON route_data
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'route', NEW.trip_id, 'update', NULL, NULL
+  FROM trips WHERE id = NEW.trip_id;
+END;
+
+-- Every trigger writing trip_changes is recreated above
+DROP TRIGGER IF EXISTS trg_trips_changelog_start;
+DROP TABLE IF EXISTS trip_changes;
@@ -0,0 +1,5 @@
+-- 2026-10-19: Per-waypoint arrival radius for ride mode
+-- Metres; NULL uses the client default (40 m). Large stops such as a park or
+-- a town centre need a wider radius to register as reached.
+
+ALTER TABLE waypoints ADD COLUMN arrival_radius INTEGER;
@@ -56,6 +56,7 @@ CREATE TABLE IF NOT EXISTS trips (
   cover_focus_y INTEGER NOT NULL DEFAULT 50, -- Background-position Y (0-100%)
   created_at TEXT DEFAULT (datetime('now')),
   updated_at TEXT DEFAULT (datetime('now')),
+  deleted_at TEXT, -- in the trash since; NULL = live
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
@@ -70,7 +71,9 @@ CREATE TABLE IF NOT EXISTS waypoints (
   type TEXT DEFAULT 'stop',
   notes TEXT,
   sort_order INTEGER DEFAULT 0,
+  arrival_radius INTEGER, -- metres; NULL = client default
   created_at TEXT DEFAULT (datetime('now')),
+  deleted_at TEXT, -- in the trash since; NULL = live
   FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE
 );
 
@@ -84,8 +87,12 @@ CREATE TABLE IF NOT EXISTS journal_entries (
   is_private INTEGER DEFAULT 0,
   tags TEXT, -- JSON array
   location TEXT, -- JSON {lat, lng}
+  arrived_at TEXT, -- ride log: arrival at waypoint_id
+  departed_at TEXT,
+  odometer REAL, -- ride log: metres ridden at arrival
   created_at TEXT DEFAULT (datetime('now')),
   updated_at TEXT DEFAULT (datetime('now')),
+  deleted_at TEXT, -- in the trash since; NULL = live
   FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
   FOREIGN KEY (waypoint_id) REFERENCES waypoints(id) ON DELETE SET NULL
 );
@@ -158,6 +165,43 @@ CREATE TABLE IF NOT EXISTS route_data (
   FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE
 );
 
+-- Recorded ride tracks (GPS breadcrumbs live in R2 under trips/<trip_id>/tracks/<id>/)
+CREATE TABLE IF NOT EXISTS ride_tracks (
+  id TEXT PRIMARY KEY,
+  trip_id TEXT NOT NULL,
+  name TEXT,
+  started_at TEXT NOT NULL,
+  ended_at TEXT,
+  point_count INTEGER NOT NULL DEFAULT 0,
+  chunk_count INTEGER NOT NULL DEFAULT 0,
+  distance REAL NOT NULL DEFAULT 0, -- metres ridden
+  moving_distance REAL NOT NULL DEFAULT 0, -- metres ridden while moving
+  moving_time INTEGER NOT NULL DEFAULT 0, -- seconds
+  stopped_time INTEGER NOT NULL DEFAULT 0, -- seconds
+  avg_speed REAL, -- m/s while moving
+  max_speed REAL, -- m/s
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE
+);
+
+-- Per-trip change history (history panel, restore, delta sync). Written by
+-- the version-bump triggers in schema_v2.sql; a trip without a 'baseline'
+-- row has no history and always gets a full reload.
+CREATE TABLE IF NOT EXISTS trip_events (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  trip_id TEXT NOT NULL,
+  version INTEGER NOT NULL, -- trip version the change produced
+  actor_id TEXT, -- user who made the change, or 'system'
+  entity TEXT NOT NULL, -- trip, waypoint, journal, attachment, route
+  entity_id TEXT NOT NULL,
+  op TEXT NOT NULL, -- baseline, insert, update, delete, restore
+  before TEXT, -- JSON row before the change
+  after TEXT, -- JSON row after the change
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_trips_user ON trips(user_id);
 CREATE INDEX IF NOT EXISTS idx_trips_share ON trips(share_id);
@@ -168,6 +212,12 @@ CREATE INDEX IF NOT EXISTS idx_journal_trip ON journal_entries(trip_id);
 CREATE INDEX IF NOT EXISTS idx_attachments_trip ON attachments(trip_id);
 CREATE INDEX IF NOT EXISTS idx_attachments_journal ON attachments(journal_entry_id);
 CREATE INDEX IF NOT EXISTS idx_attachments_waypoint ON attachments(waypoint_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_key ON attachments(storage_key);
+CREATE INDEX IF NOT EXISTS idx_ride_tracks_trip ON ride_tracks(trip_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_trip_events_trip ON trip_events(trip_id, version);
+CREATE INDEX IF NOT EXISTS idx_trips_deleted ON trips(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_waypoints_deleted ON waypoints(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_journal_deleted ON journal_entries(deleted_at) WHERE deleted_at IS NOT NULL;
 
 -- Login audit table (lightweight)
 CREATE TABLE IF NOT EXISTS login_events (
@@ -180,8 +230,28 @@ CREATE TABLE IF NOT EXISTS login_events (
   user_agent TEXT,
   client_hints TEXT, -- JSON blob for device hints (sec-ch-ua*, cf headers)
   created_at TEXT DEFAULT (datetime('now')),
+  ip_anonymised INTEGER NOT NULL DEFAULT 0, -- ip cut to its network by maintenance
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
 CREATE INDEX IF NOT EXISTS idx_login_events_created ON login_events(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_login_events_user ON login_events(user_id);
+
+-- Scheduled maintenance reports (admin.html)
+CREATE TABLE IF NOT EXISTS maintenance_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source TEXT NOT NULL, -- 'cron' or 'manual'
+  status TEXT NOT NULL, -- 'ok', 'partial' or 'failed'
+  report TEXT NOT NULL DEFAULT '{}', -- JSON: counts and errors per task
+  started_at TEXT NOT NULL,
+  finished_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_runs_started ON maintenance_runs(started_at DESC);
+
+-- Where the capped R2 and KV scans stopped, so the next run carries on
+CREATE TABLE IF NOT EXISTS maintenance_state (
+  task TEXT PRIMARY KEY, -- 'r2' or 'sessions'
+  state TEXT NOT NULL DEFAULT '{}', -- JSON: R2 key or KV cursor to resume from
+  updated_at TEXT DEFAULT (datetime('now'))
+);
@@ -7,6 +7,7 @@
 -- What the DB now enforces (so app code no longer needs to):
 --   • updated_at auto-set on every UPDATE (triggers)
 --   • trips.version auto-bumped on any trip or child-table mutation (triggers)
+--   • per-trip event log of every change, with before/after rows (triggers)
 --   • lat/lng range validation (CHECK)
 --   • enum values for provider, waypoint type, boolean integers (CHECK)
 --   • email lowercase normalisation (trigger)
@@ -100,16 +101,19 @@ CREATE TABLE IF NOT EXISTS trips (
   cover_focus_x       INTEGER NOT NULL DEFAULT 50 CHECK(cover_focus_x BETWEEN 0 AND 100),
   cover_focus_y       INTEGER NOT NULL DEFAULT 50 CHECK(cover_focus_y BETWEEN 0 AND 100),
   created_at          TEXT NOT NULL DEFAULT (datetime('now')),
-  updated_at          TEXT NOT NULL DEFAULT (datetime('now'))
+  updated_at          TEXT NOT NULL DEFAULT (datetime('now')),
+  deleted_at          TEXT  -- in the trash since; NULL = live
 );
 
 CREATE INDEX IF NOT EXISTS idx_trips_user       ON trips(user_id);
 CREATE INDEX IF NOT EXISTS idx_trips_short_code ON trips(short_code) WHERE short_code IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_trips_public     ON trips(is_public)  WHERE is_public = 1;
+CREATE INDEX IF NOT EXISTS idx_trips_deleted    ON trips(deleted_at) WHERE deleted_at IS NOT NULL;
 
 -- ---- Trip auto-maintenance triggers ----
 
--- Auto-update updated_at + bump version on any direct trip UPDATE
+-- Auto-update updated_at + bump version on any direct trip UPDATE, and log
+-- changes to the trip's own fields (child-table bumps leave them alone)
 CREATE TRIGGER IF NOT EXISTS trg_trips_updated
 AFTER UPDATE ON trips
 FOR EACH ROW
@@ -119,6 +123,77 @@ BEGIN
   SET updated_at = datetime('now'),
       version    = version + 1
   WHERE id = NEW.id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'trip', id, 'update',
+    json_object('name', OLD.name, 'description', OLD.description,
+      'settings', OLD.settings, 'is_public', OLD.is_public,
+      'public_title', OLD.public_title,
+      'public_description', OLD.public_description,
+      'public_contact', OLD.public_contact,
+      'cover_image_url', OLD.cover_image_url,
+      'cover_focus_x', OLD.cover_focus_x,
+      'cover_focus_y', OLD.cover_focus_y),
+    json_object('name', NEW.name, 'description', NEW.description,
+      'settings', NEW.settings, 'is_public', NEW.is_public,
+      'public_title', NEW.public_title,
+      'public_description', NEW.public_description,
+      'public_contact', NEW.public_contact,
+      'cover_image_url', NEW.cover_image_url,
+      'cover_focus_x', NEW.cover_focus_x,
+      'cover_focus_y', NEW.cover_focus_y)
+  FROM trips WHERE id = NEW.id
+    AND (OLD.name IS NOT NEW.name OR OLD.description IS NOT NEW.description
+     OR OLD.settings IS NOT NEW.settings OR OLD.is_public IS NOT NEW.is_public
+     OR OLD.public_title IS NOT NEW.public_title
+     OR OLD.public_description IS NOT NEW.public_description
+     OR OLD.public_contact IS NOT NEW.public_contact
+     OR OLD.cover_image_url IS NOT NEW.cover_image_url
+     OR OLD.cover_focus_x IS NOT NEW.cover_focus_x
+     OR OLD.cover_focus_y IS NOT NEW.cover_focus_y);
+END;
+
+-- ---------------------------------------------------------------------------
+-- 3b. TRIP EVENTS (change history, restore, delta sync)
+-- ---------------------------------------------------------------------------
+-- One row per change to a trip's details, waypoints, journal entries,
+-- attachments or route, written by the triggers with the trip version the
+-- change produced. `before`/`after` hold the row as JSON (route rows are
+-- too large and are recalculated anyway, so only their id is logged).
+-- `actor_id` is the user whose request made the change, recorded by the API
+-- handler ('system' for scheduled maintenance); triggers fill in the owner.
+--
+-- op 'baseline' marks the version history starts at: versions before it
+-- can't be listed, restored or synced by delta. 'restore' records a
+-- POST /api/trips/:id/restore (after = {"from_version", "to_version"}).
+CREATE TABLE IF NOT EXISTS trip_events (
+  seq         INTEGER PRIMARY KEY AUTOINCREMENT,
+  trip_id     TEXT NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  version     INTEGER NOT NULL,
+  actor_id    TEXT,
+  entity      TEXT NOT NULL CHECK(entity IN ('trip','waypoint','journal','attachment','route')),
+  entity_id   TEXT NOT NULL,
+  op          TEXT NOT NULL CHECK(op IN ('baseline','insert','update','delete','restore')),
+  before      TEXT,   -- JSON
+  after       TEXT,   -- JSON
+  created_at  TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_events_trip ON trip_events(trip_id, version);
+
+CREATE TRIGGER IF NOT EXISTS trg_trips_events_start
+AFTER INSERT ON trips
+FOR EACH ROW
+BEGIN
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, after)
+  VALUES (NEW.id, NEW.version, NEW.user_id, 'trip', NEW.id, 'baseline',
+    json_object('name', NEW.name, 'description', NEW.description,
+      'settings', NEW.settings, 'is_public', NEW.is_public,
+      'public_title', NEW.public_title,
+      'public_description', NEW.public_description,
+      'public_contact', NEW.public_contact,
+      'cover_image_url', NEW.cover_image_url,
+      'cover_focus_x', NEW.cover_focus_x,
+      'cover_focus_y', NEW.cover_focus_y));
 END;
 
 -- ---------------------------------------------------------------------------
@@ -134,18 +209,29 @@ CREATE TABLE IF NOT EXISTS waypoints (
   type        TEXT NOT NULL DEFAULT 'stop' CHECK(type IN ('stop','scenic','fuel','food','lodging','custom')),
   notes       TEXT DEFAULT '' CHECK(length(notes) <= 5000),
   sort_order  INTEGER NOT NULL DEFAULT 0 CHECK(sort_order >= 0),
-  created_at  TEXT NOT NULL DEFAULT (datetime('now'))
+  arrival_radius INTEGER CHECK(arrival_radius IS NULL OR arrival_radius BETWEEN 10 AND 5000),  -- metres; NULL = client default
+  created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+  deleted_at  TEXT  -- in the trash since; NULL = live
 );
 
 CREATE INDEX IF NOT EXISTS idx_waypoints_trip  ON waypoints(trip_id, sort_order);
+CREATE INDEX IF NOT EXISTS idx_waypoints_deleted ON waypoints(deleted_at) WHERE deleted_at IS NOT NULL;
 
--- Bump parent trip version when waypoints change
+-- Bump parent trip version when waypoints change, and log the change
 CREATE TRIGGER IF NOT EXISTS trg_waypoints_insert_bump
 AFTER INSERT ON waypoints
 FOR EACH ROW
 BEGIN
   UPDATE trips SET updated_at = datetime('now'), version = version + 1
   WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'waypoint', NEW.id, 'insert',
+    NULL,
+    json_object('id', NEW.id, 'name', NEW.name, 'address', NEW.address,
+      'lat', NEW.lat, 'lng', NEW.lng, 'type', NEW.type,
+      'notes', NEW.notes, 'sort_order', NEW.sort_order,
+      'arrival_radius', NEW.arrival_radius, 'created_at', NEW.created_at)
+  FROM trips WHERE id = NEW.trip_id;
 END;
 
 CREATE TRIGGER IF NOT EXISTS trg_waypoints_update_bump
@@ -154,14 +240,42 @@ FOR EACH ROW
 BEGIN
   UPDATE trips SET updated_at = datetime('now'), version = version + 1
   WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'waypoint', NEW.id,
+    CASE WHEN OLD.deleted_at IS NOT NULL THEN 'insert' WHEN NEW.deleted_at IS NOT NULL THEN 'delete' ELSE 'update' END,
+    CASE WHEN OLD.deleted_at IS NULL THEN json_object('id', OLD.id, 'name', OLD.name, 'address', OLD.address,
+      'lat', OLD.lat, 'lng', OLD.lng, 'type', OLD.type,
+      'notes', OLD.notes, 'sort_order', OLD.sort_order,
+      'arrival_radius', OLD.arrival_radius, 'created_at', OLD.created_at) END,
+    CASE WHEN NEW.deleted_at IS NULL THEN json_object('id', NEW.id, 'name', NEW.name, 'address', NEW.address,
+      'lat', NEW.lat, 'lng', NEW.lng, 'type', NEW.type,
+      'notes', NEW.notes, 'sort_order', NEW.sort_order,
+      'arrival_radius', NEW.arrival_radius, 'created_at', NEW.created_at) END
+  FROM trips WHERE id = NEW.trip_id
+    AND (OLD.name IS NOT NEW.name OR OLD.address IS NOT NEW.address
+     OR OLD.lat IS NOT NEW.lat OR OLD.lng IS NOT NEW.lng
+     OR OLD.type IS NOT NEW.type OR OLD.notes IS NOT NEW.notes
+     OR OLD.sort_order IS NOT NEW.sort_order
+     OR OLD.arrival_radius IS NOT NEW.arrival_radius
+     OR OLD.deleted_at IS NOT NEW.deleted_at)
+    AND (OLD.deleted_at IS NULL OR NEW.deleted_at IS NULL);
 END;
 
 CREATE TRIGGER IF NOT EXISTS trg_waypoints_delete_bump
 AFTER DELETE ON waypoints
 FOR EACH ROW
+WHEN OLD.deleted_at IS NULL  -- purged from the trash: logged when it was moved there
 BEGIN
   UPDATE trips SET updated_at = datetime('now'), version = version + 1
   WHERE id = OLD.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'waypoint', OLD.id, 'delete',
+    json_object('id', OLD.id, 'name', OLD.name, 'address', OLD.address,
+      'lat', OLD.lat, 'lng', OLD.lng, 'type', OLD.type,
+      'notes', OLD.notes, 'sort_order', OLD.sort_order,
+      'arrival_radius', OLD.arrival_radius, 'created_at', OLD.created_at),
+    NULL
+  FROM trips WHERE id = OLD.trip_id;
 END;
 
 -- ---------------------------------------------------------------------------
@@ -176,11 +290,16 @@ CREATE TABLE IF NOT EXISTS journal_entries (
   is_private    INTEGER NOT NULL DEFAULT 0 CHECK(is_private IN (0, 1)),
   tags          TEXT DEFAULT '[]',   -- JSON array
   location      TEXT,                -- JSON {lat, lng} or null
+  arrived_at    TEXT,                -- ride log: arrival at waypoint_id
+  departed_at   TEXT,
+  odometer      REAL CHECK(odometer IS NULL OR odometer >= 0),  -- ride log: metres ridden
   created_at    TEXT NOT NULL DEFAULT (datetime('now')),
-  updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
+  updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  deleted_at    TEXT  -- in the trash since; NULL = live
 );
 
 CREATE INDEX IF NOT EXISTS idx_journal_trip ON journal_entries(trip_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_journal_deleted ON journal_entries(deleted_at) WHERE deleted_at IS NOT NULL;
 
 -- Auto-update updated_at
 CREATE TRIGGER IF NOT EXISTS trg_journal_updated
@@ -191,13 +310,22 @@ BEGIN
   UPDATE journal_entries SET updated_at = datetime('now') WHERE id = NEW.id;
 END;
 
--- Bump parent trip version
+-- Bump parent trip version and log the change
 CREATE TRIGGER IF NOT EXISTS trg_journal_insert_bump
 AFTER INSERT ON journal_entries
 FOR EACH ROW
 BEGIN
   UPDATE trips SET updated_at = datetime('now'), version = version + 1
   WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'journal', NEW.id, 'insert',
+    NULL,
+    json_object('id', NEW.id, 'waypoint_id', NEW.waypoint_id, 'title', NEW.title,
+      'content', NEW.content, 'is_private', NEW.is_private,
+      'tags', NEW.tags, 'location', NEW.location,
+      'arrived_at', NEW.arrived_at, 'departed_at', NEW.departed_at,
+      'odometer', NEW.odometer, 'created_at', NEW.created_at)
+  FROM trips WHERE id = NEW.trip_id;
 END;
 
 CREATE TRIGGER IF NOT EXISTS trg_journal_update_bump
@@ -206,14 +334,47 @@ FOR EACH ROW
 BEGIN
   UPDATE trips SET updated_at = datetime('now'), version = version + 1
   WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'journal', NEW.id,
+    CASE WHEN OLD.deleted_at IS NOT NULL THEN 'insert' WHEN NEW.deleted_at IS NOT NULL THEN 'delete' ELSE 'update' END,
+    CASE WHEN OLD.deleted_at IS NULL THEN json_object('id', OLD.id, 'waypoint_id', OLD.waypoint_id, 'title', OLD.title,
+      'content', OLD.content, 'is_private', OLD.is_private,
+      'tags', OLD.tags, 'location', OLD.location,
+      'arrived_at', OLD.arrived_at, 'departed_at', OLD.departed_at,
+      'odometer', OLD.odometer, 'created_at', OLD.created_at) END,
+    CASE WHEN NEW.deleted_at IS NULL THEN json_object('id', NEW.id, 'waypoint_id', NEW.waypoint_id, 'title', NEW.title,
+      'content', NEW.content, 'is_private', NEW.is_private,
+      'tags', NEW.tags, 'location', NEW.location,
+      'arrived_at', NEW.arrived_at, 'departed_at', NEW.departed_at,
+      'odometer', NEW.odometer, 'created_at', NEW.created_at) END
+  FROM trips WHERE id = NEW.trip_id
+    AND (OLD.waypoint_id IS NOT NEW.waypoint_id OR OLD.title IS NOT NEW.title
+     OR OLD.content IS NOT NEW.content OR OLD.is_private IS NOT NEW.is_private
+     OR OLD.tags IS NOT NEW.tags OR OLD.location IS NOT NEW.location
+     OR OLD.arrived_at IS NOT NEW.arrived_at
+     OR OLD.departed_at IS NOT NEW.departed_at
+     OR OLD.odometer IS NOT NEW.odometer
+     OR OLD.deleted_at IS NOT NEW.deleted_at)
+    AND (OLD.deleted_at IS NULL OR NEW.deleted_at IS NULL)
+    AND OLD.updated_at = NEW.updated_at;
 END;
 
 CREATE TRIGGER IF NOT EXISTS trg_journal_delete_bump
 AFTER DELETE ON journal_entries
 FOR EACH ROW
+WHEN OLD.deleted_at IS NULL  -- purged from the trash: logged when it was moved there
 BEGIN
   UPDATE trips SET updated_at = datetime('now'), version = version + 1
   WHERE id = OLD.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'journal', OLD.id, 'delete',
+    json_object('id', OLD.id, 'waypoint_id', OLD.waypoint_id, 'title', OLD.title,
+      'content', OLD.content, 'is_private', OLD.is_private,
+      'tags', OLD.tags, 'location', OLD.location,
+      'arrived_at', OLD.arrived_at, 'departed_at', OLD.departed_at,
+      'odometer', OLD.odometer, 'created_at', OLD.created_at),
+    NULL
+  FROM trips WHERE id = OLD.trip_id;
 END;
 
 -- ---------------------------------------------------------------------------
@@ -239,6 +400,7 @@ CREATE INDEX IF NOT EXISTS idx_attachments_trip    ON attachments(trip_id);
 CREATE INDEX IF NOT EXISTS idx_attachments_journal ON attachments(journal_entry_id) WHERE journal_entry_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_attachments_wp      ON attachments(waypoint_id)       WHERE waypoint_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_attachments_cover   ON attachments(trip_id, is_cover) WHERE is_cover = 1;
+CREATE INDEX IF NOT EXISTS idx_attachments_key     ON attachments(storage_key);
 
 -- Enforce: journal_entry must belong to same trip
 CREATE TRIGGER IF NOT EXISTS trg_attachment_journal_scope_insert
@@ -310,13 +472,23 @@ BEGIN
   WHERE id = OLD.trip_id;
 END;
 
--- Bump parent trip version
+-- Bump parent trip version and log the change. Updates count too: a
+-- waypoint or note deleted under an attachment unlinks it (SET NULL).
 CREATE TRIGGER IF NOT EXISTS trg_attachments_insert_bump
 AFTER INSERT ON attachments
 FOR EACH ROW
 BEGIN
   UPDATE trips SET updated_at = datetime('now'), version = version + 1
   WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'attachment', NEW.id, 'insert',
+    NULL,
+    json_object('id', NEW.id, 'journal_entry_id', NEW.journal_entry_id,
+      'waypoint_id', NEW.waypoint_id, 'original_name', NEW.original_name,
+      'mime_type', NEW.mime_type, 'is_private', NEW.is_private,
+      'is_cover', NEW.is_cover, 'caption', NEW.caption,
+      'created_at', NEW.created_at)
+  FROM trips WHERE id = NEW.trip_id;
 END;
 
 CREATE TRIGGER IF NOT EXISTS trg_attachments_delete_bump
@@ -325,6 +497,42 @@ FOR EACH ROW
 BEGIN
   UPDATE trips SET updated_at = datetime('now'), version = version + 1
   WHERE id = OLD.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'attachment', OLD.id, 'delete',
+    json_object('id', OLD.id, 'journal_entry_id', OLD.journal_entry_id,
+      'waypoint_id', OLD.waypoint_id, 'original_name', OLD.original_name,
+      'mime_type', OLD.mime_type, 'is_private', OLD.is_private,
+      'is_cover', OLD.is_cover, 'caption', OLD.caption,
+      'created_at', OLD.created_at),
+    NULL
+  FROM trips WHERE id = OLD.trip_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_attachments_update_bump
+AFTER UPDATE ON attachments
+FOR EACH ROW
+BEGIN
+  UPDATE trips SET updated_at = datetime('now'), version = version + 1
+  WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'attachment', NEW.id, 'update',
+    json_object('id', OLD.id, 'journal_entry_id', OLD.journal_entry_id,
+      'waypoint_id', OLD.waypoint_id, 'original_name', OLD.original_name,
+      'mime_type', OLD.mime_type, 'is_private', OLD.is_private,
+      'is_cover', OLD.is_cover, 'caption', OLD.caption,
+      'created_at', OLD.created_at),
+    json_object('id', NEW.id, 'journal_entry_id', NEW.journal_entry_id,
+      'waypoint_id', NEW.waypoint_id, 'original_name', NEW.original_name,
+      'mime_type', NEW.mime_type, 'is_private', NEW.is_private,
+      'is_cover', NEW.is_cover, 'caption', NEW.caption,
+      'created_at', NEW.created_at)
+  FROM trips WHERE id = NEW.trip_id
+    AND (OLD.journal_entry_id IS NOT NEW.journal_entry_id
+     OR OLD.waypoint_id IS NOT NEW.waypoint_id
+     OR OLD.original_name IS NOT NEW.original_name
+     OR OLD.mime_type IS NOT NEW.mime_type
+     OR OLD.is_private IS NOT NEW.is_private
+     OR OLD.is_cover IS NOT NEW.is_cover OR OLD.caption IS NOT NEW.caption);
 END;
 
 -- ---------------------------------------------------------------------------
@@ -348,13 +556,16 @@ BEGIN
   UPDATE route_data SET updated_at = datetime('now') WHERE id = NEW.id;
 END;
 
--- Bump parent trip version on route change
+-- Bump parent trip version on route change, and log it
 CREATE TRIGGER IF NOT EXISTS trg_route_insert_bump
 AFTER INSERT ON route_data
 FOR EACH ROW
 BEGIN
   UPDATE trips SET updated_at = datetime('now'), version = version + 1
   WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'route', NEW.trip_id, 'insert', NULL, NULL
+  FROM trips WHERE id = NEW.trip_id;
 END;
 
 CREATE TRIGGER IF NOT EXISTS trg_route_update_bump
@@ -363,6 +574,43 @@ FOR EACH ROW
 BEGIN
   UPDATE trips SET updated_at = datetime('now'), version = version + 1
   WHERE id = NEW.trip_id;
+  INSERT INTO trip_events (trip_id, version, actor_id, entity, entity_id, op, before, after)
+  SELECT id, version, user_id, 'route', NEW.trip_id, 'update', NULL, NULL
+  FROM trips WHERE id = NEW.trip_id;
+END;
+
+-- ---------------------------------------------------------------------------
+-- 7b. RIDE TRACKS (recorded GPS breadcrumbs; points stored in R2 chunks)
+-- ---------------------------------------------------------------------------
+-- No version-bump triggers: recording a ride is not a plan edit and must not
+-- invalidate If-Match preconditions while the rider is moving.
+CREATE TABLE IF NOT EXISTS ride_tracks (
+  id            TEXT PRIMARY KEY CHECK(length(id) > 0 AND length(id) <= 64),
+  trip_id       TEXT NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  name          TEXT CHECK(name IS NULL OR length(name) <= 500),
+  started_at    TEXT NOT NULL,
+  ended_at      TEXT,
+  point_count   INTEGER NOT NULL DEFAULT 0 CHECK(point_count >= 0),
+  chunk_count   INTEGER NOT NULL DEFAULT 0 CHECK(chunk_count >= 0),
+  distance      REAL NOT NULL DEFAULT 0 CHECK(distance >= 0),  -- metres ridden
+  moving_distance REAL NOT NULL DEFAULT 0 CHECK(moving_distance >= 0),  -- metres ridden while moving
+  moving_time   INTEGER NOT NULL DEFAULT 0 CHECK(moving_time >= 0),   -- seconds
+  stopped_time  INTEGER NOT NULL DEFAULT 0 CHECK(stopped_time >= 0),  -- seconds
+  avg_speed     REAL CHECK(avg_speed IS NULL OR avg_speed >= 0),      -- m/s while moving
+  max_speed     REAL CHECK(max_speed IS NULL OR max_speed >= 0),      -- m/s
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_tracks_trip ON ride_tracks(trip_id, started_at DESC);
+
+-- Auto-update updated_at
+CREATE TRIGGER IF NOT EXISTS trg_ride_tracks_updated
+AFTER UPDATE ON ride_tracks
+FOR EACH ROW
+WHEN OLD.updated_at = NEW.updated_at
+BEGIN
+  UPDATE ride_tracks SET updated_at = datetime('now') WHERE id = NEW.id;
 END;
 
 -- ---------------------------------------------------------------------------
@@ -377,12 +625,34 @@ CREATE TABLE IF NOT EXISTS login_events (
   ip            TEXT DEFAULT 'unknown' CHECK(length(ip) <= 45),  -- max IPv6 length
   user_agent    TEXT DEFAULT '' CHECK(length(user_agent) <= 1000),
   client_hints  TEXT DEFAULT '{}',  -- JSON
-  created_at    TEXT NOT NULL DEFAULT (datetime('now'))
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  ip_anonymised INTEGER NOT NULL DEFAULT 0 CHECK(ip_anonymised IN (0, 1))  -- ip cut to its network by maintenance
 );
 
 CREATE INDEX IF NOT EXISTS idx_login_events_created ON login_events(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_login_events_user    ON login_events(user_id);
 
+-- ---------------------------------------------------------------------------
+-- 8b. MAINTENANCE RUNS (scheduled worker reports, shown in admin.html)
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS maintenance_runs (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  source       TEXT NOT NULL CHECK(source IN ('cron','manual')),
+  status       TEXT NOT NULL CHECK(status IN ('ok','partial','failed')),
+  report       TEXT NOT NULL DEFAULT '{}',  -- JSON: counts and errors per task
+  started_at   TEXT NOT NULL,
+  finished_at  TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_runs_started ON maintenance_runs(started_at DESC);
+
+-- Where the capped R2 and KV scans stopped, so the next run carries on
+CREATE TABLE IF NOT EXISTS maintenance_state (
+  task         TEXT PRIMARY KEY CHECK(task IN ('r2','sessions')),
+  state        TEXT NOT NULL DEFAULT '{}',  -- JSON: R2 key or KV cursor to resume from
+  updated_at   TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
 -- ---------------------------------------------------------------------------
 -- 9. VIEWS — pre-composed reads for thin handler code
 -- ---------------------------------------------------------------------------
@@ -391,14 +661,15 @@ CREATE INDEX IF NOT EXISTS idx_login_events_user    ON login_events(user_id);
 CREATE VIEW IF NOT EXISTS v_trip_list AS
 SELECT
   t.*,
-  (SELECT COUNT(*) FROM waypoints   WHERE trip_id = t.id) AS waypoint_count,
-  (SELECT COUNT(*) FROM journal_entries WHERE trip_id = t.id) AS journal_count,
+  (SELECT COUNT(*) FROM waypoints   WHERE trip_id = t.id AND deleted_at IS NULL) AS waypoint_count,
+  (SELECT COUNT(*) FROM journal_entries WHERE trip_id = t.id AND deleted_at IS NULL) AS journal_count,
   (SELECT COUNT(*) FROM attachments WHERE trip_id = t.id) AS attachment_count,
   CASE WHEN t.short_code IS NOT NULL
     THEN 'https://ride.incitat.io/' || t.short_code
     ELSE NULL
   END AS short_url
-FROM trips t;
+FROM trips t
+WHERE t.deleted_at IS NULL;
 
 -- Full trip with route (single trip load)
 CREATE VIEW IF NOT EXISTS v_trip_with_route AS
@@ -412,7 +683,8 @@ SELECT
   rd.distance    AS route_distance,
   rd.duration    AS route_duration
 FROM trips t
-LEFT JOIN route_data rd ON rd.trip_id = t.id;
+LEFT JOIN route_data rd ON rd.trip_id = t.id
+WHERE t.deleted_at IS NULL;
 
 -- Public trip view — ONLY safe-to-expose columns, no user_id
 CREATE VIEW IF NOT EXISTS v_trip_public AS
@@ -430,7 +702,7 @@ SELECT
   rd.duration    AS route_duration
 FROM trips t
 LEFT JOIN route_data rd ON rd.trip_id = t.id
-WHERE t.is_public = 1 AND t.short_code IS NOT NULL;
+WHERE t.is_public = 1 AND t.short_code IS NOT NULL AND t.deleted_at IS NULL;
 
 -- Attachment with download URL pre-computed
 CREATE VIEW IF NOT EXISTS v_attachment AS
@@ -443,11 +715,11 @@ FROM attachments a;
 CREATE VIEW IF NOT EXISTS v_attachment_access AS
 SELECT
   a.*,
-  t.user_id       AS trip_owner_id,
+  t.user_id       AS trip_actor_id,
   t.is_public     AS trip_is_public,
   'https://ride.incitat.io/api/attachments/' || a.id AS url
 FROM attachments a
-JOIN trips t ON a.trip_id = t.id;
+JOIN trips t ON a.trip_id = t.id AND t.deleted_at IS NULL;
 
 -- ---------------------------------------------------------------------------
 -- NOTES
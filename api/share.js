@@ -4,7 +4,12 @@
  */
 
 import { jsonResponse, errorResponse, generateShortCodeForId, BASE_URL } from './utils.js';
-import { verifyTripOwnership, safeJsonParse, orderWaypointsWithTripSettings } from './handler-utils.js';
+import {
+  verifyTripOwnership, safeJsonParse, recordActorStatement, orderWaypointsWithTripSettings, loadTrashedParents, hideTrashedLinks
+} from './handler-utils.js';
+
+// settings.routingProfile values the app routes with (MapManager.ROUTING_PROFILES)
+const ROUTING_PROFILES = ['driving', 'motorcycle', 'cycling', 'foot'];
 
 export const ShareHandler = {
   /**
@@ -21,9 +26,12 @@ export const ShareHandler = {
       let attempts = 0;
       while (attempts < 3) {
         try {
-          await env.RIDE_TRIP_PLANNER_DB.prepare(
-            'UPDATE trips SET short_code = ?, is_public = 1 WHERE id = ?'
-          ).bind(shortCode, params.id).run();
+          await env.RIDE_TRIP_PLANNER_DB.batch([
+            env.RIDE_TRIP_PLANNER_DB.prepare(
+              'UPDATE trips SET short_code = ?, is_public = 1 WHERE id = ?'
+            ).bind(shortCode, params.id),
+            recordActorStatement(env.RIDE_TRIP_PLANNER_DB, params.id, trip.version, user.id)
+          ]);
           break;
         } catch (error) {
           if (error.message?.includes('UNIQUE constraint') && attempts < 2) {
@@ -35,9 +43,12 @@ export const ShareHandler = {
         }
       }
     } else {
-      await env.RIDE_TRIP_PLANNER_DB.prepare(
-        'UPDATE trips SET is_public = 1 WHERE id = ?'
-      ).bind(params.id).run();
+      await env.RIDE_TRIP_PLANNER_DB.batch([
+        env.RIDE_TRIP_PLANNER_DB.prepare(
+          'UPDATE trips SET is_public = 1 WHERE id = ?'
+        ).bind(params.id),
+        recordActorStatement(env.RIDE_TRIP_PLANNER_DB, params.id, trip.version, user.id)
+      ]);
     }
 
     return jsonResponse({ shareUrl: `${BASE_URL}/${shortCode}`, shortCode });
@@ -50,7 +61,7 @@ export const ShareHandler = {
     const { env, params } = context;
 
     const trip = await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'SELECT * FROM trips WHERE short_code = ?'
+      'SELECT * FROM trips WHERE short_code = ? AND deleted_at IS NULL'
     ).bind(params.shortCode).first();
 
     if (!trip) return errorResponse('Trip not found or not shared', 404);
@@ -58,20 +69,24 @@ export const ShareHandler = {
 
     // Get waypoints
     const waypoints = await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'SELECT id, name, lat, lng, type, sort_order FROM waypoints WHERE trip_id = ? ORDER BY sort_order'
+      'SELECT id, name, lat, lng, type, sort_order FROM waypoints WHERE trip_id = ? AND deleted_at IS NULL ORDER BY sort_order'
     ).bind(trip.id).all();
 
     const orderedWaypoints = orderWaypointsWithTripSettings(waypoints.results, trip.settings);
 
     // Public journal entries only
     const journal = await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'SELECT id, title, content, tags, created_at FROM journal_entries WHERE trip_id = ? AND is_private = 0 ORDER BY created_at DESC'
+      'SELECT id, title, content, tags, created_at FROM journal_entries WHERE trip_id = ? AND is_private = 0 AND deleted_at IS NULL ORDER BY created_at DESC'
     ).bind(trip.id).all();
 
     // Public attachments only
     const attachments = await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'SELECT id, filename, original_name, mime_type, caption, is_cover FROM attachments WHERE trip_id = ? AND is_private = 0 ORDER BY is_cover DESC, created_at DESC'
+      `SELECT id, journal_entry_id, waypoint_id, filename, original_name, mime_type, caption, is_cover
+       FROM attachments WHERE trip_id = ? AND is_private = 0 ORDER BY is_cover DESC, created_at DESC`
     ).bind(trip.id).all();
+    const { attachments: publicFiles } = hideTrashedLinks(
+      await loadTrashedParents(env.RIDE_TRIP_PLANNER_DB, trip.id), { attachments: attachments.results }
+    );
 
     // Route data
     const routeData = await env.RIDE_TRIP_PLANNER_DB.prepare(
@@ -79,9 +94,10 @@ export const ShareHandler = {
     ).bind(trip.id).first();
 
     // Cover image
-    const coverImage = attachments.results.find(a => a.is_cover) || attachments.results.find(a => a.mime_type?.startsWith('image/'));
+    const coverImage = publicFiles.find(a => a.is_cover) || publicFiles.find(a => a.mime_type?.startsWith('image/'));
     const coverUrl = trip.cover_image_url || (coverImage ? `${BASE_URL}/api/attachments/${coverImage.id}` : null);
     const coverId = coverImage?.id;
+    const { routingProfile } = safeJsonParse(trip.settings || '{}', {}) || {};
 
     return jsonResponse({
       trip: {
@@ -93,6 +109,7 @@ export const ShareHandler = {
         cover_focus_x: trip.cover_focus_x ?? 50,
         cover_focus_y: trip.cover_focus_y ?? 50,
         created_at: trip.created_at,
+        routing_profile: ROUTING_PROFILES.includes(routingProfile) ? routingProfile : 'driving',
         waypoints: orderedWaypoints.map(w => ({
           id: w.id, name: w.name, lat: w.lat, lng: w.lng, type: w.type, sort_order: w.sort_order
         })),
@@ -100,7 +117,7 @@ export const ShareHandler = {
           id: e.id, title: e.title, content: e.content,
           tags: JSON.parse(e.tags || '[]'), created_at: e.created_at
         })),
-        attachments: attachments.results
+        attachments: publicFiles
           .filter(a => a.id !== coverId)
           .map(a => ({
             id: a.id, name: a.original_name, type: a.mime_type,
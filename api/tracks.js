@@ -0,0 +1,269 @@
+/**
+ * Ride Tracks API Handler
+ * Recorded GPS breadcrumbs for a trip. Metadata lives in D1 (ride_tracks);
+ * the points are uploaded in numbered JSON chunks to R2 while riding.
+ */
+
+import { jsonResponse, errorResponse, generateId, parseBody } from './utils.js';
+import { verifyTripOwnership } from './handler-utils.js';
+
+// Upper bound on points accepted in a single chunk upload
+const MAX_POINTS_PER_CHUNK = 1000;
+
+/**
+ * R2 key prefix for a track's chunks (or every track of a trip when trackId is omitted)
+ */
+export function trackStoragePrefix(tripId, trackId) {
+  return trackId ? `trips/${tripId}/tracks/${trackId}/` : `trips/${tripId}/tracks/`;
+}
+
+/**
+ * List every R2 key under a prefix (follows pagination cursors)
+ */
+async function listKeys(bucket, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await bucket.list({ prefix, cursor });
+    for (const obj of page.objects || []) keys.push(obj.key);
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  return keys;
+}
+
+/**
+ * Best-effort removal of all R2 objects under a prefix. Returns the number deleted.
+ */
+export async function deleteTrackObjects(env, prefix) {
+  const bucket = env.RIDE_TRIP_PLANNER_ATTACHMENTS;
+  let keys = [];
+  try {
+    keys = await listKeys(bucket, prefix);
+    // R2 bulk delete accepts up to 1000 keys per call
+    for (let i = 0; i < keys.length; i += 1000) {
+      await bucket.delete(keys.slice(i, i + 1000));
+    }
+  } catch (err) {
+    console.error('R2 track delete failed', prefix, err);
+  }
+  return keys.length;
+}
+
+/**
+ * Keep only the fields we record, drop anything that isn't a valid fix
+ */
+function sanitizePoints(points) {
+  const num = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+  return points
+    .map(p => ({
+      lat: num(p?.lat),
+      lng: num(p?.lng),
+      t: num(p?.t),
+      speed: num(p?.speed),
+      heading: num(p?.heading),
+      accuracy: num(p?.accuracy)
+    }))
+    .filter(p => p.lat !== null && p.lng !== null
+      && p.lat >= -90 && p.lat <= 90 && p.lng >= -180 && p.lng <= 180);
+}
+
+/**
+ * Load a track row scoped to the trip
+ */
+async function findTrack(env, tripId, trackId) {
+  return env.RIDE_TRIP_PLANNER_DB.prepare(
+    'SELECT * FROM ride_tracks WHERE id = ? AND trip_id = ?'
+  ).bind(trackId, tripId).first();
+}
+
+export const TracksHandler = {
+  /**
+   * List recorded tracks for a trip (metadata only)
+   */
+  async listTracks(context) {
+    const { env, user, params } = context;
+
+    const trip = await verifyTripOwnership(env, params.tripId, user.id);
+    if (!trip) return errorResponse('Trip not found', 404);
+
+    const tracks = await env.RIDE_TRIP_PLANNER_DB.prepare(
+      'SELECT * FROM ride_tracks WHERE trip_id = ? ORDER BY started_at DESC'
+    ).bind(params.tripId).all();
+
+    return jsonResponse({ tracks: tracks.results || [] });
+  },
+
+  /**
+   * Start a new track
+   */
+  async createTrack(context) {
+    const { env, user, params, request } = context;
+    const body = await parseBody(request) || {};
+
+    const trip = await verifyTripOwnership(env, params.tripId, user.id);
+    if (!trip) return errorResponse('Trip not found', 404);
+
+    const startedAt = body.started_at && !Number.isNaN(Date.parse(body.started_at))
+      ? new Date(body.started_at).toISOString()
+      : new Date().toISOString();
+
+    const id = generateId();
+    await env.RIDE_TRIP_PLANNER_DB.prepare(
+      'INSERT INTO ride_tracks (id, trip_id, name, started_at) VALUES (?, ?, ?, ?)'
+    ).bind(id, params.tripId, body.name || null, startedAt).run();
+
+    const track = await findTrack(env, params.tripId, id);
+    return jsonResponse({ track }, 201);
+  },
+
+  /**
+   * Get a track with all of its points
+   */
+  async getTrack(context) {
+    const { env, user, params } = context;
+
+    const trip = await verifyTripOwnership(env, params.tripId, user.id);
+    if (!trip) return errorResponse('Trip not found', 404);
+
+    const track = await findTrack(env, params.tripId, params.id);
+    if (!track) return errorResponse('Track not found', 404);
+
+    // Chunk keys are zero-padded sequence numbers, so lexical order is upload order
+    const bucket = env.RIDE_TRIP_PLANNER_ATTACHMENTS;
+    const keys = (await listKeys(bucket, trackStoragePrefix(params.tripId, params.id))).sort();
+    const points = [];
+    for (const key of keys) {
+      const object = await bucket.get(key);
+      if (!object) continue;
+      try {
+        const chunk = await object.json();
+        if (Array.isArray(chunk?.points)) points.push(...chunk.points);
+      } catch (err) {
+        console.error('Unreadable track chunk', key, err);
+      }
+    }
+
+    return jsonResponse({ track: { ...track, points } });
+  },
+
+  /**
+   * Append a chunk of points. Retries with the same seq overwrite the chunk
+   * without double-counting, so clients can safely resend after a timeout.
+   */
+  async appendPoints(context) {
+    const { env, user, params, request } = context;
+    const body = await parseBody(request);
+
+    const trip = await verifyTripOwnership(env, params.tripId, user.id);
+    if (!trip) return errorResponse('Trip not found', 404);
+
+    const track = await findTrack(env, params.tripId, params.id);
+    if (!track) return errorResponse('Track not found', 404);
+
+    const seq = Number.parseInt(body?.seq, 10);
+    if (!Number.isFinite(seq) || seq < 0) return errorResponse('seq must be a non-negative integer');
+    if (!Array.isArray(body?.points)) return errorResponse('points must be an array');
+    if (body.points.length > MAX_POINTS_PER_CHUNK) {
+      return errorResponse(`Too many points (max ${MAX_POINTS_PER_CHUNK} per chunk)`);
+    }
+
+    const points = sanitizePoints(body.points);
+    const key = `${trackStoragePrefix(params.tripId, params.id)}${String(seq).padStart(6, '0')}.json`;
+    const bucket = env.RIDE_TRIP_PLANNER_ATTACHMENTS;
+
+    const existing = await bucket.head(key);
+    await bucket.put(key, JSON.stringify({ seq, points }), {
+      httpMetadata: { contentType: 'application/json' },
+      customMetadata: { tripId: params.tripId, trackId: params.id }
+    });
+
+    const distance = Number(body.distance);
+    const updates = [];
+    const values = [];
+    if (!existing) {
+      updates.push('point_count = point_count + ?', 'chunk_count = chunk_count + 1');
+      values.push(points.length);
+    }
+    // Client reports the running total; never let a stale retry shrink it
+    if (Number.isFinite(distance) && distance >= 0) {
+      updates.push('distance = MAX(distance, ?)');
+      values.push(distance);
+    }
+    if (updates.length > 0) {
+      values.push(params.id);
+      await env.RIDE_TRIP_PLANNER_DB.prepare(
+        `UPDATE ride_tracks SET ${updates.join(', ')} WHERE id = ?`
+      ).bind(...values).run();
+    }
+
+    const updated = await findTrack(env, params.tripId, params.id);
+    return jsonResponse({ track: updated, accepted: points.length });
+  },
+
+  /**
+   * Update track metadata (name, ended_at) and the ride summary
+   */
+  async updateTrack(context) {
+    const { env, user, params, request } = context;
+    const body = await parseBody(request) || {};
+
+    const trip = await verifyTripOwnership(env, params.tripId, user.id);
+    if (!trip) return errorResponse('Trip not found', 404);
+
+    const track = await findTrack(env, params.tripId, params.id);
+    if (!track) return errorResponse('Track not found', 404);
+
+    const updates = [];
+    const values = [];
+
+    if (body.name !== undefined) { updates.push('name = ?'); values.push(body.name || null); }
+    if (body.ended_at !== undefined) {
+      const endedAt = body.ended_at && !Number.isNaN(Date.parse(body.ended_at))
+        ? new Date(body.ended_at).toISOString()
+        : null;
+      updates.push('ended_at = ?');
+      values.push(endedAt);
+    }
+
+    // Ride summary from the client trip computer; ignore anything non-numeric.
+    // distance stays the recorded total that appendPoints keeps.
+    for (const column of ['moving_distance', 'moving_time', 'stopped_time', 'avg_speed', 'max_speed']) {
+      if (body[column] === undefined) continue;
+      const n = Number(body[column]);
+      if (!Number.isFinite(n) || n < 0) continue;
+      updates.push(`${column} = ?`);
+      values.push(column.endsWith('_time') ? Math.round(n) : n);
+    }
+
+    if (updates.length > 0) {
+      // updated_at auto-managed by trg_ride_tracks_updated trigger
+      values.push(params.id, params.tripId);
+      await env.RIDE_TRIP_PLANNER_DB.prepare(
+        `UPDATE ride_tracks SET ${updates.join(', ')} WHERE id = ? AND trip_id = ?`
+      ).bind(...values).run();
+    }
+
+    const updated = await findTrack(env, params.tripId, params.id);
+    return jsonResponse({ track: updated });
+  },
+
+  /**
+   * Delete a track and its R2 chunks
+   */
+  async deleteTrack(context) {
+    const { env, user, params } = context;
+
+    const trip = await verifyTripOwnership(env, params.tripId, user.id);
+    if (!trip) return errorResponse('Trip not found', 404);
+
+    const track = await findTrack(env, params.tripId, params.id);
+    if (!track) return errorResponse('Track not found', 404);
+
+    await deleteTrackObjects(env, trackStoragePrefix(params.tripId, params.id));
+    await env.RIDE_TRIP_PLANNER_DB.prepare(
+      'DELETE FROM ride_tracks WHERE id = ? AND trip_id = ?'
+    ).bind(params.id, params.tripId).run();
+
+    return jsonResponse({ success: true });
+  }
+};
@@ -0,0 +1,195 @@
+/**
+ * Trash API Handler
+ * Trips, waypoints and journal entries deleted by the user keep their rows
+ * with deleted_at set. They can be restored from here until the scheduled
+ * purge removes them for good, R2 objects included.
+ */
+
+import { jsonResponse, errorResponse } from './utils.js';
+import { verifyTripOwnership, parseIfMatchVersion, conflictResponse, recordActorStatement } from './handler-utils.js';
+import { deleteTrackObjects, trackStoragePrefix } from './tracks.js';
+
+export const TRASH_RETENTION_DAYS = 30;
+
+// Trips purged per scheduled run; the rest wait for the next one
+const PURGE_TRIP_LIMIT = 100;
+
+// Attachment ids per DELETE (D1 binds at most 100 parameters)
+const PURGE_FILE_BATCH = 50;
+
+/** SQL for when an item deleted at `column` is purged */
+const purgeAt = column => `datetime(${column}, '+${TRASH_RETENTION_DAYS} days')`;
+
+// Child rows a user can restore, by the :kind in the route
+const TRASH_TABLES = { waypoints: 'waypoints', journal: 'journal_entries' };
+
+/**
+ * Remove a trip's attachment and track files from R2. Throws if an
+ * attachment delete fails, so the trip row (and with it the keys) is kept
+ * for the next run.
+ */
+async function deleteTripObjects(env, tripId) {
+  const rows = await env.RIDE_TRIP_PLANNER_DB.prepare(
+    'SELECT storage_key FROM attachments WHERE trip_id = ?'
+  ).bind(tripId).all();
+  const keys = (rows.results || []).map(r => r.storage_key);
+  // R2 bulk delete accepts up to 1000 keys per call
+  for (let i = 0; i < keys.length; i += 1000) {
+    await env.RIDE_TRIP_PLANNER_ATTACHMENTS.delete(keys.slice(i, i + 1000));
+  }
+  return keys.length + await deleteTrackObjects(env, trackStoragePrefix(tripId));
+}
+
+/**
+ * Permanently delete everything that has been in the trash for longer than
+ * TRASH_RETENTION_DAYS. Run as a maintenance task; the counts it returns
+ * go into the maintenance report.
+ */
+export async function purgeTrash(env) {
+  const db = env.RIDE_TRIP_PLANNER_DB;
+  const cutoff = `datetime('now', '-${TRASH_RETENTION_DAYS} days')`;
+  const counts = { trips: 0, waypoints: 0, journal: 0, objects: 0 };
+
+  const trips = await db.prepare(
+    `SELECT id FROM trips WHERE deleted_at IS NOT NULL AND deleted_at <= ${cutoff} LIMIT ?`
+  ).bind(PURGE_TRIP_LIMIT).all();
+  for (const trip of trips.results || []) {
+    try {
+      counts.objects += await deleteTripObjects(env, trip.id);
+    } catch (err) {
+      console.error('Trash purge: R2 delete failed, trip kept', trip.id, err);
+      continue;
+    }
+    // Child rows cascade with the trip
+    const result = await db.prepare(
+      'DELETE FROM trips WHERE id = ? AND deleted_at IS NOT NULL'
+    ).bind(trip.id).run();
+    counts.trips += result.meta.changes;
+  }
+
+  // An entry's files go with it, and so do a waypoint's files that aren't on
+  // a note. Notes linked to a purged waypoint stay, unlinked by the foreign key.
+  const files = (await db.prepare(
+    `SELECT a.id, a.storage_key FROM attachments a
+     LEFT JOIN journal_entries j ON j.id = a.journal_entry_id
+     LEFT JOIN waypoints w ON w.id = a.waypoint_id
+     WHERE j.deleted_at <= ${cutoff} OR (a.journal_entry_id IS NULL AND w.deleted_at <= ${cutoff})`
+  ).all()).results || [];
+  try {
+    for (let i = 0; i < files.length; i += 1000) {
+      await env.RIDE_TRIP_PLANNER_ATTACHMENTS.delete(files.slice(i, i + 1000).map(f => f.storage_key));
+    }
+  } catch (err) {
+    console.error('Trash purge: R2 delete failed, waypoints and notes kept', err);
+    return counts;
+  }
+  counts.objects += files.length;
+
+  const stmts = [];
+  for (let i = 0; i < files.length; i += PURGE_FILE_BATCH) {
+    const ids = files.slice(i, i + PURGE_FILE_BATCH).map(f => f.id);
+    const marks = ids.map(() => '?').join(', ');
+    stmts.push(
+      db.prepare(`DELETE FROM attachments WHERE id IN (${marks})`).bind(...ids),
+      db.prepare(
+        `UPDATE trip_events SET actor_id = 'system' WHERE entity = 'attachment' AND op = 'delete' AND entity_id IN (${marks})`
+      ).bind(...ids)
+    );
+  }
+  const results = await db.batch([
+    ...stmts,
+    db.prepare(`DELETE FROM waypoints WHERE deleted_at IS NOT NULL AND deleted_at <= ${cutoff}`),
+    db.prepare(`DELETE FROM journal_entries WHERE deleted_at IS NOT NULL AND deleted_at <= ${cutoff}`)
+  ]);
+  const [waypoints, journal] = results.slice(-2);
+  counts.waypoints = waypoints.meta.changes;
+  counts.journal = journal.meta.changes;
+
+  return counts;
+}
+
+export const TrashHandler = {
+  /**
+   * List the user's trash, newest first: trips, and waypoints and journal
+   * entries of trips that are not themselves in the trash. Each item has
+   * purge_at, when the scheduled purge deletes it.
+   */
+  async listTrash(context) {
+    const { env, user } = context;
+    const db = env.RIDE_TRIP_PLANNER_DB;
+
+    const [trips, waypoints, journal] = await db.batch([
+      db.prepare(
+        `SELECT id, name, deleted_at, ${purgeAt('deleted_at')} AS purge_at,
+          (SELECT COUNT(*) FROM waypoints w WHERE w.trip_id = trips.id AND w.deleted_at IS NULL) AS waypoint_count
+         FROM trips WHERE user_id = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC`
+      ).bind(user.id),
+      db.prepare(
+        `SELECT w.id, w.trip_id, t.name AS trip_name, w.name, w.type, w.deleted_at, ${purgeAt('w.deleted_at')} AS purge_at
+         FROM waypoints w JOIN trips t ON w.trip_id = t.id
+         WHERE t.user_id = ? AND t.deleted_at IS NULL AND w.deleted_at IS NOT NULL ORDER BY w.deleted_at DESC`
+      ).bind(user.id),
+      db.prepare(
+        `SELECT j.id, j.trip_id, t.name AS trip_name, j.title, j.deleted_at, ${purgeAt('j.deleted_at')} AS purge_at
+         FROM journal_entries j JOIN trips t ON j.trip_id = t.id
+         WHERE t.user_id = ? AND t.deleted_at IS NULL AND j.deleted_at IS NOT NULL ORDER BY j.deleted_at DESC`
+      ).bind(user.id)
+    ]);
+
+    return jsonResponse({
+      retention_days: TRASH_RETENTION_DAYS,
+      trips: trips.results || [],
+      waypoints: waypoints.results || [],
+      journal: journal.results || []
+    });
+  },
+
+  /**
+   * Take a trip, waypoint or journal entry out of the trash (:kind is
+   * trips, waypoints or journal). For waypoints and entries, If-Match is
+   * checked against the trip's version when sent.
+   */
+  async restoreFromTrash(context) {
+    const { env, user, params, request } = context;
+    const db = env.RIDE_TRIP_PLANNER_DB;
+
+    if (params.kind === 'trips') {
+      const result = await db.prepare(
+        'UPDATE trips SET deleted_at = NULL WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL'
+      ).bind(params.id, user.id).run();
+      if (result.meta.changes === 0) return errorResponse('Trip not found in trash', 404);
+      const trip = await verifyTripOwnership(env, params.id, user.id);
+      return jsonResponse({ success: true, trip_version: trip?.version ?? 0, trip_updated_at: trip?.updated_at ?? null });
+    }
+
+    const table = TRASH_TABLES[params.kind];
+    if (!table) return errorResponse('Unknown trash item type', 404);
+
+    const item = await db.prepare(
+      `SELECT trip_id FROM ${table} WHERE id = ? AND deleted_at IS NOT NULL`
+    ).bind(params.id).first();
+    // Items of a trashed trip come back with the trip, not on their own
+    const trip = item && await verifyTripOwnership(env, item.trip_id, user.id);
+    if (!trip) return errorResponse('Item not found in trash', 404);
+
+    const ifMatch = parseIfMatchVersion(request);
+    if (ifMatch !== null && Number(trip.version ?? 0) !== ifMatch) {
+      return conflictResponse(trip);
+    }
+
+    await db.batch([
+      db.prepare(
+        `UPDATE ${table} SET deleted_at = NULL WHERE id = ? AND trip_id = ?`
+      ).bind(params.id, item.trip_id),
+      recordActorStatement(db, item.trip_id, trip.version, user.id)
+    ]);
+
+    const tripState = await db.prepare('SELECT version, updated_at FROM trips WHERE id = ?').bind(item.trip_id).first();
+    return jsonResponse({
+      success: true,
+      trip_id: item.trip_id,
+      trip_version: tripState?.version ?? 0,
+      trip_updated_at: tripState?.updated_at ?? null
+    });
+  }
+};
@@ -4,7 +4,50 @@
  */
 
 import { jsonResponse, errorResponse, generateId, generateShortCodeForId, parseBody, BASE_URL } from './utils.js';
-import { safeJsonParse, orderWaypointsWithTripSettings, parseIfMatchVersion, conflictResponse } from './handler-utils.js';
+import {
+  safeJsonParse, orderWaypointsWithTripSettings, parseIfMatchVersion, conflictResponse, recordActorStatement,
+  loadTrashedParents, hideTrashedLinks
+} from './handler-utils.js';
+
+/**
+ * Journal entry row as sent to clients (JSON columns parsed)
+ */
+function formatEntry(entry) {
+  return {
+    ...entry,
+    tags: JSON.parse(entry.tags || '[]'),
+    location: JSON.parse(entry.location || 'null')
+  };
+}
+
+/**
+ * Attachment row as sent to clients, with its download URL
+ */
+function formatAttachment(attachment) {
+  return { ...attachment, url: `${BASE_URL}/api/attachments/${attachment.id}` };
+}
+
+/**
+ * route_data row as sent to clients, or null
+ */
+function formatRoute(routeData) {
+  return routeData ? {
+    coordinates: JSON.parse(routeData.coordinates || '[]'),
+    distance: routeData.distance,
+    duration: routeData.duration
+  } : null;
+}
+
+/**
+ * Trip row as sent to clients, without its child rows
+ */
+function formatTrip(trip) {
+  return {
+    ...trip,
+    settings: safeJsonParse(trip.settings || '{}', {}),
+    short_url: trip.short_code ? `${BASE_URL}/${trip.short_code}` : null
+  };
+}
 
 export const TripsHandler = {
   /**
@@ -15,11 +58,11 @@ export const TripsHandler = {
 
     const trips = await env.RIDE_TRIP_PLANNER_DB.prepare(
       `SELECT t.*, 
-        (SELECT COUNT(*) FROM waypoints WHERE trip_id = t.id) as waypoint_count,
-        (SELECT COUNT(*) FROM journal_entries WHERE trip_id = t.id) as journal_count,
+        (SELECT COUNT(*) FROM waypoints WHERE trip_id = t.id AND deleted_at IS NULL) as waypoint_count,
+        (SELECT COUNT(*) FROM journal_entries WHERE trip_id = t.id AND deleted_at IS NULL) as journal_count,
         (SELECT COUNT(*) FROM attachments WHERE trip_id = t.id) as attachment_count
        FROM trips t 
-       WHERE t.user_id = ? 
+       WHERE t.user_id = ? AND t.deleted_at IS NULL
        ORDER BY t.updated_at DESC`
     ).bind(user.id).all();
 
@@ -31,6 +74,20 @@ export const TripsHandler = {
     return jsonResponse({ trips: results });
   },
 
+  /**
+   * List id, version and updated_at of the user's trips, so clients can
+   * tell which cached trips are stale without fetching full payloads
+   */
+  async listTripVersions(context) {
+    const { env, user } = context;
+
+    const rows = await env.RIDE_TRIP_PLANNER_DB.prepare(
+      'SELECT id, version, updated_at FROM trips WHERE user_id = ? AND deleted_at IS NULL ORDER BY updated_at DESC'
+    ).bind(user.id).all();
+
+    return jsonResponse({ trips: rows.results || [] });
+  },
+
   /**
    * Create a new trip with collision-proof short code
    */
@@ -79,19 +136,19 @@ export const TripsHandler = {
     const { env, user, params } = context;
 
     const trip = await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'SELECT * FROM trips WHERE id = ? AND user_id = ?'
+      'SELECT * FROM trips WHERE id = ? AND user_id = ? AND deleted_at IS NULL'
     ).bind(params.id, user.id).first();
 
     if (!trip) return errorResponse('Trip not found', 404);
 
     const waypoints = await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'SELECT * FROM waypoints WHERE trip_id = ? ORDER BY sort_order'
+      'SELECT * FROM waypoints WHERE trip_id = ? AND deleted_at IS NULL ORDER BY sort_order'
     ).bind(params.id).all();
 
     const orderedWaypoints = orderWaypointsWithTripSettings(waypoints.results, trip.settings);
 
     const journal = await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'SELECT * FROM journal_entries WHERE trip_id = ? ORDER BY created_at DESC'
+      'SELECT * FROM journal_entries WHERE trip_id = ? AND deleted_at IS NULL ORDER BY created_at DESC'
     ).bind(params.id).all();
 
     const attachments = await env.RIDE_TRIP_PLANNER_DB.prepare(
@@ -102,32 +159,111 @@ export const TripsHandler = {
       'SELECT * FROM route_data WHERE trip_id = ?'
     ).bind(params.id).first();
 
-    const attachmentsWithUrls = attachments.results.map(a => ({
-      ...a,
-      url: `${BASE_URL}/api/attachments/${a.id}`
-    }));
+    const visible = hideTrashedLinks(await loadTrashedParents(env.RIDE_TRIP_PLANNER_DB, params.id), {
+      journal: journal.results, attachments: attachments.results
+    });
 
     return jsonResponse({
       trip: {
-        ...trip,
-        settings: safeJsonParse(trip.settings || '{}', {}),
-        short_url: trip.short_code ? `${BASE_URL}/${trip.short_code}` : null,
+        ...formatTrip(trip),
         waypoints: orderedWaypoints,
-        journal: journal.results.map(e => ({
-          ...e,
-          tags: JSON.parse(e.tags || '[]'),
-          location: JSON.parse(e.location || 'null')
-        })),
-        attachments: attachmentsWithUrls,
-        route: routeData ? {
-          coordinates: JSON.parse(routeData.coordinates || '[]'),
-          distance: routeData.distance,
-          duration: routeData.duration
-        } : null
+        journal: visible.journal.map(formatEntry),
+        attachments: visible.attachments.map(formatAttachment),
+        route: formatRoute(routeData)
       }
     });
   },
 
+  /**
+   * Changes to a trip since the client's version, from the trip_events log:
+   * the trip row, waypoints/journal/attachments split into inserted, updated
+   * (full rows) and deleted (ids), waypoint_order (all ids, in order) and the
+   * route if it changed. Answers { reset: true, version } when the log can't
+   * cover the gap (older than its baseline, or a version the server never
+   * had), and the client must fetch the whole trip instead. Rows moved to
+   * the trash are reported as deleted, and restored ones as inserted; the
+   * notes and files linked to them are reported again, since they are
+   * unlinked or hidden while it is there (see hideTrashedLinks).
+   */
+  async getTripChanges(context) {
+    const { env, user, params, url } = context;
+    const db = env.RIDE_TRIP_PLANNER_DB;
+
+    const sinceRaw = url.searchParams.get('since');
+    const since = Number(sinceRaw);
+    if (sinceRaw === null || sinceRaw === '' || !Number.isInteger(since) || since < 0) {
+      return errorResponse('since must be a trip version (non-negative integer)');
+    }
+
+    const changed = (entity, column = 'id') => `${column} IN (SELECT entity_id FROM trip_events
+      WHERE trip_id = ?1 AND version > ?2 AND entity = '${entity}')`;
+    // One batch, so the rows match the version they are reported with
+    const [
+      tripRes, baselineRes, logRes, waypointsRes, orderRes, journalRes, attachmentsRes, routeRes,
+      trashedWaypointsRes, trashedJournalRes
+    ] = await db.batch([
+      db.prepare('SELECT * FROM trips WHERE id = ?1 AND user_id = ?2 AND deleted_at IS NULL').bind(params.id, user.id),
+      db.prepare(`SELECT MAX(version) AS version FROM trip_events WHERE trip_id = ?1 AND op = 'baseline'`).bind(params.id),
+      db.prepare(
+        `SELECT entity, entity_id, MAX(op = 'insert') AS inserted FROM trip_events
+         WHERE trip_id = ?1 AND version > ?2 AND op IN ('insert', 'update', 'delete') GROUP BY entity, entity_id`
+      ).bind(params.id, since),
+      db.prepare(`SELECT * FROM waypoints WHERE trip_id = ?1 AND deleted_at IS NULL AND ${changed('waypoint')}`).bind(params.id, since),
+      db.prepare('SELECT id, sort_order FROM waypoints WHERE trip_id = ?1 AND deleted_at IS NULL ORDER BY sort_order').bind(params.id),
+      db.prepare(
+        `SELECT * FROM journal_entries WHERE trip_id = ?1 AND deleted_at IS NULL
+         AND (${changed('journal')} OR ${changed('waypoint', 'waypoint_id')})`
+      ).bind(params.id, since),
+      db.prepare(
+        `SELECT * FROM attachments WHERE trip_id = ?1
+         AND (${changed('attachment')} OR ${changed('journal', 'journal_entry_id')} OR ${changed('waypoint', 'waypoint_id')})`
+      ).bind(params.id, since),
+      db.prepare('SELECT * FROM route_data WHERE trip_id = ?1').bind(params.id),
+      db.prepare('SELECT id FROM waypoints WHERE trip_id = ?1 AND deleted_at IS NOT NULL').bind(params.id),
+      db.prepare('SELECT id FROM journal_entries WHERE trip_id = ?1 AND deleted_at IS NOT NULL').bind(params.id)
+    ]);
+
+    const trip = tripRes.results?.[0];
+    if (!trip) return errorResponse('Trip not found', 404);
+
+    const version = Number(trip.version) || 0;
+    const baseline = baselineRes.results?.[0]?.version;
+    if (baseline === null || baseline === undefined || since < baseline || since > version) {
+      return jsonResponse({ reset: true, version });
+    }
+
+    const log = logRes.results || [];
+    const ids = res => new Set((res.results || []).map(r => r.id));
+    const visible = hideTrashedLinks(
+      { waypoints: ids(trashedWaypointsRes), journal: ids(trashedJournalRes) },
+      { journal: journalRes.results || [], attachments: attachmentsRes.results || [] }
+    );
+    // `rows` are the changed rows clients see; `read` every changed row, hidden ones included
+    const split = (entity, rows, format = row => row, read = rows) => {
+      const logged = log.filter(c => c.entity === entity);
+      const inserted = new Set(logged.filter(c => c.inserted).map(c => c.entity_id));
+      const present = new Set(rows.map(r => r.id));
+      return {
+        inserted: rows.filter(r => inserted.has(r.id)).map(format),
+        updated: rows.filter(r => !inserted.has(r.id)).map(format),
+        deleted: [...new Set([...logged.map(c => c.entity_id), ...read.map(r => r.id)])].filter(id => !present.has(id))
+      };
+    };
+
+    const changes = {
+      version,
+      trip: formatTrip(trip),
+      waypoints: split('waypoint', waypointsRes.results || []),
+      waypoint_order: orderWaypointsWithTripSettings(orderRes.results, trip.settings).map(w => w.id),
+      journal: split('journal', visible.journal, formatEntry),
+      attachments: split('attachment', visible.attachments, formatAttachment, attachmentsRes.results || [])
+    };
+    if (log.some(c => c.entity === 'route')) {
+      changes.route = formatRoute(routeRes.results?.[0]);
+    }
+    return jsonResponse(changes);
+  },
+
   /**
    * Update a trip
    */
@@ -136,7 +272,7 @@ export const TripsHandler = {
     const body = await parseBody(request);
 
     const existing = await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'SELECT id, version, updated_at, settings FROM trips WHERE id = ? AND user_id = ?'
+      'SELECT id, version, updated_at, settings FROM trips WHERE id = ? AND user_id = ? AND deleted_at IS NULL'
     ).bind(params.id, user.id).first();
 
     if (!existing) return errorResponse('Trip not found', 404);
@@ -171,16 +307,18 @@ export const TripsHandler = {
     if (body.cover_focus_x !== undefined) { updates.push('cover_focus_x = ?'); values.push(body.cover_focus_x); }
     if (body.cover_focus_y !== undefined) { updates.push('cover_focus_y = ?'); values.push(body.cover_focus_y); }
 
+    const db = env.RIDE_TRIP_PLANNER_DB;
+    const stmts = [];
     if (updates.length > 0) {
       values.push(params.id);
-      await env.RIDE_TRIP_PLANNER_DB.prepare(
+      stmts.push(db.prepare(
         `UPDATE trips SET ${updates.join(', ')} WHERE id = ?`
-      ).bind(...values).run();
+      ).bind(...values));
     }
 
     // Update route data if provided (triggers auto-bump trip version)
     if (body.route) {
-      await env.RIDE_TRIP_PLANNER_DB.prepare(
+      stmts.push(db.prepare(
         `INSERT OR REPLACE INTO route_data (id, trip_id, coordinates, distance, duration)
          VALUES (?, ?, ?, ?, ?)`
       ).bind(
@@ -188,21 +326,23 @@ export const TripsHandler = {
         JSON.stringify(body.route.coordinates || []),
         body.route.distance || null,
         body.route.duration || null
-      ).run();
+      ));
     }
+    if (stmts.length) await db.batch([...stmts, recordActorStatement(db, params.id, existing.version, user.id)]);
 
     const trip = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT * FROM trips WHERE id = ? AND user_id = ?').bind(params.id, user.id).first();
     return jsonResponse({ trip });
   },
 
   /**
-   * Delete a trip
+   * Move a trip to the trash. It can be restored from there until the
+   * scheduled purge (see trash.js) deletes it with its files.
    */
   async deleteTrip(context) {
     const { env, user, params } = context;
 
     const result = await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'DELETE FROM trips WHERE id = ? AND user_id = ?'
+      `UPDATE trips SET deleted_at = datetime('now') WHERE id = ? AND user_id = ? AND deleted_at IS NULL`
     ).bind(params.id, user.id).run();
 
     if (result.meta.changes === 0) {
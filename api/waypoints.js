@@ -4,7 +4,25 @@
  */
 
 import { jsonResponse, errorResponse, generateId, parseBody } from './utils.js';
-import { verifyTripOwnership, parseIfMatchVersion, conflictResponse, preconditionRequiredResponse, safeJsonParse } from './handler-utils.js';
+import {
+  verifyTripOwnership, parseIfMatchVersion, conflictResponse, preconditionRequiredResponse, safeJsonParse, recordActorStatement
+} from './handler-utils.js';
+
+const MIN_ARRIVAL_RADIUS = 10;
+const MAX_ARRIVAL_RADIUS = 5000;
+
+/**
+ * Validate an arrival radius from the request body.
+ * Returns { value } (null clears it back to the default) or { error }.
+ */
+function parseArrivalRadius(raw) {
+  if (raw === null || raw === '') return { value: null };
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < MIN_ARRIVAL_RADIUS || n > MAX_ARRIVAL_RADIUS) {
+    return { error: `arrival_radius must be between ${MIN_ARRIVAL_RADIUS} and ${MAX_ARRIVAL_RADIUS} meters` };
+  }
+  return { value: Math.round(n) };
+}
 
 export const WaypointsHandler = {
   /**
@@ -25,6 +43,9 @@ export const WaypointsHandler = {
       return errorResponse('Name, lat, and lng are required');
     }
 
+    const radius = body.arrival_radius !== undefined ? parseArrivalRadius(body.arrival_radius) : { value: null };
+    if (radius.error) return errorResponse(radius.error);
+
     const lastWp = await env.RIDE_TRIP_PLANNER_DB.prepare(
       'SELECT MAX(sort_order) as max_order FROM waypoints WHERE trip_id = ?'
     ).bind(params.tripId).first();
@@ -32,9 +53,13 @@ export const WaypointsHandler = {
     const sortOrder = (lastWp?.max_order ?? -1) + 1;
     const id = generateId();
 
-    await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'INSERT INTO waypoints (id, trip_id, name, address, lat, lng, type, notes, sort_order) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
-    ).bind(id, params.tripId, body.name, body.address || '', body.lat, body.lng, body.type || 'stop', body.notes || '', sortOrder).run();
+    const db = env.RIDE_TRIP_PLANNER_DB;
+    await db.batch([
+      db.prepare(
+        'INSERT INTO waypoints (id, trip_id, name, address, lat, lng, type, notes, sort_order, arrival_radius) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+      ).bind(id, params.tripId, body.name, body.address || '', body.lat, body.lng, body.type || 'stop', body.notes || '', sortOrder, radius.value),
+      recordActorStatement(db, params.tripId, trip.version, user.id)
+    ]);
 
     const waypoint = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT * FROM waypoints WHERE id = ?').bind(id).first();
     const tripState = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT version, updated_at FROM trips WHERE id = ?').bind(params.tripId).first();
@@ -66,21 +91,36 @@ export const WaypointsHandler = {
       }
     });
 
+    if (body.arrival_radius !== undefined) {
+      const radius = parseArrivalRadius(body.arrival_radius);
+      if (radius.error) return errorResponse(radius.error);
+      updates.push('arrival_radius = ?');
+      values.push(radius.value);
+    }
+
     if (updates.length > 0) {
       values.push(params.id, params.tripId);
-      await env.RIDE_TRIP_PLANNER_DB.prepare(
-        `UPDATE waypoints SET ${updates.join(', ')} WHERE id = ? AND trip_id = ?`
-      ).bind(...values).run();
+      const db = env.RIDE_TRIP_PLANNER_DB;
+      await db.batch([
+        db.prepare(
+          `UPDATE waypoints SET ${updates.join(', ')} WHERE id = ? AND trip_id = ? AND deleted_at IS NULL`
+        ).bind(...values),
+        recordActorStatement(db, params.tripId, trip.version, user.id)
+      ]);
     }
 
-    const waypoint = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT * FROM waypoints WHERE id = ?').bind(params.id).first();
+    const waypoint = await env.RIDE_TRIP_PLANNER_DB.prepare(
+      'SELECT * FROM waypoints WHERE id = ? AND trip_id = ? AND deleted_at IS NULL'
+    ).bind(params.id, params.tripId).first();
+    if (!waypoint) return errorResponse('Waypoint not found', 404);
     const tripState = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT version, updated_at FROM trips WHERE id = ?').bind(params.tripId).first();
 
     return jsonResponse({ waypoint, trip_version: tripState?.version ?? 0, trip_updated_at: tripState?.updated_at ?? null });
   },
 
   /**
-   * Delete waypoint
+   * Move a waypoint to the trash. Notes and files keep their link to it,
+   * which reads as none until it is restored (see hideTrashedLinks).
    */
   async deleteWaypoint(context) {
     const { env, user, params, request } = context;
@@ -92,9 +132,13 @@ export const WaypointsHandler = {
     if (ifMatch === null) return preconditionRequiredResponse();
     if (Number(trip.version ?? 0) !== ifMatch) return conflictResponse(trip);
 
-    await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'DELETE FROM waypoints WHERE id = ? AND trip_id = ?'
-    ).bind(params.id, params.tripId).run();
+    const db = env.RIDE_TRIP_PLANNER_DB;
+    await db.batch([
+      db.prepare(
+        `UPDATE waypoints SET deleted_at = datetime('now') WHERE id = ? AND trip_id = ? AND deleted_at IS NULL`
+      ).bind(params.id, params.tripId),
+      recordActorStatement(db, params.tripId, trip.version, user.id)
+    ]);
 
     const tripState = await env.RIDE_TRIP_PLANNER_DB.prepare('SELECT version, updated_at FROM trips WHERE id = ?').bind(params.tripId).first();
     return jsonResponse({ success: true, trip_version: tripState?.version ?? 0, trip_updated_at: tripState?.updated_at ?? null });
@@ -120,7 +164,7 @@ export const WaypointsHandler = {
 
     // Validate order contains every waypoint exactly once
     const existingWps = await env.RIDE_TRIP_PLANNER_DB.prepare(
-      'SELECT id FROM waypoints WHERE trip_id = ?'
+      'SELECT id FROM waypoints WHERE trip_id = ? AND deleted_at IS NULL'
     ).bind(params.tripId).all();
 
     const existingIds = (existingWps.results || []).map(r => r.id);
@@ -151,7 +195,8 @@ export const WaypointsHandler = {
     stmts.push(
       env.RIDE_TRIP_PLANNER_DB.prepare(
         'UPDATE trips SET settings = ? WHERE id = ?'
-      ).bind(JSON.stringify(settings), params.tripId)
+      ).bind(JSON.stringify(settings), params.tripId),
+      recordActorStatement(env.RIDE_TRIP_PLANNER_DB, params.tripId, trip.version, user.id)
     );
 
     await env.RIDE_TRIP_PLANNER_DB.batch(stmts);
@@ -13,7 +13,11 @@ import { AttachmentsHandler } from './attachments.js';
 import { ShareHandler } from './share.js';
 import { AccountHandler } from './account.js';
 import { PlacesHandler } from './places.js';
-import { cors, jsonResponse, errorResponse, requireAuth, optionalAuth, BASE_URL } from './utils.js';
+import { TracksHandler } from './tracks.js';
+import { HistoryHandler } from './history.js';
+import { TrashHandler } from './trash.js';
+import { MaintenanceHandler, runMaintenance } from './maintenance.js';
+import { cors, jsonResponse, errorResponse, requireAuth, requireAdmin, optionalAuth, BASE_URL } from './utils.js';
 
 // Build fingerprint — changes on every deploy. Used by service worker and client
 // to detect code updates and trigger cache invalidation + seamless reload.
@@ -36,19 +40,33 @@ router.get('/api/admin/logins', AuthHandler.listLoginsAdmin);
 router.get('/api/admin/users/:id/audit', AuthHandler.auditUser);
 router.post('/api/admin/users/:id/status', AuthHandler.setUserStatus);
 router.post('/api/admin/users/:id/notes', AuthHandler.addAdminNote);
+router.get('/api/admin/maintenance', MaintenanceHandler.listRuns);
+router.post('/api/admin/maintenance/run', requireAdmin, MaintenanceHandler.runNow);
 
 // Trip routes (protected)
 router.get('/api/trips', requireAuth, TripsHandler.listTrips);
 router.post('/api/trips', requireAuth, TripsHandler.createTrip);
+// versions before :id, or the first match would treat "versions" as a trip id
+router.get('/api/trips/versions', requireAuth, TripsHandler.listTripVersions);
+router.get('/api/trips/:id/changes', requireAuth, TripsHandler.getTripChanges);
 router.get('/api/trips/:id', requireAuth, TripsHandler.getTrip);
 router.put('/api/trips/:id', requireAuth, TripsHandler.updateTrip);
 router.delete('/api/trips/:id', requireAuth, TripsHandler.deleteTrip);
 
+// Trip history routes (protected)
+router.get('/api/trips/:id/history', requireAuth, HistoryHandler.listHistory);
+router.post('/api/trips/:id/restore', requireAuth, HistoryHandler.restoreTrip);
+
+// Trash routes (protected)
+router.get('/api/trash', requireAuth, TrashHandler.listTrash);
+router.post('/api/trash/:kind/:id/restore', requireAuth, TrashHandler.restoreFromTrash);
+
 // Waypoint routes (protected)
 router.post('/api/trips/:tripId/waypoints', requireAuth, WaypointsHandler.addWaypoint);
+// reorder before :id, or the first match would treat "reorder" as a waypoint id
+router.put('/api/trips/:tripId/waypoints/reorder', requireAuth, WaypointsHandler.reorderWaypoints);
 router.put('/api/trips/:tripId/waypoints/:id', requireAuth, WaypointsHandler.updateWaypoint);
 router.delete('/api/trips/:tripId/waypoints/:id', requireAuth, WaypointsHandler.deleteWaypoint);
-router.put('/api/trips/:tripId/waypoints/reorder', requireAuth, WaypointsHandler.reorderWaypoints);
 
 // Places search (protected to limit API key exposure)
 router.get('/api/places/search', requireAuth, PlacesHandler.search);
@@ -58,6 +76,14 @@ router.post('/api/trips/:tripId/journal', requireAuth, JournalHandler.addJournal
 router.put('/api/trips/:tripId/journal/:id', requireAuth, JournalHandler.updateJournalEntry);
 router.delete('/api/trips/:tripId/journal/:id', requireAuth, JournalHandler.deleteJournalEntry);
 
+// Ride track routes (protected)
+router.get('/api/trips/:tripId/tracks', requireAuth, TracksHandler.listTracks);
+router.post('/api/trips/:tripId/tracks', requireAuth, TracksHandler.createTrack);
+router.get('/api/trips/:tripId/tracks/:id', requireAuth, TracksHandler.getTrack);
+router.put('/api/trips/:tripId/tracks/:id', requireAuth, TracksHandler.updateTrack);
+router.delete('/api/trips/:tripId/tracks/:id', requireAuth, TracksHandler.deleteTrack);
+router.post('/api/trips/:tripId/tracks/:id/points', requireAuth, TracksHandler.appendPoints);
+
 // Attachment routes (protected for upload/modify, public for viewing public attachments)
 router.post('/api/trips/:tripId/attachments', requireAuth, AttachmentsHandler.uploadAttachment);
 router.get('/api/attachments/:id', optionalAuth, AttachmentsHandler.getAttachment);
@@ -92,16 +118,6 @@ router.get('/api/_build', () => {
   });
 });
 
-// Trip version check — returns just id+version for the current user's trips.
-// Used by the client to poll for stale data without fetching full trip payloads.
-router.get('/api/trips/versions', requireAuth, async (context) => {
-  const { env, user } = context;
-  const rows = await env.RIDE_TRIP_PLANNER_DB.prepare(
-    'SELECT id, version, updated_at FROM trips WHERE user_id = ?'
-  ).bind(user.id).all();
-  return jsonResponse({ trips: rows.results });
-});
-
 // 404 for unmatched API routes
 router.all('/api/*', () => errorResponse('Not found', 404));
 
@@ -115,7 +131,7 @@ const CSP = [
   "style-src 'self' 'unsafe-inline' https://unpkg.com https://fonts.googleapis.com",
   "font-src 'self' https://fonts.gstatic.com",
   "img-src 'self' data: blob: https://*.tile.openstreetmap.org https://*.basemaps.cartocdn.com https://server.arcgisonline.com https://ride.incitat.io https://lh3.googleusercontent.com https://*.microsoft.com",
-  "connect-src 'self' https://ride.incitat.io https://maps.incitat.io https://router.project-osrm.org https://nominatim.openstreetmap.org",
+  "connect-src 'self' https://ride.incitat.io https://maps.incitat.io https://router.project-osrm.org https://nominatim.openstreetmap.org https://*.tile.openstreetmap.org",
   "frame-ancestors 'none'",
   "base-uri 'self'",
   "form-action 'self' https://accounts.google.com https://login.microsoftonline.com"
@@ -162,7 +178,7 @@ export default {
       // This prevents serving trip.html for random 6-char paths
       try {
         const trip = await env.RIDE_TRIP_PLANNER_DB.prepare(
-          'SELECT id FROM trips WHERE short_code = ? AND is_public = 1'
+          'SELECT id FROM trips WHERE short_code = ? AND is_public = 1 AND deleted_at IS NULL'
         ).bind(shortCode).first();
         
         if (trip) {
@@ -198,5 +214,10 @@ export default {
       return addSecurityHeaders(response);
     }
     return response;
+  },
+
+  // Cron Trigger (wrangler.toml [triggers]): daily maintenance, see maintenance.js
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runMaintenance(env, 'cron'));
   }
 };
@@ -18,6 +18,9 @@ function _normalizeEntry(e) {
     updatedAt: e.updated_at ?? e.updatedAt,
     tags: typeof e.tags === 'string' ? JSON.parse(e.tags) : (e.tags || []),
     location: typeof e.location === 'string' ? JSON.parse(e.location) : (e.location || null),
+    arrivedAt: e.arrived_at ?? e.arrivedAt ?? null,
+    departedAt: e.departed_at ?? e.departedAt ?? null,
+    odometer: e.odometer ?? null,
     attachments: e.attachments || [],
   };
 }
@@ -44,10 +47,18 @@ function _normalizeWaypoint(w) {
   return {
     ...w,
     order: w.sort_order ?? w.order ?? 0,
+    arrivalRadius: w.arrival_radius ?? w.arrivalRadius ?? null,
     createdAt: w.created_at ?? w.createdAt,
   };
 }
 
+/** Normalize a calculated route (duration is also exposed as `time`) */
+function _normalizeRoute(r) {
+  if (!r) return r;
+  const duration = r.duration ?? r.time ?? null;
+  return { ...r, duration, time: duration, coordinates: r.coordinates || [] };
+}
+
 /** Normalize a full trip (with embedded waypoints, journal, attachments, route) */
 function _normalizeTrip(t) {
   if (!t) return t;
@@ -77,13 +88,54 @@ function _normalizeTrip(t) {
   if (Array.isArray(trip.waypoints)) trip.waypoints = trip.waypoints.map(_normalizeWaypoint);
   if (Array.isArray(trip.journal)) trip.journal = trip.journal.map(_normalizeEntry);
   if (Array.isArray(trip.attachments)) trip.attachments = trip.attachments.map(_normalizeAttachment);
-  if (trip.route) {
-    const duration = trip.route.duration ?? trip.route.time ?? null;
-    trip.route = { ...trip.route, duration, time: duration, coordinates: trip.route.coordinates || [] };
-  }
+  if (trip.route) trip.route = _normalizeRoute(trip.route);
   return trip;
 }
 
+/** Normalize a recorded ride track from server snake_case → client camelCase */
+function _normalizeTrack(t) {
+  if (!t) return t;
+  return {
+    ...t,
+    tripId: t.trip_id ?? t.tripId,
+    startedAt: t.started_at ?? t.startedAt,
+    endedAt: t.ended_at ?? t.endedAt ?? null,
+    pointCount: Number(t.point_count ?? t.pointCount ?? 0),
+    chunkCount: Number(t.chunk_count ?? t.chunkCount ?? 0),
+    distance: Number(t.distance ?? 0),
+    movingDistance: Number(t.moving_distance ?? t.movingDistance ?? 0),
+    movingTime: Number(t.moving_time ?? t.movingTime ?? 0),
+    stoppedTime: Number(t.stopped_time ?? t.stoppedTime ?? 0),
+    avgSpeed: t.avg_speed ?? t.avgSpeed ?? null,
+    maxSpeed: t.max_speed ?? t.maxSpeed ?? null,
+    points: Array.isArray(t.points) ? t.points : undefined,
+  };
+}
+
+/** Normalize a trip history event (before/after stay server rows, snake_case) */
+function _normalizeTripEvent(e) {
+  if (!e) return e;
+  return {
+    ...e,
+    actorId: e.actor_id ?? e.actorId ?? null,
+    actorName: e.actor_name ?? e.actorName ?? null,
+    entityId: e.entity_id ?? e.entityId,
+    createdAt: e.created_at ?? e.createdAt,
+  };
+}
+
+/** Normalize an item in the trash */
+function _normalizeTrashItem(item) {
+  if (!item) return item;
+  return {
+    ...item,
+    tripId: item.trip_id ?? item.tripId,
+    tripName: item.trip_name ?? item.tripName,
+    deletedAt: item.deleted_at ?? item.deletedAt,
+    purgeAt: item.purge_at ?? item.purgeAt,
+  };
+}
+
 /** Normalize a trip-list item (no embedded children) */
 function _normalizeTripSummary(t) {
   if (!t) return t;
@@ -105,10 +157,15 @@ const API = {
   baseUrl: '/api',
 
   /**
-   * Make authenticated request
+   * Make authenticated request.
+   * Pass `silent: true` for background traffic (e.g. ride track uploads) whose
+   * failures must not trip the global auth-expired / connection-lost handling.
+   * GETs report where their data came from with a `ride:api-freshness` event:
+   * `cachedAt` is set when the service worker answered from its offline cache.
    */
   async request(endpoint, options = {}) {
     const url = `${this.baseUrl}${endpoint}`;
+    const { silent = false, ...fetchOptions } = options;
 
     const isForm = options.body instanceof FormData;
     const defaultHeaders = isForm
@@ -125,7 +182,7 @@ const API = {
         };
 
     const config = {
-      ...options,
+      ...fetchOptions,
       headers: {
         ...defaultHeaders,
         ...options.headers,
@@ -140,6 +197,11 @@ const API = {
 
     try {
       const response = await fetch(url, config);
+      if (response.ok && (config.method || 'GET').toUpperCase() === 'GET' && typeof window !== 'undefined') {
+        window.dispatchEvent(new CustomEvent('ride:api-freshness', {
+          detail: { endpoint, cachedAt: response.headers.get('X-Ride-Cached-At') }
+        }));
+      }
       let data;
       try {
         data = await response.json();
@@ -151,7 +213,7 @@ const API = {
 
       if (!response.ok) {
         // Centralize auth-expired handling so UI can fail-closed.
-        if (response.status === 401 && typeof window !== 'undefined') {
+        if (response.status === 401 && !silent && typeof window !== 'undefined') {
           try {
             window.dispatchEvent(new CustomEvent('ride:auth-expired', {
               detail: { endpoint, status: response.status }
@@ -162,7 +224,7 @@ const API = {
         }
 
         // Treat server-side failures as a lost connection (fail closed).
-        if (response.status >= 500 && typeof window !== 'undefined') {
+        if (response.status >= 500 && !silent && typeof window !== 'undefined') {
           try {
             window.dispatchEvent(new CustomEvent('ride:connection-lost', {
               detail: { endpoint, status: response.status, kind: 'server' }
@@ -186,7 +248,7 @@ const API = {
         error.message = error.message || 'Network error';
       }
 
-      if (error.status === 0 && typeof window !== 'undefined') {
+      if (error.status === 0 && !silent && typeof window !== 'undefined') {
         try {
           window.dispatchEvent(new CustomEvent('ride:connection-lost', {
             detail: { endpoint, status: 0, kind: 'network' }
@@ -228,11 +290,67 @@ const API = {
       return (data.trips || []).map(_normalizeTripSummary);
     },
 
+    /** [{ id, version, updated_at }] for every trip, most recently updated first */
+    async versions() {
+      const data = await API.request('/trips/versions');
+      return data.trips || [];
+    },
+
     async get(id) {
       const data = await API.request(`/trips/${id}`);
       return _normalizeTrip(data.trip);
     },
 
+    /**
+     * What changed on a trip since `since` (a trip version):
+     * { version, trip (no children), waypoints, journal, attachments, waypointOrder, route? }
+     * with each list as { inserted, updated, deleted (ids) }, `route` only if it
+     * changed. { reset: true, version } means the whole trip must be fetched.
+     */
+    async changes(id, since) {
+      const data = await API.request(`/trips/${id}/changes?since=${encodeURIComponent(since)}`);
+      if (data.reset) return { reset: true, version: Number(data.version ?? 0) };
+      const list = (group, normalize) => ({
+        inserted: (group?.inserted || []).map(normalize),
+        updated: (group?.updated || []).map(normalize),
+        deleted: group?.deleted || [],
+      });
+      const changes = {
+        version: Number(data.version ?? 0),
+        trip: _normalizeTrip(data.trip),
+        waypoints: list(data.waypoints, _normalizeWaypoint),
+        journal: list(data.journal, _normalizeEntry),
+        attachments: list(data.attachments, _normalizeAttachment),
+        waypointOrder: data.waypoint_order || [],
+      };
+      if ('route' in data) changes.route = _normalizeRoute(data.route);
+      return changes;
+    },
+
+    /**
+     * A page of the trip's change history, newest first:
+     * { version, restorableFrom, events, nextBefore } (pass nextBefore for older events)
+     */
+    async history(id, before = null) {
+      const query = before ? `?before=${encodeURIComponent(before)}` : '';
+      const data = await API.request(`/trips/${id}/history${query}`);
+      return {
+        version: Number(data.version ?? 0),
+        restorableFrom: data.restorable_from ?? null,
+        events: (data.events || []).map(_normalizeTripEvent),
+        nextBefore: data.next_before ?? null,
+      };
+    },
+
+    /** Roll the trip back to `version`; resolves with { restored_version, trip_version, trip_updated_at } */
+    async restore(id, version, options = {}) {
+      return API.request(`/trips/${id}/restore`, {
+        method: 'POST',
+        body: { version },
+        ...(options || {}),
+      });
+    },
+
     async create(tripData) {
       const data = await API.request('/trips', {
         method: 'POST',
@@ -294,33 +412,43 @@ const API = {
     },
   },
 
-  // Journal methods
+  // Journal methods. add/update resolve with { entry, trip_version, trip_updated_at }
   journal: {
-    async add(tripId, entryData) {
+    async add(tripId, entryData, options = {}) {
       const data = await API.request(`/trips/${tripId}/journal`, {
         method: 'POST',
         body: entryData,
+        silent: !!options.silent,
+        headers: options.headers || {},
       });
-      return _normalizeEntry(data.entry);
+      return { ...data, entry: _normalizeEntry(data.entry) };
     },
 
-    async update(tripId, entryId, entryData) {
+    async update(tripId, entryId, entryData, options = {}) {
       const data = await API.request(`/trips/${tripId}/journal/${entryId}`, {
         method: 'PUT',
         body: entryData,
+        silent: !!options.silent,
+        headers: options.headers || {},
       });
-      return _normalizeEntry(data.entry);
+      return { ...data, entry: _normalizeEntry(data.entry) };
     },
 
-    async delete(tripId, entryId) {
-      await API.request(`/trips/${tripId}/journal/${entryId}`, {
+    async delete(tripId, entryId, options = {}) {
+      return API.request(`/trips/${tripId}/journal/${entryId}`, {
         method: 'DELETE',
+        headers: options.headers || {},
       });
     },
   },
 
   // Attachment methods
   attachments: {
+    /** Server attachment → client shape (for replies received outside API, e.g. the outbox) */
+    normalize(attachment) {
+      return _normalizeAttachment(attachment);
+    },
+
     async upload(tripId, file, options = {}) {
       const formData = new FormData();
       formData.append('file', file);
@@ -354,6 +482,79 @@ const API = {
     },
   },
 
+  // Trash: deleted trips, waypoints and journal entries, kept until purged
+  trash: {
+    /**
+     * { retentionDays, trips, waypoints, journal }; every item has
+     * deletedAt and purgeAt, waypoints and entries tripId and tripName
+     */
+    async list() {
+      const data = await API.request('/trash');
+      const items = list => (list || []).map(_normalizeTrashItem);
+      return {
+        retentionDays: Number(data.retention_days ?? 30),
+        trips: items(data.trips),
+        waypoints: items(data.waypoints),
+        journal: items(data.journal),
+      };
+    },
+
+    /** kind is 'trips', 'waypoints' or 'journal'; resolves with { trip_version, trip_updated_at } */
+    async restore(kind, id, options = {}) {
+      return API.request(`/trash/${kind}/${id}/restore`, {
+        method: 'POST',
+        ...(options || {}),
+      });
+    },
+  },
+
+  // Recorded ride tracks. Uploads run in the background while riding, so the
+  // write calls are silent: a dropped chunk is retried, not a lost connection.
+  tracks: {
+    async list(tripId) {
+      const data = await API.request(`/trips/${tripId}/tracks`);
+      return (data.tracks || []).map(_normalizeTrack);
+    },
+
+    async get(tripId, trackId) {
+      const data = await API.request(`/trips/${tripId}/tracks/${trackId}`);
+      return _normalizeTrack(data.track);
+    },
+
+    async create(tripId, trackData = {}) {
+      const data = await API.request(`/trips/${tripId}/tracks`, {
+        method: 'POST',
+        body: trackData,
+        silent: true,
+      });
+      return _normalizeTrack(data.track);
+    },
+
+    async appendPoints(tripId, trackId, chunk) {
+      const data = await API.request(`/trips/${tripId}/tracks/${trackId}/points`, {
+        method: 'POST',
+        body: chunk,
+        silent: true,
+      });
+      return _normalizeTrack(data.track);
+    },
+
+    async update(tripId, trackId, trackData, options = {}) {
+      const data = await API.request(`/trips/${tripId}/tracks/${trackId}`, {
+        method: 'PUT',
+        body: trackData,
+        silent: !!options.silent,
+      });
+      return _normalizeTrack(data.track);
+    },
+
+    async delete(tripId, trackId) {
+      await API.request(`/trips/${tripId}/tracks/${trackId}`, {
+        method: 'DELETE',
+      });
+    },
+  },
+
   // Places search (Google Places via backend proxy)
   places: {
     async search(query, options = {}) {
@@ -1,6 +1,6 @@
 /**
  * App Core — state, init, shared utilities
- * Controllers (auth, trip, waypoint, journal, ride) extend this object via Object.assign.
+ * Controllers (auth, trip, waypoint, journal, ride, track, settings, offline, sync) extend this object via Object.assign.
  */
 const App = {
   currentTrip: null,
@@ -11,16 +11,41 @@ const App = {
   isRiding: false,
   isRefreshing: false,
   rideVisitedWaypoints: null,
+  rideSkippedWaypoints: null,
+  rideLastPosition: null,
+  rideNextStopId: null,
+  rideWakeLock: null,
+  rideWakeLockRequest: null,
+  rideRouteFallback: null,
+  rideOnRouteIdx: null,
   rideRerouting: false,
   offRouteCounter: 0,
   lastRerouteAt: 0,
+  rideMatchIdx: null,
+  rideVoiceSpoken: null,
+  rideSimulated: false,
+  rideStats: null,
+  rideArrivals: null,
+  simGpx: null,
+  rideTrack: null,
+  rideStartedAt: null,
+  lastRideCheckpointAt: 0,
+  pendingUpdateReload: false,
   loginPromptShown: false,
   tripDetailId: null,
   tripListCache: [],
   tripDataCache: {},
-  waypointSaveToastAt: 0,
+  undoState: null,
   isReorderingWaypoints: false,
   tripWriteClock: {},
+  outboxPending: 0,
+  outboxReplay: null,
+  outboxNoticeAt: 0,
+  outboxRetryTimer: null,
+  outboxResolving: new Set(),
+  tripBases: {},
+  mergeDialog: Promise.resolve(),
+  staleResponses: {},
 
   async init() {
     console.log('Ride Trip Planner initializing...');
@@ -31,6 +56,7 @@ const App = {
 
     UI.init();
     MapManager.init();
+    Voice.init();
 
     const urlParams = new URLSearchParams(window.location.search);
     const sharedTripId = urlParams.get('trip');
@@ -46,11 +72,14 @@ const App = {
       UI.showLandingGate();
     }
 
+    if (TripStore.isAvailable()) {
+      await TripStore.migrateLegacy().catch(err => console.warn('Moving saved trips to IndexedDB failed', err));
+    }
     await this.checkAuth();
-    Storage.clearTrips();
 
     window.addEventListener('ride:auth-expired', () => this.handleAuthExpired());
     window.addEventListener('ride:connection-lost', (e) => this.handleConnectionLost(e?.detail));
+    window.addEventListener('ride:api-freshness', (e) => this.noteDataFreshness(e.detail));
 
     this.configureLoginLinks();
     if (!this.isSharedView) this.showLoginPromptIfNeeded();
@@ -66,6 +95,8 @@ const App = {
       await this.loadSharedTrip(sharedTripId, isEmbed);
     } else {
       await this.loadInitialTrip();
+      this.offerRideResume();
+      this.initOutbox();
     }
 
     this.refreshTripsList();
@@ -77,15 +108,27 @@ const App = {
   handleOnlineChange(online) {
     this.isOnline = online;
     UI.showToast(online ? 'Back online' : 'You are offline', online ? 'success' : 'info');
+    if (online && this.rideRouteFallback) this.retryRideReroute();
+    if (online && this.outboxPending) this.replayOutbox();
+    this.renderOutboxStatus();
+    // Back online, everything shown is refetched (see bindSessionRefresh)
+    if (online) {
+      this.staleResponses = {};
+      this.renderStaleDataStatus();
+    }
   },
 
-  ensureEditable(action = 'make changes') {
+  /**
+   * Pass `{ offline: true }` for edits that can be queued in the outbox
+   * (sync-controller.js) when there is no connection.
+   */
+  ensureEditable(action = 'make changes', { offline = false } = {}) {
     if (!this.currentUser || !this.useCloud) {
       UI.showToast(`Sign in to ${action}.`, 'error');
       UI.showAuthGate('Signed out');
       return false;
     }
-    if (!this.isOnline) {
+    if (!this.isOnline && !(offline && this.outboxAvailable())) {
       UI.showToast('Offline. Editing is disabled until you reconnect.', 'error');
       return false;
     }
@@ -124,11 +167,15 @@ const App = {
 
   formatDistance(m) { return RideUtils.formatDistance(m); },
   formatDuration(s) { return RideUtils.formatDuration(s); },
+  formatSpeed(ms) { return RideUtils.formatSpeed(ms); },
 
   /** Clear all trip-related UI (used on logout / auth fail) */
   _clearTripUI() {
     this.currentTrip = null;
+    this.resetUndo(null);
     this.tripListCache = [];
+    this.staleResponses = {};
+    this.renderStaleDataStatus();
     MapManager.clear();
     UI.renderTrips([], null);
     UI.renderWaypoints([]);
@@ -142,7 +189,10 @@ const App = {
   bindEvents() {
     this.bindJournalAttachmentPicker();
     this.bindWaypointDetails();
+    this.bindUndoKeys();
     this.bindRideControls();
+    this.bindSettings();
+    this.bindOfflinePacks();
   },
 
   bindTripDetails() {
@@ -156,6 +206,9 @@ const App = {
     const focusYInput = document.getElementById('tripDetailCoverFocusY');
 
     if (form) form.addEventListener('submit', e => { e.preventDefault(); this.saveTripDetails(); });
+    // What the routing server can avoid depends on the profile
+    document.getElementById('tripDetailRoutingProfile')?.addEventListener('change', () => this.renderRouteAvoid());
+    document.getElementById('tripDetailAvoid')?.addEventListener('change', () => this.updateRouteAvoidNote());
     if (coverFileBtn && coverFileInput) {
       coverFileBtn.addEventListener('click', () => coverFileInput.click());
       coverFileInput.addEventListener('change', () => {
@@ -242,7 +295,7 @@ const App = {
         const res = await API.request(`/s/${shareId}`);
         sharedData = res.trip || res;
       } else {
-        sharedData = Share.loadSharedTrip(shareId);
+        sharedData = await Share.loadSharedTrip(shareId);
       }
       if (sharedData) {
         const trip = Trip.create(sharedData.name);
@@ -70,6 +70,7 @@ Object.assign(App, {
           Storage.clearTrips();
           Storage.setTripOrder([]);
         }
+        await this.discardOutbox(user.id);
         localStorage.setItem('ride_last_user_id', user.id);
         this.currentUser = user;
         this.useCloud = true;
@@ -99,6 +100,8 @@ Object.assign(App, {
       return;
     }
     const kind = detail?.kind;
+    // Known to be offline: keep the session so cached trips stay readable (and editable via the outbox)
+    if (kind === 'network' && !navigator.onLine) return;
     const reason = kind === 'network'
       ? 'Signed out — connection lost.'
       : 'Signed out — server unavailable.';
@@ -217,8 +220,14 @@ Object.assign(App, {
   },
 
   async logout() {
+    // Queued edits are dropped on sign-out so the next account can't send them
+    if (this.outboxPending && !window.confirm(`Changes made offline have not synced yet (${this.outboxPending} unsynced). Signing out discards them. Sign out anyway?`)) return;
     try { await API.auth.logout(); } catch (e) {}
+    await this.discardOutbox();
+    // The service worker also clears on a successful logout; this covers signing out offline
+    navigator.serviceWorker?.controller?.postMessage({ type: 'ride:api-cache-clear' });
     Storage.clearTrips();
+    Storage.remove(Storage.KEYS.RIDE_STATE);
     const dropdown = document.querySelector('.user-dropdown');
     if (dropdown) dropdown.remove();
     this._setAuthState('UNAUTHENTICATED', 'Signed out');
@@ -0,0 +1,206 @@
+/**
+ * History Controller — a trip's change history in trip details, and
+ * restoring the trip to an earlier version
+ * Extends App object (loaded after app-core.js)
+ *
+ * Events come from GET /api/trips/:id/history, newest first. Runs of the
+ * same kind of change made together (a reorder, a restore) show as one row.
+ */
+Object.assign(App, {
+  HISTORY_NOUNS: {
+    waypoint: ['waypoint', 'waypoints'],
+    journal: ['note', 'notes'],
+    attachment: ['file', 'files']
+  },
+
+  /* --- Describing events --- */
+
+  /**
+   * { key, text, count } for one event. Events with the same key next to
+   * each other are grouped; `count` turns text into "… 3 waypoints".
+   */
+  describeTripEvent(event) {
+    const { entity, op } = event;
+    const before = event.before || {};
+    const after = event.after || {};
+
+    if (entity === 'trip') {
+      if (op === 'baseline') return { key: 'start', text: 'History starts' };
+      if (op === 'restore') return { key: `restore:${event.seq}`, text: 'Restored an earlier version' };
+      const changed = Object.keys(after).filter(k => before[k] !== after[k]);
+      const settingsBefore = JSON.parse(before.settings || '{}');
+      const settingsAfter = JSON.parse(after.settings || '{}');
+      const orderOnly = changed.length === 1 && changed[0] === 'settings'
+        && JSON.stringify({ ...settingsBefore, waypoint_order: null }) === JSON.stringify({ ...settingsAfter, waypoint_order: null });
+      if (orderOnly) return { key: 'order', text: 'Reordered waypoints' };
+
+      const parts = [];
+      if (changed.includes('name')) parts.push(`Renamed the trip to "${after.name}"`);
+      if (changed.includes('description')) parts.push('Edited the description');
+      if (changed.includes('is_public')) parts.push(after.is_public ? 'Made the trip public' : 'Made the trip private');
+      if (changed.some(k => k.startsWith('cover_'))) parts.push('Changed the cover image');
+      if (changed.some(k => k.startsWith('public_'))) parts.push('Edited the public page');
+      if (changed.includes('settings') && !orderOnly) parts.push('Changed trip settings');
+      const text = parts.join(' · ') || 'Edited the trip';
+      return { key: `trip:${text}`, text };
+    }
+
+    const [noun, nouns] = this.HISTORY_NOUNS[entity] || ['item', 'items'];
+    const row = op === 'delete' ? before : after;
+    const label = row.name || row.title || row.original_name || '';
+    if (op === 'update' && entity === 'waypoint') {
+      const moved = Object.keys(after).filter(k => before[k] !== after[k]);
+      if (moved.length === 1 && moved[0] === 'sort_order') return { key: 'order', text: 'Reordered waypoints' };
+    }
+    const verb = { insert: 'Added', update: 'Edited', delete: 'Deleted' }[op] || 'Changed';
+    return {
+      key: `${entity}:${op}`,
+      text: label ? `${verb} ${noun} "${label}"` : `${verb} a ${noun}`,
+      count: n => `${verb} ${n} ${nouns}`
+    };
+  },
+
+  /** Who made a change: empty for the signed-in user, 'system' for scheduled maintenance */
+  describeTripActor(event) {
+    if (event.actorId === 'system') return 'scheduled maintenance';
+    if (!event.actorId || event.actorId === this.currentUser?.id) return '';
+    return event.actorName || 'another account';
+  },
+
+  /** Event rows as history rows: { text, version, createdAt, actor, events } */
+  groupTripHistory(events) {
+    const groups = [];
+    let restore = null;
+    events.forEach((event) => {
+      // A restore marker comes after the changes the restore made; fold them into it
+      if (restore && event.version > restore.from && event.version <= restore.to) {
+        restore.group.events.push(event);
+        return;
+      }
+      restore = null;
+      const about = this.describeTripEvent(event);
+      const last = groups[groups.length - 1];
+      if (last && last.key === about.key && last.createdAt === event.createdAt && last.actor === this.describeTripActor(event)) {
+        last.events.push(event);
+        if (about.count) last.text = about.count(last.events.length);
+        return;
+      }
+      const group = {
+        key: about.key, text: about.text, version: event.version, createdAt: event.createdAt,
+        actor: this.describeTripActor(event), events: [event]
+      };
+      groups.push(group);
+      if (event.op === 'restore') restore = { group, from: Number(event.after?.from_version), to: event.version };
+    });
+    return groups;
+  },
+
+  /** SQLite datetime('now') is UTC without a zone */
+  parseHistoryTime(value) {
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${String(value).replace(' ', 'T')}Z`);
+  },
+
+  /* --- History in trip details --- */
+
+  /** Show the trip's history; `more` appends the next (older) page */
+  async renderTripHistory(tripId, { more = false } = {}) {
+    const list = document.getElementById('tripDetailHistory');
+    if (!list) return;
+    const previous = more && this.tripHistory?.tripId === tripId ? this.tripHistory : null;
+    if (!previous) {
+      this.tripHistory = null;
+      list.innerHTML = '<p class="microcopy">Loading history…</p>';
+    }
+
+    let page;
+    try {
+      page = await API.trips.history(tripId, previous?.nextBefore);
+    } catch (err) {
+      console.error('Load history failed:', err);
+      if (!previous) list.innerHTML = '<p class="microcopy">Could not load the change history.</p>';
+      else UI.showToast('Could not load older changes', 'error');
+      return;
+    }
+    // Modal may have moved on to another trip while we were waiting
+    if (document.getElementById('tripDetailsModal')?.dataset.tripId !== tripId) return;
+
+    this.tripHistory = {
+      tripId,
+      version: previous?.version ?? page.version,
+      restorableFrom: page.restorableFrom,
+      events: [...(previous?.events || []), ...page.events],
+      nextBefore: page.nextBefore
+    };
+    const { events, restorableFrom, nextBefore } = this.tripHistory;
+    if (!events.length) {
+      list.innerHTML = '<p class="microcopy">No changes recorded yet.</p>';
+      return;
+    }
+
+    const groups = this.groupTripHistory(events);
+    list.innerHTML = groups.map((group, i) => {
+      const when = this.parseHistoryTime(group.createdAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+      const canRestore = i > 0 && restorableFrom !== null && group.version >= restorableFrom;
+      return `<div class="history-item" data-version="${group.version}" data-when="${UI.escapeHtml(when)}">
+        <div class="history-item-text">
+          <div class="history-item-name">${UI.escapeHtml(group.text)}</div>
+          <div class="microcopy">${UI.escapeHtml([when, group.actor].filter(Boolean).join(' · '))}</div>
+        </div>
+        ${canRestore ? '<button type="button" class="link-btn" data-action="restore">Restore</button>' : ''}
+      </div>`;
+    }).join('') + (nextBefore ? '<button type="button" class="link-btn" data-action="older">Show older changes</button>' : '');
+
+    list.querySelectorAll('.history-item').forEach((item) => {
+      const version = Number(item.dataset.version);
+      const when = item.dataset.when || '';
+      item.querySelector('[data-action="restore"]')?.addEventListener('click', () => this.restoreTripVersion(tripId, version, when));
+    });
+    list.querySelector('[data-action="older"]')?.addEventListener('click', () => this.renderTripHistory(tripId, { more: true }));
+  },
+
+  /**
+   * Roll the trip back to how it was right after the change at `version`.
+   * Sent with the version the history was loaded at, so changes made since
+   * elsewhere are never undone unseen.
+   */
+  async restoreTripVersion(tripId, version, when) {
+    if (!this.ensureEditable('restore earlier versions')) return;
+    if ((await this.tripsWithQueuedEdits()).has(tripId)) {
+      UI.showToast('Offline changes are still syncing. Try again once they are sent.', 'info');
+      return;
+    }
+    if (!window.confirm(`Restore this trip to how it was on ${when}? Changes made since then are undone, and can be brought back from the history.`)) return;
+
+    const seen = this.tripHistory?.tripId === tripId ? this.tripHistory.version : null;
+    try {
+      await API.trips.restore(tripId, version, {
+        headers: Number.isFinite(seen) ? { 'If-Match': String(seen) } : {}
+      });
+    } catch (err) {
+      console.error('Restore failed:', err);
+      if (err.status === 409) {
+        UI.showToast('The trip changed on another device. Check the history and try again.', 'error');
+        this.renderTripHistory(tripId);
+      } else {
+        UI.showToast('Failed to restore the trip', 'error');
+      }
+      return;
+    }
+
+    try {
+      const trip = this.prepareTripData(await this.fetchLatestTrip(tripId));
+      if (this.currentTrip?.id === tripId) {
+        this.loadTripData(trip);
+      } else {
+        this.setTripBase(trip);
+        this.cacheTripData(trip);
+      }
+      if (document.getElementById('tripDetailsModal')?.dataset.tripId === tripId) this.fillTripDetailsForm(trip);
+      this.refreshTripsList();
+      UI.showToast('Trip restored', 'success');
+    } catch (err) {
+      console.error('Reload after restore failed:', err);
+      UI.showToast('Trip restored. Refresh to see it.', 'info');
+    }
+  }
+});
@@ -0,0 +1,61 @@
+/**
+ * IDB — small promise helpers around IndexedDB
+ *
+ * Shared by the page and the service worker (importScripts), so it only
+ * uses what both have: indexedDB and `self`.
+ */
+const IDB = {
+  _databases: {},
+
+  /**
+   * Open (and cache) a database. `upgrade(db, oldVersion)` creates stores.
+   * Connections close themselves when another context upgrades the schema.
+   */
+  open(name, version, upgrade) {
+    if (!this._databases[name]) {
+      const opening = new Promise((resolve, reject) => {
+        const req = indexedDB.open(name, version);
+        req.onupgradeneeded = (event) => upgrade(req.result, event.oldVersion);
+        req.onsuccess = () => {
+          const db = req.result;
+          db.onversionchange = () => {
+            db.close();
+            delete this._databases[name];
+          };
+          resolve(db);
+        };
+        req.onerror = () => reject(req.error);
+      });
+      this._databases[name] = opening;
+      opening.catch(() => { delete this._databases[name]; });
+    }
+    return this._databases[name];
+  },
+
+  /**
+   * Run `fn(store)` in a transaction. Resolves with whatever fn returned once
+   * the transaction completes, so request callbacks may fill in a returned object.
+   */
+  transaction(db, storeName, mode, fn) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const result = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+
+  /** Every record in a store, in key order */
+  getAll(db, storeName) {
+    return this.transaction(db, storeName, 'readonly', (store) => {
+      const out = [];
+      const req = store.getAll();
+      req.onsuccess = () => out.push(...req.result);
+      return out;
+    });
+  }
+};
+
+// Shared with the service worker, where there is no window
+self.IDB = IDB;
@@ -78,35 +78,110 @@ Object.assign(App, {
   },
 
   async addJournalEntry(data) {
-    if (!this.currentTrip || !this.ensureEditable('add notes')) return null;
+    if (!this.currentTrip || !this.ensureEditable('add notes', { offline: true })) return null;
+    // Links and ride-log fields are only given when an undo brings a note back
+    const body = {
+      title: data.title, content: data.content, is_private: data.isPrivate, tags: data.tags,
+      waypoint_id: data.waypointId, location: data.location, arrived_at: data.arrivedAt,
+      departed_at: data.departedAt, odometer: data.odometer
+    };
+    const now = new Date().toISOString();
+    const draft = {
+      id: Outbox.newTempId(), title: data.title, content: data.content || '',
+      isPrivate: !!data.isPrivate, tags: data.tags || [], location: data.location ?? null,
+      waypointId: data.waypointId ?? null, arrivedAt: data.arrivedAt ?? null,
+      departedAt: data.departedAt ?? null, odometer: data.odometer ?? null,
+      createdAt: now, updatedAt: now, attachments: []
+    };
     let entry;
+    if (this.shouldQueueEdits()) {
+      entry = draft;
+      if (!await this.queueTripEdit({
+        method: 'POST', path: `/trips/${this.currentTrip.id}/journal`, body, creates: entry.id, label: `note "${data.title}"`
+      })) return null;
+      if (!this.currentTrip.journal) this.currentTrip.journal = [];
+      this.currentTrip.journal.push(entry);
+      UI.renderJournal(this.currentTrip.journal);
+      this.recordUndo(this.addJournalEntryUndo(entry, data), 'Note added');
+      return entry;
+    }
     try {
-      entry = await API.journal.add(this.currentTrip.id, {
-        title: data.title, content: data.content,
-        is_private: data.isPrivate, tags: data.tags
-      });
+      const res = await API.journal.add(this.currentTrip.id, body, { headers: this.getTripIfMatchHeaders() });
+      this.applyTripMetaFromResponse(this.currentTrip, res);
+      entry = res.entry;
       if (!this.currentTrip.journal) this.currentTrip.journal = [];
       entry.attachments = [];
       this.currentTrip.journal.push(entry);
+      this.markTripWritten(this.currentTrip.id);
     } catch (error) {
       console.error('Failed to add journal entry:', error);
+      if (error.status === 409 || error.status === 428) {
+        // Keep the note (under its temporary id) so the conflict merge can add it
+        this.currentTrip.journal = [...(this.currentTrip.journal || []), draft];
+        await this.handleTripConflict(error);
+        return draft;
+      }
       UI.showToast('Note not saved to cloud.', 'error');
       return null;
     }
     UI.renderJournal(this.currentTrip.journal);
+    this.recordUndo(this.addJournalEntryUndo(entry, data), 'Note added');
     return entry;
   },
 
+  /** Undo entry for a note just added: delete it, or add it again */
+  addJournalEntryUndo(entry, data) {
+    return {
+      label: 'Add note',
+      undo: () => this.deleteJournalEntry(this.undoTarget(entry.id)),
+      redo: async () => {
+        const added = await this.addJournalEntry(data);
+        if (added) this.remapUndoId(this.undoTarget(entry.id), added.id);
+      }
+    };
+  },
+
   async updateJournalEntry(entryId, data) {
-    if (!this.currentTrip || !this.ensureEditable('update notes')) return null;
+    if (!this.currentTrip || !this.ensureEditable('update notes', { offline: true })) return null;
+    const body = { title: data.title, content: data.content, is_private: data.isPrivate, tags: data.tags };
+    const was = (this.currentTrip.journal || []).find(e => e.id === entryId);
+    const undo = was && this.undoableChange(
+      'Edit note',
+      { title: was.title, content: was.content || '', isPrivate: !!was.isPrivate, tags: [...(was.tags || [])] },
+      { title: data.title, content: data.content, isPrivate: data.isPrivate, tags: data.tags },
+      values => this.updateJournalEntry(this.undoTarget(entryId), values)
+    );
+    const applyLocally = () => {
+      const idx = this.currentTrip.journal.findIndex(e => e.id === entryId);
+      if (idx < 0) return null;
+      this.currentTrip.journal[idx] = {
+        ...this.currentTrip.journal[idx], title: data.title, content: data.content,
+        isPrivate: !!data.isPrivate, tags: data.tags || [], updatedAt: new Date().toISOString()
+      };
+      return this.currentTrip.journal[idx];
+    };
     let updated;
+    if (this.shouldQueueEdits()) {
+      if (!await this.queueTripEdit({
+        method: 'PUT', path: `/trips/${this.currentTrip.id}/journal/${entryId}`, body, label: `note "${data.title}"`
+      })) return null;
+      updated = applyLocally();
+      UI.renderJournal(this.currentTrip.journal);
+      this.recordUndo(undo, 'Note updated');
+      return updated || null;
+    }
     try {
-      updated = await API.journal.update(this.currentTrip.id, entryId, {
-        title: data.title, content: data.content,
-        is_private: data.isPrivate, tags: data.tags
-      });
+      const res = await API.journal.update(this.currentTrip.id, entryId, body, { headers: this.getTripIfMatchHeaders() });
+      this.applyTripMetaFromResponse(this.currentTrip, res);
+      updated = res.entry;
     } catch (error) {
       console.error('Failed to update journal entry:', error);
+      if (error.status === 409 || error.status === 428) {
+        // Keep the edit so the conflict merge can carry it over
+        updated = applyLocally();
+        await this.handleTripConflict(error);
+        return updated;
+      }
       UI.showToast('Note not updated in cloud.', 'error');
       return null;
     }
@@ -117,35 +192,92 @@ Object.assign(App, {
         this.currentTrip.journal[idx] = { ...updated, attachments: existing?.attachments || [] };
       }
     }
+    this.markTripWritten(this.currentTrip.id);
     UI.renderJournal(this.currentTrip.journal);
+    this.recordUndo(undo, 'Note updated');
     return updated;
   },
 
   async deleteJournalEntry(entryId) {
-    if (!this.currentTrip || !this.ensureEditable('delete notes')) return;
-    try { await API.journal.delete(this.currentTrip.id, entryId); }
-    catch (error) {
+    if (!this.currentTrip || !this.ensureEditable('delete notes', { offline: true })) return;
+    const undo = this.deleteJournalEntryUndo(entryId);
+    if (this.shouldQueueEdits()) {
+      if (!await this.queueTripEdit({
+        method: 'DELETE', path: `/trips/${this.currentTrip.id}/journal/${entryId}`, label: 'delete note'
+      })) return;
+      Trip.removeJournalEntry(this.currentTrip, entryId);
+      UI.renderJournal(this.currentTrip.journal);
+      this.recordUndo(undo, 'Note deleted');
+      return;
+    }
+    try {
+      const res = await API.journal.delete(this.currentTrip.id, entryId, { headers: this.getTripIfMatchHeaders() });
+      this.applyTripMetaFromResponse(this.currentTrip, res);
+    } catch (error) {
       console.error('Failed to delete journal entry:', error);
+      if (error.status === 409 || error.status === 428) {
+        Trip.removeJournalEntry(this.currentTrip, entryId);
+        await this.handleTripConflict(error);
+        return;
+      }
       UI.showToast('Delete failed on cloud.', 'error');
       return;
     }
     Trip.removeJournalEntry(this.currentTrip, entryId);
+    this.markTripWritten(this.currentTrip.id);
     this.saveCurrentTrip();
     UI.renderJournal(this.currentTrip.journal);
-    UI.showToast('Note deleted', 'success');
+    this.recordUndo(undo, 'Note deleted');
+  },
+
+  /**
+   * Undo entry for deleting a note: take it out of the trash, where it kept
+   * its files and its link to a waypoint
+   */
+  deleteJournalEntryUndo(entryId) {
+    const entry = (this.currentTrip.journal || []).find(e => e.id === entryId);
+    if (!entry) return null;
+    return {
+      label: 'Delete note',
+      undo: () => this.restoreJournalEntry({ ...entry, id: this.undoTarget(entryId) }),
+      redo: () => this.deleteJournalEntry(this.undoTarget(entryId))
+    };
+  },
+
+  /**
+   * Bring a deleted note back from the trash (undo of a delete). Online the
+   * trip is reloaded from the server; while the restore is queued, the copy
+   * kept here stands in for it.
+   */
+  async restoreJournalEntry(entry) {
+    if (!this.currentTrip || !this.ensureEditable('restore notes', { offline: true })) return false;
+    const queued = this.shouldQueueEdits();
+    if (!await this.restoreTripItem('journal', entry.id)) return false;
+    if (queued || !await this.reloadRestoredTrip()) {
+      this.currentTrip.journal = [...(this.currentTrip.journal || []).filter(e => e.id !== entry.id), entry];
+      UI.renderJournal(this.currentTrip.journal);
+    }
+    this.recordUndo(null, 'Note restored');
+    return true;
   },
 
   async uploadJournalAttachment(entryId, file) {
-    if (!this.currentTrip || !this.ensureEditable('upload attachments')) return;
-    try {
-      UI.showToast('Uploading attachment...', 'info');
-      const attachment = await API.attachments.upload(this.currentTrip.id, file, { journal_entry_id: entryId });
+    if (!this.currentTrip || !this.ensureEditable('upload attachments', { offline: true })) return;
+    if (this.shouldQueueEdits()) {
+      const attachment = await this.queueAttachmentUpload(file, { journal_entry_id: entryId });
+      if (!attachment) return;
       this.addAttachmentToEntry(entryId, attachment, true);
-      UI.showToast('Attachment uploaded', 'success');
-    } catch (err) {
-      console.error('Attachment upload failed', err);
-      UI.showToast('Attachment upload failed', 'error');
-      return;
+    } else {
+      try {
+        UI.showToast('Uploading attachment...', 'info');
+        const attachment = await API.attachments.upload(this.currentTrip.id, file, { journal_entry_id: entryId });
+        this.addAttachmentToEntry(entryId, attachment, true);
+        UI.showToast('Attachment uploaded', 'success');
+      } catch (err) {
+        console.error('Attachment upload failed', err);
+        UI.showToast('Attachment upload failed', 'error');
+        return;
+      }
     }
     UI.renderJournal(this.currentTrip.journal);
     const entry = (this.currentTrip.journal || []).find(e => e.id === entryId);
@@ -183,15 +315,28 @@ Object.assign(App, {
   },
 
   async deleteAttachment(attachmentId, entryId) {
-    if (!this.currentTrip || !this.ensureEditable('remove attachments')) return;
-    try {
-      await API.attachments.delete(attachmentId, { headers: this.getTripIfMatchHeaders() });
+    if (!this.currentTrip) return;
+    // Uploads still waiting in the outbox are withdrawn rather than deleted
+    const pending = this.currentTrip.attachments?.find(a => a.id === attachmentId && a.pending);
+    if (pending) {
+      if (!await this.cancelQueuedUpload(attachmentId)) {
+        UI.showToast('This upload is already being sent. Remove it once it has synced.', 'info');
+        return;
+      }
+      URL.revokeObjectURL(pending.url);
       this.removeAttachmentFromState(attachmentId);
-      UI.showToast('Attachment removed', 'success');
-    } catch (err) {
-      console.error('Failed to delete attachment', err);
-      UI.showToast('Could not delete attachment', 'error');
-      return;
+      UI.showToast('Upload cancelled', 'success');
+    } else {
+      if (!this.ensureEditable('remove attachments')) return;
+      try {
+        await API.attachments.delete(attachmentId, { headers: this.getTripIfMatchHeaders() });
+        this.removeAttachmentFromState(attachmentId);
+        UI.showToast('Attachment removed', 'success');
+      } catch (err) {
+        console.error('Failed to delete attachment', err);
+        UI.showToast('Could not delete attachment', 'error');
+        return;
+      }
     }
     UI.renderJournal(this.currentTrip.journal || []);
     if (entryId) {
@@ -207,13 +352,25 @@ Object.assign(App, {
   },
 
   async addPhotoAttachment(file) {
-    if (!this.currentTrip || !this.ensureEditable('save photos')) return;
+    if (!this.currentTrip || !this.ensureEditable('save photos', { offline: true })) return;
     const title = `Photo ${new Date().toLocaleString()}`;
     let entry;
+    if (this.shouldQueueEdits()) {
+      // Queued note first, then the upload that points at its temporary id
+      entry = await this.addJournalEntry({ title, content: '', isPrivate: false, tags: [] });
+      if (!entry) return;
+      const attachment = await this.queueAttachmentUpload(file, { journal_entry_id: entry.id });
+      if (attachment) this.addAttachmentToEntry(entry.id, attachment, true);
+      UI.renderJournal(this.currentTrip.journal);
+      this.renderNoteAttachments(entry);
+      return;
+    }
     try {
-      entry = await API.journal.add(this.currentTrip.id, {
+      const res = await API.journal.add(this.currentTrip.id, {
         title, content: '', is_private: false, tags: []
-      });
+      }, { headers: this.getTripIfMatchHeaders() });
+      this.applyTripMetaFromResponse(this.currentTrip, res);
+      entry = res.entry;
       if (!this.currentTrip.journal) this.currentTrip.journal = [];
       entry.attachments = [];
       this.currentTrip.journal.push(entry);
@@ -236,7 +393,9 @@ Object.assign(App, {
   },
 
   async saveRouteData(routeData) {
-    if (!this.currentTrip || !this.ensureEditable('save routes')) return;
+    if (!this.currentTrip) return;
+    // Ride reroutes are never saved, so they must not depend on being able to edit
+    if (!this.isRiding && !this.ensureEditable('save routes')) return;
     const duration = routeData?.duration ?? routeData?.time ?? null;
     this.currentTrip.route = {
       ...routeData, duration, time: duration,
@@ -253,6 +412,7 @@ Object.assign(App, {
     // rerouted path) from being written to the trip and exposed on the public
     // trip page.
     if (this.isRiding) {
+      this.endReturnToRoute(false);
       UI.updateTripStats(this.currentTrip);
       return;
     }
@@ -266,5 +426,100 @@ Object.assign(App, {
     } else {
       UI.showToast('Route not saved', 'error');
     }
+  },
+
+  /* --- Automatic ride log (Settings → Ride log) --- */
+
+  RIDE_LOG_DEPART_M: 150,   // leaving this radius (or twice the arrival radius) records the departure
+
+  rideLogEnabled() {
+    return this.isRiding && !this.rideSimulated && this.useCloud && !!this.currentUser
+      && !!Storage.getSettings().autoArrivalJournal;
+  },
+
+  /** Log a journal entry for each waypoint reached on this fix */
+  logRideArrivals(waypoints, pos) {
+    if (!waypoints.length || !this.rideLogEnabled()) return;
+    if (!this.rideArrivals) this.rideArrivals = [];
+    const arrivedAt = new Date(this.rideClock(pos)).toISOString();
+    const odometer = Math.round(this.rideStats?.distance || 0);
+    const location = { lat: pos.lat, lng: pos.lng };
+    waypoints.forEach(wp => {
+      this.rideArrivals.push({ waypointId: wp.id, lat: wp.lat, lng: wp.lng, radius: this.waypointArrivalRadius(wp), arrivedAt });
+      const title = `Arrived at ${wp.name || 'waypoint'}`;
+      const entry = {
+        id: Outbox.newTempId(), title, content: '', isPrivate: true, tags: ['ride-log'], location,
+        waypointId: wp.id, arrivedAt, departedAt: null, odometer,
+        createdAt: arrivedAt, updatedAt: arrivedAt, attachments: []
+      };
+      this.sendRideLog({
+        method: 'POST',
+        path: `/trips/${this.currentTrip.id}/journal`,
+        body: {
+          title, content: '', is_private: true, tags: ['ride-log'], waypoint_id: wp.id, location,
+          arrived_at: arrivedAt, odometer
+        },
+        creates: entry.id,
+        label: `ride log "${title}"`
+      }, entry);
+    });
+    this.checkpointRide();
+  },
+
+  /** Stamp the departure once the rider has left a logged stop */
+  checkRideDepartures(pos) {
+    const left = (this.rideArrivals || []).filter(a => this.haversine(a, pos) > Math.max(this.RIDE_LOG_DEPART_M, 2 * (a.radius || 0)));
+    if (!left.length) return;
+    const departedAt = new Date(this.rideClock(pos)).toISOString();
+    this.rideArrivals = this.rideArrivals.filter(a => !left.includes(a));
+    left.forEach(a => {
+      // Looked up by stop and time, as the entry's id changes once its arrival is sent
+      const entry = (this.currentTrip.journal || []).find(e =>
+        e.waypointId === a.waypointId && Date.parse(e.arrivedAt) === Date.parse(a.arrivedAt));
+      if (!entry) return;
+      this.sendRideLog({
+        method: 'PUT',
+        path: `/trips/${this.currentTrip.id}/journal/${entry.id}`,
+        body: { departed_at: departedAt },
+        label: `ride log "${entry.title}"`
+      }, { ...entry, departedAt });
+    });
+    this.checkpointRide();
+  },
+
+  /**
+   * Save an arrival or departure through the outbox, so it is kept on the
+   * device until sent, however the ride ends. `entry` is the note as it
+   * will be. Without IndexedDB the write is tried once.
+   */
+  async sendRideLog(op, entry) {
+    const tripId = this.currentTrip.id;
+    if (this.outboxAvailable()) {
+      if (await this.queueTripEdit(op)) this.upsertJournalEntry(tripId, entry);
+      return;
+    }
+    try {
+      const res = op.method === 'POST'
+        ? await API.journal.add(tripId, op.body, { silent: true })
+        : await API.journal.update(tripId, entry.id, op.body, { silent: true });
+      this.upsertJournalEntry(tripId, res.entry);
+    } catch (err) {
+      console.warn('Ride log not saved', err);
+    }
+  },
+
+  /** Insert or replace an entry in the loaded trip's journal */
+  upsertJournalEntry(tripId, entry) {
+    if (!entry || this.currentTrip?.id !== tripId) return;
+    if (!this.currentTrip.journal) this.currentTrip.journal = [];
+    const idx = this.currentTrip.journal.findIndex(e => e.id === entry.id);
+    if (idx >= 0) {
+      entry.attachments = this.currentTrip.journal[idx].attachments || [];
+      this.currentTrip.journal[idx] = entry;
+    } else {
+      entry.attachments = [];
+      this.currentTrip.journal.push(entry);
+    }
+    UI.renderJournal(this.currentTrip.journal);
   }
 });
@@ -7,6 +7,39 @@ const MapManager = {
 
   // Self-hosted OSRM routing endpoint (Cloudflare Tunnel → Docker)
   OSRM_SERVICE_URL: 'https://maps.incitat.io/route/v1',
+
+  // Routing profiles a trip can use (trip.settings.routingProfile). The key is
+  // the OSRM profile segment: <serviceUrl>/<key>/<coordinates>. osrm-routed
+  // answers with whatever profile its data was extracted with, so each
+  // profile needs its own instance: set serviceUrl, or leave it null and let
+  // the tunnel send the segment on OSRM_SERVICE_URL to the right one.
+  //
+  // excludable: the exclude= class combinations the server's .lua profile
+  // lists as `excludable` (OSRM rejects any other); these are the stock
+  // car.lua and bicycle.lua ones. avoidServers: for avoid options with no
+  // class, an instance extracted with a profile that leaves those roads out.
+  ROUTING_PROFILES: {
+    driving: { label: 'Car', serviceUrl: null, excludable: [['toll'], ['motorway'], ['ferry']], avoidServers: {} },
+    motorcycle: { label: 'Motorcycle', serviceUrl: null, excludable: [['toll'], ['motorway'], ['ferry']], avoidServers: {} },
+    cycling: { label: 'Bicycle', serviceUrl: null, excludable: [['ferry']], avoidServers: {} },
+    foot: { label: 'On foot', serviceUrl: null, excludable: [], avoidServers: {} }
+  },
+  DEFAULT_ROUTING_PROFILE: 'driving',
+
+  // What a trip can ask its route to avoid (trip.settings.avoid), and the
+  // OSRM exclude class for each
+  ROUTE_AVOID_OPTIONS: {
+    tolls: { label: 'Tolls', exclude: 'toll' },
+    motorways: { label: 'Motorways', exclude: 'motorway' },
+    ferries: { label: 'Ferries', exclude: 'ferry' },
+    unpaved: { label: 'Unpaved roads', exclude: 'unpaved' }
+  },
+
+  // The open trip's routing settings, used by planning and ride reroutes
+  routingProfile: 'driving',
+  routeAvoid: [],
+  TILE_URL: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  TILE_SUBDOMAINS: ['a', 'b', 'c'],
   waypointMarkers: {},
   isAddingWaypoint: false,
   pendingLocation: null,
@@ -16,6 +49,19 @@ const MapManager = {
   rideHeading: null,
   rideAccuracyCircle: null,
   ridePositionCb: null,
+  rideReplay: null,
+  rideProfile: null,
+  rideLastRedrawAt: 0,
+  trackLayer: null,
+  rejoinLayer: null,
+
+  // Ride power profiles: GPS options and how often the rider marker is redrawn.
+  // Every fix still reaches the ride callback; only map drawing is throttled.
+  ridePowerProfiles: {
+    performance: { label: 'Best accuracy', enableHighAccuracy: true, maximumAge: 0, redrawMs: 0 },
+    balanced: { label: 'Balanced', enableHighAccuracy: true, maximumAge: 5000, redrawMs: 1000 },
+    saver: { label: 'Battery saver', enableHighAccuracy: false, maximumAge: 15000, redrawMs: 5000 }
+  },
 
   // Waypoint type icons
   waypointIcons: {
@@ -28,10 +74,16 @@ const MapManager = {
   },
 
   /**
-   * Start riding mode: show live position and follow
+   * Start riding mode: show live position and follow.
+   * Pass `options.replay` (from RideSimulator.createReplay) to drive the ride
+   * from simulated fixes instead of the device GPS, and `options.profile` to
+   * pick one of ridePowerProfiles.
    */
-  startRide(onPosition) {
-    if (!('geolocation' in navigator)) {
+  startRide(onPosition, options = {}) {
+    const replay = options.replay || null;
+    this.rideProfile = this.ridePowerProfiles[options.profile] || this.ridePowerProfiles.balanced;
+    this.rideLastRedrawAt = 0;
+    if (!replay && !('geolocation' in navigator)) {
       UI.showToast('GPS not available on this device', 'error');
       return;
     }
@@ -49,45 +101,80 @@ const MapManager = {
 
     this.ridePositionCb = onPosition;
 
-    // Watch position
-    this.rideWatchId = navigator.geolocation.watchPosition(
-      (pos) => {
-        const { latitude, longitude, heading, accuracy } = pos.coords;
-        const latlng = [latitude, longitude];
-        this.rideHeading = heading;
-        this.rideMarker.setLatLng(latlng);
-        this.rideMarker.setIcon(this.createRideIcon(heading || 0));
-
-        // Auto-pan without spinning the map
-        const currentCenter = this.map.getCenter();
-        const distToCenter = this.haversineLatLng(currentCenter, latlng);
-        if (distToCenter > 30) {
-          this.map.panTo(latlng, { animate: true });
-        }
+    if (replay) {
+      this.rideReplay = replay;
+      replay.onPosition = (fix) => this.handleRidePosition(fix);
+      replay.start();
+      return;
+    }
 
-        if (!this.rideAccuracyCircle) {
-          this.rideAccuracyCircle = L.circle(latlng, { radius: accuracy || 20, color: '#60a5fa', weight: 1, fillOpacity: 0.08 }).addTo(this.map);
-        } else {
-          this.rideAccuracyCircle.setLatLng(latlng);
-          this.rideAccuracyCircle.setRadius(accuracy || 20);
-        }
+    this.watchRidePosition();
+  },
 
-        if (typeof this.ridePositionCb === 'function') {
-          this.ridePositionCb({ lat: latitude, lng: longitude, heading, accuracy });
-        }
+  watchRidePosition() {
+    const profile = this.rideProfile || this.ridePowerProfiles.balanced;
+    this.rideWatchId = navigator.geolocation.watchPosition(
+      (pos) => {
+        const { latitude, longitude, heading, accuracy, speed } = pos.coords;
+        this.handleRidePosition({ lat: latitude, lng: longitude, heading, accuracy, speed, timestamp: pos.timestamp });
       },
       (err) => {
         console.error('Ride GPS error', err);
         UI.showToast('GPS signal lost', 'error');
       },
       {
-        enableHighAccuracy: true,
-        maximumAge: 5000,
+        enableHighAccuracy: profile.enableHighAccuracy,
+        maximumAge: profile.maximumAge,
         timeout: 15000
       }
     );
   },
 
+  /** Switch power profile mid-ride; restarts the GPS watch with the new options */
+  setRidePowerProfile(name) {
+    this.rideProfile = this.ridePowerProfiles[name] || this.ridePowerProfiles.balanced;
+    if (this.rideWatchId === null || !navigator.geolocation) return;
+    navigator.geolocation.clearWatch(this.rideWatchId);
+    this.watchRidePosition();
+  },
+
+  /**
+   * Move the rider marker and hand the fix to the ride callback
+   */
+  handleRidePosition(fix) {
+    const now = Date.now();
+    const redrawMs = this.rideProfile?.redrawMs || 0;
+    if (redrawMs && now - this.rideLastRedrawAt < redrawMs) {
+      if (typeof this.ridePositionCb === 'function') this.ridePositionCb(fix);
+      return;
+    }
+    this.rideLastRedrawAt = now;
+
+    const { lat, lng, heading, accuracy } = fix;
+    const latlng = [lat, lng];
+    this.rideHeading = heading;
+    this.rideMarker?.setLatLng(latlng);
+    this.rideMarker?.setIcon(this.createRideIcon(heading || 0));
+
+    // Auto-pan without spinning the map
+    const currentCenter = this.map.getCenter();
+    const distToCenter = this.haversineLatLng(currentCenter, latlng);
+    if (distToCenter > 30) {
+      this.map.panTo(latlng, { animate: true });
+    }
+
+    if (!this.rideAccuracyCircle) {
+      this.rideAccuracyCircle = L.circle(latlng, { radius: accuracy || 20, color: '#60a5fa', weight: 1, fillOpacity: 0.08 }).addTo(this.map);
+    } else {
+      this.rideAccuracyCircle.setLatLng(latlng);
+      this.rideAccuracyCircle.setRadius(accuracy || 20);
+    }
+
+    if (typeof this.ridePositionCb === 'function') {
+      this.ridePositionCb(fix);
+    }
+  },
+
   /**
    * Stop riding mode tracking
    */
@@ -96,7 +183,13 @@ const MapManager = {
       navigator.geolocation.clearWatch(this.rideWatchId);
     }
     this.rideWatchId = null;
+    if (this.rideReplay) {
+      this.rideReplay.stop();
+      this.rideReplay = null;
+    }
     this.ridePositionCb = null;
+    this.rideProfile = null;
+    this.clearRejoinLine();
     if (this.rideMarker) {
       this.map.removeLayer(this.rideMarker);
       this.rideMarker = null;
@@ -118,18 +211,80 @@ const MapManager = {
   /** Delegate to shared utility */
   haversineLatLng(a, b) { return RideUtils.haversine(a, b); },
 
+  /** A known routing profile key, falling back to the default */
+  normalizeRoutingProfile(key) {
+    return this.ROUTING_PROFILES[key] ? key : this.DEFAULT_ROUTING_PROFILE;
+  },
+
+  /** Known avoid option keys from a trip's settings.avoid */
+  normalizeRouteAvoid(avoid) {
+    return Array.isArray(avoid) ? avoid.filter(key => this.ROUTE_AVOID_OPTIONS[key]) : [];
+  },
+
+  /** Route with a trip's profile and avoid options from now on */
+  setRouting(settings = {}) {
+    this.routingProfile = this.normalizeRoutingProfile(settings.routingProfile);
+    this.routeAvoid = this.normalizeRouteAvoid(settings.avoid);
+  },
+
+  /**
+   * How a route with this profile and these avoid options is asked for: the
+   * server, the exclude classes, and which options that covers (`applied`)
+   * or not (`skipped`). A server set for one of the options wins over an
+   * exclude; the other options are excluded on it where the profile allows.
+   * Only whole excludable combinations can be sent, so with several options
+   * the largest combination among them is used.
+   */
+  routePlan(profileKey = this.routingProfile, avoid = this.routeAvoid) {
+    const profile = this.ROUTING_PROFILES[this.normalizeRoutingProfile(profileKey)];
+    const wanted = this.normalizeRouteAvoid(avoid);
+    const served = wanted.find(key => profile.avoidServers?.[key]);
+    const classes = wanted.filter(key => key !== served).map(key => this.ROUTE_AVOID_OPTIONS[key].exclude);
+    const exclude = (profile.excludable || [])
+      .filter(set => set.every(c => classes.includes(c)))
+      .reduce((best, set) => (set.length > best.length ? set : best), []);
+    const applied = wanted.filter(key => key === served || exclude.includes(this.ROUTE_AVOID_OPTIONS[key].exclude));
+    return {
+      serviceUrl: profile.avoidServers?.[served] || profile.serviceUrl || this.OSRM_SERVICE_URL,
+      profile: this.normalizeRoutingProfile(profileKey),
+      exclude,
+      applied,
+      skipped: wanted.filter(key => !applied.includes(key))
+    };
+  },
+
+  /** OSRM router for L.Routing.control, for the open trip's routing settings */
+  createRouter() {
+    const plan = this.routePlan();
+    const router = L.Routing.osrmv1({ serviceUrl: plan.serviceUrl, profile: plan.profile });
+    if (plan.exclude.length) {
+      const buildRouteUrl = router.buildRouteUrl.bind(router);
+      router.buildRouteUrl = (waypoints, options) => `${buildRouteUrl(waypoints, options)}&exclude=${plan.exclude.join(',')}`;
+    }
+    return router;
+  },
+
   rerouteFromPosition(startPos, remainingWaypoints = []) {
     const startLatLng = L.latLng(startPos.lat, startPos.lng);
     const ordered = [startLatLng, ...remainingWaypoints.map(wp => L.latLng(wp.lat, wp.lng))];
 
-    // Clear existing route/control and rebuild
-    this.clearRoute();
+    if (ordered.length < 2) {
+      this.clearRoute();
+      return;
+    }
 
-    if (ordered.length < 2) return;
+    // No point asking OSRM from a dead zone; the ride falls back to the stored route
+    if (navigator.onLine === false) {
+      App.onRerouteFailed(new Error('offline'));
+      return;
+    }
 
-    this.routingControl = L.Routing.control({
+    // Keep the current line on the map until the new route arrives, so a
+    // failed request leaves the rider with the planned route to follow
+    const previous = this.routingControl;
+    const control = L.Routing.control({
       waypoints: ordered,
-      serviceUrl: this.OSRM_SERVICE_URL,
+      router: this.createRouter(),
       routeWhileDragging: false,
       showAlternatives: false,
       addWaypoints: false,
@@ -143,12 +298,26 @@ const MapManager = {
       createMarker: () => null,
       show: false
     }).addTo(this.map);
+    this.routingControl = control;
+
+    // Both handlers check the control is still current: clearRoute() or a
+    // newer request may have replaced it while this one was in flight
+    control.on('routingerror', (e) => {
+      if (this.routingControl !== control) return;
+      this.map.removeControl(control);
+      this.routingControl = previous;
+      App.onRerouteFailed(e.error || new Error('routing failed'));
+    });
 
-    this.routingControl.on('routesfound', (e) => {
+    control.on('routesfound', (e) => {
+      if (this.routingControl === control && previous && previous !== control) {
+        this.map.removeControl(previous);
+      }
       const route = e.routes[0];
       if (route) {
         const steps = (route.instructions || []).map((instr) => ({
           text: instr.text,
+          type: instr.type,
           distance: instr.distance,
           time: instr.time,
           index: instr.index
@@ -167,18 +336,26 @@ const MapManager = {
     });
   },
 
+  /** Slippy-map tile containing a point */
+  latLngToTile(lat, lng, z) {
+    const n = Math.pow(2, z);
+    const x = Math.floor((lng + 180) / 360 * n);
+    const y = Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * n);
+    return { x: Math.min(n - 1, Math.max(0, x)), y: Math.min(n - 1, Math.max(0, y)) };
+  },
+
+  /** Tile URL with the same subdomain Leaflet picks, so cached copies match its requests */
+  tileUrl(z, x, y) {
+    const sub = this.TILE_SUBDOMAINS[Math.abs(x + y) % this.TILE_SUBDOMAINS.length];
+    return this.TILE_URL.replace('{s}', sub).replace('{z}', z).replace('{x}', x).replace('{y}', y);
+  },
+
   prefetchTiles(coords) {
     if (!coords || !coords.length) return;
-    const tileUrl = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
-    const subs = ['a', 'b', 'c'];
     const zoom = Math.min(Math.max(Math.round(this.map?.getZoom?.() || 14), 10), 17);
     const radius = 2; // fetch 5x5 tiles around sampled points
 
-    const toTile = (lat, lng, z) => {
-      const x = Math.floor((lng + 180) / 360 * Math.pow(2, z));
-      const y = Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, z));
-      return { x, y };
-    };
+    const toTile = (lat, lng, z) => this.latLngToTile(lat, lng, z);
 
     const keyPoints = [coords[0], coords[Math.floor(coords.length / 2)], coords[coords.length - 1]].filter(Boolean);
     const fetched = new Set();
@@ -187,9 +364,8 @@ const MapManager = {
       const key = `${x}:${y}`;
       if (fetched.has(key)) return;
       fetched.add(key);
-      const sub = subs[Math.abs(x + y) % subs.length];
-      const url = tileUrl.replace('{s}', sub).replace('{z}', zoom).replace('{x}', x).replace('{y}', y);
-      fetch(url, { mode: 'no-cors' }).catch(() => {});
+      // CORS mode: an opaque no-cors response is never stored by the service worker
+      fetch(this.tileUrl(zoom, x, y), { mode: 'cors' }).catch(() => {});
     };
 
     keyPoints.forEach((pt) => {
@@ -222,7 +398,10 @@ const MapManager = {
     }).setView([-34.5386, 146.5933], 12);
 
     // Add tile layer (OpenStreetMap)
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    L.tileLayer(this.TILE_URL, {
+      subdomains: this.TILE_SUBDOMAINS,
+      // CORS tile requests, so the service worker can cache and size them
+      crossOrigin: true,
       attribution: '© OpenStreetMap contributors',
       maxZoom: 19
     }).addTo(this.map);
@@ -460,7 +639,7 @@ const MapManager = {
     // Create routing control
     this.routingControl = L.Routing.control({
       waypoints: routeWaypoints,
-      serviceUrl: this.OSRM_SERVICE_URL,
+      router: this.createRouter(),
       routeWhileDragging: true,
       showAlternatives: false,
       addWaypoints: true, // Allow adding waypoints by clicking on route
@@ -508,6 +687,62 @@ const MapManager = {
     }
   },
 
+  /**
+   * Dashed line from the rider to where they should rejoin the planned route
+   */
+  showRejoinLine(from, to) {
+    const latlngs = [[from.lat, from.lng], [to.lat, to.lng]];
+    if (this.rejoinLayer) {
+      this.rejoinLayer.setLatLngs(latlngs);
+      return;
+    }
+    this.rejoinLayer = L.polyline(latlngs, {
+      color: '#fbbf24',
+      weight: 4,
+      opacity: 0.9,
+      dashArray: '8 8',
+      interactive: false
+    }).addTo(this.map);
+  },
+
+  clearRejoinLine() {
+    if (this.rejoinLayer) {
+      this.map.removeLayer(this.rejoinLayer);
+      this.rejoinLayer = null;
+    }
+  },
+
+  /**
+   * Draw a recorded ride track over the planned route
+   */
+  showTrack(points, options = {}) {
+    this.clearTrack();
+    const latlngs = (points || []).map(p => [p.lat, p.lng]);
+    if (latlngs.length < 2) return;
+
+    this.trackLayer = L.polyline(latlngs, {
+      color: '#60a5fa',
+      weight: 4,
+      opacity: 0.9,
+      dashArray: '6 6',
+      interactive: false
+    }).addTo(this.map);
+
+    if (options.fit) {
+      this.map.fitBounds(this.trackLayer.getBounds(), { padding: [50, 50] });
+    }
+  },
+
+  /**
+   * Remove recorded track from map
+   */
+  clearTrack() {
+    if (this.trackLayer) {
+      this.map.removeLayer(this.trackLayer);
+      this.trackLayer = null;
+    }
+  },
+
   /**
    * Fit map to show all waypoints
    */
@@ -538,6 +773,7 @@ const MapManager = {
    */
   clear() {
     this.clearRoute();
+    this.clearTrack();
     Object.keys(this.waypointMarkers).forEach(id => {
       this.map.removeLayer(this.waypointMarkers[id]);
     });
@@ -0,0 +1,226 @@
+/**
+ * Offline Controller — offline map packs in trip details and settings
+ * Extends App object (loaded after app-core.js)
+ *
+ * One download runs at a time. Cancelling keeps what was fetched; starting
+ * again skips tiles already in the cache.
+ */
+Object.assign(App, {
+  bindOfflinePacks() {
+    const refresh = () => this.updateOfflinePackEstimate();
+    document.getElementById('offlineCorridor')?.addEventListener('change', refresh);
+    document.getElementById('offlineMaxZoom')?.addEventListener('change', refresh);
+    document.getElementById('offlinePackDownload')?.addEventListener('click', () => this.downloadOfflinePack());
+    document.getElementById('offlinePackCancel')?.addEventListener('click', () => this.offlineDownload?.controller.abort());
+    document.getElementById('offlinePackDelete')?.addEventListener('click', () => {
+      const tripId = this.offlinePackTrip?.id;
+      if (tripId) this.deleteOfflinePack(tripId);
+    });
+    if (this.tileStoreAvailable()) {
+      OfflinePacks.pinSavedPacks().catch(err => console.warn('Updating saved offline maps failed', err));
+      this.applyTileCacheLimit(Storage.getSettings());
+    }
+  },
+
+  tileStoreAvailable() {
+    return OfflinePacks.isSupported() && 'indexedDB' in window;
+  },
+
+  /** Hand the cache budget to TileStore (read by the service worker too) and trim to it */
+  async applyTileCacheLimit(settings) {
+    if (!this.tileStoreAvailable()) return;
+    try {
+      const limits = await TileStore.getLimits();
+      await TileStore.setLimits({ ...limits, maxBytes: settings.tileCacheMaxMB * 1024 * 1024 });
+      await TileStore.evict();
+    } catch (err) {
+      console.warn('Applying map cache limit failed', err);
+    }
+  },
+
+  /** Selected corridor and zoom range from the trip details form */
+  offlinePackOptions() {
+    const corridorM = Number(document.getElementById('offlineCorridor')?.value) || OfflinePacks.DEFAULTS.corridorM;
+    const maxZoom = Number(document.getElementById('offlineMaxZoom')?.value) || OfflinePacks.DEFAULTS.maxZoom;
+    return { corridorM, minZoom: Math.min(OfflinePacks.DEFAULTS.minZoom, maxZoom), maxZoom };
+  },
+
+  renderTripOfflinePack(trip) {
+    this.offlinePackTrip = { id: trip.id, name: trip.name || 'Trip', coordinates: trip.route?.coordinates || [] };
+    const pack = OfflinePacks.getPack(trip.id);
+    if (pack) {
+      const corridor = document.getElementById('offlineCorridor');
+      const zoom = document.getElementById('offlineMaxZoom');
+      if (corridor && pack.corridorM) corridor.value = String(pack.corridorM);
+      if (zoom && pack.maxZoom) zoom.value = String(pack.maxZoom);
+    }
+    this.updateOfflinePackEstimate();
+  },
+
+  updateOfflinePackEstimate() {
+    const trip = this.offlinePackTrip;
+    const estimate = document.getElementById('offlinePackEstimate');
+    const status = document.getElementById('offlinePackStatus');
+    const downloadBtn = document.getElementById('offlinePackDownload');
+    if (!trip || !estimate) return;
+
+    const downloading = this.offlineDownload?.tripId === trip.id;
+    const busyElsewhere = !!this.offlineDownload && !downloading;
+    const pack = OfflinePacks.getPack(trip.id);
+    document.getElementById('offlinePackProgress')?.classList.toggle('hidden', !downloading);
+    document.getElementById('offlinePackCancel')?.classList.toggle('hidden', !downloading);
+    document.getElementById('offlinePackDelete')?.classList.toggle('hidden', !pack || downloading);
+
+    if (!OfflinePacks.isSupported()) {
+      estimate.textContent = 'Offline maps are not supported in this browser.';
+      downloadBtn.disabled = true;
+      return;
+    }
+    if (trip.coordinates.length < 2) {
+      estimate.textContent = 'Plan a route first, then download the map along it.';
+      downloadBtn.disabled = true;
+      return;
+    }
+
+    const { keys, tooLarge } = OfflinePacks.planTiles(trip.coordinates, this.offlinePackOptions());
+    estimate.textContent = tooLarge
+      ? `Too large to download (over ${OfflinePacks.MAX_TILES.toLocaleString()} tiles). Pick a narrower corridor or less detail.`
+      : `${keys.length.toLocaleString()} tiles, about ${OfflinePacks.formatBytes(OfflinePacks.estimateBytes(keys.length))}`;
+    downloadBtn.disabled = tooLarge || downloading || busyElsewhere;
+    downloadBtn.textContent = pack && !pack.complete ? 'Resume download' : 'Download for offline';
+
+    if (downloading) return;
+    if (busyElsewhere) {
+      status.textContent = `Downloading the offline map for ${this.offlineDownload.tripName}…`;
+    } else if (pack) {
+      status.textContent = `${pack.complete ? 'Saved' : 'Partly saved'} ${new Date(pack.createdAt).toLocaleDateString()}`
+        + ` · ${(pack.tileCount || 0).toLocaleString()} tiles · ${OfflinePacks.formatBytes(pack.bytes)}`
+        + (pack.failed ? ` · ${pack.failed} failed` : '');
+    } else {
+      status.textContent = 'Saves map tiles along the route on this device so the map still works without signal.';
+    }
+  },
+
+  async downloadOfflinePack() {
+    const trip = this.offlinePackTrip;
+    if (!trip || this.offlineDownload) return;
+    if (!this.isOnline) {
+      UI.showToast('Connect to the internet to download maps', 'error');
+      return;
+    }
+    const options = this.offlinePackOptions();
+    const { keys, tooLarge } = OfflinePacks.planTiles(trip.coordinates, options);
+    if (tooLarge || !keys.length) return;
+    // Ask the browser not to clear this origin under storage pressure
+    navigator.storage?.persist?.().catch(() => {});
+
+    const download = { tripId: trip.id, tripName: trip.name, controller: new AbortController() };
+    this.offlineDownload = download;
+    this.updateOfflinePackEstimate();
+    const progress = document.getElementById('offlinePackProgress');
+    const status = document.getElementById('offlinePackStatus');
+    // The modal may be showing another trip by the time progress arrives
+    const showing = () => this.offlinePackTrip?.id === trip.id;
+
+    let pack;
+    try {
+      pack = await OfflinePacks.download(trip.id, { tripName: trip.name, ...options }, keys, {
+        signal: download.controller.signal,
+        onProgress: ({ done, total, bytes }) => {
+          if (!showing()) return;
+          if (progress) progress.value = done / total;
+          if (status) status.textContent = `Downloading ${done.toLocaleString()} of ${total.toLocaleString()} tiles · ${OfflinePacks.formatBytes(bytes)}`;
+        }
+      });
+    } catch (err) {
+      console.error('Offline map download failed:', err);
+      UI.showToast('Failed to download offline map', 'error');
+    } finally {
+      this.offlineDownload = null;
+      if (progress) progress.value = 0;
+    }
+
+    if (pack) {
+      if (download.controller.signal.aborted) {
+        UI.showToast('Download cancelled. Start it again to resume.', 'info');
+      } else if (pack.failed) {
+        UI.showToast(`Offline map saved, but ${pack.failed} tiles failed. Download again to retry them.`, 'error');
+      } else {
+        UI.showToast(`Offline map for ${trip.name} saved`, 'success');
+      }
+    }
+    if (showing()) this.updateOfflinePackEstimate();
+    this.renderOfflineStorage();
+  },
+
+  async deleteOfflinePack(tripId) {
+    const pack = OfflinePacks.getPack(tripId);
+    if (!pack || this.offlineDownload?.tripId === tripId) return;
+    if (!window.confirm(`Delete the offline map for ${pack.tripName || 'this trip'}?`)) return;
+    try {
+      await OfflinePacks.deletePack(tripId);
+      UI.showToast('Offline map deleted', 'success');
+    } catch (err) {
+      console.error('Delete offline map failed:', err);
+      UI.showToast('Failed to delete offline map', 'error');
+    }
+    if (this.offlinePackTrip?.id === tripId) this.updateOfflinePackEstimate();
+    this.renderOfflineStorage();
+  },
+
+  /* --- Storage breakdown in settings --- */
+
+  renderOfflineStorage() {
+    const list = document.getElementById('settingOfflinePacks');
+    if (!list) return;
+    this.renderStorageUsage();
+    const packs = Object.entries(OfflinePacks.getPacks())
+      .sort((a, b) => (b[1].bytes || 0) - (a[1].bytes || 0));
+
+    if (!packs.length) {
+      list.innerHTML = '<p class="microcopy">No offline maps saved on this device.</p>';
+      return;
+    }
+    list.innerHTML = packs.map(([tripId, pack]) => {
+      const meta = [
+        OfflinePacks.formatBytes(pack.bytes),
+        `${(pack.tileCount || 0).toLocaleString()} tiles`,
+        pack.complete ? null : 'incomplete',
+        new Date(pack.createdAt).toLocaleDateString()
+      ].filter(Boolean).join(' · ');
+      return `<div class="track-item" data-trip-id="${UI.escapeHtml(tripId)}">
+        <div class="track-item-text">
+          <div class="track-item-name">${UI.escapeHtml(pack.tripName || 'Trip')}</div>
+          <div class="microcopy">${meta}</div>
+        </div>
+        <button type="button" class="link-btn danger" data-action="delete">Delete</button>
+      </div>`;
+    }).join('');
+
+    list.querySelectorAll('.track-item').forEach(item => {
+      item.querySelector('[data-action="delete"]')?.addEventListener('click', () => this.deleteOfflinePack(item.dataset.tripId));
+    });
+  },
+
+  /** Origin quota from navigator.storage.estimate() plus the tile cache breakdown */
+  async renderStorageUsage() {
+    const line = document.getElementById('settingStorageUsage');
+    if (!line) return;
+    const parts = [];
+    try {
+      const estimate = await navigator.storage?.estimate?.();
+      if (estimate?.quota) {
+        parts.push(`This device: ${OfflinePacks.formatBytes(estimate.usage || 0)} used of ${OfflinePacks.formatBytes(estimate.quota)}`);
+      }
+      if (this.tileStoreAvailable()) {
+        const stats = await TileStore.stats();
+        parts.push(`map cache ${OfflinePacks.formatBytes(stats.bytes - stats.pinnedBytes)}`
+          + ` · offline maps ${OfflinePacks.formatBytes(stats.pinnedBytes)}`);
+      }
+      if (await navigator.storage?.persisted?.()) parts.push('protected from automatic clearing');
+    } catch (err) {
+      console.warn('Storage estimate failed', err);
+    }
+    line.textContent = parts.length ? parts.join(' · ') : 'Storage usage is not available in this browser.';
+  }
+});
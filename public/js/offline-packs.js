@@ -0,0 +1,236 @@
+/**
+ * Offline Packs — map tiles along a trip's route, saved for use without signal
+ *
+ * A pack is every tile within a corridor around route.coordinates over a
+ * zoom range. Tiles go into the service worker's tile cache (TILES_CACHE in
+ * sw.js), which already serves them cache-first when the network is gone.
+ * Pack records (name, options, size) are kept in localStorage; the list of
+ * tiles per trip, which can run to MAX_TILES keys, goes into TileStore's
+ * packTiles store so a pack can be deleted without touching tiles another
+ * pack still needs. Its tiles are pinned in TileStore so LRU eviction
+ * leaves them alone.
+ *
+ * The OSM tile servers discourage bulk downloads, so downloads run on two
+ * connections and packs are capped at MAX_TILES.
+ */
+const OfflinePacks = {
+  TILES_CACHE: TileStore.CACHE,
+  AVG_TILE_BYTES: TileStore.AVG_TILE_BYTES,
+  MAX_TILES: 20000,
+  CONCURRENCY: 2,
+  DEFAULTS: { corridorM: 2000, minZoom: 8, maxZoom: 15 },
+
+  isSupported() {
+    return 'caches' in window;
+  },
+
+  /**
+   * Tiles within `corridorM` (total width) of the route at each zoom.
+   * Returns { keys: ["z/x/y", ...], tooLarge } and stops counting once
+   * MAX_TILES is exceeded.
+   */
+  planTiles(coords, { corridorM, minZoom, maxZoom } = this.DEFAULTS) {
+    const path = (coords || []).map(c => RideUtils.toLatLng(c));
+    const keys = new Set();
+    if (!path.length) return { keys: [], tooLarge: false };
+    const half = Math.max(50, corridorM / 2);
+    const mPerDegLat = 111320;
+    // Tiles are narrowest (in metres) at the route's highest latitude
+    const minCos = Math.max(0.01, Math.min(...path.map(p => Math.cos(p.lat * Math.PI / 180))));
+
+    const addAround = (p, z) => {
+      const dLat = half / mPerDegLat;
+      const dLng = half / (mPerDegLat * Math.max(0.01, Math.cos(p.lat * Math.PI / 180)));
+      const nw = MapManager.latLngToTile(Math.min(85, p.lat + dLat), p.lng - dLng, z);
+      const se = MapManager.latLngToTile(Math.max(-85, p.lat - dLat), p.lng + dLng, z);
+      for (let x = nw.x; x <= se.x; x++) {
+        for (let y = nw.y; y <= se.y; y++) keys.add(`${z}/${x}/${y}`);
+      }
+    };
+
+    for (let z = minZoom; z <= maxZoom; z++) {
+      // Sample often enough that no tile along the line is stepped over
+      const tileM = 40075016 * minCos / Math.pow(2, z);
+      const stepM = Math.max(20, Math.min(tileM / 2, half));
+      addAround(path[0], z);
+      for (let i = 1; i < path.length; i++) {
+        const a = path[i - 1];
+        const b = path[i];
+        const n = Math.ceil(RideUtils.haversine(a, b) / stepM);
+        for (let k = 1; k <= n; k++) {
+          addAround({ lat: a.lat + (b.lat - a.lat) * k / n, lng: a.lng + (b.lng - a.lng) * k / n }, z);
+        }
+        if (keys.size > this.MAX_TILES) return { keys: [...keys], tooLarge: true };
+      }
+    }
+    return { keys: [...keys], tooLarge: keys.size > this.MAX_TILES };
+  },
+
+  estimateBytes(tileCount) {
+    return tileCount * this.AVG_TILE_BYTES;
+  },
+
+  formatBytes(bytes) {
+    if (!Number.isFinite(bytes)) return '—';
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  },
+
+  keyToUrl(key) {
+    const [z, x, y] = key.split('/').map(Number);
+    return MapManager.tileUrl(z, x, y);
+  },
+
+  /* --- Pack records --- */
+
+  getPacks() {
+    return Storage.load(Storage.KEYS.OFFLINE_PACKS, {});
+  },
+
+  getPack(tripId) {
+    return this.getPacks()[tripId] || null;
+  },
+
+  savePack(tripId, pack) {
+    const packs = this.getPacks();
+    packs[tripId] = pack;
+    Storage.save(Storage.KEYS.OFFLINE_PACKS, packs);
+  },
+
+  /** A pack's tile keys ("z/x/y"), or [] */
+  getTiles(tripId) {
+    return TileStore.transaction('packTiles', 'readonly', (store) => {
+      const out = [];
+      const req = store.get(tripId);
+      req.onsuccess = () => out.push(...(req.result || []));
+      return out;
+    });
+  },
+
+  saveTiles(tripId, keys) {
+    return TileStore.transaction('packTiles', 'readwrite', store => store.put(keys, tripId));
+  },
+
+  /** Tile keys used by any pack other than `tripId` */
+  otherPacksTiles(tripId) {
+    return TileStore.transaction('packTiles', 'readonly', (store) => {
+      const keys = new Set();
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        if (cursor.key !== tripId) cursor.value.forEach(key => keys.add(key));
+        cursor.continue();
+      };
+      return keys;
+    });
+  },
+
+  /**
+   * Fetch tiles into the cache. Tiles already cached are skipped, so running
+   * it again resumes a cancelled or partly failed download.
+   * `info` is stored with the pack ({ tripName, corridorM, minZoom, maxZoom }).
+   */
+  async download(tripId, info, keys, { onProgress, signal } = {}) {
+    const cache = await caches.open(this.TILES_CACHE);
+    const queue = keys.map(key => this.keyToUrl(key));
+    let done = 0;
+    let bytes = 0;
+    let failed = 0;
+
+    const worker = async () => {
+      while (queue.length && !signal?.aborted) {
+        const url = queue.shift();
+        try {
+          // Each tile is pinned once it is in the cache, so an interrupted
+          // download leaves no pins for tiles it never stored
+          const cached = await cache.match(url);
+          if (cached) {
+            const size = Number(cached.headers.get('content-length')) || this.AVG_TILE_BYTES;
+            await TileStore.pin(tripId, [{ url, bytes: size }]);
+            bytes += size;
+          } else {
+            // CORS mode so the response is readable and cacheable (no-cors is opaque)
+            const res = await fetch(url, { mode: 'cors', signal });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const blob = await res.blob();
+            await cache.put(url, new Response(blob, {
+              headers: { 'Content-Type': blob.type || 'image/png', 'Content-Length': String(blob.size) }
+            }));
+            await TileStore.pin(tripId, [{ url, bytes: blob.size }]);
+            bytes += blob.size;
+          }
+        } catch (err) {
+          if (signal?.aborted) break;
+          failed += 1;
+        }
+        done += 1;
+        if (typeof onProgress === 'function') onProgress({ done, total: keys.length, bytes, failed });
+      }
+    };
+    await Promise.all(Array.from({ length: this.CONCURRENCY }, worker));
+
+    const pack = {
+      ...info,
+      tileCount: keys.length,
+      bytes,
+      failed,
+      complete: !signal?.aborted && failed === 0 && done === keys.length,
+      pinned: true,
+      createdAt: new Date().toISOString()
+    };
+    await this.saveTiles(tripId, keys);
+    this.savePack(tripId, pack);
+    return pack;
+  },
+
+  /** Remove a pack and every tile no other pack still uses */
+  async deletePack(tripId) {
+    const packs = this.getPacks();
+    const pack = packs[tripId];
+    if (!pack) return 0;
+    const tiles = await this.getTiles(tripId);
+    const shared = await this.otherPacksTiles(tripId);
+    delete packs[tripId];
+    Storage.save(Storage.KEYS.OFFLINE_PACKS, packs);
+    await TileStore.transaction('packTiles', 'readwrite', store => store.delete(tripId));
+
+    const cache = await caches.open(this.TILES_CACHE);
+    const deleted = [];
+    for (const key of tiles) {
+      if (shared.has(key)) continue;
+      const url = this.keyToUrl(key);
+      await cache.delete(url);
+      deleted.push(url);
+    }
+    await TileStore.unpin(tripId, deleted);
+    return deleted.length;
+  },
+
+  /**
+   * Bring packs saved by older versions up to date: move tile lists out of
+   * localStorage, and pin tiles saved before pinning so eviction can't take them
+   */
+  async pinSavedPacks() {
+    const packs = this.getPacks();
+    const stale = Object.entries(packs).filter(([, pack]) => pack.tiles || !pack.pinned);
+    for (const [tripId, pack] of stale) {
+      if (pack.tiles) {
+        await this.saveTiles(tripId, pack.tiles);
+        pack.tileCount = pack.tiles.length;
+        delete pack.tiles;
+      }
+      if (!pack.pinned) {
+        const tiles = await this.getTiles(tripId);
+        const bytes = tiles.length ? Math.round(pack.bytes / tiles.length) : 0;
+        await TileStore.pin(tripId, tiles.map(key => ({ url: this.keyToUrl(key), bytes })));
+        pack.pinned = true;
+      }
+    }
+    if (stale.length) Storage.save(Storage.KEYS.OFFLINE_PACKS, packs);
+  }
+};
+
+// Make available globally
+window.OfflinePacks = OfflinePacks;
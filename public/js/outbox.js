@@ -0,0 +1,304 @@
+/**
+ * Outbox — trip edits made offline, queued in IndexedDB until they can be sent
+ *
+ * Loaded by the page and by the service worker (importScripts, after idb.js),
+ * so it knows nothing about App or the DOM. An op is a plain API request:
+ *   { seq, userId, tripId, method, path, body, ifMatch, creates, label, status, createdAt }
+ * `path` is relative to /api; `userId` is who queued it, so another account
+ * signing in on the device never sends it. `creates` is the temporary id given to a
+ * waypoint, journal entry or attachment added offline; once the server
+ * assigns the real id, every later op is rewritten to use it. Uploads also
+ * carry `file` (a Blob) and `fileName`, and their `body` holds the form fields.
+ *
+ * Ops on a trip share the trip version they were made on (ifMatch). After one
+ * is accepted, the ops queued on that same version move to the version the
+ * server returned, since they were made on top of it.
+ *
+ * The page replays while it is open and the service worker replays from
+ * Background Sync after it is closed. Both take the same Web Lock, so an op
+ * is never sent twice at once.
+ */
+const Outbox = {
+  DB_NAME: 'ride-outbox',
+  TEMP_ID_PREFIX: 'offline-',
+  SYNC_TAG: 'ride-outbox',         // Background Sync / Periodic Sync registration
+  LOCK_NAME: 'ride-outbox-replay',
+
+  open() {
+    return IDB.open(this.DB_NAME, 1, (db) => {
+      db.createObjectStore('ops', { keyPath: 'seq', autoIncrement: true });
+    });
+  },
+
+  async transaction(mode, fn) {
+    return IDB.transaction(await this.open(), 'ops', mode, fn);
+  },
+
+  newTempId() {
+    return `${this.TEMP_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  },
+
+  add(op) {
+    const record = { status: 'pending', createdAt: new Date().toISOString(), creates: null, ...op };
+    return this.transaction('readwrite', (store) => {
+      const out = {};
+      const req = store.add(record);
+      req.onsuccess = () => { out.seq = req.result; };
+      return out;
+    }).then(out => out.seq);
+  },
+
+  async all() {
+    return IDB.getAll(await this.open(), 'ops');
+  },
+
+  /** One queued op, or undefined once it has been sent or withdrawn */
+  async get(seq) {
+    return IDB.transaction(await this.open(), 'ops', 'readonly', (store) => {
+      const out = {};
+      const req = store.get(seq);
+      req.onsuccess = () => { out.op = req.result; };
+      return out;
+    }).then(out => out.op);
+  },
+
+  async count() {
+    return (await this.all()).length;
+  },
+
+  /** Whether a replay for `userId` has anything to send: ops not held back by a parked conflict */
+  async hasUnsent(userId = null) {
+    const queued = (await this.all()).filter(op => !userId || !op.userId || op.userId === userId);
+    const parked = new Set(queued.filter(op => op.status === 'conflict').map(op => op.tripId));
+    return queued.some(op => !parked.has(op.tripId));
+  },
+
+  remove(seq) {
+    return this.transaction('readwrite', store => store.delete(seq));
+  },
+
+  /** Apply `change(op)` to every queued op; ops it returns false for are left alone */
+  updateEach(change) {
+    return this.transaction('readwrite', (store) => {
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        const op = cursor.value;
+        if (change(op) !== false) cursor.update(op);
+        cursor.continue();
+      };
+    });
+  },
+
+  /** updateEach for just the ops with these seqs */
+  updateSeqs(seqs, change) {
+    return this.transaction('readwrite', (store) => {
+      seqs.forEach((seq) => {
+        const req = store.get(seq);
+        req.onsuccess = () => {
+          const op = req.result;
+          if (op && change(op) !== false) store.put(op);
+        };
+      });
+    });
+  },
+
+  /** Drop every queued op (sign-out) */
+  clear() {
+    return this.transaction('readwrite', store => store.clear());
+  },
+
+  /** Drop the ops queued by anyone but `userId` (another account signed in) */
+  clearOtherUsers(userId) {
+    return this.transaction('readwrite', (store) => {
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        if (cursor.value.userId && cursor.value.userId !== userId) cursor.delete();
+        cursor.continue();
+      };
+    });
+  },
+
+  /** Drop every op queued for a trip */
+  clearTrip(tripId) {
+    return this.transaction('readwrite', (store) => {
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        if (cursor.value.tripId === tripId) cursor.delete();
+        cursor.continue();
+      };
+    });
+  },
+
+  /** Put a trip's ops back in the queue on top of `version` (after a conflict) */
+  rebaseTrip(tripId, version) {
+    return this.updateEach((op) => {
+      if (op.tripId !== tripId) return false;
+      op.ifMatch = version;
+      op.status = 'pending';
+      op.conflict = null;
+      return true;
+    });
+  },
+
+  /** Withdraw the queued op that creates `tempId`. Resolves false once it is no longer queued. */
+  async cancelCreate(tempId) {
+    const op = (await this.all()).find(o => o.creates === tempId);
+    if (!op) return false;
+    await this.remove(op.seq);
+    return true;
+  },
+
+  /** Replace a temporary id with the server's id in every queued op */
+  replaceId(tempId, realId) {
+    return this.updateEach(this.swapId(tempId, realId));
+  },
+
+  /** An updateEach change rewriting `tempId` to `realId` in an op's path and body */
+  swapId(tempId, realId) {
+    const swap = value => JSON.parse(JSON.stringify(value).split(tempId).join(realId));
+    return (op) => {
+      if (!JSON.stringify({ path: op.path, body: op.body }).includes(tempId)) return false;
+      op.path = swap(op.path);
+      op.body = op.body === undefined ? undefined : swap(op.body);
+      return true;
+    };
+  },
+
+  /**
+   * Send one op to the API. Resolves with the JSON reply, or rejects with an
+   * error carrying `status` (0 for network errors) and `body`.
+   */
+  async send(op) {
+    const headers = { 'Cache-Control': 'no-cache, no-store, max-age=0, must-revalidate' };
+    if (Number.isFinite(op.ifMatch)) headers['If-Match'] = String(op.ifMatch);
+    let body;
+    if (op.file) {
+      body = new FormData();
+      body.append('file', op.file, op.fileName || 'upload');
+      Object.entries(op.body || {}).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) body.append(key, String(value));
+      });
+    } else if (op.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(op.body);
+    }
+
+    let response;
+    try {
+      response = await fetch(`/api${op.path}`, {
+        method: op.method, headers, body, credentials: 'include', cache: 'no-store'
+      });
+    } catch (err) {
+      err.status = 0;
+      throw err;
+    }
+    let data = {};
+    try {
+      data = await response.json();
+    } catch (_) {
+      // Empty or non-JSON body
+    }
+    if (!response.ok) {
+      const err = new Error(data.error || `Request failed (${response.status})`);
+      err.status = response.status;
+      err.body = data;
+      throw err;
+    }
+    return data;
+  },
+
+  /**
+   * Send queued ops in order with `send(op)` (Outbox.send by default), which
+   * resolves with the reply or rejects with an error carrying `status`.
+   * With `userId`, ops queued by another account are left alone.
+   *
+   * A 409/428 parks the op and the rest of that trip's ops as 'conflict' for
+   * the page to resolve; `op.conflict` keeps the status and reply body. Other 4xx replies drop the op (it can never
+   * succeed). Network errors, 401 and 5xx stop the replay with the remaining
+   * ops kept for next time.
+   *
+   * Returns { applied: [{ op, result, id }], conflicts: [{ op, error }],
+   *           failed: [{ op, error }], stopped }
+   */
+  replay(send = op => this.send(op), userId = null) {
+    const run = () => this.replayQueued(send, userId);
+    return self.navigator?.locks ? self.navigator.locks.request(this.LOCK_NAME, run) : run();
+  },
+
+  async replayQueued(send, userId) {
+    const report = { applied: [], conflicts: [], failed: [], stopped: null };
+    // Read once; ids and versions rewritten by earlier sends are kept up to
+    // date here and written back to just the ops they touch
+    const queued = (await this.all()).filter(op => !userId || !op.userId || op.userId === userId);
+    const parked = new Set(queued.filter(op => op.status === 'conflict').map(op => op.tripId));
+    const lastSeq = queued.length ? queued[queued.length - 1].seq : 0;
+    const rewrites = [];
+    const rewrite = (change) => {
+      rewrites.push(change);
+      const touched = queued.filter(o => change(o) !== false).map(o => o.seq);
+      return touched.length ? this.updateSeqs(touched, change) : null;
+    };
+
+    for (const { seq } of queued) {
+      // The page may have withdrawn or rewritten it since (cancelCreate, clearTrip)
+      const op = await this.get(seq);
+      if (!op || parked.has(op.tripId)) continue;
+
+      let result;
+      try {
+        result = await send(op);
+      } catch (error) {
+        const status = error?.status ?? 0;
+        if (status === 409 || status === 428) {
+          parked.add(op.tripId);
+          await this.updateEach((o) => {
+            if (o.tripId !== op.tripId) return false;
+            o.status = 'conflict';
+            o.conflict = { status, body: error?.body ?? null };
+            return true;
+          });
+          report.conflicts.push({ op, error });
+          continue;
+        }
+        if (status >= 400 && status < 500 && status !== 401) {
+          await this.remove(op.seq);
+          report.failed.push({ op, error });
+          continue;
+        }
+        report.stopped = error;
+        break;
+      }
+
+      await this.remove(op.seq);
+      const id = op.creates ? (result?.waypoint?.id ?? result?.entry?.id ?? result?.attachment?.id ?? null) : null;
+      if (op.creates && id) await rewrite(this.swapId(op.creates, id));
+      const version = Number(result?.trip_version ?? result?.trip?.version);
+      if (Number.isFinite(version) && Number.isFinite(op.ifMatch)) {
+        await rewrite((o) => {
+          if (o.tripId !== op.tripId || o.ifMatch !== op.ifMatch) return false;
+          o.ifMatch = version;
+          return true;
+        });
+      }
+      report.applied.push({ op, result, id });
+    }
+
+    // Ops queued while this ran missed the rewrites: apply them in one pass
+    if (rewrites.length) {
+      await this.updateEach((o) => {
+        if (o.seq <= lastSeq) return false;
+        return rewrites.map(change => change(o) !== false).includes(true);
+      });
+    }
+    return report;
+  }
+};
+
+// Shared with the service worker, where there is no window
+self.Outbox = Outbox;
@@ -3,6 +3,18 @@
  * Extends App object (loaded after app-core.js)
  */
 Object.assign(App, {
+  RIDE_CHECKPOINT_INTERVAL_MS: 10000,          // how often ride state is saved while moving
+  RIDE_CHECKPOINT_MAX_AGE_MS: 12 * 3600 * 1000, // older checkpoints are not offered for resume
+  RIDE_MATCH_WINDOW_M: 2000,                    // route distance searched ahead of the last match
+  RIDE_INDEX_CELL_DEG: 0.005,                   // spatial index cell size (~550 m of latitude)
+  RIDE_VOICE_NOW_M: 30,                         // a 0 m prompt fires within this distance
+  RIDE_SIM_MULTIPLIERS: [1, 2, 5, 10, 20],      // playback rates cycled by the overlay button
+  RIDE_MOVING_SPEED_MS: 1,                      // slower than this counts as stopped (~3.6 km/h)
+  RIDE_MAX_FIX_GAP_S: 30,                       // longer gaps (tunnel, suspended tab) aren't counted
+  RIDE_MAX_PLAUSIBLE_SPEED_MS: 90,              // faster fixes are GPS glitches
+  RIDE_ARRIVAL_RADIUS_M: 40,                    // default when a waypoint has no arrival_radius
+  RIDE_STOP_NEAR_M: 300,                        // a route passing this close to a stop reaches it
+
   bindRideControls() {
     document.getElementById('rideAddBtn')?.addEventListener('click', () => {
       document.getElementById('rideAddSheet')?.classList.remove('hidden');
@@ -12,12 +24,12 @@ Object.assign(App, {
     });
     document.getElementById('rideAddNoteBtn')?.addEventListener('click', () => {
       document.getElementById('rideAddSheet')?.classList.add('hidden');
-      if (!this.ensureEditable('add a note')) return;
+      if (!this.ensureEditable('add a note', { offline: true })) return;
       UI.openModal('noteModal');
     });
     document.getElementById('rideAddPhotoBtn')?.addEventListener('click', () => {
       document.getElementById('rideAddSheet')?.classList.add('hidden');
-      if (!this.ensureEditable('add a photo')) return;
+      if (!this.ensureEditable('add a photo', { offline: true })) return;
       document.getElementById('ridePhotoInput')?.click();
     });
     document.getElementById('ridePhotoInput')?.addEventListener('change', async (e) => {
@@ -28,44 +40,205 @@ Object.assign(App, {
     document.getElementById('rideRecenterBtn')?.addEventListener('click', () => {
       MapManager.recenterRide();
     });
+    document.getElementById('rideVoiceBtn')?.addEventListener('click', () => this.toggleRideVoice());
+    document.getElementById('rideNextStopCard')?.addEventListener('click', () => this.openRideStopSheet());
+    document.getElementById('rideStopSheetClose')?.addEventListener('click', () => {
+      document.getElementById('rideStopSheet')?.classList.add('hidden');
+    });
+    document.getElementById('rideSkipBtn')?.addEventListener('click', () => this.skipNextStop());
+    document.getElementById('rideUnskipBtn')?.addEventListener('click', () => this.unskipStop());
+    document.getElementById('rideSimPauseBtn')?.addEventListener('click', () => this.toggleRideSimPause());
+    document.getElementById('rideSimSpeedBtn')?.addEventListener('click', () => this.cycleRideSimSpeed());
     document.getElementById('rideExitBtn')?.addEventListener('click', () => this.exitRideMode());
     document.getElementById('rideBannerExitBtn')?.addEventListener('click', () => this.exitRideMode());
+
+    // Save ride state whenever the page may be frozen or torn down
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.checkpointRide();
+      // The browser drops the wake lock whenever the page is hidden
+      else if (this.isRiding) this.acquireWakeLock();
+    });
+    window.addEventListener('pagehide', () => this.checkpointRide());
+
+    document.getElementById('resumeRideAccept')?.addEventListener('click', () => this.resumeRide());
+    document.getElementById('resumeRideDismiss')?.addEventListener('click', () => this.discardRideCheckpoint());
   },
 
-  enterRideMode() {
+  /**
+   * Start ride mode. `resume` is a checkpoint saved by checkpointRide(); when
+   * given, visited stops, reroute throttling and the recorded track carry on.
+   */
+  enterRideMode(resume = null) {
     if (!this.currentTrip) { UI.showToast('No trip loaded', 'error'); return; }
     if (!this.currentTrip.route?.coordinates) {
       UI.showToast('Add a route first to start riding', 'error'); return;
     }
     this.isRiding = true;
-    this.rideVisitedWaypoints = new Set();
+    this.rideVisitedWaypoints = new Set(resume?.visited || []);
+    this.rideSkippedWaypoints = Array.isArray(resume?.skipped) ? resume.skipped.slice() : [];
+    this.rideLastPosition = null;
+    this.rideRouteFallback = null;
+    this.rideOnRouteIdx = null;
     this.rideRerouting = false;
     this.rideInitialRouted = false;     // first-fix reroute flag
-    this.offRouteCounter = 0;
-    this.lastRerouteAt = 0;
+    this.offRouteCounter = resume?.offRouteCounter || 0;
+    this.lastRerouteAt = resume?.lastRerouteAt || 0;
+    this.rideStartedAt = resume?.startedAt || new Date().toISOString();
+    this.resetRideStats(resume?.stats);
+    // Stops still waiting for a departure; their arrivals are already in the outbox
+    this.rideArrivals = (resume?.arrivals || []).filter(a => a.waypointId && a.arrivedAt);
     document.getElementById('rideOverlay')?.classList.remove('hidden');
     document.body.classList.add('ride-mode');
     document.getElementById('rideTripName').textContent = this.currentTrip.name || 'Ride';
     document.getElementById('rideStops').textContent = (this.currentTrip.waypoints?.length ?? 0).toString();
     document.getElementById('rideDistanceRemaining').textContent = this.currentTrip.route?.distance ? this.formatDistance(this.currentTrip.route.distance) : '—';
     document.getElementById('rideEta').textContent = this.currentTrip.route?.duration ? this.formatDuration(this.currentTrip.route.duration) : '—';
+    this.renderRideComputer(null);
     document.getElementById('rideNextInstruction').textContent = 'Follow the route';
     document.getElementById('rideNextMeta').textContent = 'Waiting for GPS...';
     this.precomputeRouteMetrics();
     this.prefetchTiles();
-    MapManager.startRide(pos => this.onRidePosition(pos));
+    MapManager.clearTrack();
+
+    // Simulated rides are for testing: never upload or checkpoint them
+    const replay = resume ? null : this.createRideReplay();
+    this.rideSimulated = !!replay;
+    this.updateRideSimControls();
+    if (replay) {
+      UI.showToast('Simulating ride (developer mode)', 'info');
+    } else {
+      this.startTrackRecording(resume?.track);
+    }
+    MapManager.startRide(pos => this.onRidePosition(pos), { replay, profile: Storage.getSettings().ridePowerProfile });
+    this.acquireWakeLock();
+    this.checkpointRide();
+    this.updateRideVoiceButton();
+    this.updateRideSkipButtons();
+    // Speaking from the tap that started the ride also unlocks speech on iOS
+    this.speakRide(resume ? 'Resuming navigation' : 'Starting navigation');
   },
 
   exitRideMode() {
+    const summary = this.summarizeRideStats(this.rideStats);
+    if (summary?.moving_distance > 0) {
+      UI.showToast(`Ride: ${this.formatDistance(summary.moving_distance)} in ${this.formatDuration(summary.moving_time)}, avg ${this.formatSpeed(summary.avg_speed)}`, 'success');
+    }
     this.isRiding = false;
+    this.rideStats = null;
     this.rideVisitedWaypoints = null;
+    this.rideSkippedWaypoints = null;
+    this.rideLastPosition = null;
+    this.rideNextStopId = null;
+    this.rideRouteFallback = null;
+    this.rideOnRouteIdx = null;
+    document.getElementById('rideNextStopCard')?.classList.add('hidden');
+    document.getElementById('rideStopSheet')?.classList.add('hidden');
     this.rideRerouting = false;
     this.offRouteCounter = 0;
+    this.rideStartedAt = null;
+    this.rideSimulated = false;
+    this.rideArrivals = null;
+    this.updateRideSimControls();
+    this.clearRideCheckpoint();
     document.getElementById('rideOverlay')?.classList.add('hidden');
     document.body.classList.remove('ride-mode');
     MapManager.stopRide();
+    this.releaseWakeLock();
+    Voice.cancel();
+    const stopped = this.stopTrackRecording(summary);
+
+    // An app update arrived mid-ride; apply it now that the track is closed
+    if (this.pendingUpdateReload) {
+      this.pendingUpdateReload = false;
+      UI.showToast('Updating…', 'info');
+      stopped.finally(() => setTimeout(() => location.reload(), 600));
+    }
+  },
+
+  /* --- Ride persistence (survives reloads and SW updates) --- */
+
+  checkpointRide() {
+    if (!this.isRiding || this.rideSimulated || !this.currentTrip?.id) return;
+    this.lastRideCheckpointAt = Date.now();
+    Storage.save(Storage.KEYS.RIDE_STATE, {
+      userId: this.currentUser?.id || null,
+      tripId: this.currentTrip.id,
+      tripName: this.currentTrip.name || '',
+      startedAt: this.rideStartedAt,
+      savedAt: new Date().toISOString(),
+      visited: [...(this.rideVisitedWaypoints || [])],
+      skipped: this.rideSkippedWaypoints || [],
+      offRouteCounter: this.offRouteCounter || 0,
+      lastRerouteAt: this.lastRerouteAt || 0,
+      stats: this.rideStats,
+      arrivals: this.rideArrivals,
+      track: this.snapshotTrack()
+    });
+  },
+
+  clearRideCheckpoint() {
+    Storage.remove(Storage.KEYS.RIDE_STATE);
+    document.getElementById('resumeRideBanner')?.classList.add('hidden');
+  },
+
+  /** Return a resumable checkpoint for the signed-in user, dropping stale ones */
+  getRideCheckpoint() {
+    const saved = Storage.load(Storage.KEYS.RIDE_STATE);
+    if (!saved?.tripId) return null;
+    const age = Date.now() - new Date(saved.savedAt).getTime();
+    const sameUser = !!this.currentUser && saved.userId === this.currentUser.id;
+    if (!sameUser || !(age < this.RIDE_CHECKPOINT_MAX_AGE_MS)) {
+      Storage.remove(Storage.KEYS.RIDE_STATE);
+      return null;
+    }
+    return saved;
   },
 
+  offerRideResume() {
+    if (this.isRiding) return;
+    const saved = this.getRideCheckpoint();
+    const banner = document.getElementById('resumeRideBanner');
+    if (!saved || !banner) return;
+    const mins = Math.max(1, Math.round((Date.now() - new Date(saved.savedAt).getTime()) / 60000));
+    const detail = document.getElementById('resumeRideDetail');
+    if (detail) detail.textContent = `${saved.tripName || 'Your trip'} · paused ${this.formatDuration(mins * 60)} ago`;
+    banner.classList.remove('hidden');
+  },
+
+  async resumeRide() {
+    document.getElementById('resumeRideBanner')?.classList.add('hidden');
+    const saved = this.getRideCheckpoint();
+    if (!saved) return;
+    if (this.currentTrip?.id !== saved.tripId) await this.loadTrip(saved.tripId);
+    if (this.currentTrip?.id !== saved.tripId) {
+      UI.showToast('Could not load the trip for this ride', 'error');
+      return;
+    }
+    this.enterRideMode(saved);
+  },
+
+  /** Drop the checkpoint but keep the ride that was recorded so far */
+  discardRideCheckpoint() {
+    const saved = this.getRideCheckpoint();
+    if (saved?.track) {
+      this.startTrackRecording(saved.track);
+      this.stopTrackRecording(this.summarizeRideStats(saved.stats));
+    }
+    this.clearRideCheckpoint();
+  },
+
+  /** Called when a new build is deployed; reloading mid-ride would drop guidance */
+  deferUpdateReload(build) {
+    if (this.pendingUpdateReload) return;
+    this.pendingUpdateReload = true;
+    console.log('[App] Deferring update until ride ends:', build);
+    UI.showToast('Update ready — it will install when your ride ends', 'info');
+  },
+
+  /**
+   * Cumulative distances plus a grid index of route segments, so each GPS fix
+   * only has to test the few segments near it.
+   */
   precomputeRouteMetrics() {
     if (!this.currentTrip?.route?.coordinates) return;
     const coords = this.currentTrip.route.coordinates;
@@ -75,8 +248,119 @@ Object.assign(App, {
       total += this.haversine(coords[i - 1], coords[i]);
       cumulative.push(total);
     }
+
+    // Register each segment in every cell its bounding box touches
+    const cellDeg = this.RIDE_INDEX_CELL_DEG;
+    const cells = new Map();
+    for (let i = 0; i < coords.length - 1; i++) {
+      const a = RideUtils.toLatLng(coords[i]);
+      const b = RideUtils.toLatLng(coords[i + 1]);
+      const r0 = Math.floor(Math.min(a.lat, b.lat) / cellDeg);
+      const r1 = Math.floor(Math.max(a.lat, b.lat) / cellDeg);
+      const c0 = Math.floor(Math.min(a.lng, b.lng) / cellDeg);
+      const c1 = Math.floor(Math.max(a.lng, b.lng) / cellDeg);
+      for (let r = r0; r <= r1; r++) {
+        for (let c = c0; c <= c1; c++) {
+          const key = `${r}:${c}`;
+          if (!cells.has(key)) cells.set(key, []);
+          cells.get(key).push(i);
+        }
+      }
+    }
+
+    // Along-route position of each stop still ahead, for per-stop ETAs.
+    // Each search starts at the previous stop and ends a match window past
+    // the route's first close pass, so loops and out-and-back legs stay apart.
+    const waypointAlong = new Map();
+    let from = 0;
+    for (const wp of this.getRemainingWaypoints()) {
+      let best = null;
+      let windowEnd = Infinity;
+      for (let i = from; i < coords.length - 1 && cumulative[i] <= windowEnd; i++) {
+        const proj = RideUtils.projectToSegment(wp, coords[i], coords[i + 1]);
+        if (!best || proj.distance < best.distance) {
+          best = { i, distance: proj.distance, along: cumulative[i] + proj.t * (cumulative[i + 1] - cumulative[i]) };
+        }
+        if (windowEnd === Infinity && proj.distance <= this.RIDE_STOP_NEAR_M) {
+          windowEnd = cumulative[i] + this.RIDE_MATCH_WINDOW_M;
+        }
+      }
+      if (!best) break;
+      waypointAlong.set(wp.id, best.along);
+      from = best.i;
+    }
+
     this.currentTrip.route._cumulative = cumulative;
     this.currentTrip.route._total = total;
+    this.currentTrip.route._segIndex = cells;
+    this.currentTrip.route._waypointAlong = waypointAlong;
+    this.rideMatchIdx = null;   // new geometry, previous match is meaningless
+    this.rideVoiceSpoken = new Map();
+  },
+
+  /** Set of segment indices registered in the index cells around a position */
+  routeSegmentsNear(pos) {
+    const found = new Set();
+    const cells = this.currentTrip?.route?._segIndex;
+    if (!cells) return found;
+    const cellDeg = this.RIDE_INDEX_CELL_DEG;
+    const r = Math.floor(pos.lat / cellDeg);
+    const c = Math.floor(pos.lng / cellDeg);
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        for (const i of cells.get(`${r + dr}:${c + dc}`) || []) found.add(i);
+      }
+    }
+    return found;
+  },
+
+  /** Fix time in epoch ms; keeps throttling in step with simulated replays */
+  rideClock(pos) {
+    return Number.isFinite(pos?.timestamp) ? pos.timestamp : Date.now();
+  },
+
+  rideOffRouteThreshold(pos) {
+    return Math.max(50, (pos.accuracy || 30) * 1.6);
+  },
+
+  /**
+   * Match a GPS fix to the route by perpendicular distance to segments.
+   * Searches a window ahead of the previous match first (so out-and-back
+   * routes don't snap to the wrong leg), and only consults the spatial index
+   * on the first fix or when the window has nothing close.
+   * Returns { segIdx, along, distance } or null when no segment is nearby.
+   */
+  matchRoutePosition(pos) {
+    const route = this.currentTrip?.route;
+    const coords = route?.coordinates;
+    const cumulative = route?._cumulative;
+    if (!coords || coords.length < 2 || !cumulative) return null;
+    const segCount = coords.length - 1;
+
+    let best = null;
+    const consider = (i) => {
+      const proj = RideUtils.projectToSegment(pos, coords[i], coords[i + 1]);
+      if (!best || proj.distance < best.distance) {
+        best = {
+          segIdx: i,
+          distance: proj.distance,
+          along: cumulative[i] + proj.t * (cumulative[i + 1] - cumulative[i])
+        };
+      }
+    };
+
+    const last = this.rideMatchIdx;
+    if (Number.isInteger(last) && last < segCount) {
+      // A couple of segments behind absorbs GPS jitter
+      const windowEnd = cumulative[last] + this.RIDE_MATCH_WINDOW_M;
+      for (let i = Math.max(0, last - 2); i < segCount && cumulative[i] <= windowEnd; i++) consider(i);
+    }
+    if (!best || best.distance > this.rideOffRouteThreshold(pos)) {
+      for (const i of this.routeSegmentsNear(pos)) consider(i);
+    }
+
+    if (best) this.rideMatchIdx = best.segIdx;
+    return best;
   },
 
   /** @deprecated Use RideUtils.haversine directly */
@@ -88,96 +372,568 @@ Object.assign(App, {
     }
   },
 
+  waypointArrivalRadius(wp) {
+    const radius = Number(wp?.arrivalRadius ?? wp?.arrival_radius);
+    return Number.isFinite(radius) && radius > 0 ? radius : this.RIDE_ARRIVAL_RADIUS_M;
+  },
+
+  /** Mark waypoints within reach as visited; returns the ones reached on this fix */
   markVisitedWaypoints(position) {
-    if (!this.currentTrip?.waypoints) return;
-    const threshold = 40;
+    if (!this.currentTrip?.waypoints) return [];
     if (!this.rideVisitedWaypoints) this.rideVisitedWaypoints = new Set();
+    const skipped = new Set(this.rideSkippedWaypoints || []);
+    const arrived = [];
     this.currentTrip.waypoints.forEach(wp => {
-      if (this.rideVisitedWaypoints.has(wp.id)) return;
-      if (this.haversine(wp, position) <= threshold) this.rideVisitedWaypoints.add(wp.id);
+      if (this.rideVisitedWaypoints.has(wp.id) || skipped.has(wp.id)) return;
+      if (this.haversine(wp, position) <= this.waypointArrivalRadius(wp)) {
+        this.rideVisitedWaypoints.add(wp.id);
+        arrived.push(wp);
+      }
     });
+    return arrived;
   },
 
   getRemainingWaypoints() {
     if (!this.currentTrip?.waypoints) return [];
     if (!this.rideVisitedWaypoints) this.rideVisitedWaypoints = new Set();
+    const skipped = new Set(this.rideSkippedWaypoints || []);
     return [...this.currentTrip.waypoints]
-      .filter(wp => !this.rideVisitedWaypoints.has(wp.id))
+      .filter(wp => !this.rideVisitedWaypoints.has(wp.id) && !skipped.has(wp.id))
       .sort((a, b) => a.order - b.order);
   },
 
   onRidePosition(pos) {
-    if (!this.isRiding || !this.currentTrip?.route?.coordinates || !this.currentTrip.route._cumulative) return;
+    if (!this.isRiding) return;
+    this.rideLastPosition = pos;
+    this.recordTrackPoint(pos);
+    this.updateRideStats(pos);
+    if (Date.now() - this.lastRideCheckpointAt > this.RIDE_CHECKPOINT_INTERVAL_MS) this.checkpointRide();
+    if (!this.currentTrip?.route?.coordinates || !this.currentTrip.route._cumulative) return;
+
+    const match = this.matchRoutePosition(pos);
+    const bestDist = match ? match.distance : Infinity;
 
     // On first GPS fix, check if we're far from the route.
     // If so, reroute from current position → all waypoints for immediate guidance.
     if (!this.rideInitialRouted) {
       this.rideInitialRouted = true;
-      const coords = this.currentTrip.route.coordinates;
-      let nearestDist = Infinity;
-      for (let i = 0; i < coords.length; i++) {
-        const d = this.haversine(coords[i], pos);
-        if (d < nearestDist) nearestDist = d;
-      }
-      if (nearestDist > 200) {
-        // Rider is distant — reroute from current position through all waypoints
-        const allWaypoints = [...(this.currentTrip.waypoints || [])].sort((a, b) => a.order - b.order);
+      // Rider is distant, or stops were skipped before the first fix (or before
+      // a reload dropped the skip reroute): route through the stops still ahead
+      if (bestDist > 200 || this.rideSkippedWaypoints?.length) {
+        const allWaypoints = this.getRemainingWaypoints();
         if (allWaypoints.length) {
-          UI.showToast('Routing to your first waypoint…', 'info');
+          UI.showToast('Routing to your next stop…', 'info');
+          this.speakRide('Routing to your next stop');
           this.rideRerouting = true;
-          this.lastRerouteAt = Date.now();
+          this.lastRerouteAt = this.rideClock(pos);
           MapManager.rerouteFromPosition(pos, allWaypoints);
           return;   // wait for reroute to finish before normal tracking
         }
       }
     }
 
-    const coords = this.currentTrip.route.coordinates;
     const cumulative = this.currentTrip.route._cumulative;
     const total = this.currentTrip.route._total || cumulative[cumulative.length - 1] || 0;
-    this.markVisitedWaypoints(pos);
+    const arrived = this.markVisitedWaypoints(pos);
     const remainingWaypoints = this.getRemainingWaypoints();
     const stopsEl = document.getElementById('rideStops');
     if (stopsEl) stopsEl.textContent = remainingWaypoints.length.toString();
-
-    // Find nearest segment point
-    let nearestIdx = 0;
-    let bestDist = Infinity;
-    for (let i = 0; i < coords.length; i++) {
-      const d = this.haversine(coords[i], pos);
-      if (d < bestDist) { bestDist = d; nearestIdx = i; }
+    this.checkRideDepartures(pos);
+    if (arrived.length) {
+      this.logRideArrivals(arrived, pos);
+      const names = arrived.map(wp => wp.name).filter(Boolean).join(' and ');
+      this.speakRide(remainingWaypoints.length
+        ? `Arrived at ${names || 'waypoint'}`
+        : `You have reached your destination${names ? `, ${names}` : ''}`, { interrupt: true });
     }
 
-    const dynamicThreshold = Math.max(50, (pos.accuracy || 30) * 1.6);
-    const now = Date.now();
+    const dynamicThreshold = this.rideOffRouteThreshold(pos);
+    const now = this.rideClock(pos);
     if (bestDist > dynamicThreshold) {
       this.offRouteCounter = (this.offRouteCounter || 0) + 1;
     } else {
       this.offRouteCounter = 0;
+      this.rideOnRouteIdx = match.segIdx;
     }
 
+    // While offline in fallback mode, the 'online' handler retries instead
     const canReroute = bestDist > dynamicThreshold && this.offRouteCounter >= 4
-      && !this.rideRerouting && (now - (this.lastRerouteAt || 0) > 45000);
+      && !this.rideRerouting && (now - (this.lastRerouteAt || 0) > 45000)
+      && !(this.rideRouteFallback && !this.isOnline);
     if (canReroute) {
       this.rideRerouting = true;
       this.lastRerouteAt = now;
-      UI.showToast('Off route. Rerouting...', 'info');
+      if (!this.rideRouteFallback) {
+        UI.showToast('Off route. Rerouting...', 'info');
+        this.speakRide('Off route. Rerouting.', { interrupt: true });
+      }
       MapManager.rerouteFromPosition(pos, remainingWaypoints);
     }
 
-    const remaining = Math.max(0, total - cumulative[nearestIdx]);
+    // Routing server unreachable: steer back to the stored route until we rejoin it
+    if (this.rideRouteFallback) {
+      if (bestDist <= dynamicThreshold) {
+        this.endReturnToRoute(true);
+      } else {
+        this.renderReturnToRoute(pos);
+        this.renderRideComputer(null);
+        return;
+      }
+    }
+
+    // Nothing near enough to match; keep the last guidance until we rejoin or reroute
+    if (!match) {
+      this.renderRideComputer(null);
+      return;
+    }
+
+    const remaining = Math.max(0, total - match.along);
     document.getElementById('rideDistanceRemaining').textContent = RideUtils.formatDistance(remaining);
+    this.renderRideComputer(match, remainingWaypoints);
 
+    // Step index is the route vertex where the maneuver happens; the next one
+    // is the first maneuver past the start of the matched segment
     const steps = this.currentTrip.route.steps || [];
-    const nextStep = steps.find(s => s.index >= nearestIdx) || steps[steps.length - 1];
+    const nextStep = steps.find(s => s.index > match.segIdx) || steps[steps.length - 1];
     if (nextStep) {
       document.getElementById('rideNextInstruction').textContent = nextStep.text || 'Continue';
-      const distToNextStep = nextStep.index > nearestIdx
-        ? cumulative[nextStep.index] - cumulative[nearestIdx] : bestDist;
+      const distToNextStep = Math.max(0, (cumulative[nextStep.index] ?? total) - match.along);
       document.getElementById('rideNextMeta').textContent = `${RideUtils.formatDistance(distToNextStep)} ahead`;
+      this.announceManeuver(nextStep, distToNextStep);
     } else {
       document.getElementById('rideNextInstruction').textContent = 'Finish';
       document.getElementById('rideNextMeta').textContent = 'Approaching destination';
     }
+  },
+
+  /* --- Voice guidance --- */
+
+  /** Speak a ride prompt unless voice guidance is switched off */
+  speakRide(text, options = {}) {
+    const settings = Storage.getSettings();
+    if (!settings.voiceEnabled) return;
+    Voice.speak(text, { voiceURI: settings.voiceURI, lang: settings.voiceLang, ...options });
+  },
+
+  /**
+   * Announce a maneuver once per configured prompt distance. When several
+   * distances are already passed (e.g. a short gap between turns) only the
+   * closest one is spoken.
+   */
+  announceManeuver(step, distance) {
+    if (!step || !this.rideVoiceSpoken) return;
+    // Arrivals are announced from the waypoint itself, not the route step
+    if (/Reached$/.test(step.type || '') || /^you have arrived/i.test(step.text || '')) return;
+
+    const nowM = this.RIDE_VOICE_NOW_M;
+    const due = (Storage.getSettings().voicePromptDistances || [])
+      .filter(d => distance <= Math.max(d, nowM))
+      .sort((a, b) => a - b);
+    if (!due.length) return;
+
+    const spoken = this.rideVoiceSpoken.get(step.index) || new Set();
+    const closest = due[0];
+    if (spoken.has(closest)) return;
+    due.forEach(d => spoken.add(d));
+    this.rideVoiceSpoken.set(step.index, spoken);
+
+    const text = step.text || 'Continue';
+    if (closest <= nowM) {
+      this.speakRide(text, { interrupt: true });
+    } else {
+      this.speakRide(`In ${Voice.formatDistance(closest)}, ${text.charAt(0).toLowerCase()}${text.slice(1)}`);
+    }
+  },
+
+  /* --- Offline reroute fallback --- */
+
+  /** Called by MapManager when a ride reroute can't be fetched (offline, OSRM down) */
+  onRerouteFailed(err) {
+    this.rideRerouting = false;
+    if (!this.isRiding) return;
+    console.warn('Reroute failed, guiding back to the planned route', err);
+    if (this.rideRouteFallback) return;
+    this.rideRouteFallback = {
+      fromIdx: Number.isInteger(this.rideOnRouteIdx) ? this.rideOnRouteIdx : 0,
+      direction: null,
+      spokenAt: 0
+    };
+    UI.showToast('Cannot reach the routing server. Head back to the planned route.', 'error');
+    if (this.rideLastPosition) this.renderReturnToRoute(this.rideLastPosition);
+  },
+
+  /**
+   * Closest point on the stored route at or after segment `fromIdx`, so the
+   * rider is sent forward along the plan rather than back to where they left it.
+   */
+  returnToRouteTarget(pos, fromIdx = 0) {
+    const coords = this.currentTrip?.route?.coordinates;
+    if (!coords || coords.length < 2) return null;
+    let best = null;
+    for (let i = Math.max(0, fromIdx); i < coords.length - 1; i++) {
+      const proj = RideUtils.projectToSegment(pos, coords[i], coords[i + 1]);
+      if (!best || proj.distance < best.distance) best = { segIdx: i, t: proj.t, distance: proj.distance };
+    }
+    if (!best) return null;
+    const a = RideUtils.toLatLng(coords[best.segIdx]);
+    const b = RideUtils.toLatLng(coords[best.segIdx + 1]);
+    return {
+      segIdx: best.segIdx,
+      distance: best.distance,
+      point: { lat: a.lat + (b.lat - a.lat) * best.t, lng: a.lng + (b.lng - a.lng) * best.t }
+    };
+  },
+
+  renderReturnToRoute(pos) {
+    const fallback = this.rideRouteFallback;
+    const target = fallback && this.returnToRouteTarget(pos, fallback.fromIdx);
+    if (!target) return;
+    const direction = RideUtils.compassDirection(RideUtils.bearing(pos, target.point));
+    const steps = this.currentTrip.route.steps || [];
+    const step = steps.find(s => s.index > target.segIdx);
+
+    document.getElementById('rideNextInstruction').textContent = `Head ${direction} to rejoin the route`;
+    document.getElementById('rideNextMeta').textContent = `${RideUtils.formatDistance(target.distance)} to the route`
+      + (step?.text ? ` · then ${step.text}` : '') + ' · offline';
+    MapManager.showRejoinLine(pos, target.point);
+
+    // Repeat the spoken hint when the direction changes, at most once a minute
+    const now = this.rideClock(pos);
+    if (direction !== fallback.direction && now - fallback.spokenAt > 60000) {
+      fallback.direction = direction;
+      fallback.spokenAt = now;
+      this.speakRide(`Route unavailable. Head ${direction} to rejoin the planned route.`);
+    }
+  },
+
+  /** Leave fallback mode, either back on the line or because a real route arrived */
+  endReturnToRoute(rejoined) {
+    if (!this.rideRouteFallback) return;
+    this.rideRouteFallback = null;
+    MapManager.clearRejoinLine();
+    if (rejoined) {
+      UI.showToast('Back on route', 'success');
+      this.speakRide('Back on route');
+    }
+  },
+
+  /** Connectivity is back: replace the fallback with a proper route */
+  retryRideReroute() {
+    const pos = this.rideLastPosition;
+    if (!this.isRiding || !this.rideRouteFallback || this.rideRerouting || !pos) return;
+    this.rideRerouting = true;
+    this.lastRerouteAt = this.rideClock(pos);
+    UI.showToast('Back online. Rerouting...', 'info');
+    MapManager.rerouteFromPosition(pos, this.getRemainingWaypoints());
+  },
+
+  /* --- Screen wake lock --- */
+
+  /**
+   * Keep the screen on while riding; silently unavailable on older browsers.
+   * A call while a request is pending waits for it rather than asking again,
+   * so there is never a second lock that nothing releases.
+   */
+  acquireWakeLock() {
+    if (!('wakeLock' in navigator) || this.rideWakeLock || document.hidden) return Promise.resolve();
+    if (!this.rideWakeLockRequest) {
+      this.rideWakeLockRequest = this.requestWakeLock().finally(() => {
+        this.rideWakeLockRequest = null;
+      });
+    }
+    return this.rideWakeLockRequest;
+  },
+
+  async requestWakeLock() {
+    try {
+      const lock = await navigator.wakeLock.request('screen');
+      if (!this.isRiding) {
+        lock.release();
+        return;
+      }
+      this.rideWakeLock = lock;
+      lock.addEventListener('release', () => {
+        if (this.rideWakeLock === lock) this.rideWakeLock = null;
+      });
+    } catch (err) {
+      // Denied (low battery, power saver) or not allowed without a user gesture
+      console.warn('Wake lock unavailable', err);
+    }
+  },
+
+  releaseWakeLock() {
+    const lock = this.rideWakeLock;
+    this.rideWakeLock = null;
+    lock?.release().catch(() => {});
+  },
+
+  /* --- Skip / restore stops --- */
+
+  /** Drop the next stop from this ride and route straight to the one after */
+  skipNextStop() {
+    if (!this.isRiding) return;
+    const remaining = this.getRemainingWaypoints();
+    if (remaining.length < 2) {
+      UI.showToast('Your destination cannot be skipped', 'info');
+      return;
+    }
+    const [next] = remaining;
+    this.rideSkippedWaypoints = [...(this.rideSkippedWaypoints || []), next.id];
+    UI.showToast(`Skipped ${next.name || 'stop'}`, 'info');
+    this.speakRide(`Skipping ${next.name || 'next stop'}. Rerouting.`, { interrupt: true });
+    this.rerouteRemainingStops();
+  },
+
+  /** Put the most recently skipped stop back on the route */
+  unskipStop() {
+    if (!this.isRiding || !this.rideSkippedWaypoints?.length) return;
+    const id = this.rideSkippedWaypoints[this.rideSkippedWaypoints.length - 1];
+    this.rideSkippedWaypoints = this.rideSkippedWaypoints.slice(0, -1);
+    const wp = (this.currentTrip?.waypoints || []).find(w => w.id === id);
+    UI.showToast(`${wp?.name || 'Stop'} is back on the route`, 'info');
+    this.speakRide(`Adding ${wp?.name || 'stop'} back. Rerouting.`, { interrupt: true });
+    this.rerouteRemainingStops();
+  },
+
+  /** Route from the last fix through the stops still ahead */
+  rerouteRemainingStops() {
+    this.updateRideSkipButtons();
+    const remaining = this.getRemainingWaypoints();
+    document.getElementById('rideStops').textContent = remaining.length.toString();
+    this.renderNextStopCard(null, remaining);
+    this.checkpointRide();
+    const pos = this.rideLastPosition;
+    if (!pos) return;   // no fix yet: the first fix routes around skipped stops
+    this.rideRerouting = true;
+    this.offRouteCounter = 0;
+    this.lastRerouteAt = this.rideClock(pos);
+    MapManager.rerouteFromPosition(pos, remaining);
+  },
+
+  updateRideSkipButtons() {
+    const count = this.rideSkippedWaypoints?.length || 0;
+    const unskip = document.getElementById('rideUnskipBtn');
+    if (!unskip) return;
+    unskip.classList.toggle('hidden', !count);
+    const last = count ? (this.currentTrip?.waypoints || []).find(w => w.id === this.rideSkippedWaypoints[count - 1]) : null;
+    unskip.setAttribute('aria-label', last ? `Restore ${last.name || 'skipped stop'}` : 'Restore skipped stop');
+  },
+
+  toggleRideVoice() {
+    const settings = Storage.updateSettings({ voiceEnabled: !Storage.getSettings().voiceEnabled });
+    if (!settings.voiceEnabled) Voice.cancel();
+    this.updateRideVoiceButton();
+    UI.showToast(settings.voiceEnabled ? 'Voice guidance on' : 'Voice guidance muted', 'info');
+  },
+
+  updateRideVoiceButton() {
+    const btn = document.getElementById('rideVoiceBtn');
+    if (!btn) return;
+    btn.classList.toggle('hidden', !Voice.isSupported());
+    const on = !!Storage.getSettings().voiceEnabled;
+    btn.textContent = on ? '🔊' : '🔇';
+    // A toggle named for the feature: pressed means voice guidance is on
+    btn.setAttribute('aria-pressed', String(on));
+  },
+
+  /* --- Ride simulator (developer/demo mode) --- */
+
+  /** Build a replay from a loaded GPX file or the planned route, when enabled */
+  createRideReplay() {
+    const settings = Storage.getSettings();
+    if (!settings.simEnabled || typeof RideSimulator === 'undefined') return null;
+    const speed = Math.max(1, Number(settings.simSpeedKmh) || 50) / 3.6;
+    const fixes = this.simGpx?.text
+      ? RideSimulator.fromGPX(this.simGpx.text, { speed })
+      : RideSimulator.fromRoute(this.currentTrip?.route?.coordinates || [], { speed });
+    if (fixes.length < 2) {
+      UI.showToast('Nothing to simulate. Using GPS instead.', 'error');
+      return null;
+    }
+    return RideSimulator.createReplay(fixes, {
+      speedMultiplier: Number(settings.simSpeedMultiplier) || 1,
+      noiseM: Number(settings.simNoiseM) || 0,
+      onEnd: () => UI.showToast('Simulation finished', 'info')
+    });
+  },
+
+  toggleRideSimPause() {
+    const replay = MapManager.rideReplay;
+    if (!replay) return;
+    if (replay.paused) replay.resume(); else replay.pause();
+    this.updateRideSimControls();
+  },
+
+  cycleRideSimSpeed() {
+    const replay = MapManager.rideReplay;
+    if (!replay) return;
+    const rates = this.RIDE_SIM_MULTIPLIERS;
+    const next = rates[(rates.indexOf(replay.speedMultiplier) + 1) % rates.length];
+    replay.setSpeedMultiplier(next);
+    this.updateRideSimControls();
+  },
+
+  updateRideSimControls() {
+    const replay = MapManager.rideReplay;
+    const pauseBtn = document.getElementById('rideSimPauseBtn');
+    const speedBtn = document.getElementById('rideSimSpeedBtn');
+    pauseBtn?.classList.toggle('hidden', !this.rideSimulated);
+    speedBtn?.classList.toggle('hidden', !this.rideSimulated);
+    if (!this.rideSimulated) return;
+    const paused = !!replay?.paused;
+    if (pauseBtn) {
+      pauseBtn.textContent = paused ? '▶' : '⏸';
+      pauseBtn.setAttribute('aria-label', paused ? 'Resume simulation' : 'Pause simulation');
+    }
+    if (speedBtn) speedBtn.textContent = `${replay?.speedMultiplier ?? Storage.getSettings().simSpeedMultiplier}×`;
+  },
+
+  /* --- Trip computer --- */
+
+  resetRideStats(saved = null) {
+    this.rideStats = {
+      distance: saved?.distance || 0,       // meters ridden while moving
+      movingTime: saved?.movingTime || 0,   // seconds
+      stoppedTime: saved?.stoppedTime || 0, // seconds
+      maxSpeed: saved?.maxSpeed || 0,       // m/s
+      speed: 0,                             // smoothed current speed, m/s
+      last: null                            // previous fix { lat, lng, t }
+    };
+  },
+
+  /** Accumulate moving/stopped time and distance from a GPS fix */
+  updateRideStats(pos) {
+    const stats = this.rideStats;
+    if (!stats || !Number.isFinite(pos?.lat) || !Number.isFinite(pos?.lng)) return;
+    const t = this.rideClock(pos);
+    const last = stats.last;
+    stats.last = { lat: pos.lat, lng: pos.lng, t };
+    if (!last) return;
+
+    const dt = (t - last.t) / 1000;
+    if (!(dt > 0) || dt > this.RIDE_MAX_FIX_GAP_S) return;
+    const moved = RideUtils.haversine(last, pos);
+    const reported = Number.isFinite(pos.speed) && pos.speed >= 0 ? pos.speed : null;
+    const speed = reported ?? moved / dt;
+    if (speed > this.RIDE_MAX_PLAUSIBLE_SPEED_MS) return;
+
+    stats.speed = stats.speed ? stats.speed * 0.6 + speed * 0.4 : speed;
+    if (speed >= this.RIDE_MOVING_SPEED_MS) {
+      stats.movingTime += dt;
+      stats.distance += moved;
+      // Require decent accuracy before trusting a new top speed
+      if (!(pos.accuracy > 30)) stats.maxSpeed = Math.max(stats.maxSpeed, speed);
+    } else {
+      stats.stoppedTime += dt;
+    }
+  },
+
+  /**
+   * Pace used for ETAs: the planned OSRM speed at first, shifting to the
+   * rider's moving average over the first ten minutes of riding.
+   */
+  ridePace() {
+    const route = this.currentTrip?.route;
+    const planned = route?.distance && route?.duration ? route.distance / route.duration : null;
+    const stats = this.rideStats;
+    const actual = stats?.movingTime > 60 ? stats.distance / stats.movingTime : null;
+    if (!actual) return planned;
+    if (!planned) return actual;
+    const w = Math.min(1, stats.movingTime / 600);
+    return actual * w + planned * (1 - w);
+  },
+
+  /** Seconds → "25 min · 14:32" */
+  formatEta(seconds) {
+    if (!Number.isFinite(seconds)) return '—';
+    const clock = new Date(Date.now() + seconds * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `${this.formatDuration(seconds)} · ${clock}`;
+  },
+
+  /** Ride summary in the shape the tracks API stores */
+  summarizeRideStats(stats) {
+    if (!stats) return null;
+    return {
+      moving_distance: Math.round(stats.distance),
+      moving_time: Math.round(stats.movingTime),
+      stopped_time: Math.round(stats.stoppedTime),
+      avg_speed: stats.movingTime > 0 ? stats.distance / stats.movingTime : 0,
+      max_speed: stats.maxSpeed
+    };
+  },
+
+  /** Update overlay readouts; ETAs need a route match */
+  renderRideComputer(match, remainingWaypoints = this.getRemainingWaypoints()) {
+    const stats = this.rideStats;
+    const set = (id, text) => { const el = document.getElementById(id); if (el) el.textContent = text; };
+    this.renderNextStopCard(match, remainingWaypoints);
+    if (!stats) return;
+
+    set('rideSpeed', Math.round(stats.speed * 3.6).toString());
+    set('rideAvgSpeed', stats.movingTime > 0 ? Math.round(stats.distance / stats.movingTime * 3.6).toString() : '—');
+    set('rideMaxSpeed', stats.maxSpeed ? Math.round(stats.maxSpeed * 3.6).toString() : '—');
+    set('rideDistanceRidden', this.formatDistance(stats.distance));
+    set('rideMovingTime', this.formatDuration(stats.movingTime));
+    set('rideStoppedTime', this.formatDuration(stats.stoppedTime));
+    if (!match) return;
+
+    const route = this.currentTrip.route;
+    const pace = this.ridePace();
+    const total = route._total || 0;
+    set('rideEta', pace ? this.formatEta(Math.max(0, total - match.along) / pace) : '—');
+  },
+
+  /* --- Next stop card --- */
+
+  /**
+   * Show the next unvisited stop with its distance along the route and ETA.
+   * Without a route match the name stays up and the numbers are blanked.
+   */
+  renderNextStopCard(match, remainingWaypoints = this.getRemainingWaypoints()) {
+    const card = document.getElementById('rideNextStopCard');
+    if (!card) return;
+    const next = remainingWaypoints[0];
+    this.rideNextStopId = next?.id || null;
+    card.classList.toggle('hidden', !next);
+    if (!next) {
+      document.getElementById('rideStopSheet')?.classList.add('hidden');
+      return;
+    }
+
+    const icon = MapManager.waypointIcons[next.type] || MapManager.waypointIcons.stop;
+    document.getElementById('rideNextStopIcon').textContent = icon.icon;
+    document.getElementById('rideNextStopName').textContent = next.name || 'Waypoint';
+
+    let dist = null;
+    if (match) {
+      const along = this.currentTrip.route?._waypointAlong?.get(next.id);
+      dist = Number.isFinite(along) && along >= match.along
+        ? along - match.along
+        : (this.rideLastPosition ? RideUtils.haversine(this.rideLastPosition, next) : null);
+    }
+    const pace = this.ridePace();
+    document.getElementById('rideNextStopDistance').textContent = Number.isFinite(dist) ? this.formatDistance(dist) : '—';
+    document.getElementById('rideNextStopEta').textContent = Number.isFinite(dist) && pace ? this.formatEta(dist / pace) : '—';
+  },
+
+  openRideStopSheet() {
+    const wp = (this.currentTrip?.waypoints || []).find(w => w.id === this.rideNextStopId);
+    if (!wp) return;
+    const icon = MapManager.waypointIcons[wp.type] || MapManager.waypointIcons.stop;
+    document.getElementById('rideStopSheetTitle').textContent = `${icon.icon} ${wp.name || 'Waypoint'}`;
+    document.getElementById('rideStopSheetAddress').textContent = wp.address || '';
+    document.getElementById('rideStopSheetNotes').textContent = wp.notes || 'No notes for this stop.';
+
+    const list = document.getElementById('rideStopSheetAttachments');
+    const attachments = (this.currentTrip.attachments || []).filter(a => a && (a.waypointId || a.waypoint_id) === wp.id);
+    list.innerHTML = attachments.map(att => {
+      const name = UI.escapeHtml(att.originalName || att.original_name || att.filename || 'Attachment');
+      const url = UI.escapeHtml(att.url || '');
+      const mime = att.mimeType || att.mime_type || '';
+      return mime.startsWith('image/')
+        ? `<a href="${url}" target="_blank" rel="noopener"><img src="${url}" alt="${name}" loading="lazy"></a>`
+        : `<div class="attachment-pill"><a href="${url}" target="_blank" rel="noopener">${name}</a></div>`;
+    }).join('');
+    document.getElementById('rideStopSheet')?.classList.remove('hidden');
   }
 });
@@ -0,0 +1,225 @@
+/**
+ * Ride Simulator — replays a GPX track or a synthetic path as GPS fixes
+ *
+ * A replay emits the same fix shape MapManager.startRide hands to its
+ * callback ({lat, lng, heading, accuracy, speed, timestamp}), so off-route
+ * detection, reroute throttling and guidance can be exercised at a desk.
+ *
+ * No DOM or Leaflet dependency (only RideUtils from utils.js): a test harness
+ * can load the two files, build a replay with a fixed seed and drive it
+ * synchronously with step(). In Node, require() utils.js into
+ * globalThis.RideUtils first (see tests/ride-simulator.test.js).
+ */
+const RideSimulator = {
+  DEFAULT_SPEED_MS: 13.9,   // ~50 km/h for synthetic paths
+
+  /**
+   * Parse track (trkpt) points from GPX text, falling back to route (rtept)
+   * points when the file has no track.
+   * Returns [{lat, lng, t}] where t is epoch ms or null when untimed.
+   */
+  parseGPX(gpxString) {
+    const points = { trkpt: [], rtept: [] };
+    const tag = /<(trkpt|rtept)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1>)/g;
+    const attr = (attrs, name) => {
+      const m = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+      return m ? parseFloat(m[1]) : NaN;
+    };
+    let match;
+    while ((match = tag.exec(String(gpxString || '')))) {
+      const lat = attr(match[2], 'lat');
+      const lng = attr(match[2], 'lon');
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+      const time = match[4]?.match(/<time>([^<]+)<\/time>/);
+      const t = time ? Date.parse(time[1].trim()) : NaN;
+      points[match[1]].push({ lat, lng, t: Number.isFinite(t) ? t : null });
+    }
+    return points.trkpt.length ? points.trkpt : points.rtept;
+  },
+
+  /**
+   * Resample a path at a constant speed, one fix every `intervalS` seconds.
+   * Accepts {lat, lng} or [lat, lng] coordinates. Fix times are seconds from start.
+   */
+  samplePath(coords, { speed = this.DEFAULT_SPEED_MS, intervalS = 1 } = {}) {
+    const path = (coords || []).map(c => RideUtils.toLatLng(c));
+    if (!path.length) return [];
+    const step = Math.max(0.1, speed) * intervalS;
+    const fixes = [{ ...path[0], t: 0 }];
+    let carried = 0;   // distance already travelled into the current segment
+    let t = 0;
+    for (let i = 0; i < path.length - 1; i++) {
+      const a = path[i];
+      const b = path[i + 1];
+      const len = RideUtils.haversine(a, b);
+      let d = step - carried;
+      while (d <= len) {
+        const f = len > 0 ? d / len : 1;
+        t += intervalS;
+        fixes.push({ lat: a.lat + (b.lat - a.lat) * f, lng: a.lng + (b.lng - a.lng) * f, t });
+        d += step;
+      }
+      carried = len - (d - step);
+    }
+    const end = path[path.length - 1];
+    const last = fixes[fixes.length - 1];
+    if (last.lat !== end.lat || last.lng !== end.lng) fixes.push({ ...end, t: t + intervalS });
+    return this.withMotion(fixes);
+  },
+
+  /** Synthetic ride along route coordinates */
+  fromRoute(coords, options = {}) {
+    return this.samplePath(coords, options);
+  },
+
+  /**
+   * Fixes from GPX text. Timed tracks replay with their recorded pacing;
+   * untimed ones (or plain routes) are resampled at `options.speed`.
+   */
+  fromGPX(gpxString, options = {}) {
+    const points = this.parseGPX(gpxString);
+    if (points.length < 2) return points.map(p => ({ ...p, t: 0 }));
+    if (points.some(p => p.t === null)) return this.samplePath(points, options);
+    const t0 = points[0].t;
+    return this.withMotion(points.map(p => ({ lat: p.lat, lng: p.lng, t: (p.t - t0) / 1000 })));
+  },
+
+  /** Fill in speed (m/s) and heading (deg) from consecutive fixes */
+  withMotion(fixes) {
+    return fixes.map((fix, i) => {
+      const prev = fixes[i - 1];
+      const next = fixes[i + 1];
+      const [a, b] = next ? [fix, next] : [prev || fix, fix];
+      const dt = b.t - a.t;
+      return {
+        ...fix,
+        speed: dt > 0 ? RideUtils.haversine(a, b) / dt : 0,
+        heading: this.bearing(a, b)
+      };
+    });
+  },
+
+  bearing(a, b) {
+    return RideUtils.bearing(a, b);
+  },
+
+  /** Small seeded PRNG (mulberry32) so noisy replays are reproducible */
+  seededRandom(seed) {
+    let s = seed >>> 0;
+    return () => {
+      s = (s + 0x6D2B79F5) >>> 0;
+      let r = Math.imul(s ^ (s >>> 15), 1 | s);
+      r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+      return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  /**
+   * Create a replay over `fixes` (seconds-based t, as produced above).
+   *
+   * Options:
+   *   speedMultiplier  playback rate (2 = twice real time)
+   *   noiseM           standard deviation of injected GPS error, meters
+   *   accuracy         reported accuracy when noise is lower, meters
+   *   seed             PRNG seed for the noise
+   *   startTime        epoch ms of the first fix (defaults to now)
+   *   onPosition(fix)  called for every emitted fix
+   *   onEnd()          called after the last fix
+   */
+  createReplay(fixes, options = {}) {
+    const random = this.seededRandom(options.seed ?? Date.now());
+    const startTime = options.startTime ?? Date.now();
+    const gaussian = () => {
+      // Box–Muller
+      const u = Math.max(random(), 1e-12);
+      return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    };
+
+    const replay = {
+      fixes: fixes || [],
+      index: 0,
+      speedMultiplier: Math.max(0.1, options.speedMultiplier || 1),
+      noiseM: Math.max(0, options.noiseM || 0),
+      accuracy: options.accuracy ?? 8,
+      paused: false,
+      running: false,
+      timer: null,
+      onPosition: options.onPosition || null,
+      onEnd: options.onEnd || null,
+
+      get done() { return this.index >= this.fixes.length; },
+
+      /** Emit the next fix immediately; returns it, or null at the end */
+      step() {
+        if (this.done) return null;
+        const src = this.fixes[this.index++];
+        const fix = {
+          lat: src.lat,
+          lng: src.lng,
+          heading: Number.isFinite(src.heading) ? src.heading : null,
+          speed: Number.isFinite(src.speed) ? src.speed : null,
+          accuracy: Math.max(this.accuracy, Math.round(this.noiseM * 2)),
+          timestamp: startTime + Math.round((src.t || 0) * 1000)
+        };
+        if (this.noiseM > 0) {
+          const mPerDeg = 111320;
+          fix.lat += (gaussian() * this.noiseM) / mPerDeg;
+          fix.lng += (gaussian() * this.noiseM) / (mPerDeg * Math.cos(fix.lat * Math.PI / 180));
+        }
+        if (typeof this.onPosition === 'function') this.onPosition(fix);
+        if (this.done && typeof this.onEnd === 'function') this.onEnd();
+        return fix;
+      },
+
+      /** Play in real time (scaled by speedMultiplier) */
+      start() {
+        this.running = true;
+        this.paused = false;
+        this.schedule(0);
+      },
+
+      schedule(delayMs) {
+        clearTimeout(this.timer);
+        if (!this.running || this.paused || this.done) return;
+        this.timer = setTimeout(() => {
+          this.step();
+          const emitted = this.fixes[this.index - 1];
+          const next = this.fixes[this.index];
+          if (!next) { this.running = false; return; }
+          const gapS = Math.max(0, (next.t || 0) - (emitted.t || 0));
+          this.schedule(Math.max(50, (gapS * 1000) / this.speedMultiplier));
+        }, delayMs);
+      },
+
+      pause() {
+        this.paused = true;
+        clearTimeout(this.timer);
+      },
+
+      resume() {
+        if (!this.running) return;
+        this.paused = false;
+        this.schedule(0);
+      },
+
+      setSpeedMultiplier(multiplier) {
+        this.speedMultiplier = Math.max(0.1, multiplier || 1);
+      },
+
+      setNoise(meters) {
+        this.noiseM = Math.max(0, meters || 0);
+      },
+
+      stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+      }
+    };
+    return replay;
+  }
+};
+
+// Make available globally, and to Node test harnesses through require()
+if (typeof window !== 'undefined') window.RideSimulator = RideSimulator;
+if (typeof module !== 'undefined') module.exports = RideSimulator;
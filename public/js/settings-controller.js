@@ -0,0 +1,132 @@
+/**
+ * Settings Controller — per-device user settings modal
+ * Extends App object (loaded after app-core.js)
+ */
+Object.assign(App, {
+  bindSettings() {
+    document.getElementById('settingsForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveSettingsForm();
+    });
+    document.getElementById('settingVoiceLang')?.addEventListener('change', (e) => {
+      this.populateVoiceOptions(e.target.value, '');
+    });
+    document.getElementById('settingSimGpxBtn')?.addEventListener('click', () => {
+      document.getElementById('settingSimGpxFile')?.click();
+    });
+    document.getElementById('settingSimGpxFile')?.addEventListener('change', async (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = '';
+      if (!file) return;
+      const text = await file.text();
+      if (RideSimulator.parseGPX(text).length < 2) {
+        UI.showToast('No track points found in that GPX file', 'error');
+        return;
+      }
+      this.simGpx = { name: file.name, text };
+      this.updateSimGpxLabel();
+    });
+    document.getElementById('settingSimGpxClear')?.addEventListener('click', () => {
+      this.simGpx = null;
+      this.updateSimGpxLabel();
+    });
+    document.getElementById('settingVoiceTest')?.addEventListener('click', () => {
+      const voiceURI = document.getElementById('settingVoiceURI')?.value || '';
+      const lang = document.getElementById('settingVoiceLang')?.value || '';
+      if (!Voice.speak(`In ${Voice.formatDistance(150)}, turn left`, { voiceURI, lang, interrupt: true })) {
+        UI.showToast('Voice is not supported on this device', 'error');
+      }
+    });
+  },
+
+  openSettings() {
+    this.fillSettingsForm(Storage.getSettings());
+    UI.openModal('settingsModal');
+  },
+
+  fillSettingsForm(settings) {
+    const supported = Voice.isSupported();
+    document.getElementById('settingVoiceEnabled').checked = !!settings.voiceEnabled;
+    document.getElementById('settingVoiceDistances').value = (settings.voicePromptDistances || []).join(', ');
+    const profileSelect = document.getElementById('settingRidePowerProfile');
+    profileSelect.innerHTML = Object.entries(MapManager.ridePowerProfiles)
+      .map(([key, p]) => `<option value="${key}">${UI.escapeHtml(p.label)}</option>`).join('');
+    profileSelect.value = MapManager.ridePowerProfiles[settings.ridePowerProfile] ? settings.ridePowerProfile : 'balanced';
+    document.getElementById('settingAutoArrivalJournal').checked = !!settings.autoArrivalJournal;
+    document.getElementById('settingTileCacheMB').value = settings.tileCacheMaxMB;
+    document.getElementById('settingSimEnabled').checked = !!settings.simEnabled;
+    document.getElementById('settingSimSpeedKmh').value = settings.simSpeedKmh;
+    document.getElementById('settingSimMultiplier').value = String(settings.simSpeedMultiplier);
+    document.getElementById('settingSimNoiseM').value = settings.simNoiseM;
+    this.updateSimGpxLabel();
+    this.renderOfflineStorage();
+    document.getElementById('settingVoiceUnsupported')?.classList.toggle('hidden', supported);
+    document.getElementById('settingVoiceOptions')?.classList.toggle('hidden', !supported);
+    if (!supported) return;
+
+    const langSelect = document.getElementById('settingVoiceLang');
+    const langs = [...new Set(Voice.getVoices().map(v => v.lang).filter(Boolean))].sort();
+    if (settings.voiceLang && !langs.includes(settings.voiceLang)) langs.unshift(settings.voiceLang);
+    langSelect.innerHTML = '<option value="">Device default</option>'
+      + langs.map(l => `<option value="${UI.escapeHtml(l)}">${UI.escapeHtml(l)}</option>`).join('');
+    langSelect.value = settings.voiceLang || '';
+    this.populateVoiceOptions(settings.voiceLang || '', settings.voiceURI || '');
+  },
+
+  populateVoiceOptions(lang, selectedURI) {
+    const select = document.getElementById('settingVoiceURI');
+    if (!select) return;
+    const voices = Voice.getVoices().filter(v => !lang || v.lang === lang);
+    select.innerHTML = '<option value="">Automatic</option>'
+      + voices.map(v => `<option value="${UI.escapeHtml(v.voiceURI)}">${UI.escapeHtml(v.name)}${lang ? '' : ` (${UI.escapeHtml(v.lang)})`}</option>`).join('');
+    select.value = voices.some(v => v.voiceURI === selectedURI) ? selectedURI : '';
+  },
+
+  updateSimGpxLabel() {
+    const label = document.getElementById('settingSimGpxName');
+    if (label) {
+      label.textContent = this.simGpx
+        ? `Replaying ${this.simGpx.name}`
+        : 'Using the planned route. Files are kept until the app reloads.';
+    }
+    document.getElementById('settingSimGpxClear')?.classList.toggle('hidden', !this.simGpx);
+  },
+
+  /** Parse "500, 150, 0" into a descending list of distinct prompt distances */
+  parsePromptDistances(raw) {
+    const values = String(raw || '')
+      .split(/[\s,]+/)
+      .map(v => Number.parseInt(v, 10))
+      .filter(v => Number.isFinite(v) && v >= 0 && v <= 5000);
+    return [...new Set(values)].sort((a, b) => b - a);
+  },
+
+  saveSettingsForm() {
+    const clamp = (raw, min, max, fallback) => {
+      const n = Number(raw);
+      return Number.isFinite(n) && raw !== '' ? Math.min(max, Math.max(min, n)) : fallback;
+    };
+    const distances = this.parsePromptDistances(document.getElementById('settingVoiceDistances').value);
+    const previous = Storage.getSettings();
+    const settings = Storage.updateSettings({
+      voiceEnabled: document.getElementById('settingVoiceEnabled').checked,
+      voiceLang: document.getElementById('settingVoiceLang')?.value || '',
+      voiceURI: document.getElementById('settingVoiceURI')?.value || '',
+      voicePromptDistances: distances.length ? distances : Storage.SETTINGS_DEFAULTS.voicePromptDistances,
+      ridePowerProfile: document.getElementById('settingRidePowerProfile').value || 'balanced',
+      autoArrivalJournal: document.getElementById('settingAutoArrivalJournal').checked,
+      tileCacheMaxMB: clamp(document.getElementById('settingTileCacheMB').value, 25, 2000, Storage.SETTINGS_DEFAULTS.tileCacheMaxMB),
+      simEnabled: document.getElementById('settingSimEnabled').checked,
+      simSpeedKmh: clamp(document.getElementById('settingSimSpeedKmh').value, 1, 300, Storage.SETTINGS_DEFAULTS.simSpeedKmh),
+      simSpeedMultiplier: clamp(document.getElementById('settingSimMultiplier').value, 1, 20, 1),
+      simNoiseM: clamp(document.getElementById('settingSimNoiseM').value, 0, 200, 0)
+    });
+    this.updateRideVoiceButton();
+    if (this.isRiding && settings.ridePowerProfile !== previous.ridePowerProfile) {
+      MapManager.setRidePowerProfile(settings.ridePowerProfile);
+    }
+    if (settings.tileCacheMaxMB !== previous.tileCacheMaxMB) this.applyTileCacheLimit(settings);
+    UI.closeModal('settingsModal');
+    UI.showToast('Settings saved', 'success');
+  }
+});
@@ -273,10 +273,10 @@ const Share = {
   /**
    * Load shared trip from URL
    */
-  loadSharedTrip(shareId) {
+  async loadSharedTrip(shareId) {
     // Cloud trips are loaded via API in app-core.js loadSharedTrip()
-    // This local fallback checks localStorage for any trip with this share ID
-    const trips = Storage.getTrips();
+    // This local fallback checks the device trip cache for any trip with this share ID
+    const trips = TripStore.isAvailable() ? await TripStore.all().catch(() => []) : [];
     const trip = trips.find(t => (t.shareId || t.shortCode || t.share_id || t.short_code) === shareId);
     
     if (trip) {
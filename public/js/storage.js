@@ -1,12 +1,30 @@
 /**
- * Storage module - handles local storage for trips and data
+ * Storage module - handles local storage for settings and small per-device state
+ * (trips themselves are cached in IndexedDB by TripStore)
  */
 const Storage = {
   KEYS: {
-    TRIPS: 'ride_trips',
-    CURRENT_TRIP: 'ride_current_trip',
+    TRIPS: 'ride_trips',                 // legacy, moved to TripStore by migrateLegacy()
+    CURRENT_TRIP: 'ride_current_trip',   // legacy, as above
     SETTINGS: 'ride_settings',
-    TRIP_ORDER: 'ride_trip_order'
+    TRIP_ORDER: 'ride_trip_order',
+    RIDE_STATE: 'ride_active_ride',
+    OFFLINE_PACKS: 'ride_offline_packs'
+  },
+
+  // Per-device user settings; anything missing from storage falls back here
+  SETTINGS_DEFAULTS: {
+    voiceEnabled: false,             // spoken prompts are opt-in
+    voiceLang: '',                   // '' = device default
+    voiceURI: '',                    // '' = best voice for voiceLang
+    voicePromptDistances: [500, 150, 0],  // meters before a maneuver; 0 = "now"
+    ridePowerProfile: 'balanced',    // see MapManager.ridePowerProfiles
+    autoArrivalJournal: false,       // log a private journal entry at each waypoint reached
+    tileCacheMaxMB: 200,             // browsing tile cache budget; offline-pack tiles excluded
+    simEnabled: false,               // developer/demo: replay fixes instead of GPS
+    simSpeedKmh: 50,                 // pace for synthetic or untimed paths
+    simSpeedMultiplier: 1,
+    simNoiseM: 0                     // injected GPS error (std dev, meters)
   },
 
   /**
@@ -49,24 +67,26 @@ const Storage = {
   },
 
   /**
-   * Get all trips
+   * Generate unique ID
    */
-  getTrips() {
-    return this.load(this.KEYS.TRIPS, []);
+  generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
   },
 
   /**
-   * Save all trips
+   * Get user settings merged over defaults
    */
-  saveTrips(trips) {
-    return this.save(this.KEYS.TRIPS, trips);
+  getSettings() {
+    return { ...this.SETTINGS_DEFAULTS, ...this.load(this.KEYS.SETTINGS, {}) };
   },
 
   /**
-   * Generate unique ID
+   * Merge a partial update into user settings; returns the full settings
    */
-  generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  updateSettings(patch) {
+    const settings = { ...this.getSettings(), ...patch };
+    this.save(this.KEYS.SETTINGS, settings);
+    return settings;
   },
 
   /**
@@ -83,10 +103,14 @@ const Storage = {
     return this.save(this.KEYS.TRIP_ORDER, order || []);
   },
 
+  /**
+   * Forget cached trips (sign-out, account switch)
+   */
   clearTrips() {
-    this.saveTrips([]);
-    this.remove(this.KEYS.CURRENT_TRIP);
     this.remove(this.KEYS.TRIP_ORDER);
+    if (window.TripStore?.isAvailable()) {
+      TripStore.clear().catch(err => console.error('Clearing trip cache failed:', err));
+    }
   }
 };
 
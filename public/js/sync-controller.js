@@ -0,0 +1,597 @@
+/**
+ * Sync Controller — offline edits queued in the Outbox and replayed on reconnect
+ * Extends App object (loaded after app-core.js)
+ *
+ * While offline (or while earlier offline edits are still unsent, so order is
+ * kept) waypoint, journal and trip edits and attachment uploads are applied to
+ * the open trip right away and queued. Replies of 409 go to handleTripConflict
+ * with the queued ops, which merges them with the server's copy
+ * (resolveTripConflict).
+ *
+ * The service worker also replays the queue from Background Sync, so edits
+ * still go out after the app is closed; it reports back with a
+ * 'ride:outbox-synced' message.
+ */
+Object.assign(App, {
+  OUTBOX_NOTICE_INTERVAL_MS: 30000,   // don't repeat the "saved on this device" toast for every edit
+  OUTBOX_RETRY_MS: 60000,             // page-side retry after a replay stopped on a network or server error
+  OUTBOX_PERIODIC_SYNC_MS: 15 * 60 * 1000,
+
+  outboxAvailable() {
+    return 'indexedDB' in window;
+  },
+
+  async initOutbox() {
+    if (!this.outboxAvailable()) return;
+    try {
+      this.outboxPending = await Outbox.count();
+    } catch (err) {
+      console.warn('Outbox unavailable', err);
+      return;
+    }
+    navigator.serviceWorker?.addEventListener('message', (event) => {
+      if (event.data?.type === 'ride:outbox-synced') this.handleOutboxSynced(event.data);
+    });
+    this.renderOutboxStatus();
+    if (!this.outboxPending) return;
+    this.requestBackgroundSync();
+    if (this.isOnline) {
+      this.replayOutbox();
+    } else {
+      this.resolveParkedConflicts();
+    }
+  },
+
+  /**
+   * Ask the service worker to flush the outbox when the connection is back,
+   * even if the app has been closed by then. Periodic Sync is the fallback
+   * where Background Sync is missing; elsewhere the worker retries on its
+   * own timer while it is alive.
+   */
+  async requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      if (registration.sync) {
+        await registration.sync.register(Outbox.SYNC_TAG);
+      } else if (registration.periodicSync) {
+        await registration.periodicSync.register(Outbox.SYNC_TAG, { minInterval: this.OUTBOX_PERIODIC_SYNC_MS });
+      }
+    } catch (err) {
+      console.warn('Background sync unavailable', err);
+    }
+  },
+
+  /** Stop the periodic fallback once nothing is left to send */
+  async releaseBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.periodicSync?.unregister(Outbox.SYNC_TAG);
+    } catch (_) {
+      // Not registered
+    }
+  },
+
+  /** Edits go through the outbox while offline or while earlier offline edits are unsent */
+  shouldQueueEdits() {
+    return this.outboxAvailable() && (!this.isOnline || this.outboxPending > 0);
+  },
+
+  /**
+   * Queue an edit to the open trip. `op` is { method, path, body, creates, label }
+   * with `path` relative to /api; the caller has already applied it locally.
+   */
+  async queueTripEdit(op) {
+    const trip = this.currentTrip;
+    const version = Number(trip.version);
+    try {
+      await Outbox.add({
+        ...op, userId: this.currentUser?.id ?? null, tripId: trip.id, ifMatch: Number.isFinite(version) ? version : null
+      });
+    } catch (err) {
+      console.error('Queueing offline edit failed:', err);
+      UI.showToast('Could not save this change on the device', 'error');
+      return false;
+    }
+    this.outboxPending += 1;
+    this.markTripWritten(trip.id);
+    this.renderOutboxStatus();
+    this.requestBackgroundSync();
+    if (this.isOnline) {
+      this.replayOutbox();
+    } else if (Date.now() - this.outboxNoticeAt > this.OUTBOX_NOTICE_INTERVAL_MS) {
+      this.outboxNoticeAt = Date.now();
+      UI.showToast('Saved on this device. It will sync when you are back online.', 'info');
+    }
+    return true;
+  },
+
+  /**
+   * Queue an upload for the open trip. `fields` are the form fields
+   * (journal_entry_id, waypoint_id, is_private). Returns a placeholder
+   * attachment, showing the local file until the upload syncs, or null.
+   */
+  async queueAttachmentUpload(file, fields) {
+    const attachment = {
+      id: Outbox.newTempId(),
+      url: URL.createObjectURL(file),
+      original_name: file.name,
+      originalName: file.name,
+      mimeType: file.type,
+      sizeBytes: file.size,
+      journalEntryId: fields.journal_entry_id || null,
+      waypointId: fields.waypoint_id || null,
+      isPrivate: !!fields.is_private,
+      createdAt: new Date().toISOString(),
+      pending: true
+    };
+    const queued = await this.queueTripEdit({
+      method: 'POST',
+      path: `/trips/${this.currentTrip.id}/attachments`,
+      body: fields,
+      file,
+      fileName: file.name,
+      creates: attachment.id,
+      label: `upload ${file.name}`
+    });
+    if (!queued) {
+      URL.revokeObjectURL(attachment.url);
+      return null;
+    }
+    return attachment;
+  },
+
+  /**
+   * Empty the outbox, or with `keepUserId` keep only that account's ops.
+   * Edits queued by one account must never go out under another's session,
+   * and their photos shouldn't stay behind on a shared device.
+   */
+  async discardOutbox(keepUserId = null) {
+    if (!this.outboxAvailable()) return;
+    try {
+      if (keepUserId) await Outbox.clearOtherUsers(keepUserId);
+      else await Outbox.clear();
+      this.outboxPending = await Outbox.count();
+    } catch (err) {
+      console.error('Clearing the outbox failed:', err);
+      return;
+    }
+    this.renderOutboxStatus();
+    if (!this.outboxPending) this.releaseBackgroundSync();
+  },
+
+  /** Drop a queued upload before it is sent. False if it already went out. */
+  async cancelQueuedUpload(tempId) {
+    let cancelled = false;
+    try {
+      cancelled = await Outbox.cancelCreate(tempId);
+    } catch (err) {
+      console.error('Cancelling queued upload failed:', err);
+    }
+    if (cancelled) {
+      this.outboxPending = await Outbox.count();
+      this.renderOutboxStatus();
+    }
+    return cancelled;
+  },
+
+  /**
+   * Track which API reads were answered from the service worker's offline
+   * cache; a fresh answer for the same endpoint clears it.
+   */
+  noteDataFreshness({ endpoint, cachedAt }) {
+    if (cachedAt) this.staleResponses[endpoint] = cachedAt;
+    else delete this.staleResponses[endpoint];
+    this.renderStaleDataStatus();
+  },
+
+  renderStaleDataStatus() {
+    const pill = document.getElementById('staleDataPill');
+    if (!pill) return;
+    const times = Object.values(this.staleResponses).map(t => new Date(t)).filter(d => !isNaN(d));
+    pill.classList.toggle('hidden', !times.length);
+    if (!times.length) return;
+    const oldest = new Date(Math.min(...times));
+    const sameDay = oldest.toDateString() === new Date().toDateString();
+    const when = sameDay
+      ? oldest.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : oldest.toLocaleDateString();
+    pill.textContent = `Offline copy · ${when}`;
+    pill.title = `Showing data saved on this device at ${oldest.toLocaleString()}. It refreshes when you are back online.`;
+  },
+
+  renderOutboxStatus() {
+    const pill = document.getElementById('syncPendingPill');
+    if (!pill) return;
+    pill.classList.toggle('hidden', !this.outboxPending);
+    pill.textContent = `${this.outboxPending} unsynced`;
+    pill.title = this.isOnline ? 'Syncing offline changes…' : 'Changes made offline, sent when you reconnect';
+  },
+
+  /**
+   * Send queued edits in order. Concurrent calls share the running replay,
+   * and Outbox takes a lock so the service worker never replays alongside.
+   * Edits queued during a pass are not part of it, so passes repeat until
+   * only parked ops are left.
+   */
+  replayOutbox() {
+    if (!this.outboxAvailable() || !this.useCloud || !this.currentUser) return Promise.resolve();
+    if (this.outboxReplay) return this.outboxReplay;
+    clearTimeout(this.outboxRetryTimer);
+    this.outboxRetryTimer = null;
+    const userId = this.currentUser.id;
+    this.outboxReplay = (async () => {
+      let report;
+      try {
+        do {
+          report = await Outbox.replay(undefined, userId);
+          this.outboxPending = await Outbox.count();
+          this.applyOutboxReport(report);
+        } while (!report.stopped && await Outbox.hasUnsent(userId));
+      } catch (err) {
+        console.error('Outbox replay failed:', err);
+        return;
+      } finally {
+        this.outboxReplay = null;
+        this.renderOutboxStatus();
+      }
+      if (!this.outboxPending) {
+        this.releaseBackgroundSync();
+      } else if (report.stopped && this.isOnline) {
+        this.outboxRetryTimer = setTimeout(() => this.replayOutbox(), this.OUTBOX_RETRY_MS);
+      }
+      await this.resolveParkedConflicts();
+    })();
+    return this.outboxReplay;
+  },
+
+  /** The service worker replayed the outbox while this tab was open */
+  async handleOutboxSynced({ report }) {
+    try {
+      this.outboxPending = await Outbox.count();
+    } catch (_) {
+      // Keep the last count
+    }
+    this.renderOutboxStatus();
+    this.applyOutboxReport(report);
+    if (!this.outboxPending) this.releaseBackgroundSync();
+    await this.resolveParkedConflicts();
+  },
+
+  /** Ask about every trip whose queued ops are parked after a 409, one trip at a time */
+  async resolveParkedConflicts() {
+    let parked;
+    try {
+      parked = (await Outbox.all()).filter(op => op.status === 'conflict');
+    } catch (err) {
+      console.error('Reading offline changes failed:', err);
+      return;
+    }
+    const tripIds = [...new Set(parked.map(op => op.tripId))];
+    for (const tripId of tripIds) {
+      const ops = parked.filter(op => op.tripId === tripId);
+      await this.handleTripConflict(ops[0].conflict || { status: 409 }, ops);
+    }
+  },
+
+  /** Swap temporary ids and versions in loaded trips for what the server returned */
+  applyOutboxReport(report) {
+    const touched = new Set();
+    report.applied.forEach(({ op, result, id }) => {
+      const trip = op.tripId === this.currentTrip?.id ? this.currentTrip : this.getCachedTrip(op.tripId);
+      if (!trip) return;
+      if (op.creates && id) {
+        this.replaceTripTempId(trip, op.creates, id);
+        this.remapUndoId(op.creates, id);
+      }
+      if (result?.attachment) this.replaceTripAttachment(trip, id, API.attachments.normalize(result.attachment));
+      this.applyTripMetaFromResponse(trip, result?.trip
+        ? { trip_version: result.trip.version, trip_updated_at: result.trip.updated_at }
+        : result);
+      touched.add(trip.id);
+    });
+
+    touched.forEach((tripId) => {
+      // Everything sent: the trip now matches the server copy it was saved as
+      if (!this.outboxPending) this.setTripBase(tripId === this.currentTrip?.id ? this.currentTrip : this.getCachedTrip(tripId));
+      this.scheduleTripPersist(tripId);
+    });
+    if (touched.has(this.currentTrip?.id)) {
+      const waypoints = this.currentTrip.waypoints || [];
+      UI.renderWaypoints(waypoints);
+      UI.renderJournal(this.currentTrip.journal || []);
+      const waypointId = document.getElementById('waypointDetailId')?.value;
+      if (waypointId && !document.getElementById('waypointDetailsModal')?.classList.contains('hidden')) {
+        this.renderWaypointAttachments(waypointId);
+      }
+      // Waypoints edited offline left the route as it was; recalculate and save it now
+      const rerouted = report.applied.some(a => a.op.tripId === this.currentTrip.id && a.op.path.includes('/waypoints'));
+      if (!this.isRiding) {
+        MapManager.updateWaypoints(waypoints);
+        if (rerouted && waypoints.length >= 2) MapManager.updateRoute(waypoints);
+      }
+    }
+    if (report.applied.length) {
+      const n = report.applied.length;
+      UI.showToast(`Synced ${n} offline ${n === 1 ? 'change' : 'changes'}`, 'success');
+      this.refreshTripsList();
+    }
+    report.failed.forEach(({ op }) => {
+      if (op.fileName && op.tripId === this.currentTrip?.id) this.removeAttachmentFromState(op.creates);
+    });
+    if (report.failed.length) {
+      console.warn('Offline edits rejected by the server', report.failed);
+      const labels = [...new Set(report.failed.map(f => f.op.label).filter(Boolean))];
+      UI.showToast(`Some offline changes could not be saved${labels.length ? `: ${labels.join(', ')}` : ''}`, 'error');
+    }
+  },
+
+  replaceTripTempId(trip, tempId, realId) {
+    const swap = item => (item.id === tempId ? { ...item, id: realId } : item);
+    // Uploads queued for a waypoint or note that was itself added offline
+    const relink = attachment => ({
+      ...swap(attachment),
+      journalEntryId: attachment.journalEntryId === tempId ? realId : attachment.journalEntryId,
+      waypointId: attachment.waypointId === tempId ? realId : attachment.waypointId
+    });
+    trip.waypoints = (trip.waypoints || []).map(swap);
+    trip.journal = (trip.journal || []).map(entry => ({ ...swap(entry), attachments: (entry.attachments || []).map(relink) }));
+    trip.attachments = (trip.attachments || []).map(relink);
+    const order = trip.settings?.waypoint_order;
+    if (Array.isArray(order)) trip.settings.waypoint_order = order.map(id => (id === tempId ? realId : id));
+  },
+
+  /** Put the uploaded attachment in place of its placeholder (already re-keyed to `id`) */
+  replaceTripAttachment(trip, id, attachment) {
+    const swap = (a) => {
+      if (a.id !== id) return a;
+      if (a.pending) URL.revokeObjectURL(a.url);
+      return attachment;
+    };
+    trip.attachments = (trip.attachments || []).map(swap);
+    (trip.journal || []).forEach((entry) => {
+      if (Array.isArray(entry.attachments)) entry.attachments = entry.attachments.map(swap);
+    });
+  },
+
+  /** Trips with edits still in the outbox; their local copy is ahead of the server's */
+  async tripsWithQueuedEdits() {
+    if (!this.outboxAvailable()) return new Set();
+    try {
+      return new Set((await Outbox.all()).map(op => op.tripId));
+    } catch (_) {
+      return new Set();
+    }
+  },
+
+  /** The trip as edited on this device: open, in memory, or in TripStore */
+  async getLocalTrip(tripId) {
+    if (this.currentTrip?.id === tripId) return this.currentTrip;
+    const cached = this.getCachedTrip(tripId);
+    if (cached || !this.tripStoreAvailable()) return cached;
+    const stored = await TripStore.get(tripId).catch(() => null);
+    return stored ? this.adoptStoredTrip(stored) : null;
+  },
+
+  /**
+   * Edits to a trip clashed with edits from another device (a 409, online or
+   * from the outbox). Merge the local trip with the latest server copy over
+   * the base it was edited from (TripMerge), ask about real conflicts, then
+   * queue what the merge changed on top of the server version and send it.
+   */
+  async resolveTripConflict(tripId) {
+    let theirs;
+    try {
+      theirs = this.prepareTripData(await API.trips.get(tripId));
+    } catch (err) {
+      if (err.status !== 404) {
+        // Left as it is; asked again after the next replay
+        console.error('Loading the latest trip failed:', err);
+        return;
+      }
+      await Outbox.clearTrip(tripId);
+      this.outboxPending = await Outbox.count();
+      this.renderOutboxStatus();
+      UI.showToast('This trip was deleted on another device', 'info');
+      if (this.currentTrip?.id === tripId) await this.loadInitialTrip();
+      this.refreshTripsList();
+      return;
+    }
+
+    const mine = await this.getLocalTrip(tripId);
+    const base = this.tripBases[tripId] || null;
+    let { merged, conflicts } = mine ? TripMerge.merge(base, mine, theirs) : { merged: theirs, conflicts: [] };
+    if (conflicts.length) {
+      const choices = await this.askMergeChoices(mine.name || theirs.name, conflicts);
+      if (!choices) {
+        await this.discardTripEdits(tripId, mine, theirs);
+        return;
+      }
+      ({ merged } = TripMerge.merge(base, mine, theirs, choices));
+    }
+
+    const renamed = this.renameResurrectedItems(theirs, merged);
+    const ops = this.mergeOps(theirs, merged);
+    try {
+      await this.requeueTripEdits(tripId, theirs.version, ops, renamed);
+    } catch (err) {
+      console.error('Queueing merged changes failed:', err);
+      UI.showToast('Could not save the merged changes on the device', 'error');
+      return;
+    }
+    merged.version = theirs.version;
+    this.setTripBase(theirs);
+    if (this.currentTrip?.id === tripId) this.loadTripData(merged, { local: true });
+    else this.cacheTripData(merged);
+    UI.showToast(ops.length ? 'Merged your changes with edits from another device' : 'Loaded the latest version of this trip', 'info');
+    if (this.outboxPending) {
+      this.requestBackgroundSync();
+      if (this.isOnline) this.replayOutbox();
+    }
+  },
+
+  /** Drop the trip's queued edits and show the server copy */
+  async discardTripEdits(tripId, mine, theirs) {
+    await Outbox.clearTrip(tripId);
+    this.outboxPending = await Outbox.count();
+    this.renderOutboxStatus();
+    [...(mine.attachments || []), ...(mine.journal || []).flatMap(e => e.attachments || [])]
+      .filter(a => a?.pending)
+      .forEach(a => URL.revokeObjectURL(a.url));
+    this.setTripBase(theirs);
+    if (this.currentTrip?.id === tripId) this.loadTripData(theirs);
+    else this.cacheTripData(theirs);
+    UI.showToast('Your changes were discarded', 'info');
+  },
+
+  /**
+   * Waypoints and notes the merge kept although the server deleted them are
+   * added again, so they need new ids. Returns the [oldId, newId] pairs.
+   */
+  renameResurrectedItems(theirs, merged) {
+    const renamed = [];
+    ['waypoints', 'journal'].forEach((list) => {
+      const onServer = new Set((theirs[list] || []).map(item => item.id));
+      (merged[list] || []).forEach((item) => {
+        if (onServer.has(item.id) || String(item.id).startsWith(Outbox.TEMP_ID_PREFIX)) return;
+        renamed.push([item.id, Outbox.newTempId()]);
+      });
+    });
+    renamed.forEach(([oldId, newId]) => this.replaceTripTempId(merged, oldId, newId));
+    return renamed;
+  },
+
+  /** Outbox ops ({ method, path, body, creates, label }) turning the server copy into `merged` */
+  mergeOps(theirs, merged) {
+    const tripPath = `/trips/${theirs.id}`;
+    const fieldsBody = (fields, item, from = null) => Object.assign({}, ...fields
+      .filter(f => !from || !TripMerge.same(f.get(from), f.get(item)))
+      .map(f => f.body(f.get(item))));
+
+    const tripBody = fieldsBody(TripMerge.TRIP_FIELDS, merged, theirs);
+    const settings = {};
+    new Set([...Object.keys(theirs.settings || {}), ...Object.keys(merged.settings || {})]).forEach((key) => {
+      const value = merged.settings?.[key];
+      if (key !== 'waypoint_order' && !TripMerge.same(theirs.settings?.[key], value)) settings[key] = value ?? null;
+    });
+    if (Object.keys(settings).length) tripBody.settings = settings;
+    const ops = Object.keys(tripBody).length ? [{ method: 'PUT', path: tripPath, body: tripBody, label: 'trip' }] : [];
+
+    const itemOps = (list, path, fields, noun) => {
+      const onServer = new Map((theirs[list] || []).map(item => [item.id, item]));
+      const kept = new Set((merged[list] || []).map(item => item.id));
+      const deletes = [...onServer.keys()].filter(id => !kept.has(id))
+        .map(id => ({ method: 'DELETE', path: `${tripPath}/${path}/${id}`, label: `delete ${noun(onServer.get(id))}` }));
+      const adds = [];
+      const updates = [];
+      (merged[list] || []).forEach((item) => {
+        const old = onServer.get(item.id);
+        if (!old) {
+          adds.push({ method: 'POST', path: `${tripPath}/${path}`, body: fieldsBody(fields, item), creates: item.id, label: `add ${noun(item)}` });
+          return;
+        }
+        const body = fieldsBody(fields, item, old);
+        if (Object.keys(body).length) {
+          updates.push({ method: 'PUT', path: `${tripPath}/${path}/${item.id}`, body, label: `edit ${noun(item)}` });
+        }
+      });
+      return { deletes, adds, updates };
+    };
+
+    const waypoints = itemOps('waypoints', 'waypoints', TripMerge.WAYPOINT_FIELDS, w => w.name || 'waypoint');
+    ops.push(...waypoints.deletes, ...waypoints.adds, ...waypoints.updates);
+    // New waypoints go to the end; reorder once they exist (every id, exactly once)
+    const order = (merged.waypoints || []).map(w => w.id);
+    const deleted = new Set(waypoints.deletes.map(op => op.path.split('/').pop()));
+    const expected = [
+      ...(theirs.waypoints || []).map(w => w.id).filter(id => !deleted.has(id)),
+      ...waypoints.adds.map(op => op.creates)
+    ];
+    if (order.length > 1 && !TripMerge.same(order, expected)) {
+      ops.push({ method: 'PUT', path: `${tripPath}/waypoints/reorder`, body: { order }, label: 'reorder waypoints' });
+    }
+
+    const notes = itemOps('journal', 'journal', TripMerge.ENTRY_FIELDS, e => `note "${e.title || 'Untitled'}"`);
+    ops.push(...notes.deletes, ...notes.adds, ...notes.updates);
+    return ops;
+  },
+
+  /**
+   * Replace a trip's queued edits with `ops`, all made on `version`. Queued
+   * uploads are kept and go after them, since they may need a waypoint or
+   * note the ops add first.
+   */
+  async requeueTripEdits(tripId, version, ops, renamed = []) {
+    const uploads = (await Outbox.all()).filter(op => op.tripId === tripId && op.file);
+    await Outbox.clearTrip(tripId);
+    for (const { seq, ...op } of [...ops, ...uploads]) {
+      await Outbox.add({ ...op, tripId, ifMatch: version, status: 'pending', conflict: null });
+    }
+    for (const [oldId, newId] of renamed) await Outbox.replaceId(oldId, newId);
+    this.outboxPending = await Outbox.count();
+    this.renderOutboxStatus();
+  },
+
+  /**
+   * Show the conflicts in the merge dialog, one Mine/Theirs choice each.
+   * Resolves with { [conflict.id]: 'mine' | 'theirs' }, or null when the
+   * local changes are discarded. Dialogs for several trips take turns.
+   */
+  askMergeChoices(tripName, conflicts) {
+    const ask = () => new Promise((resolve) => {
+      const modal = document.getElementById('mergeConflictModal');
+      const list = document.getElementById('mergeConflictList');
+      const subtitle = document.getElementById('mergeConflictSubtitle');
+      const applyBtn = document.getElementById('mergeConflictApply');
+      const discardBtn = document.getElementById('mergeConflictDiscard');
+      if (!modal || !list || !applyBtn || !discardBtn) {
+        resolve(null);
+        return;
+      }
+      const n = conflicts.length;
+      subtitle.textContent = `"${tripName || 'This trip'}" was also changed on another device. `
+        + `${n === 1 ? 'One change clashes' : `${n} changes clash`}: choose which version to keep. Everything else was merged.`;
+      list.innerHTML = conflicts.map((conflict, i) => `
+        <fieldset class="merge-conflict">
+          <legend>${UI.escapeHtml(conflict.label)}</legend>
+          <label><input type="radio" name="mergeConflict${i}" value="mine" checked>
+            <span><strong>Yours:</strong> ${UI.escapeHtml(this.formatMergeValue(conflict, conflict.mine))}</span></label>
+          <label><input type="radio" name="mergeConflict${i}" value="theirs">
+            <span><strong>Other device:</strong> ${UI.escapeHtml(this.formatMergeValue(conflict, conflict.theirs))}</span></label>
+        </fieldset>`).join('');
+
+      const finish = (choices) => {
+        applyBtn.removeEventListener('click', onApply);
+        discardBtn.removeEventListener('click', onDiscard);
+        UI.closeModal('mergeConflictModal');
+        list.innerHTML = '';
+        resolve(choices);
+      };
+      const onApply = () => finish(Object.fromEntries(conflicts.map((conflict, i) => [
+        conflict.id, list.querySelector(`input[name="mergeConflict${i}"]:checked`)?.value || 'mine'
+      ])));
+      const onDiscard = () => {
+        if (window.confirm('Discard all of your changes to this trip that are not saved yet?')) finish(null);
+      };
+      applyBtn.addEventListener('click', onApply);
+      discardBtn.addEventListener('click', onDiscard);
+      UI.openModal('mergeConflictModal');
+    });
+    this.mergeDialog = this.mergeDialog.then(ask, ask);
+    return this.mergeDialog;
+  },
+
+  formatMergeValue(conflict, value) {
+    if (conflict.kind === 'presence') return value ? 'Keep it' : 'Delete it';
+    if (conflict.kind === 'order') return value.join(' → ');
+    if (value === undefined || value === null || value === '') return '(empty)';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (Array.isArray(value)) return value.length ? value.join(', ') : '(none)';
+    if (Number.isFinite(value?.lat)) return `${value.lat.toFixed(5)}, ${value.lng.toFixed(5)}`;
+    if (Number.isFinite(value?.x)) return `${value.x}% across, ${value.y}% down`;
+    if (typeof value === 'object') return JSON.stringify(value);
+    const text = String(value);
+    return text.length > 140 ? `${text.slice(0, 140)}…` : text;
+  }
+});
@@ -0,0 +1,182 @@
+/**
+ * Tile Store — bookkeeping for the map tile cache (IndexedDB)
+ *
+ * Loaded by the page and by the service worker (importScripts, after
+ * idb.js), so it only uses what both have: IDB, caches and `self`.
+ *
+ * Every cached tile has a record { url, bytes, lastAccess, packs }. Tiles
+ * listed in an offline pack (packs non-empty) are pinned; the rest are
+ * evicted least-recently-used first once they exceed the limits. Pinned
+ * tiles do not count towards the limits.
+ *
+ * The packTiles store holds each offline pack's tile list (OfflinePacks),
+ * keyed by pack id; those lists are too big for localStorage.
+ */
+const TileStore = {
+  CACHE: 'ride-tiles',
+  DB_NAME: 'ride-tile-meta',
+  AVG_TILE_BYTES: 18 * 1024,       // typical OSM raster tile, when the size is unknown
+  DEFAULT_LIMITS: { maxEntries: 10000, maxBytes: 200 * 1024 * 1024 },
+  EVICT_TARGET: 0.9,               // trim below the limit so the next tiles don't evict again
+
+  open() {
+    return IDB.open(this.DB_NAME, 2, (db, oldVersion) => {
+      if (oldVersion < 1) {
+        db.createObjectStore('tiles', { keyPath: 'url' }).createIndex('lastAccess', 'lastAccess');
+        db.createObjectStore('config');
+      }
+      if (oldVersion < 2) db.createObjectStore('packTiles');
+    });
+  },
+
+  async transaction(storeName, mode, fn) {
+    return IDB.transaction(await this.open(), storeName, mode, fn);
+  },
+
+  /** Visit every tile record; `visit(record, cursor)` may update or delete it */
+  forEachTile(mode, visit) {
+    return this.transaction('tiles', mode, (store) => {
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        visit(cursor.value, cursor);
+        cursor.continue();
+      };
+    });
+  },
+
+  async getLimits() {
+    const stored = await this.transaction('config', 'readonly', (store) => {
+      const out = {};
+      const req = store.get('limits');
+      req.onsuccess = () => Object.assign(out, req.result || {});
+      return out;
+    });
+    return { ...this.DEFAULT_LIMITS, ...stored };
+  },
+
+  setLimits(limits) {
+    return this.transaction('config', 'readwrite', store => store.put(limits, 'limits'));
+  },
+
+  /**
+   * Record that tiles were used. `entries` is [{ url, bytes }]; a missing or
+   * zero size keeps the size already recorded.
+   */
+  touch(entries) {
+    const now = Date.now();
+    return this.transaction('tiles', 'readwrite', (store) => {
+      entries.forEach(({ url, bytes }) => {
+        const req = store.get(url);
+        req.onsuccess = () => {
+          const record = req.result || { url, bytes: this.AVG_TILE_BYTES, packs: [] };
+          record.lastAccess = now;
+          if (bytes > 0) record.bytes = bytes;
+          store.put(record);
+        };
+      });
+    });
+  },
+
+  /** Start tracking cached tiles that have no record yet, as least recently used */
+  adopt(urls) {
+    return this.transaction('tiles', 'readwrite', (store) => {
+      urls.forEach((url) => {
+        const req = store.getKey(url);
+        req.onsuccess = () => {
+          if (req.result === undefined) store.put({ url, bytes: this.AVG_TILE_BYTES, lastAccess: 0, packs: [] });
+        };
+      });
+    });
+  },
+
+  /** Pin tiles ([{ url, bytes }]) to an offline pack so they are never evicted */
+  pin(packId, entries) {
+    const now = Date.now();
+    return this.transaction('tiles', 'readwrite', (store) => {
+      entries.forEach(({ url, bytes }) => {
+        const req = store.get(url);
+        req.onsuccess = () => {
+          const record = req.result || { url, bytes: this.AVG_TILE_BYTES, lastAccess: now, packs: [] };
+          if (bytes > 0) record.bytes = bytes;
+          if (!record.packs.includes(packId)) record.packs.push(packId);
+          store.put(record);
+        };
+      });
+    });
+  },
+
+  /**
+   * Release a pack's pins. Tiles still cached become ordinary LRU entries;
+   * `deletedUrls` are tiles the caller already removed from the cache.
+   */
+  unpin(packId, deletedUrls = []) {
+    const deleted = new Set(deletedUrls);
+    return this.forEachTile('readwrite', (record, cursor) => {
+      if (deleted.has(record.url)) {
+        cursor.delete();
+      } else if (record.packs.includes(packId)) {
+        record.packs = record.packs.filter(id => id !== packId);
+        cursor.update(record);
+      }
+    });
+  },
+
+  /** Drop records for tiles that are no longer (or never were) cached */
+  remove(urls) {
+    return this.transaction('tiles', 'readwrite', store => urls.forEach(url => store.delete(url)));
+  },
+
+  /** Totals for every tracked tile and for the pinned ones */
+  async stats() {
+    const stats = { entries: 0, bytes: 0, pinnedEntries: 0, pinnedBytes: 0 };
+    await this.forEachTile('readonly', (record) => {
+      stats.entries += 1;
+      stats.bytes += record.bytes || 0;
+      if (record.packs.length) {
+        stats.pinnedEntries += 1;
+        stats.pinnedBytes += record.bytes || 0;
+      }
+    });
+    return stats;
+  },
+
+  /**
+   * Delete least-recently-used unpinned tiles until they fit the limits.
+   * Returns the number of tiles removed.
+   */
+  async evict(limits = null) {
+    const { maxEntries, maxBytes } = limits || await this.getLimits();
+    const stats = await this.stats();
+    let entries = stats.entries - stats.pinnedEntries;
+    let bytes = stats.bytes - stats.pinnedBytes;
+    if (entries <= maxEntries && bytes <= maxBytes) return 0;
+
+    const targetEntries = maxEntries * this.EVICT_TARGET;
+    const targetBytes = maxBytes * this.EVICT_TARGET;
+    const victims = await this.transaction('tiles', 'readonly', (store) => {
+      const out = [];
+      const req = store.index('lastAccess').openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || (entries <= targetEntries && bytes <= targetBytes)) return;
+        if (!cursor.value.packs.length) {
+          out.push(cursor.value.url);
+          entries -= 1;
+          bytes -= cursor.value.bytes || 0;
+        }
+        cursor.continue();
+      };
+      return out;
+    });
+
+    const cache = await caches.open(this.CACHE);
+    for (const url of victims) await cache.delete(url);
+    await this.remove(victims);
+    return victims.length;
+  }
+};
+
+// Shared with the service worker, where there is no window
+self.TileStore = TileStore;
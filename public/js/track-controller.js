@@ -0,0 +1,215 @@
+/**
+ * Track Controller — records the ridden GPS track, lists and replays past rides
+ * Extends App object (loaded after app-core.js)
+ *
+ * Points are buffered in memory and uploaded to the trip in numbered chunks.
+ * A chunk that fails to upload is kept and resent with the same sequence
+ * number, so a flaky connection never duplicates or drops points.
+ */
+Object.assign(App, {
+  TRACK_BATCH_SIZE: 30,            // upload once this many points are buffered
+  TRACK_FLUSH_INTERVAL_MS: 60000,  // ...or at least this often
+  TRACK_MIN_SPACING_M: 5,          // ignore jitter while stationary
+  TRACK_MAX_ACCURACY_M: 75,        // ignore fixes worse than this
+
+  /**
+   * Begin recording. Pass a snapshot from snapshotTrack() to continue a
+   * track after a reload instead of starting a new one.
+   */
+  startTrackRecording(resume = null) {
+    this.rideTrack = null;
+    if (!this.useCloud || !this.currentUser) return;
+    const tripId = resume?.tripId || this.currentTrip?.id;
+    if (!tripId) return;
+    this.rideTrack = {
+      tripId,
+      id: resume?.id || null,
+      startedAt: resume?.startedAt || new Date().toISOString(),
+      buffer: Array.isArray(resume?.buffer) ? resume.buffer : [],
+      pending: resume?.pending || null,   // { seq, points } frozen until the server accepts it
+      seq: Number.isFinite(resume?.seq) ? resume.seq : 0,
+      distance: Number.isFinite(resume?.distance) ? resume.distance : 0,
+      lastPoint: resume?.lastPoint || null,
+      flushing: null,
+      timer: setInterval(() => this.flushTrack(), this.TRACK_FLUSH_INTERVAL_MS)
+    };
+  },
+
+  /** Serializable copy of the recording state, including unsent points */
+  snapshotTrack(track = this.rideTrack) {
+    if (!track) return null;
+    const { tripId, id, startedAt, buffer, pending, seq, distance, lastPoint } = track;
+    return { tripId, id, startedAt, buffer, pending, seq, distance, lastPoint };
+  },
+
+  recordTrackPoint(pos) {
+    const track = this.rideTrack;
+    if (!track || !Number.isFinite(pos?.lat) || !Number.isFinite(pos?.lng)) return;
+    if (Number.isFinite(pos.accuracy) && pos.accuracy > this.TRACK_MAX_ACCURACY_M) return;
+
+    const t = Number.isFinite(pos.timestamp) ? pos.timestamp : Date.now();
+    const last = track.lastPoint;
+    if (last) {
+      const moved = RideUtils.haversine(last, pos);
+      if (moved < this.TRACK_MIN_SPACING_M && t - last.t < 15000) return;
+      track.distance += moved;
+    }
+
+    const point = {
+      lat: pos.lat,
+      lng: pos.lng,
+      t,
+      speed: Number.isFinite(pos.speed) ? pos.speed : null,
+      heading: Number.isFinite(pos.heading) ? pos.heading : null,
+      accuracy: Number.isFinite(pos.accuracy) ? Math.round(pos.accuracy) : null
+    };
+    track.lastPoint = point;
+    track.buffer.push(point);
+
+    if (track.buffer.length >= this.TRACK_BATCH_SIZE) this.flushTrack();
+  },
+
+  /**
+   * Upload buffered points. Concurrent calls share the in-flight flush.
+   * Returns true when nothing is left to send.
+   */
+  flushTrack(track = this.rideTrack) {
+    if (!track) return Promise.resolve(true);
+    if (track.flushing) return track.flushing;
+
+    track.flushing = (async () => {
+      try {
+        if (!this.isOnline) return false;
+        if (!track.pending && !track.buffer.length) return true;
+
+        if (!track.id) {
+          const created = await API.tracks.create(track.tripId, { started_at: track.startedAt });
+          track.id = created.id;
+        }
+
+        while (track.pending || track.buffer.length) {
+          if (!track.pending) {
+            track.pending = { seq: track.seq, points: track.buffer.splice(0, 500) };
+          }
+          await API.tracks.appendPoints(track.tripId, track.id, {
+            seq: track.pending.seq,
+            points: track.pending.points,
+            distance: Math.round(track.distance)
+          });
+          track.pending = null;
+          track.seq += 1;
+        }
+        return true;
+      } catch (err) {
+        console.warn('Track upload failed, will retry', err);
+        return false;
+      } finally {
+        track.flushing = null;
+      }
+    })();
+    return track.flushing;
+  },
+
+  /**
+   * Final upload, then close the track with the ride summary (see summarizeRideStats)
+   */
+  async stopTrackRecording(summary = null) {
+    const track = this.rideTrack;
+    this.rideTrack = null;
+    if (!track) return;
+    clearInterval(track.timer);
+
+    const flushed = await this.flushTrack(track);
+    if (!track.id) return;
+    try {
+      await API.tracks.update(track.tripId, track.id, {
+        ...(summary || {}),
+        ended_at: new Date().toISOString()
+      }, { silent: true });
+    } catch (err) {
+      console.warn('Failed to close ride track', err);
+    }
+    if (!flushed) UI.showToast('Some ride points could not be uploaded', 'error');
+  },
+
+  /* --- Recorded rides in trip details --- */
+
+  async renderTripTracks(tripId) {
+    const list = document.getElementById('tripDetailTracks');
+    if (!list) return;
+    list.innerHTML = '<p class="microcopy">Loading rides…</p>';
+
+    let tracks = [];
+    try {
+      tracks = await API.tracks.list(tripId);
+    } catch (err) {
+      console.error('Load tracks failed:', err);
+      list.innerHTML = '<p class="microcopy">Could not load recorded rides.</p>';
+      return;
+    }
+    // Modal may have moved on to another trip while we were waiting
+    if (document.getElementById('tripDetailsModal')?.dataset.tripId !== tripId) return;
+
+    if (!tracks.length) {
+      list.innerHTML = '<p class="microcopy">No rides recorded yet. Start ride mode to record one.</p>';
+      return;
+    }
+
+    list.innerHTML = tracks.map(track => {
+      const started = new Date(track.startedAt);
+      const label = track.name || started.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+      const duration = track.endedAt ? (new Date(track.endedAt) - started) / 1000 : null;
+      const meta = [
+        this.formatDistance(track.distance),
+        duration !== null ? this.formatDuration(duration) : 'in progress',
+        track.movingTime ? `${this.formatDuration(track.movingTime)} moving` : null,
+        Number.isFinite(track.avgSpeed) ? `avg ${this.formatSpeed(track.avgSpeed)}` : null,
+        Number.isFinite(track.maxSpeed) ? `max ${this.formatSpeed(track.maxSpeed)}` : null
+      ].filter(Boolean).join(' · ');
+      return `<div class="track-item" data-track-id="${track.id}">
+        <div class="track-item-text">
+          <div class="track-item-name">${UI.escapeHtml(label)}</div>
+          <div class="microcopy">${meta}</div>
+        </div>
+        <button type="button" class="link-btn" data-action="show">Show</button>
+        <button type="button" class="link-btn danger" data-action="delete">Delete</button>
+      </div>`;
+    }).join('');
+
+    list.querySelectorAll('.track-item').forEach(item => {
+      const trackId = item.dataset.trackId;
+      item.querySelector('[data-action="show"]')?.addEventListener('click', () => this.showRecordedTrack(tripId, trackId));
+      item.querySelector('[data-action="delete"]')?.addEventListener('click', () => this.deleteRecordedTrack(tripId, trackId));
+    });
+  },
+
+  async showRecordedTrack(tripId, trackId) {
+    try {
+      if (this.currentTrip?.id !== tripId) await this.loadTrip(tripId);
+      const track = await API.tracks.get(tripId, trackId);
+      if (!track?.points?.length) {
+        UI.showToast('This ride has no recorded points', 'error');
+        return;
+      }
+      UI.closeModal('tripDetailsModal');
+      UI.switchView('map');
+      MapManager.showTrack(track.points, { fit: true });
+    } catch (err) {
+      console.error('Show track failed:', err);
+      UI.showToast('Failed to load ride', 'error');
+    }
+  },
+
+  async deleteRecordedTrack(tripId, trackId) {
+    if (!window.confirm('Delete this recorded ride? This cannot be undone.')) return;
+    try {
+      await API.tracks.delete(tripId, trackId);
+      MapManager.clearTrack();
+      UI.showToast('Ride deleted', 'success');
+      this.renderTripTracks(tripId);
+    } catch (err) {
+      console.error('Delete track failed:', err);
+      UI.showToast('Failed to delete ride', 'error');
+    }
+  }
+});
@@ -0,0 +1,158 @@
+/**
+ * Trash Controller — deleted trips, waypoints and notes, and restoring them
+ * Extends App object (loaded after app-core.js)
+ *
+ * Deleting only moves things to the trash (GET /api/trash). The server
+ * purges them for good once they have been there for retentionDays.
+ * Waypoints and notes of a trip in the trash come back with the trip.
+ */
+Object.assign(App, {
+  TRASH_KINDS: {
+    trips: { title: 'Trips', noun: 'Trip' },
+    waypoints: { title: 'Waypoints', noun: 'Waypoint' },
+    journal: { title: 'Notes', noun: 'Note' }
+  },
+
+  async openTrash() {
+    if (!this.ensureEditable('see deleted items')) return;
+    UI.openModal('trashModal');
+    await this.renderTrash();
+  },
+
+  async renderTrash() {
+    const list = document.getElementById('trashList');
+    if (!list) return;
+    list.innerHTML = '<p class="microcopy">Loading…</p>';
+
+    let trash;
+    try {
+      trash = await API.trash.list();
+    } catch (err) {
+      console.error('Load trash failed:', err);
+      list.innerHTML = '<p class="microcopy">Could not load the trash.</p>';
+      return;
+    }
+    const subtitle = document.getElementById('trashSubtitle');
+    if (subtitle) subtitle.textContent = `Deleted items are kept for ${trash.retentionDays} days, then removed for good.`;
+
+    const sections = Object.entries(this.TRASH_KINDS)
+      .filter(([kind]) => trash[kind].length)
+      .map(([kind, { title }]) => `<h4 class="trash-heading">${title}</h4>${trash[kind].map(item => `
+        <div class="history-item" data-kind="${kind}" data-id="${UI.escapeHtml(item.id)}">
+          <div class="history-item-text">
+            <div class="history-item-name">${UI.escapeHtml(item.name || item.title || 'Untitled')}</div>
+            <div class="microcopy">${UI.escapeHtml(this.describeTrashItem(item))}</div>
+          </div>
+          <button type="button" class="link-btn" data-action="restore">Restore</button>
+        </div>`).join('')}`);
+    if (!sections.length) {
+      list.innerHTML = '<p class="microcopy">The trash is empty.</p>';
+      return;
+    }
+    list.innerHTML = sections.join('');
+
+    list.querySelectorAll('.history-item').forEach((row) => {
+      const { kind, id } = row.dataset;
+      const item = trash[kind].find(i => i.id === id);
+      row.querySelector('[data-action="restore"]').addEventListener('click', async (e) => {
+        e.target.disabled = true;
+        if (await this.restoreTrashItem(kind, item)) this.renderTrash();
+        else e.target.disabled = false;
+      });
+    });
+  },
+
+  /** "From Coast run · removed for good in 12 days" */
+  describeTrashItem(item) {
+    const days = Math.max(0, Math.ceil((this.parseHistoryTime(item.purgeAt) - Date.now()) / 86400000));
+    const purge = days > 1 ? `removed for good in ${days} days` : 'removed for good within a day';
+    return item.tripName ? `From ${item.tripName} · ${purge}` : purge;
+  },
+
+  /**
+   * Take a waypoint or note of the open trip out of the trash, with the trip
+   * version as precondition; queued behind its delete when edits are queued.
+   * The caller puts it back locally. Resolves true once restored (or queued).
+   */
+  async restoreTripItem(kind, id) {
+    const noun = this.TRASH_KINDS[kind].noun.toLowerCase();
+    if (this.shouldQueueEdits()) {
+      return this.queueTripEdit({ method: 'POST', path: `/trash/${kind}/${id}/restore`, label: `restore ${noun}` });
+    }
+    try {
+      const res = await API.trash.restore(kind, id, { headers: this.getTripIfMatchHeaders() });
+      this.applyTripMetaFromResponse(this.currentTrip, res);
+      this.markTripWritten(this.currentTrip.id);
+      return true;
+    } catch (err) {
+      console.error('Restore from trash failed:', err);
+      if (err.status === 409 || err.status === 428) {
+        await this.handleTripConflict(err);
+        return false;
+      }
+      UI.showToast(err.status === 404 ? `This ${noun} is no longer in the trash` : 'Failed to restore', 'error');
+      return false;
+    }
+  },
+
+  /**
+   * Reload the open trip from the server after one of its items was restored,
+   * so the item comes back the way the server has it. Resolves false when the
+   * reload failed and the caller should fall back to its local copy.
+   */
+  async reloadRestoredTrip() {
+    const tripId = this.currentTrip.id;
+    try {
+      const trip = this.prepareTripData(await this.fetchLatestTrip(tripId));
+      if (this.currentTrip?.id === tripId) this.loadTripData(trip);
+      return true;
+    } catch (err) {
+      console.error('Reload after restore failed:', err);
+      return false;
+    }
+  },
+
+  /**
+   * Take an item out of the trash. A restored waypoint or note is loaded into
+   * its trip when that trip is open. Resolves true once restored.
+   */
+  async restoreTrashItem(kind, item) {
+    if (!this.ensureEditable('restore deleted items')) return false;
+    const tripId = kind === 'trips' ? item.id : item.tripId;
+    if (kind !== 'trips' && (await this.tripsWithQueuedEdits()).has(tripId)) {
+      UI.showToast('Offline changes to this trip are still syncing. Try again once they are sent.', 'info');
+      return false;
+    }
+
+    try {
+      await API.trash.restore(kind, item.id);
+    } catch (err) {
+      console.error('Restore from trash failed:', err);
+      UI.showToast(err.status === 404 ? 'This item is no longer in the trash' : 'Failed to restore', 'error');
+      return false;
+    }
+
+    const { noun } = this.TRASH_KINDS[kind];
+    if (kind === 'trips') {
+      this.refreshTripsList();
+      UI.showToast(`${noun} restored`, 'success', { action: { label: 'Open', onClick: () => this.loadTrip(tripId) } });
+      return true;
+    }
+
+    try {
+      const trip = this.prepareTripData(await this.fetchLatestTrip(tripId));
+      if (this.currentTrip?.id === tripId) {
+        this.loadTripData(trip);
+      } else {
+        this.setTripBase(trip);
+        this.cacheTripData(trip);
+      }
+      this.refreshTripsList();
+      UI.showToast(`${noun} restored to ${item.tripName || 'its trip'}`, 'success');
+    } catch (err) {
+      console.error('Reload after restore failed:', err);
+      UI.showToast(`${noun} restored. Refresh to see it.`, 'info');
+    }
+    return true;
+  }
+});
@@ -5,22 +5,139 @@
 Object.assign(App, {
   /* --- Trip caching & versioning --- */
 
+  /** After a write the server accepted; with nothing else unsent the trip is also the new merge base */
   markTripWritten(tripId) {
     if (!tripId) return;
     if (!this.tripWriteClock) this.tripWriteClock = {};
     this.tripWriteClock[tripId] = Date.now();
+    const trip = this.currentTrip?.id === tripId ? this.currentTrip : this.getCachedTrip(tripId);
+    if (trip && !this.outboxPending) this.setTripBase(trip);
+    this.scheduleTripPersist(tripId);
+  },
+
+  /**
+   * Remember the server copy local edits start from. On a 409 it is the
+   * base of the three-way merge (TripMerge); it is kept with the cached trip.
+   */
+  setTripBase(trip) {
+    if (!trip?.id) return;
+    this.tripBases[trip.id] = TripMerge.snapshot(trip);
   },
 
   cacheTripData(trip) {
     if (!trip?.id) return;
     if (!this.tripDataCache) this.tripDataCache = {};
     this.tripDataCache[trip.id] = trip;
+    this.persistTrip(trip);
   },
 
   getCachedTrip(tripId) {
     return this.tripDataCache?.[tripId] || null;
   },
 
+  /* --- Device trip cache (TripStore) --- */
+
+  TRIP_PERSIST_DELAY_MS: 1000,   // coalesce bursts of edits into one IndexedDB write
+
+  tripStoreAvailable() {
+    return TripStore.isAvailable() && this.useCloud && !!this.currentUser;
+  },
+
+  persistTrip(trip) {
+    if (!this.tripStoreAvailable()) return;
+    TripStore.put({ ...trip, base: this.tripBases[trip.id] || null })
+      .catch(err => console.warn('Caching trip failed', err));
+  },
+
+  /** A TripStore record as a trip; its merge base goes back to tripBases */
+  adoptStoredTrip(record) {
+    const { base, ...trip } = record;
+    if (base) this.tripBases[trip.id] = base;
+    return trip;
+  },
+
+  /** Save a trip after edits settle; callers mutate it after marking the write */
+  scheduleTripPersist(tripId) {
+    if (!this.tripPersistTimers) this.tripPersistTimers = {};
+    clearTimeout(this.tripPersistTimers[tripId]);
+    this.tripPersistTimers[tripId] = setTimeout(() => {
+      delete this.tripPersistTimers[tripId];
+      const trip = this.currentTrip?.id === tripId ? this.currentTrip : this.getCachedTrip(tripId);
+      if (trip) this.persistTrip(trip);
+    }, this.TRIP_PERSIST_DELAY_MS);
+  },
+
+  /**
+   * Show the cached trip list and a cached trip (`preferId`, else the most
+   * recently updated) before the network answers. Returns the trip or null.
+   */
+  async openCachedTrip(preferId = null) {
+    if (!this.tripStoreAvailable()) return null;
+    try {
+      await TripStore.useAccount(this.currentUser.id);
+      const trips = (await TripStore.all()).map(record => this.adoptStoredTrip(record));
+      if (!trips.length) return null;
+      const trip = trips.find(t => t.id === preferId)
+        || trips.sort((a, b) => this.getTripSortTimestamp(b) - this.getTripSortTimestamp(a))[0];
+      const list = await TripStore.getList();
+      if (list.length) {
+        this.tripListCache = this.applyTripOrder(list);
+        UI.renderTrips(this.tripListCache, trip.id);
+      }
+      this.loadTripData(trip, { local: true });
+      return this.currentTrip;
+    } catch (err) {
+      console.warn('Trip cache unavailable', err);
+      return null;
+    }
+  },
+
+  /** Keep the cached list for the next start, and drop cached trips the server no longer has */
+  storeTripList(trips) {
+    if (!this.tripStoreAvailable()) return;
+    TripStore.saveList(trips)
+      .then(() => TripStore.reconcile(trips))
+      .catch(err => console.warn('Caching trip list failed', err));
+  },
+
+  /**
+   * The server's current copy of a trip. With a copy on this device only
+   * what changed since its version is fetched and patched in (Trip.applyChanges);
+   * without one, or when the change log can't bridge the gap, the whole trip.
+   * Callers skip trips with queued edits, whose local copy isn't server state.
+   */
+  async fetchLatestTrip(tripId) {
+    const known = await this.getLocalTrip(tripId);
+    if (known && Number.isFinite(Number(known.version))) {
+      try {
+        const changes = await API.trips.changes(tripId, Number(known.version));
+        const trip = changes.reset ? null : Trip.applyChanges(known, changes);
+        if (trip) return trip;
+      } catch (err) {
+        // A deleted trip 404s below as well
+        if (err.status !== 404) throw err;
+      }
+    }
+    return this.normalizeTrip(await API.trips.get(tripId));
+  },
+
+  /** Refetch cached trips that changed on the server, one at a time in the background */
+  async refreshStaleTrips(tripIds) {
+    const queued = await this.tripsWithQueuedEdits();
+    for (const id of tripIds.filter(tripId => !queued.has(tripId))) {
+      if (!this.tripStoreAvailable() || !this.isOnline) return;
+      try {
+        const trip = this.prepareTripData(await this.fetchLatestTrip(id));
+        // The open trip may have been switched to this one meanwhile
+        if (this.currentTrip?.id === id) continue;
+        this.setTripBase(trip);
+        this.cacheTripData(trip);
+      } catch (err) {
+        if (err.status === 404) TripStore.remove([id]).catch(() => {});
+      }
+    }
+  },
+
   getTripIfMatchHeaders(trip = this.currentTrip) {
     const version = Number(trip?.version);
     if (!Number.isFinite(version)) return {};
@@ -39,9 +156,26 @@ Object.assign(App, {
     }
   },
 
-  async handleTripConflict(_err) {
-    UI.showToast('Trip changed on another device. Reloading latest…', 'info');
-    try { await this.refreshData('conflict'); } catch (_) {}
+  /**
+   * The trip changed on another device since this one last saw it. Local
+   * edits are merged with the latest copy (resolveTripConflict) where the
+   * outbox can carry them, otherwise the latest copy is loaded.
+   * `offlineOps` are queued Outbox ops the server refused (see sync-controller.js).
+   */
+  async handleTripConflict(err, offlineOps = null) {
+    const tripId = offlineOps?.[0]?.tripId ?? this.currentTrip?.id;
+    if (!tripId || !this.outboxAvailable()) {
+      UI.showToast('Trip changed on another device. Reloading latest…', 'info');
+      try { await this.refreshData('conflict'); } catch (_) {}
+      return;
+    }
+    if (this.outboxResolving.has(tripId)) return;
+    this.outboxResolving.add(tripId);
+    try {
+      await this.resolveTripConflict(tripId);
+    } finally {
+      this.outboxResolving.delete(tripId);
+    }
   },
 
   /* --- Trip ordering --- */
@@ -84,25 +218,42 @@ Object.assign(App, {
 
   /* --- Trip loading & saving --- */
 
+  /**
+   * Open the starting trip. On first load the cached copy shows at once;
+   * /api/trips/versions then says whether it (and other cached trips) must
+   * be fetched again.
+   */
   async loadInitialTrip() {
     if (this.useCloud && this.currentUser) {
+      const pendingImportedId = localStorage.getItem('ride_imported_trip_id');
+      const cached = this.currentTrip ? null : await this.openCachedTrip(pendingImportedId);
       try {
-        const trips = await API.trips.list();
-        const pendingImportedId = localStorage.getItem('ride_imported_trip_id');
-        if (trips.length > 0) {
-          const targetId = (pendingImportedId && trips.some(t => t.id === pendingImportedId))
-            ? pendingImportedId : trips[0].id;
-          const trip = await API.trips.get(targetId);
+        const versions = await API.trips.versions();
+        const { stale = [] } = this.tripStoreAvailable() ? await TripStore.reconcile(versions) : {};
+        // Cached trips with edits still in the outbox stay as they are until those are sent
+        const queued = await this.tripsWithQueuedEdits();
+        if (versions.length > 0) {
+          const has = id => !!id && versions.some(t => t.id === id);
+          const targetId = has(pendingImportedId) ? pendingImportedId
+            : has(cached?.id) ? cached.id : versions[0].id;
           if (pendingImportedId) {
             localStorage.removeItem('ride_imported_trip_id');
             this.bumpTripToTop(targetId);
           }
-          this.loadTripData(trip);
+          if (this.currentTrip?.id !== targetId || (stale.includes(targetId) && !queued.has(targetId))) {
+            this.loadTripData(await this.fetchLatestTrip(targetId));
+          }
+          this.refreshStaleTrips(stale.filter(id => id !== targetId));
         } else {
+          if (cached) this._clearTripUI();
           this.createNewTrip();
         }
       } catch (error) {
         console.error('Failed to load cloud trips:', error);
+        if (cached) {
+          UI.showToast('Showing the copy saved on this device', 'info');
+          return;
+        }
         UI.showToast('Unable to load trips from server. Please retry online.', 'error');
         this._clearTripUI();
       }
@@ -111,19 +262,32 @@ Object.assign(App, {
     }
   },
 
-  loadTripData(trip) {
+  /** Normalized trip with ordered waypoints, numeric version and attachments on their notes */
+  prepareTripData(trip) {
     if (trip.waypoints) trip.waypoints = Trip.normalizeWaypointOrder(trip.waypoints);
     trip = this.normalizeTrip(trip);
     if (!Number.isFinite(Number(trip.version))) trip.version = 0;
     else trip.version = Number(trip.version);
     this.attachJournalAttachments(trip);
+    return trip;
+  },
+
+  /**
+   * Show a trip. Pass `{ local: true }` for a copy from this device rather
+   * than a server reply; it may hold unsent edits, so it is no merge base.
+   */
+  loadTripData(trip, { local = false } = {}) {
+    trip = this.prepareTripData(trip);
+    if (!local) this.setTripBase(trip);
     this.currentTrip = trip;
+    if (this.undoState?.tripId !== trip.id) this.resetUndo(trip.id);
     this.cacheTripData(trip);
     UI.updateTripTitle(trip.name);
     UI.updateTripStats(trip);
     UI.renderWaypoints(trip.waypoints || []);
     UI.renderJournal(trip.journal || []);
     MapManager.clear();
+    MapManager.setRouting(trip.settings || {});
     MapManager.updateWaypoints(trip.waypoints || []);
     if (trip.waypoints?.length > 0) MapManager.fitToWaypoints(trip.waypoints);
   },
@@ -150,8 +314,18 @@ Object.assign(App, {
    */
   async loadTrip(tripId) {
     if (!this.useCloud || !this.currentUser) return;
+    if ((await this.tripsWithQueuedEdits()).has(tripId)) {
+      // Edits to it are still in the outbox: the copy here is the newest
+      const local = await this.getLocalTrip(tripId);
+      if (local) {
+        this.loadTripData(local, { local: true });
+        UI.switchView('map');
+        UI.showToast(`Loaded: ${local.name}`, 'success');
+        return;
+      }
+    }
     try {
-      const trip = this.normalizeTrip(await API.trips.get(tripId));
+      const trip = await this.fetchLatestTrip(tripId);
       const cached = this.getCachedTrip(tripId);
       const serverV = Number(trip?.version);
       const cachedV = Number(cached?.version);
@@ -159,7 +333,7 @@ Object.assign(App, {
       // If server returned an older version than what we have cached, keep cache and retry once
       if (cached && Number.isFinite(serverV) && Number.isFinite(cachedV) && serverV < cachedV) {
         console.warn('loadTrip: stale read detected, keeping cache', { tripId, serverV, cachedV });
-        this.loadTripData(cached);
+        this.loadTripData(cached, { local: true });
         this.refreshTripsList();
         UI.switchView('map');
         UI.showToast(`Loaded: ${cached.name}`, 'success');
@@ -179,6 +353,14 @@ Object.assign(App, {
       UI.showToast(`Loaded: ${trip.name}`, 'success');
     } catch (error) {
       console.error('Failed to load cloud trip:', error);
+      const record = error.status === 404 || !this.tripStoreAvailable() ? null : await TripStore.get(tripId).catch(() => null);
+      const stored = record ? this.adoptStoredTrip(record) : null;
+      if (stored) {
+        this.loadTripData(stored, { local: true });
+        UI.switchView('map');
+        UI.showToast(`Loaded the copy of ${stored.name} saved on this device`, 'info');
+        return;
+      }
       UI.showToast('Unable to load trip from server.', 'error');
     }
   },
@@ -206,24 +388,28 @@ Object.assign(App, {
   async saveCurrentTrip() {
     if (!this.currentTrip) return false;
     if (!this.useCloud || !this.currentUser) return false;
+    const route = this.currentTrip.route
+      ? {
+          coordinates: this.currentTrip.route.coordinates || [],
+          distance: this.currentTrip.route.distance ?? null,
+          duration: this.currentTrip.route.duration ?? this.currentTrip.route.time ?? null,
+          steps: this.currentTrip.route.steps || []
+        }
+      : null;
+    const body = {
+      name: this.currentTrip.name,
+      description: this.currentTrip.description,
+      settings: this.currentTrip.settings,
+      route,
+      cover_image_url: this.currentTrip.coverImageUrl || this.currentTrip.cover_image_url,
+      cover_focus_x: this.currentTrip.coverFocusX ?? this.currentTrip.cover_focus_x,
+      cover_focus_y: this.currentTrip.coverFocusY ?? this.currentTrip.cover_focus_y
+    };
+    if (this.shouldQueueEdits()) {
+      return this.queueTripEdit({ method: 'PUT', path: `/trips/${this.currentTrip.id}`, body, label: 'trip' });
+    }
     try {
-      const route = this.currentTrip.route
-        ? {
-            coordinates: this.currentTrip.route.coordinates || [],
-            distance: this.currentTrip.route.distance ?? null,
-            duration: this.currentTrip.route.duration ?? this.currentTrip.route.time ?? null,
-            steps: this.currentTrip.route.steps || []
-          }
-        : null;
-      const updated = await API.trips.update(this.currentTrip.id, {
-        name: this.currentTrip.name,
-        description: this.currentTrip.description,
-        settings: this.currentTrip.settings,
-        route,
-        cover_image_url: this.currentTrip.coverImageUrl || this.currentTrip.cover_image_url,
-        cover_focus_x: this.currentTrip.coverFocusX ?? this.currentTrip.cover_focus_x,
-        cover_focus_y: this.currentTrip.coverFocusY ?? this.currentTrip.cover_focus_y
-      }, { headers: this.getTripIfMatchHeaders() });
+      const updated = await API.trips.update(this.currentTrip.id, body, { headers: this.getTripIfMatchHeaders() });
       if (updated) {
         if (updated.updated_at) {
           this.currentTrip.updated_at = updated.updated_at;
@@ -249,15 +435,27 @@ Object.assign(App, {
     }
   },
 
+  /** Move a trip to the trash; the toast's Undo restores it from there */
   async deleteTrip(tripId) {
+    let trashed = false;
     if (this.useCloud && this.currentUser) {
-      try { await API.trips.delete(tripId); } catch (error) { console.error('Failed to delete trip:', error); }
+      try {
+        await API.trips.delete(tripId);
+        trashed = true;
+      } catch (error) { console.error('Failed to delete trip:', error); }
     }
     Storage.setTripOrder(Storage.getTripOrder().filter(id => id !== tripId));
     this.tripListCache = (this.tripListCache || []).filter(t => t.id !== tripId);
+    if (this.tripStoreAvailable()) await TripStore.remove([tripId]).catch(() => {});
     if (this.currentTrip?.id === tripId) await this.loadInitialTrip();
     this.refreshTripsList();
-    UI.showToast('Trip deleted', 'success');
+    if (!trashed) {
+      UI.showToast('Trip deleted', 'success');
+      return;
+    }
+    UI.showToast('Trip moved to trash', 'success', {
+      action: { label: 'Undo', onClick: () => this.restoreTrashItem('trips', { id: tripId }) }
+    });
   },
 
   /* --- Refresh (simplified stale-read) --- */
@@ -297,6 +495,7 @@ Object.assign(App, {
       }
       const orderedTrips = this.applyTripOrder(trips);
       this.tripListCache = orderedTrips;
+      this.storeTripList(trips);
       UI.renderTrips(orderedTrips, currentId);
     } catch (error) {
       console.error('Failed to load trips list:', error);
@@ -319,6 +518,7 @@ Object.assign(App, {
       const trips = await API.trips.list();
       const orderedTrips = this.applyTripOrder(trips);
       this.tripListCache = orderedTrips;
+      this.storeTripList(trips);
 
       const currentId = this.currentTrip?.id;
       const currentExists = currentId ? orderedTrips.some(t => t.id === currentId) : false;
@@ -331,9 +531,14 @@ Object.assign(App, {
         UI.showToast('No trips available to refresh.', 'info');
         return;
       }
+      if (targetId === currentId && (await this.tripsWithQueuedEdits()).has(targetId)) {
+        // Offline edits to the open trip are still being sent; the replay brings it up to date
+        if (source !== 'visibility' && source !== 'online') UI.showToast('Offline changes are still syncing', 'info');
+        return;
+      }
 
       const loadFresh = async (id) => {
-        try { return this.normalizeTrip(await API.trips.get(id)); }
+        try { return await this.fetchLatestTrip(id); }
         catch (err) { if (err.status === 404) return null; throw err; }
       };
 
@@ -395,6 +600,11 @@ Object.assign(App, {
     if (this._coverBlobUrl) { URL.revokeObjectURL(this._coverBlobUrl); this._coverBlobUrl = null; }
     document.getElementById('tripDetailName').value = trip.name || '';
     document.getElementById('tripDetailDescription').value = trip.description || '';
+    const profileSelect = document.getElementById('tripDetailRoutingProfile');
+    profileSelect.innerHTML = Object.entries(MapManager.ROUTING_PROFILES)
+      .map(([key, p]) => `<option value="${key}">${UI.escapeHtml(p.label)}</option>`).join('');
+    profileSelect.value = MapManager.normalizeRoutingProfile(trip.settings?.routingProfile);
+    this.renderRouteAvoid(MapManager.normalizeRouteAvoid(trip.settings?.avoid));
     const coverInput = document.getElementById('tripDetailCover');
     if (coverInput) coverInput.value = trip.coverImageUrl || trip.cover_image_url || '';
     const focusXInput = document.getElementById('tripDetailCoverFocusX');
@@ -412,6 +622,51 @@ Object.assign(App, {
     document.getElementById('tripDetailsModal').dataset.tripId = trip.id;
     this.populateCoverPicker(trip);
     this.updateCoverFocusUI();
+    this.renderTripTracks(trip.id);
+    this.renderTripHistory(trip.id);
+    this.renderTripOfflinePack(trip);
+  },
+
+  /**
+   * Avoid checkboxes in trip details, marked with what the selected profile's
+   * routing server can honour. Pass `avoid` to set them, else the ticked
+   * ones are kept.
+   */
+  renderRouteAvoid(avoid = this.checkedRouteAvoid()) {
+    const container = document.getElementById('tripDetailAvoid');
+    if (!container) return;
+    const profileKey = document.getElementById('tripDetailRoutingProfile')?.value;
+    container.innerHTML = Object.entries(MapManager.ROUTE_AVOID_OPTIONS).map(([key, option]) => `
+      <label class="share-checkbox">
+        <input type="checkbox" value="${key}"${avoid.includes(key) ? ' checked' : ''}>
+        <span>${UI.escapeHtml(option.label)}${this.routeAvoidSupported(profileKey, key) ? '' : ' <span class="microcopy">(not supported)</span>'}</span>
+      </label>`).join('');
+    this.updateRouteAvoidNote();
+  },
+
+  routeAvoidSupported(profileKey, key) {
+    return MapManager.routePlan(profileKey, [key]).applied.length > 0;
+  },
+
+  checkedRouteAvoid() {
+    return Array.from(document.querySelectorAll('#tripDetailAvoid input:checked')).map(input => input.value);
+  },
+
+  /** Say which ticked options the routing server leaves out, and why */
+  updateRouteAvoidNote() {
+    const note = document.getElementById('tripDetailAvoidNote');
+    if (!note) return;
+    const profileKey = document.getElementById('tripDetailRoutingProfile')?.value;
+    const plan = MapManager.routePlan(profileKey, this.checkedRouteAvoid());
+    const labels = keys => keys.map(key => MapManager.ROUTE_AVOID_OPTIONS[key].label.toLowerCase()).join(' and ');
+    const unsupported = plan.skipped.filter(key => !this.routeAvoidSupported(profileKey, key));
+    const notTogether = plan.skipped.filter(key => this.routeAvoidSupported(profileKey, key));
+    const lines = [];
+    if (unsupported.length) lines.push(`The routing server for this profile can't avoid ${labels(unsupported)}.`);
+    if (notTogether.length) {
+      lines.push(`${unsupported.length ? 'It' : 'The routing server for this profile'} can't avoid ${labels(notTogether)} as well as ${labels(plan.applied)}, so only ${labels(plan.applied)} ${plan.applied.length > 1 ? 'are' : 'is'} avoided.`);
+    }
+    note.textContent = lines.join(' ');
   },
 
   /**
@@ -501,6 +756,7 @@ Object.assign(App, {
     const coverFocusX = Number.isFinite(focusXRaw) ? focusXRaw : 50;
     const coverFocusY = Number.isFinite(focusYRaw) ? focusYRaw : 50;
     const isPublic = document.getElementById('tripDetailPublic').checked;
+    const routingProfile = MapManager.normalizeRoutingProfile(document.getElementById('tripDetailRoutingProfile').value);
     const tripId = this.tripDetailId;
     if (!tripId) { UI.showToast('No trip selected', 'error'); return; }
     if (!name) { UI.showToast('Name is required', 'error'); return; }
@@ -520,9 +776,37 @@ Object.assign(App, {
       if (!this.useCloud || !this.currentUser) {
         UI.showToast('Login to update trips.', 'error'); return;
       }
-      await API.trips.update(tripId, { name, description, is_public: isPublic, cover_image_url: coverImageUrl || null, cover_focus_x: coverFocusX, cover_focus_y: coverFocusY });
-      let updatedTrip;
-      if (isPublic) {
+    } catch (err) {
+      console.error('Cover upload failed:', err);
+      UI.showToast('Failed to save trip', 'error');
+      return;
+    }
+    const updatedTrip = await this.updateTripDetails(tripId, {
+      name, description, is_public: isPublic, cover_image_url: coverImageUrl || null,
+      cover_focus_x: coverFocusX, cover_focus_y: coverFocusY, settings: { routingProfile, avoid: this.checkedRouteAvoid() }
+    }, 'Trip updated');
+    if (!updatedTrip) return;
+    if (coverFileInput) {
+      coverFileInput.value = '';
+      const fn = document.getElementById('tripDetailCoverFileName');
+      if (fn) fn.textContent = '';
+    }
+    UI.closeModal('tripDetailsModal');
+  },
+
+  /**
+   * Save trip detail fields, sent with If-Match the version this device has,
+   * and show the result. `message` is the success toast. Resolves with the
+   * updated trip, or null if it wasn't saved.
+   */
+  async updateTripDetails(tripId, fields, message = null) {
+    if (!this.ensureEditable('update trips')) return null;
+    const known = this.currentTrip?.id === tripId ? this.currentTrip : await this.getLocalTrip(tripId);
+    const undo = this.tripDetailsUndo(tripId, fields);
+    let updatedTrip;
+    try {
+      await API.trips.update(tripId, fields, { headers: this.getTripIfMatchHeaders(known) });
+      if (fields.is_public) {
         const share = await API.trips.share(tripId);
         updatedTrip = await API.trips.get(tripId);
         updatedTrip.shortUrl = share.shareUrl;
@@ -532,28 +816,67 @@ Object.assign(App, {
       } else {
         updatedTrip = await API.trips.get(tripId);
       }
-      updatedTrip = this.normalizeTrip(updatedTrip);
-      updatedTrip.coverFocusX = coverFocusX;
-      updatedTrip.cover_focus_x = coverFocusX;
-      updatedTrip.coverFocusY = coverFocusY;
-      updatedTrip.cover_focus_y = coverFocusY;
-      if (this.currentTrip?.id === updatedTrip.id) {
-        this.currentTrip = { ...this.currentTrip, ...updatedTrip };
-        this.loadTripData(this.currentTrip);
-      }
-      this.refreshTripsList();
-      this.fillTripDetailsForm(updatedTrip);
-      if (coverFileInput) {
-        coverFileInput.value = '';
-        const fn = document.getElementById('tripDetailCoverFileName');
-        if (fn) fn.textContent = '';
-      }
-      UI.showToast('Trip updated', 'success');
-      UI.closeModal('tripDetailsModal');
     } catch (err) {
       console.error('Save trip details failed:', err);
-      UI.showToast('Failed to save trip', 'error');
+      if (err.status !== 409) {
+        UI.showToast('Failed to save trip', 'error');
+        return null;
+      }
+      // Bring in the other device's changes so the next save goes through
+      if (this.currentTrip?.id === tripId) {
+        await this.handleTripConflict(err);
+      } else {
+        try {
+          const latest = this.prepareTripData(await this.fetchLatestTrip(tripId));
+          this.setTripBase(latest);
+          this.cacheTripData(latest);
+        } catch (_) {}
+      }
+      UI.showToast('The trip changed on another device. Check the details and save again.', 'error');
+      return null;
+    }
+    updatedTrip = this.normalizeTrip(updatedTrip);
+    if (fields.cover_focus_x !== undefined) {
+      updatedTrip.coverFocusX = fields.cover_focus_x;
+      updatedTrip.cover_focus_x = fields.cover_focus_x;
+    }
+    if (fields.cover_focus_y !== undefined) {
+      updatedTrip.coverFocusY = fields.cover_focus_y;
+      updatedTrip.cover_focus_y = fields.cover_focus_y;
+    }
+    if (this.currentTrip?.id === updatedTrip.id) {
+      this.currentTrip = { ...this.currentTrip, ...updatedTrip };
+      this.loadTripData(this.currentTrip);
     }
+    this.refreshTripsList();
+    const modal = document.getElementById('tripDetailsModal');
+    if (modal?.dataset.tripId === tripId && !modal.classList.contains('hidden')) this.fillTripDetailsForm(updatedTrip);
+    this.recordUndo(undo, message);
+    return updatedTrip;
+  },
+
+  /**
+   * Undo entry for saving trip details on the open trip: put the fields back.
+   * Sharing is left alone; undoing an edit never publishes or unpublishes.
+   */
+  tripDetailsUndo(tripId, fields) {
+    const trip = this.currentTrip;
+    if (trip?.id !== tripId) return null;
+    const before = {
+      name: trip.name,
+      description: trip.description || '',
+      cover_image_url: trip.coverImageUrl || trip.cover_image_url || null,
+      cover_focus_x: trip.coverFocusX ?? trip.cover_focus_x ?? 50,
+      cover_focus_y: trip.coverFocusY ?? trip.cover_focus_y ?? 50,
+      settings: {
+        routingProfile: MapManager.normalizeRoutingProfile(trip.settings?.routingProfile),
+        avoid: MapManager.normalizeRouteAvoid(trip.settings?.avoid)
+      }
+    };
+    const after = {};
+    Object.keys(before).forEach((key) => { after[key] = fields[key] ?? before[key]; });
+    if (TripMerge.same(before, after)) return null;
+    return this.undoableChange('Edit trip details', before, after, values => this.updateTripDetails(tripId, values));
   },
 
 });
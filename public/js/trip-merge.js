@@ -0,0 +1,227 @@
+/**
+ * Trip Merge — three-way merge of a trip edited on two devices
+ *
+ * `base` is the server copy local edits started from (a snapshot()),
+ * `mine` the trip as edited here and `theirs` the latest server copy. A
+ * value changed on one side only takes that side; changed on both sides to
+ * different values it is a conflict. Trip fields, settings (except
+ * waypoint_order), waypoints and journal entries are merged field by field,
+ * matched by id. Deleting an item the other side edited is a conflict, and
+ * so is reordering waypoints on both sides. The route always comes from
+ * theirs: it is recalculated once the merged waypoints are saved.
+ *
+ * Without a base nothing can be told apart, so every difference is a
+ * conflict.
+ */
+
+/**
+ * A merged field: `get` reads it from a trip, snapshot or item, `set`
+ * writes it, `body` turns a value into API request fields.
+ */
+function _mergeField(key, label, fallback, body) {
+  return {
+    key,
+    label,
+    get: item => item?.[key] ?? fallback,
+    set: (item, value) => { item[key] = value; },
+    body
+  };
+}
+
+const TripMerge = {
+  TRIP_FIELDS: [
+    _mergeField('name', 'Trip name', '', v => ({ name: v })),
+    _mergeField('description', 'Description', '', v => ({ description: v })),
+    {
+      key: 'coverImageUrl',
+      label: 'Cover image',
+      get: t => t?.coverImageUrl || t?.cover_image_url || '',
+      set: (t, v) => { t.coverImageUrl = v; t.cover_image_url = v; },
+      body: v => ({ cover_image_url: v || null })
+    },
+    {
+      key: 'coverFocus',
+      label: 'Cover position',
+      get: t => ({ x: Number(t?.coverFocusX ?? t?.cover_focus_x ?? 50), y: Number(t?.coverFocusY ?? t?.cover_focus_y ?? 50) }),
+      set: (t, v) => { t.coverFocusX = t.cover_focus_x = v.x; t.coverFocusY = t.cover_focus_y = v.y; },
+      body: v => ({ cover_focus_x: v.x, cover_focus_y: v.y })
+    }
+  ],
+
+  WAYPOINT_FIELDS: [
+    _mergeField('name', 'name', '', v => ({ name: v })),
+    _mergeField('notes', 'notes', '', v => ({ notes: v })),
+    _mergeField('address', 'address', '', v => ({ address: v })),
+    _mergeField('type', 'type', 'stop', v => ({ type: v })),
+    _mergeField('arrivalRadius', 'arrival radius', null, v => ({ arrival_radius: v })),
+    {
+      key: 'position',
+      label: 'position',
+      get: w => ({ lat: Number(w?.lat), lng: Number(w?.lng) }),
+      set: (w, v) => { w.lat = v.lat; w.lng = v.lng; },
+      body: v => ({ lat: v.lat, lng: v.lng })
+    }
+  ],
+
+  ENTRY_FIELDS: [
+    _mergeField('title', 'title', '', v => ({ title: v })),
+    _mergeField('content', 'text', '', v => ({ content: v })),
+    {
+      key: 'isPrivate',
+      label: 'privacy',
+      get: e => !!(e?.isPrivate ?? e?.is_private),
+      set: (e, v) => { e.isPrivate = v; e.is_private = v; },
+      body: v => ({ is_private: v })
+    },
+    _mergeField('tags', 'tags', [], v => ({ tags: v }))
+  ],
+
+  same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  },
+
+  /** The `fields` whose values differ between two versions of an item */
+  changes(fields, from, to) {
+    return fields.filter(f => !this.same(f.get(from), f.get(to)));
+  },
+
+  /** What merging needs from a server trip, small enough to keep with the cached trip */
+  snapshot(trip) {
+    const copy = (item, fields, into) => {
+      fields.forEach(f => f.set(into, f.get(item)));
+      return into;
+    };
+    return JSON.parse(JSON.stringify({
+      ...copy(trip, this.TRIP_FIELDS, { version: Number(trip.version) || 0 }),
+      settings: trip.settings || {},
+      waypoints: (trip.waypoints || []).map(w => copy(w, this.WAYPOINT_FIELDS, { id: w.id })),
+      journal: (trip.journal || []).map(e => copy(e, this.ENTRY_FIELDS, { id: e.id }))
+    }));
+  },
+
+  /**
+   * Merge `mine` and `theirs` over `base` (null if unknown). Conflicts take
+   * theirs unless `choices[conflict.id]` is 'mine'. Returns
+   * { merged, conflicts: [{ id, kind, label, mine, theirs }] }; kind is
+   * 'value', 'presence' (mine/theirs say whether the item is kept) or
+   * 'order' (mine/theirs list waypoint names).
+   */
+  merge(base, mine, theirs, choices = {}) {
+    const conflicts = [];
+    const takeMine = id => choices[id] === 'mine';
+    const resolve = (id, label, known, b, m, t, apply) => {
+      if (this.same(m, t) || (known && this.same(b, m))) return apply(t);
+      if (known && this.same(b, t)) return apply(m);
+      conflicts.push({ id, kind: 'value', label, mine: m, theirs: t });
+      return apply(takeMine(id) ? m : t);
+    };
+
+    const merged = { ...theirs, settings: { ...(theirs.settings || {}) } };
+    this.TRIP_FIELDS.forEach((f) => {
+      resolve(`trip.${f.key}`, f.label, !!base, base && f.get(base), f.get(mine), f.get(theirs), v => f.set(merged, v));
+    });
+
+    const settings = [base?.settings, mine.settings, theirs.settings].map(s => s || {});
+    const keys = new Set(settings.flatMap(s => Object.keys(s)));
+    keys.delete('waypoint_order');
+    keys.forEach((key) => {
+      resolve(`settings.${key}`, `Setting "${key}"`, !!base, settings[0][key], settings[1][key], settings[2][key], (v) => {
+        if (v === undefined) delete merged.settings[key];
+        else merged.settings[key] = v;
+      });
+    });
+
+    const items = (kind, list, fields, noun) => this.mergeItems(
+      kind, fields, noun, base ? base[list] || [] : null, mine[list] || [], theirs[list] || [],
+      { conflicts, resolve, takeMine }
+    );
+    const waypoints = items('waypoint', 'waypoints', this.WAYPOINT_FIELDS, w => `Waypoint "${w.name || 'Waypoint'}"`);
+    const order = this.mergeOrder(base, mine, theirs, waypoints, { conflicts, takeMine });
+    merged.waypoints = order.map((id, i) => ({ ...waypoints.find(w => w.id === id), order: i }));
+    merged.settings.waypoint_order = order;
+    merged.journal = items('entry', 'journal', this.ENTRY_FIELDS, e => `Note "${e.title || 'Untitled'}"`);
+
+    // Uploads still queued here stay until the outbox sends them
+    const pending = new Map();
+    [...(mine.attachments || []), ...(mine.journal || []).flatMap(e => e.attachments || [])]
+      .filter(a => a?.pending)
+      .forEach(a => pending.set(a.id, a));
+    merged.attachments = [...pending.values(), ...(theirs.attachments || [])];
+
+    return { merged, conflicts };
+  },
+
+  /** Waypoints or journal entries, matched by id: theirs in their order, then ones only mine has */
+  mergeItems(kind, fields, noun, baseList, mineList, theirsList, { conflicts, resolve, takeMine }) {
+    const byId = list => new Map((list || []).map(item => [item.id, item]));
+    const b = byId(baseList);
+    const m = byId(mineList);
+    const t = byId(theirsList);
+    const ids = [...t.keys(), ...[...m.keys()].filter(id => !t.has(id))];
+    const out = [];
+
+    ids.forEach((id) => {
+      const bi = b.get(id);
+      const mi = m.get(id);
+      const ti = t.get(id);
+      if (mi && ti) {
+        const item = { ...ti };
+        fields.forEach((f) => {
+          resolve(`${kind}.${id}.${f.key}`, `${noun(mi)}: ${f.label}`, !!bi, bi && f.get(bi), f.get(mi), f.get(ti), v => f.set(item, v));
+        });
+        out.push(item);
+        return;
+      }
+      // Only one side has it: added there, or deleted on the other side
+      const item = mi || ti;
+      const editedSinceBase = bi && this.changes(fields, bi, item).length > 0;
+      if (bi && !editedSinceBase) return;
+      if (!bi && baseList) {
+        out.push({ ...item });
+        return;
+      }
+      const conflictId = `${kind}.${id}`;
+      conflicts.push({ id: conflictId, kind: 'presence', label: noun(item), mine: !!mi, theirs: !!ti });
+      if (takeMine(conflictId) === !!mi) out.push({ ...item });
+    });
+    return out;
+  },
+
+  /**
+   * Waypoint order: one side's order if only that side reordered (judged on
+   * the waypoints all three share), with waypoints only the other side has
+   * placed after their neighbour there.
+   */
+  mergeOrder(base, mine, theirs, waypoints, { conflicts, takeMine }) {
+    const keep = new Set(waypoints.map(w => w.id));
+    const orderOf = trip => (trip?.waypoints || []).map(w => w.id);
+    const m = orderOf(mine);
+    const t = orderOf(theirs);
+    const b = base ? orderOf(base) : null;
+    const shared = new Set(m.filter(id => t.includes(id) && (!b || b.includes(id))));
+    const common = ids => ids.filter(id => shared.has(id));
+
+    const mineMoved = !b || !this.same(common(m), common(b));
+    const theirsMoved = !b || !this.same(common(t), common(b));
+    let useMine = mineMoved && !theirsMoved;
+    if (mineMoved && theirsMoved && !this.same(common(m), common(t))) {
+      const names = (ids, trip) => ids.map(id => trip.waypoints.find(w => w.id === id)?.name || 'Waypoint');
+      conflicts.push({ id: 'order', kind: 'order', label: 'Waypoint order', mine: names(m, mine), theirs: names(t, theirs) });
+      useMine = takeMine('order');
+    }
+
+    const [primary, other] = useMine ? [m, t] : [t, m];
+    const order = primary.filter(id => keep.has(id));
+    const placed = new Set(order);
+    other.forEach((id, i) => {
+      if (!keep.has(id) || placed.has(id)) return;
+      const prev = other.slice(0, i).reverse().find(p => placed.has(p));
+      order.splice(prev ? order.indexOf(prev) + 1 : 0, 0, id);
+      placed.add(id);
+    });
+    return order;
+  }
+};
+
+// Make available globally
+window.TripMerge = TripMerge;
@@ -0,0 +1,148 @@
+/**
+ * Trip Store — full trips cached on the device (IndexedDB)
+ *
+ * One record per trip, keyed by id, holding the normalized trip as loaded
+ * (waypoints, journal, attachment metadata, route) with its server version.
+ * The app opens from here straight away and then reconciles against
+ * /api/trips/versions: trips gone from the server are dropped, and trips
+ * whose version moved on are fetched again.
+ *
+ * The cache belongs to one account; useAccount() empties it when another
+ * user signs in. Trips used to live in localStorage (Storage.KEYS.TRIPS),
+ * which migrateLegacy() moves over once.
+ */
+const TripStore = {
+  DB_NAME: 'ride-trips',
+
+  isAvailable() {
+    return 'indexedDB' in window;
+  },
+
+  open() {
+    return IDB.open(this.DB_NAME, 1, (db) => {
+      db.createObjectStore('trips', { keyPath: 'id' });
+      db.createObjectStore('meta');
+    });
+  },
+
+  async transaction(storeName, mode, fn) {
+    return IDB.transaction(await this.open(), storeName, mode, fn);
+  },
+
+  async getMeta(key) {
+    const out = await this.transaction('meta', 'readonly', (store) => {
+      const result = {};
+      const req = store.get(key);
+      req.onsuccess = () => { result.value = req.result; };
+      return result;
+    });
+    return out.value;
+  },
+
+  setMeta(key, value) {
+    return this.transaction('meta', 'readwrite', store => store.put(value, key));
+  },
+
+  async get(id) {
+    const out = await this.transaction('trips', 'readonly', (store) => {
+      const result = {};
+      const req = store.get(id);
+      req.onsuccess = () => { result.trip = req.result || null; };
+      return result;
+    });
+    return out.trip;
+  },
+
+  async all() {
+    return IDB.getAll(await this.open(), 'trips');
+  },
+
+  /**
+   * Cache a trip. Uploads still waiting in the outbox are left out: their
+   * local previews (blob: URLs) don't survive a reload. The app stores the
+   * trip's merge base with it as `base` (see App.setTripBase).
+   */
+  put(trip) {
+    if (!trip?.id) return Promise.resolve();
+    const keep = list => (Array.isArray(list) ? list.filter(a => !a?.pending) : list);
+    const record = {
+      ...trip,
+      version: Number(trip.version) || 0,
+      attachments: keep(trip.attachments),
+      journal: (trip.journal || []).map(entry => ({ ...entry, attachments: keep(entry.attachments) })),
+      cachedAt: Date.now()
+    };
+    return this.transaction('trips', 'readwrite', store => store.put(record));
+  },
+
+  remove(ids) {
+    return this.transaction('trips', 'readwrite', store => ids.forEach(id => store.delete(id)));
+  },
+
+  /** Trip summaries as last listed by GET /api/trips, to show the list before it loads */
+  async getList() {
+    return (await this.getMeta('tripList')) || [];
+  },
+
+  saveList(trips) {
+    return this.setMeta('tripList', trips);
+  },
+
+  async clear() {
+    await this.transaction('trips', 'readwrite', store => store.clear());
+    await this.transaction('meta', 'readwrite', store => store.clear());
+  },
+
+  /** Empty the cache if it was filled for a different account */
+  async useAccount(userId) {
+    const owner = await this.getMeta('userId');
+    if (owner === userId) return;
+    if (owner !== undefined) await this.clear();
+    await this.setMeta('userId', userId);
+  },
+
+  /**
+   * Compare the cache with the server's [{ id, version, updated_at }].
+   * Trips the server no longer has are removed. Returns the ids that are
+   * { current, stale, missing } (missing = on the server, never cached).
+   */
+  async reconcile(serverTrips) {
+    const server = new Map(serverTrips.map(t => [t.id, Number(t.version) || 0]));
+    const cached = await this.all();
+    const result = { current: [], stale: [], missing: [] };
+    const gone = [];
+    cached.forEach((trip) => {
+      if (!server.has(trip.id)) gone.push(trip.id);
+      else if (trip.version < server.get(trip.id)) result.stale.push(trip.id);
+      else result.current.push(trip.id);
+    });
+    const known = new Set(cached.map(trip => trip.id));
+    result.missing = [...server.keys()].filter(id => !known.has(id));
+    if (gone.length) await this.remove(gone);
+    return result;
+  },
+
+  /**
+   * Move trips from the old localStorage keys into the store, once. They
+   * keep the version they were saved with (0 if none), so reconcile()
+   * refetches any the server has changed since.
+   */
+  async migrateLegacy() {
+    if (await this.getMeta('legacyMigrated')) return 0;
+    const { TRIPS, CURRENT_TRIP } = Storage.KEYS;
+    const trips = [];
+    const list = Storage.load(TRIPS, []);
+    if (Array.isArray(list)) trips.push(...list);
+    const current = Storage.load(CURRENT_TRIP);
+    if (current && typeof current === 'object' && !trips.some(t => t?.id === current.id)) trips.push(current);
+
+    for (const trip of trips.filter(t => t?.id)) await this.put(trip);
+    Storage.remove(TRIPS);
+    Storage.remove(CURRENT_TRIP);
+    await this.setMeta('legacyMigrated', true);
+    return trips.length;
+  }
+};
+
+// Make available globally
+window.TripStore = TripStore;
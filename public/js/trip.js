@@ -29,7 +29,8 @@ const Trip = {
       share_id: null,
       version: 0,
       settings: {
-        routingProfile: 'driving'
+        routingProfile: 'driving',
+        avoid: []
       }
     };
   },
@@ -125,6 +126,43 @@ const Trip = {
     trip.updatedAt = new Date().toISOString();
   },
 
+  /**
+   * A trip with server changes from API.trips.changes() applied: rows are
+   * replaced, added or dropped by id, waypoints take the server's order and
+   * journal entries and attachments go newest first. Returns null when the
+   * waypoints don't add up to the server's order, so the whole trip has to
+   * be fetched instead.
+   */
+  applyChanges(trip, changes) {
+    const patch = (list, { inserted = [], updated = [], deleted = [] } = {}) => {
+      const gone = new Set(deleted);
+      const rows = new Map([...inserted, ...updated].map(row => [row.id, row]));
+      const out = (Array.isArray(list) ? list : [])
+        .filter(item => !gone.has(item.id))
+        .map(item => (rows.has(item.id) ? { ...item, ...rows.get(item.id) } : item));
+      const known = new Set(out.map(item => item.id));
+      rows.forEach((row, id) => {
+        if (!known.has(id)) out.push(row);
+      });
+      return out;
+    };
+    const newestFirst = (a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || ''));
+
+    const waypoints = new Map(patch(trip.waypoints, changes.waypoints).map(w => [w.id, w]));
+    const order = changes.waypointOrder || [];
+    if (order.length !== waypoints.size || order.some(id => !waypoints.has(id))) return null;
+
+    return {
+      ...trip,
+      ...changes.trip,
+      version: changes.version,
+      waypoints: this.normalizeWaypointOrder(order.map(id => waypoints.get(id))),
+      journal: patch(trip.journal, changes.journal).sort(newestFirst),
+      attachments: patch(trip.attachments, changes.attachments).sort(newestFirst),
+      route: 'route' in changes ? changes.route : trip.route
+    };
+  },
+
   /**
    * Remove journal entry
    */
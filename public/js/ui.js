@@ -272,8 +272,12 @@ const UI = {
 
     document.getElementById('settingsBtn').addEventListener('click', () => {
       closeMenuFn();
-      // TODO: Open settings modal
-      this.showToast('Settings coming soon', 'info');
+      App.openSettings();
+    });
+
+    document.getElementById('trashBtn').addEventListener('click', () => {
+      closeMenuFn();
+      App.openTrash();
     });
 
     document.getElementById('aboutBtn').addEventListener('click', () => {
@@ -296,10 +300,10 @@ const UI = {
       });
     });
 
-    // Close on backdrop click
+    // Close on backdrop click, except dialogs that need an answer (data-required)
     document.querySelectorAll('.modal').forEach(modal => {
       modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
+        if (e.target === modal && !modal.hasAttribute('data-required')) {
           this.closeModal(modal.id);
         }
       });
@@ -307,14 +311,14 @@ const UI = {
 
     // Add waypoint button
     document.getElementById('addWaypointBtn').addEventListener('click', () => {
-      if (!App.ensureEditable('add waypoints')) return;
+      if (!App.ensureEditable('add waypoints', { offline: true })) return;
       this.openModal('waypointModal');
       MapManager.enableAddWaypointMode();
     });
 
     // Add note button
     document.getElementById('addNoteBtn').addEventListener('click', () => {
-      if (!App.ensureEditable('add notes')) return;
+      if (!App.ensureEditable('add notes', { offline: true })) return;
       this.openModal('noteModal');
     });
 
@@ -558,7 +562,7 @@ const UI = {
    * Handle waypoint form submit
    */
   async handleWaypointSubmit() {
-    if (!App.ensureEditable('add waypoints')) return;
+    if (!App.ensureEditable('add waypoints', { offline: true })) return;
     const name = document.getElementById('waypointName').value.trim();
     const address = document.getElementById('waypointAddress').value.trim();
     const lat = parseFloat(document.getElementById('waypointLat').value);
@@ -589,17 +593,15 @@ const UI = {
     const entryId = document.getElementById('noteEntryId').value.trim();
     const tags = tagsStr ? tagsStr.split(',').map(t => t.trim()).filter(t => t) : [];
 
-    const allowed = App.ensureEditable(entryId ? 'update notes' : 'add a note');
+    const allowed = App.ensureEditable(entryId ? 'update notes' : 'add a note', { offline: true });
     if (!allowed) return;
 
+    // The controller shows the success toast, with Undo
     const result = entryId
       ? await App.updateJournalEntry(entryId, { title, content, isPrivate, tags })
       : await App.addJournalEntry({ title, content, isPrivate, tags });
 
-    if (result) {
-      this.closeModal('noteModal');
-      this.showToast(entryId ? 'Note updated' : 'Note added', 'success');
-    }
+    if (result) this.closeModal('noteModal');
   },
 
   /**
@@ -740,7 +742,7 @@ const UI = {
         if (e.target?.closest?.('.waypoint-handle')) return;
         const id = el.dataset.id;
         if (!id) return;
-        if (!App.ensureEditable('edit waypoints')) return;
+        if (!App.ensureEditable('edit waypoints', { offline: true })) return;
         App.openWaypointDetails(id);
       });
     });
@@ -940,15 +942,16 @@ const UI = {
     }
 
     container.innerHTML = entries
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .sort((a, b) => new Date(b.arrivedAt || b.createdAt) - new Date(a.arrivedAt || a.createdAt))
       .map(entry => `
         <div class="journal-entry ${entry.isPrivate ? 'private' : ''}" data-id="${entry.id}">
           <div class="journal-header">
             <div class="journal-title">
               ${entry.isPrivate ? '🔒 ' : ''}${this.escapeHtml(entry.title)}
             </div>
-            <div class="journal-date">${this.formatDate(entry.createdAt)}</div>
+            <div class="journal-date">${this.formatDate(entry.arrivedAt || entry.createdAt)}</div>
           </div>
+          ${entry.arrivedAt ? `<div class="journal-ride-log">${this.escapeHtml(this.formatRideLog(entry))}</div>` : ''}
           <div class="journal-content">${this.escapeHtml(entry.content)}</div>
           ${entry.attachments?.length ? `
             <div class="journal-attachments">
@@ -1102,7 +1105,7 @@ const UI = {
 
   showDeleteTripConfirm(trip) {
     const name = trip.name || 'this trip';
-    const ok = window.confirm(`Delete ${name}? This cannot be undone.`);
+    const ok = window.confirm(`Delete ${name}? It stays in the trash for 30 days, where you can restore it.`);
     if (ok) {
       App.deleteTrip(trip.id);
     }
@@ -1113,12 +1116,26 @@ const UI = {
   },
 
   /**
-   * Show toast notification
+   * Show toast notification. `options.action` ({ label, onClick }) adds a
+   * button, e.g. Undo; such toasts stay up a little longer.
    */
-  showToast(message, type = 'info') {
+  showToast(message, type = 'info', options = {}) {
     const toast = document.getElementById('toast');
     toast.textContent = message;
     toast.className = type;
+
+    const { action } = options;
+    if (action) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'toast-action';
+      btn.textContent = action.label;
+      btn.addEventListener('click', () => {
+        toast.classList.add('hidden');
+        action.onClick();
+      });
+      toast.appendChild(btn);
+    }
     
     // Clear any existing timeout
     if (this.toastTimeout) {
@@ -1133,7 +1150,7 @@ const UI = {
     // Hide after delay
     this.toastTimeout = setTimeout(() => {
       toast.classList.add('hidden');
-    }, 3000);
+    }, action ? 5000 : 3000);
   },
 
   /**
@@ -1146,6 +1163,18 @@ const UI = {
     return div.innerHTML;
   },
 
+  /** "Arrived 14:32 · Left 14:55 (23 min) · 182 km ridden" for ride log entries */
+  formatRideLog(entry) {
+    const time = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const parts = [`Arrived ${time(entry.arrivedAt)}`];
+    if (entry.departedAt) {
+      const stay = (new Date(entry.departedAt) - new Date(entry.arrivedAt)) / 1000;
+      parts.push(`Left ${time(entry.departedAt)}${stay > 0 ? ` (${RideUtils.formatDuration(stay)})` : ''}`);
+    }
+    if (Number.isFinite(entry.odometer)) parts.push(`${RideUtils.formatDistance(entry.odometer)} ridden`);
+    return parts.join(' · ');
+  },
+
   /**
    * Format date for display
    */
@@ -0,0 +1,129 @@
+/**
+ * Undo Controller — undo and redo for edits to the open trip
+ * Extends App object (loaded after app-core.js)
+ *
+ * Each edit records how to take it back and how to make it again as calls to
+ * the controller methods the edit went through, so an undo is an ordinary
+ * write: sent with the trip's version as If-Match, or queued when offline.
+ * Something deleted comes back under a new id; undoState.ids maps the old id
+ * to it so older entries still find it. The stacks belong to the open trip and are
+ * emptied when another trip opens.
+ */
+Object.assign(App, {
+  UNDO_LIMIT: 50,
+
+  resetUndo(tripId = this.currentTrip?.id ?? null) {
+    this.undoState = { tripId, undo: [], redo: [], ids: new Map(), replaying: null };
+  },
+
+  bindUndoKeys() {
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      const redo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+      if (key !== 'z' && !redo) return;
+      // Text fields keep their own undo, and edits behind a dialog aren't undone from it
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      if (document.querySelector('.modal:not(.hidden)')) return;
+      e.preventDefault();
+      if (redo) this.redo();
+      else this.undo();
+    });
+  },
+
+  /* --- Recording --- */
+
+  /**
+   * Record a finished edit: { label, undo, redo }, with undo and redo async
+   * functions that make the change through the controllers. `message` is the
+   * edit's success toast, shown with an Undo button. Edits made while an undo
+   * or redo runs aren't recorded; they only tell it that it went through.
+   */
+  recordUndo(entry, message) {
+    if (this.undoState?.replaying) {
+      this.undoState.replaying.done = true;
+      return;
+    }
+    const tripId = this.currentTrip?.id;
+    if (!tripId || !entry) {
+      if (message) UI.showToast(message, 'success');
+      return;
+    }
+    if (this.undoState?.tripId !== tripId) this.resetUndo(tripId);
+    const { undo } = this.undoState;
+    undo.push(entry);
+    if (undo.length > this.UNDO_LIMIT) undo.shift();
+    this.undoState.redo = [];
+    if (message) {
+      UI.showToast(message, 'success', { action: { label: 'Undo', onClick: () => this.undo(entry) } });
+    }
+  },
+
+  /** An edit that sets values: undone by setting `before` again, redone with `after` */
+  undoableChange(label, before, after, apply) {
+    return { label, undo: () => apply(before), redo: () => apply(after) };
+  },
+
+  /** The id an item has now, after undo or redo brought it back under new ones */
+  undoTarget(id) {
+    const ids = this.undoState?.ids;
+    while (ids?.has(id)) id = ids.get(id);
+    return id;
+  },
+
+  remapUndoId(oldId, newId) {
+    if (oldId && newId && oldId !== newId) this.undoState?.ids.set(oldId, newId);
+  },
+
+  /** A recorded waypoint order as today's ids; waypoints added since go last */
+  undoWaypointOrder(ids) {
+    const current = (this.currentTrip?.waypoints || []).map(w => w.id);
+    const order = ids.map(id => this.undoTarget(id)).filter(id => current.includes(id));
+    return [...order, ...current.filter(id => !order.includes(id))];
+  },
+
+  /* --- Undo & redo --- */
+
+  /** Undo the last edit; `expected` (from a toast) only if it is still the last one */
+  undo(expected = null) {
+    return this.replayUndo('undo', 'redo', expected);
+  },
+
+  redo(expected = null) {
+    return this.replayUndo('redo', 'undo', expected);
+  },
+
+  /**
+   * Run the top entry of one stack and move it to the other. An entry whose
+   * write didn't go through (refused, failed or merged after a conflict) is
+   * dropped; the controller method has already said why.
+   */
+  async replayUndo(from, to, expected) {
+    const state = this.undoState;
+    if (!this.currentTrip || state?.replaying) return false;
+    const stack = state?.tripId === this.currentTrip.id ? state[from] : [];
+    const entry = stack[stack.length - 1];
+    if (!entry) {
+      UI.showToast(from === 'undo' ? 'Nothing to undo' : 'Nothing to redo', 'info');
+      return false;
+    }
+    if (expected && entry !== expected) return false;
+
+    stack.pop();
+    state.replaying = { done: false };
+    try {
+      await entry[from]();
+    } catch (err) {
+      console.error(`${from} failed:`, err);
+    }
+    const { done } = state.replaying;
+    state.replaying = null;
+    if (!done || this.undoState !== state) return false;
+
+    state[to].push(entry);
+    UI.showToast(`${from === 'undo' ? 'Undone' : 'Redone'}: ${entry.label}`, 'success', {
+      action: { label: from === 'undo' ? 'Redo' : 'Undo', onClick: () => this[to](entry) }
+    });
+    return true;
+  }
+});
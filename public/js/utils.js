@@ -22,6 +22,50 @@ const RideUtils = {
     return 2 * R * Math.asin(Math.sqrt(h));
   },
 
+  /** Coerce {lat, lng} or [lat, lng] into {lat, lng} */
+  toLatLng(v) {
+    return { lat: v?.lat ?? v?.[0] ?? 0, lng: v?.lng ?? v?.[1] ?? 0 };
+  },
+
+  /**
+   * Project point p onto segment a→b.
+   * Uses a local equirectangular approximation around p, which is accurate to
+   * well under a metre at route-segment scale.
+   * Returns { distance, t } — perpendicular distance in meters and the
+   * fraction (0..1) along the segment of the closest point.
+   */
+  projectToSegment(p, a, b) {
+    const P = this.toLatLng(p);
+    const A = this.toLatLng(a);
+    const B = this.toLatLng(b);
+    const mPerDeg = 6371000 * Math.PI / 180;
+    const kx = Math.cos(P.lat * Math.PI / 180) * mPerDeg;
+    const abx = (B.lng - A.lng) * kx;
+    const aby = (B.lat - A.lat) * mPerDeg;
+    const apx = (P.lng - A.lng) * kx;
+    const apy = (P.lat - A.lat) * mPerDeg;
+    const len2 = abx * abx + aby * aby;
+    const t = len2 > 0 ? Math.min(1, Math.max(0, (apx * abx + apy * aby) / len2)) : 0;
+    return { distance: Math.hypot(apx - t * abx, apy - t * aby), t };
+  },
+
+  /** Initial bearing in degrees (0 = north, clockwise) from a to b */
+  bearing(a, b) {
+    const A = this.toLatLng(a);
+    const B = this.toLatLng(b);
+    const toRad = (v) => v * Math.PI / 180;
+    const y = Math.sin(toRad(B.lng - A.lng)) * Math.cos(toRad(B.lat));
+    const x = Math.cos(toRad(A.lat)) * Math.sin(toRad(B.lat))
+      - Math.sin(toRad(A.lat)) * Math.cos(toRad(B.lat)) * Math.cos(toRad(B.lng - A.lng));
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  },
+
+  /** Bearing → "north", "northeast", ... */
+  compassDirection(degrees) {
+    const names = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+    return names[Math.round((((degrees % 360) + 360) % 360) / 45) % 8];
+  },
+
   /** Format distance in meters to human-readable string */
   formatDistance(meters) {
     if (!meters && meters !== 0) return '—';
@@ -29,6 +73,12 @@ const RideUtils = {
     return Math.round(meters) + ' m';
   },
 
+  /** Format speed in m/s as km/h */
+  formatSpeed(metersPerSecond) {
+    if (!Number.isFinite(metersPerSecond)) return '—';
+    return Math.round(metersPerSecond * 3.6) + ' km/h';
+  },
+
   /** Format duration in seconds to human-readable string */
   formatDuration(seconds) {
     if (!seconds && seconds !== 0) return '—';
@@ -39,4 +89,6 @@ const RideUtils = {
   }
 };
 
-window.RideUtils = RideUtils;
+if (typeof window !== 'undefined') window.RideUtils = RideUtils;
+// Node (tests/): require() returns the object
+if (typeof module !== 'undefined') module.exports = RideUtils;
@@ -0,0 +1,61 @@
+/**
+ * Voice module — spoken prompts via the Web Speech API
+ */
+const Voice = {
+  voices: [],
+
+  isSupported() {
+    return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+  },
+
+  init() {
+    if (!this.isSupported()) return;
+    // Most browsers populate the voice list asynchronously
+    const load = () => { this.voices = window.speechSynthesis.getVoices() || []; };
+    load();
+    window.speechSynthesis.addEventListener?.('voiceschanged', load);
+  },
+
+  getVoices() {
+    if (!this.isSupported()) return [];
+    if (!this.voices.length) this.voices = window.speechSynthesis.getVoices() || [];
+    return this.voices;
+  },
+
+  /**
+   * Speak text. `interrupt` drops anything still queued (use for urgent prompts).
+   * A chosen voice wins over lang; with neither, the device default is used.
+   */
+  speak(text, { voiceURI = '', lang = '', interrupt = false } = {}) {
+    if (!this.isSupported() || !text) return false;
+    const synth = window.speechSynthesis;
+    if (interrupt) synth.cancel();
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = voiceURI ? this.getVoices().find(v => v.voiceURI === voiceURI) : null;
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    } else if (lang) {
+      utterance.lang = lang;
+    }
+    synth.speak(utterance);
+    return true;
+  },
+
+  cancel() {
+    if (this.isSupported()) window.speechSynthesis.cancel();
+  },
+
+  /** Distance phrased for speech, e.g. "150 meters", "1.5 kilometers" */
+  formatDistance(meters) {
+    if (meters >= 1000) {
+      const km = Math.round(meters / 100) / 10;
+      return `${km} ${km === 1 ? 'kilometer' : 'kilometers'}`;
+    }
+    return `${Math.round(meters)} meters`;
+  }
+};
+
+// Make available globally
+window.Voice = Voice;
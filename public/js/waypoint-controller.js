@@ -14,8 +14,14 @@ Object.assign(App, {
         const id = document.getElementById('waypointDetailId')?.value || '';
         const name = document.getElementById('waypointDetailName')?.value?.trim() || '';
         const notes = document.getElementById('waypointDetailNotes')?.value?.trim() || '';
+        const radiusRaw = document.getElementById('waypointDetailRadius')?.value?.trim() || '';
         if (!id) return;
-        await this.updateWaypointDetails(id, { name, notes });
+        const arrivalRadius = radiusRaw === '' ? null : Number(radiusRaw);
+        if (arrivalRadius !== null && !(arrivalRadius >= 10 && arrivalRadius <= 5000)) {
+          UI.showToast('Arrival radius must be between 10 and 5000 m', 'error');
+          return;
+        }
+        await this.updateWaypointDetails(id, { name, notes, arrivalRadius });
       });
     }
     if (fileBtn && fileInput) {
@@ -46,9 +52,11 @@ Object.assign(App, {
     const idEl = document.getElementById('waypointDetailId');
     const nameEl = document.getElementById('waypointDetailName');
     const notesEl = document.getElementById('waypointDetailNotes');
+    const radiusEl = document.getElementById('waypointDetailRadius');
     if (idEl) idEl.value = wp.id;
     if (nameEl) nameEl.value = wp.name || '';
     if (notesEl) notesEl.value = wp.notes || '';
+    if (radiusEl) radiusEl.value = wp.arrivalRadius ?? '';
     this.renderWaypointAttachments(wp.id);
     UI.openModal('waypointDetailsModal');
   },
@@ -81,32 +89,66 @@ Object.assign(App, {
 
   async updateWaypointDetails(waypointId, data) {
     if (!this.currentTrip) return;
-    if (!this.ensureEditable('update waypoints')) return;
+    if (!this.ensureEditable('update waypoints', { offline: true })) return;
+    const was = this.currentTrip.waypoints?.find(w => w.id === waypointId);
+    const undo = was && this.undoableChange(
+      'Edit waypoint',
+      { name: was.name, notes: was.notes || '', arrivalRadius: was.arrivalRadius ?? null },
+      { name: data.name, notes: data.notes, arrivalRadius: data.arrivalRadius },
+      values => this.updateWaypointDetails(this.undoTarget(waypointId), values)
+    );
+    if (this.shouldQueueEdits()) {
+      const queued = await this.queueTripEdit({
+        method: 'PUT',
+        path: `/trips/${this.currentTrip.id}/waypoints/${waypointId}`,
+        body: { name: data.name, notes: data.notes, arrival_radius: data.arrivalRadius },
+        label: `edit ${data.name || 'waypoint'}`
+      });
+      if (!queued) return;
+      Trip.updateWaypoint(this.currentTrip, waypointId, { name: data.name, notes: data.notes, arrivalRadius: data.arrivalRadius });
+      UI.renderWaypoints(this.currentTrip.waypoints);
+      MapManager.updateWaypoints(this.currentTrip.waypoints);
+      this.recordUndo(undo);
+      return;
+    }
     try {
       const res = await API.waypoints.update(this.currentTrip.id, waypointId, {
-        name: data.name, notes: data.notes
+        name: data.name, notes: data.notes, arrival_radius: data.arrivalRadius
       }, { headers: this.getTripIfMatchHeaders() });
       this.applyTripMetaFromResponse(this.currentTrip, res);
       if (res?.waypoint) {
-        Trip.updateWaypoint(this.currentTrip, waypointId, res.waypoint);
+        Trip.updateWaypoint(this.currentTrip, waypointId, { ...res.waypoint, arrivalRadius: res.waypoint.arrival_radius ?? null });
         this.currentTrip.waypoints = Trip.normalizeWaypointOrder(this.currentTrip.waypoints);
       } else {
-        Trip.updateWaypoint(this.currentTrip, waypointId, { name: data.name, notes: data.notes });
+        Trip.updateWaypoint(this.currentTrip, waypointId, { name: data.name, notes: data.notes, arrivalRadius: data.arrivalRadius });
       }
       this.markTripWritten(this.currentTrip.id);
       UI.renderWaypoints(this.currentTrip.waypoints);
       MapManager.updateWaypoints(this.currentTrip.waypoints);
-      UI.showToast('Waypoint saved', 'success');
+      this.recordUndo(undo, 'Waypoint saved');
       await this.refreshTripsList();
     } catch (error) {
       console.error('Failed to update waypoint details:', error);
-      if (error.status === 409 || error.status === 428) { await this.handleTripConflict(error); return; }
+      if (error.status === 409 || error.status === 428) {
+        // Keep the edit so the conflict merge can carry it over
+        Trip.updateWaypoint(this.currentTrip, waypointId, { name: data.name, notes: data.notes, arrivalRadius: data.arrivalRadius });
+        await this.handleTripConflict(error);
+        return;
+      }
       UI.showToast('Waypoint update failed. Not saved.', 'error');
     }
   },
 
   async uploadWaypointAttachment(waypointId, file) {
-    if (!this.currentTrip || !this.ensureEditable('upload attachments')) return;
+    if (!this.currentTrip || !this.ensureEditable('upload attachments', { offline: true })) return;
+    if (this.shouldQueueEdits()) {
+      const attachment = await this.queueAttachmentUpload(file, { waypoint_id: waypointId, is_private: false });
+      if (!attachment) return;
+      if (!this.currentTrip.attachments) this.currentTrip.attachments = [];
+      this.currentTrip.attachments.unshift(attachment);
+      this.renderWaypointAttachments(waypointId);
+      return;
+    }
     try {
       UI.showToast('Uploading attachment...', 'info');
       const attachment = await API.attachments.upload(this.currentTrip.id, file, {
@@ -126,11 +168,38 @@ Object.assign(App, {
   },
 
   async addWaypoint(data) {
-    if (!this.currentTrip || !this.ensureEditable('add waypoints')) return null;
+    if (!this.currentTrip || !this.ensureEditable('add waypoints', { offline: true })) return null;
     let waypoint;
+    if (this.shouldQueueEdits()) {
+      waypoint = {
+        ...Trip.createWaypoint({ ...data, order: this.currentTrip.waypoints?.length || 0 }),
+        id: Outbox.newTempId(),
+        address: data.address || '',
+        arrivalRadius: data.arrival_radius ?? null
+      };
+      const queued = await this.queueTripEdit({
+        method: 'POST',
+        path: `/trips/${this.currentTrip.id}/waypoints`,
+        body: data,
+        creates: waypoint.id,
+        label: `add ${waypoint.name}`
+      });
+      if (!queued) return null;
+      if (!this.currentTrip.waypoints) this.currentTrip.waypoints = [];
+      this.currentTrip.waypoints.push(waypoint);
+      this.currentTrip.waypoints = Trip.normalizeWaypointOrder(this.currentTrip.waypoints);
+      if (!this.currentTrip.settings || typeof this.currentTrip.settings !== 'object') this.currentTrip.settings = {};
+      this.currentTrip.settings.waypoint_order = this.currentTrip.waypoints.map(w => w.id);
+      UI.renderWaypoints(this.currentTrip.waypoints);
+      MapManager.addWaypointMarker(waypoint);
+      // Routing needs the network; the route is recalculated once the edits sync
+      if (this.isOnline && this.currentTrip.waypoints.length >= 2) MapManager.updateRoute(this.currentTrip.waypoints);
+      this.recordUndo(this.addWaypointUndo(waypoint, data));
+      return waypoint;
+    }
     try {
       const res = await API.waypoints.add(this.currentTrip.id, data, { headers: this.getTripIfMatchHeaders() });
-      waypoint = res.waypoint;
+      waypoint = { ...res.waypoint, arrivalRadius: res.waypoint.arrival_radius ?? null };
       this.applyTripMetaFromResponse(this.currentTrip, res);
       if (!this.currentTrip.waypoints) this.currentTrip.waypoints = [];
       this.currentTrip.waypoints.push(waypoint);
@@ -140,20 +209,60 @@ Object.assign(App, {
       this.markTripWritten(this.currentTrip.id);
     } catch (error) {
       console.error('Failed to add waypoint to cloud:', error);
-      if (error.status === 409 || error.status === 428) { await this.handleTripConflict(error); return null; }
+      if (error.status === 409 || error.status === 428) {
+        // Keep the new waypoint (under a temporary id) so the conflict merge can add it
+        this.currentTrip.waypoints = Trip.normalizeWaypointOrder([
+          ...(this.currentTrip.waypoints || []),
+          { ...Trip.createWaypoint({ ...data, order: this.currentTrip.waypoints?.length || 0 }), id: Outbox.newTempId(), address: data.address || '', arrivalRadius: null }
+        ]);
+        await this.handleTripConflict(error);
+        return null;
+      }
       UI.showToast('Could not add waypoint (not saved)', 'error');
       return null;
     }
     UI.renderWaypoints(this.currentTrip.waypoints);
     MapManager.addWaypointMarker(waypoint);
     await this.refreshTripsList();
-    UI.showToast('Waypoint saved', 'success');
+    this.recordUndo(this.addWaypointUndo(waypoint, data), 'Waypoint saved');
     if (this.currentTrip.waypoints.length >= 2) MapManager.updateRoute(this.currentTrip.waypoints);
     return waypoint;
   },
 
+  /** Undo entry for a waypoint just added: delete it, or add it again */
+  addWaypointUndo(waypoint, data) {
+    return {
+      label: 'Add waypoint',
+      undo: () => this.deleteWaypoint(this.undoTarget(waypoint.id)),
+      redo: async () => {
+        const added = await this.addWaypoint(data);
+        if (added) this.remapUndoId(this.undoTarget(waypoint.id), added.id);
+      }
+    };
+  },
+
   async updateWaypointPosition(waypointId, lat, lng) {
-    if (!this.currentTrip || !this.ensureEditable('move waypoints')) return;
+    if (!this.currentTrip || !this.ensureEditable('move waypoints', { offline: true })) return;
+    // The trip still has the old position; only the marker has moved
+    const was = this.currentTrip.waypoints?.find(w => w.id === waypointId);
+    const undo = was && this.undoableChange('Move waypoint', { lat: was.lat, lng: was.lng }, { lat, lng }, async (to) => {
+      await this.updateWaypointPosition(this.undoTarget(waypointId), to.lat, to.lng);
+      MapManager.updateWaypoints(this.currentTrip.waypoints);
+    });
+    if (this.shouldQueueEdits()) {
+      const queued = await this.queueTripEdit({
+        method: 'PUT',
+        path: `/trips/${this.currentTrip.id}/waypoints/${waypointId}`,
+        body: { lat, lng },
+        label: 'move waypoint'
+      });
+      if (!queued) return;
+      Trip.updateWaypoint(this.currentTrip, waypointId, { lat, lng });
+      if (this.isOnline && this.currentTrip.waypoints.length >= 2) MapManager.updateRoute(this.currentTrip.waypoints);
+      UI.renderWaypoints(this.currentTrip.waypoints);
+      this.recordUndo(undo);
+      return;
+    }
     try {
       const res = await API.waypoints.update(this.currentTrip.id, waypointId, { lat, lng }, { headers: this.getTripIfMatchHeaders() });
       this.applyTripMetaFromResponse(this.currentTrip, res);
@@ -163,7 +272,11 @@ Object.assign(App, {
       }
     } catch (error) {
       console.error('Failed to update waypoint:', error);
-      if (error.status === 409 || error.status === 428) { await this.handleTripConflict(error); return; }
+      if (error.status === 409 || error.status === 428) {
+        Trip.updateWaypoint(this.currentTrip, waypointId, { lat, lng });
+        await this.handleTripConflict(error);
+        return;
+      }
       UI.showToast('Move failed. Not saved to cloud.', 'error');
       return;
     }
@@ -171,24 +284,36 @@ Object.assign(App, {
       Trip.updateWaypoint(this.currentTrip, waypointId, { lat, lng });
     }
     this.markTripWritten(this.currentTrip.id);
-    const now = Date.now();
-    if (now - (this.waypointSaveToastAt || 0) > 2500) {
-      this.waypointSaveToastAt = now;
-      UI.showToast('Waypoint saved', 'success');
-    }
+    this.recordUndo(undo, 'Waypoint moved');
     if (this.currentTrip.waypoints.length >= 2) MapManager.updateRoute(this.currentTrip.waypoints);
     UI.renderWaypoints(this.currentTrip.waypoints);
     await this.refreshTripsList();
   },
 
   async deleteWaypoint(waypointId) {
-    if (!this.currentTrip || !this.ensureEditable('delete waypoints')) return;
-    try {
-      const res = await API.waypoints.delete(this.currentTrip.id, waypointId, { headers: this.getTripIfMatchHeaders() });
-      this.applyTripMetaFromResponse(this.currentTrip, res);
-    } catch (error) {
-      console.error('Failed to delete waypoint:', error);
-      if (error.status === 409 || error.status === 428) { await this.handleTripConflict(error); return; }
+    if (!this.currentTrip || !this.ensureEditable('delete waypoints', { offline: true })) return;
+    let undo = this.deleteWaypointUndo(waypointId);
+    if (this.shouldQueueEdits()) {
+      const queued = await this.queueTripEdit({
+        method: 'DELETE',
+        path: `/trips/${this.currentTrip.id}/waypoints/${waypointId}`,
+        label: 'delete waypoint'
+      });
+      if (!queued) return;
+    } else {
+      try {
+        const res = await API.waypoints.delete(this.currentTrip.id, waypointId, { headers: this.getTripIfMatchHeaders() });
+        this.applyTripMetaFromResponse(this.currentTrip, res);
+      } catch (error) {
+        console.error('Failed to delete waypoint:', error);
+        if (error.status === 409 || error.status === 428) {
+          Trip.removeWaypoint(this.currentTrip, waypointId);
+          await this.handleTripConflict(error);
+          return;
+        }
+        // Still on the server, so there is nothing to bring back
+        undo = null;
+      }
     }
     Trip.removeWaypoint(this.currentTrip, waypointId);
     if (!this.currentTrip.settings || typeof this.currentTrip.settings !== 'object') this.currentTrip.settings = {};
@@ -196,15 +321,81 @@ Object.assign(App, {
     this.markTripWritten(this.currentTrip.id);
     MapManager.removeWaypointMarker(waypointId);
     UI.renderWaypoints(this.currentTrip.waypoints);
-    if (this.currentTrip.waypoints.length >= 2) MapManager.updateRoute(this.currentTrip.waypoints);
-    else MapManager.clearRoute();
-    UI.showToast('Waypoint deleted', 'success');
-    await this.refreshTripsList();
+    if (this.currentTrip.waypoints.length < 2) MapManager.clearRoute();
+    else if (this.isOnline) MapManager.updateRoute(this.currentTrip.waypoints);
+    this.recordUndo(undo, 'Waypoint deleted');
+    if (this.isOnline) await this.refreshTripsList();
+  },
+
+  /**
+   * Undo entry for deleting a waypoint: take it out of the trash, where it
+   * kept its notes and files, and put it back in its place in the order
+   */
+  deleteWaypointUndo(waypointId) {
+    const wp = this.currentTrip.waypoints?.find(w => w.id === waypointId);
+    if (!wp) return null;
+    const order = this.currentTrip.waypoints.map(w => w.id);
+    return {
+      label: 'Delete waypoint',
+      undo: async () => {
+        if (!await this.restoreWaypoint({ ...wp, id: this.undoTarget(waypointId) })) return;
+        const restored = this.undoWaypointOrder(order);
+        if (!TripMerge.same(restored, this.currentTrip.waypoints.map(w => w.id))) await this.reorderWaypoints(restored);
+      },
+      redo: () => this.deleteWaypoint(this.undoTarget(waypointId))
+    };
+  },
+
+  /**
+   * Bring a deleted waypoint back from the trash (undo of a delete); it returns
+   * at the end of the order. Online the trip is reloaded from the server;
+   * while the restore is queued, the copy kept here stands in for it.
+   */
+  async restoreWaypoint(waypoint) {
+    if (!this.currentTrip || !this.ensureEditable('restore waypoints', { offline: true })) return false;
+    const queued = this.shouldQueueEdits();
+    if (!await this.restoreTripItem('waypoints', waypoint.id)) return false;
+    if (queued || !await this.reloadRestoredTrip()) {
+      this.currentTrip.waypoints = Trip.normalizeWaypointOrder([
+        ...(this.currentTrip.waypoints || []).filter(w => w.id !== waypoint.id),
+        { ...waypoint, order: this.currentTrip.waypoints?.length || 0 }
+      ]);
+      if (!this.currentTrip.settings || typeof this.currentTrip.settings !== 'object') this.currentTrip.settings = {};
+      this.currentTrip.settings.waypoint_order = this.currentTrip.waypoints.map(w => w.id);
+      UI.renderWaypoints(this.currentTrip.waypoints);
+      MapManager.updateWaypoints(this.currentTrip.waypoints);
+    }
+    if (this.isOnline && this.currentTrip.waypoints.length >= 2) MapManager.updateRoute(this.currentTrip.waypoints);
+    this.recordUndo(null, 'Waypoint restored');
+    if (this.isOnline) await this.refreshTripsList();
+    return true;
   },
 
   async reorderWaypoints(orderIds) {
-    if (!this.currentTrip || !this.ensureEditable('reorder waypoints')) return;
+    if (!this.currentTrip || !this.ensureEditable('reorder waypoints', { offline: true })) return;
     if (this.isReorderingWaypoints) return;
+    const undo = this.undoableChange(
+      'Reorder waypoints',
+      (this.currentTrip.waypoints || []).map(w => w.id),
+      Array.isArray(orderIds) ? orderIds.slice() : [],
+      ids => this.reorderWaypoints(this.undoWaypointOrder(ids))
+    );
+    if (this.shouldQueueEdits()) {
+      const queued = await this.queueTripEdit({
+        method: 'PUT',
+        path: `/trips/${this.currentTrip.id}/waypoints/reorder`,
+        body: { order: orderIds },
+        label: 'reorder waypoints'
+      });
+      if (!queued) return;
+      Trip.reorderWaypoints(this.currentTrip, orderIds);
+      if (!this.currentTrip.settings || typeof this.currentTrip.settings !== 'object') this.currentTrip.settings = {};
+      this.currentTrip.settings.waypoint_order = Array.isArray(orderIds) ? orderIds.slice() : [];
+      UI.renderWaypoints(this.currentTrip.waypoints);
+      MapManager.updateWaypoints(this.currentTrip.waypoints);
+      this.recordUndo(undo);
+      return;
+    }
     this.isReorderingWaypoints = true;
     this.setWaypointsSaving(true);
     try {
@@ -217,10 +408,14 @@ Object.assign(App, {
       UI.renderWaypoints(this.currentTrip.waypoints);
       MapManager.updateWaypoints(this.currentTrip.waypoints);
       await this.refreshTripsList();
-      UI.showToast('Waypoint order saved', 'success');
+      this.recordUndo(undo, 'Waypoint order saved');
     } catch (error) {
       console.error('Failed to reorder waypoints:', error);
-      if (error.status === 409 || error.status === 428) { await this.handleTripConflict(error); return; }
+      if (error.status === 409 || error.status === 428) {
+        // Already reordered locally, which the conflict merge carries over
+        await this.handleTripConflict(error);
+        return;
+      }
       UI.showToast('Reorder failed. Not saved to cloud.', 'error');
     } finally {
       this.setWaypointsSaving(false);
@@ -3,17 +3,38 @@
  *
  * Strategy:
  *   App shell (HTML/CSS/JS/icons) → Network-first, cache fallback
- *   API requests                  → Network-only (never cached)
- *   Map tiles                     → Stale-while-revalidate (separate cache)
+ *   API requests                  → Network-only, except the reads below
+ *   GET /api/auth/me, /api/trips,   → Network-first with a per-user cache
+ *     /api/trips/:id,                 fallback; cached copies carry an
+ *     /api/attachments/:id            X-Ride-Cached-At header (ISO time)
+ *   Map tiles                     → Stale-while-revalidate (separate cache,
+ *                                   LRU-bounded via TileStore; offline-pack
+ *                                   tiles are pinned)
  *   Routing                       → Network-only
  *
  * On activate and every 2 minutes, polls /api/_build.
  * If the server build ID differs → purge app-shell cache, re-fetch assets,
  * and post a 'ride:update' message to all clients so they can reload.
+ *
+ * Edits and uploads queued offline (Outbox) are flushed on Background Sync,
+ * on Periodic Sync where Background Sync is missing, and on the 2-minute
+ * timer while the worker is alive. Results go to clients as 'ride:outbox-synced'.
  */
 
+importScripts('/js/idb.js', '/js/tile-store.js', '/js/outbox.js');
+
 const CACHE_NAME = 'ride-v5';
-const TILES_CACHE = 'ride-tiles';
+const TILES_CACHE = TileStore.CACHE;
+const TILE_EVICT_INTERVAL_MS = 60 * 1000;
+// One API cache per signed-in user ('ride-api-<userId>'); sign-out and purge delete it
+const API_CACHE_PREFIX = 'ride-api-';
+const API_CACHED_PATHS = [
+  /^\/api\/auth\/me$/,
+  /^\/api\/trips$/,
+  /^\/api\/trips\/(?!versions$)[^/]+$/,
+  /^\/api\/attachments\/[^/]+$/
+];
+const API_WIPE_PATHS = ['/api/auth/logout', '/api/user/purge'];
 
 const STATIC_ASSETS = [
   '/',
@@ -28,10 +49,25 @@ const STATIC_ASSETS = [
   '/js/waypoint-controller.js',
   '/js/journal-controller.js',
   '/js/ride-controller.js',
+  '/js/track-controller.js',
+  '/js/history-controller.js',
+  '/js/undo-controller.js',
+  '/js/trash-controller.js',
+  '/js/settings-controller.js',
+  '/js/offline-controller.js',
+  '/js/sync-controller.js',
   '/js/utils.js',
   '/js/storage.js',
   '/js/trip.js',
   '/js/map.js',
+  '/js/idb.js',
+  '/js/trip-store.js',
+  '/js/tile-store.js',
+  '/js/outbox.js',
+  '/js/trip-merge.js',
+  '/js/offline-packs.js',
+  '/js/voice.js',
+  '/js/ride-simulator.js',
   '/js/ui.js',
   '/js/share.js',
   '/icons/icon-192.png',
@@ -67,9 +103,9 @@ async function checkForUpdate() {
     console.log(`[SW] Build changed: ${knownBuildId} → ${remoteBuild}`);
     knownBuildId = remoteBuild;
 
-    // Purge app-shell cache (keep tiles — they're content-addressed)
+    // Purge app-shell cache (keep tiles — they're content-addressed — and cached trip data)
     const keys = await caches.keys();
-    await Promise.all(keys.filter(k => k !== TILES_CACHE).map(k => caches.delete(k)));
+    await Promise.all(keys.filter(k => k !== TILES_CACHE && !k.startsWith(API_CACHE_PREFIX)).map(k => caches.delete(k)));
 
     // Re-populate with fresh assets
     const cache = await caches.open(CACHE_NAME);
@@ -103,29 +139,201 @@ self.addEventListener('activate', (event) => {
       const keys = await caches.keys();
       await Promise.all(
         keys
-          .filter(n => n !== CACHE_NAME && n !== TILES_CACHE)
+          .filter(n => n !== CACHE_NAME && n !== TILES_CACHE && !n.startsWith(API_CACHE_PREFIX))
           .map(n => caches.delete(n))
       );
       await self.clients.claim();
+      await adoptCachedTiles();
       await checkForUpdate();
     })()
   );
 });
 
-/* ── Periodic build polling (every 2 min while SW is alive) ──────── */
-setInterval(() => checkForUpdate(), 2 * 60 * 1000);
+/* ── Tile cache bookkeeping ──────────────────────────────────────────── */
+let tileTouches = new Map();
+let tileTouchFlush = null;
+let lastTileEvict = 0;
+
+/**
+ * Record a tile access. Accesses are batched into one IndexedDB write every
+ * couple of seconds, and eviction runs at most once a minute.
+ */
+function touchTile(url, bytes = 0) {
+  tileTouches.set(url, bytes || tileTouches.get(url) || 0);
+  if (!tileTouchFlush) {
+    tileTouchFlush = new Promise(resolve => setTimeout(resolve, 2000)).then(async () => {
+      const entries = [...tileTouches].map(([u, b]) => ({ url: u, bytes: b }));
+      tileTouches = new Map();
+      tileTouchFlush = null;
+      await TileStore.touch(entries);
+      if (Date.now() - lastTileEvict > TILE_EVICT_INTERVAL_MS) {
+        lastTileEvict = Date.now();
+        const removed = await TileStore.evict();
+        if (removed) console.log(`[SW] Evicted ${removed} map tiles`);
+      }
+    }).catch(err => console.warn('[SW] Tile bookkeeping failed', err));
+  }
+  return tileTouchFlush;
+}
+
+/** Track tiles cached before bookkeeping existed, so they can be evicted too */
+async function adoptCachedTiles() {
+  try {
+    const cache = await caches.open(TILES_CACHE);
+    const requests = await cache.keys();
+    if (requests.length) await TileStore.adopt(requests.map(r => r.url));
+  } catch (err) {
+    console.warn('[SW] Tile adoption failed', err);
+  }
+}
+
+/* ── Per-user API cache ──────────────────────────────────────────────── */
+let apiCacheUser;   // undefined until read back from the cache names after a restart
+
+async function apiCacheName() {
+  if (apiCacheUser === undefined) {
+    const name = (await caches.keys()).find(k => k.startsWith(API_CACHE_PREFIX));
+    apiCacheUser = name ? name.slice(API_CACHE_PREFIX.length) : null;
+  }
+  return apiCacheUser ? API_CACHE_PREFIX + apiCacheUser : null;
+}
+
+/** Delete API caches; all of them, or all but `keepUserId`'s */
+async function wipeApiCache(keepUserId = null) {
+  apiCacheUser = keepUserId;
+  // Offline edits belong to the user who made them, like the cache
+  await (keepUserId ? Outbox.clearOtherUsers(keepUserId) : Outbox.clear()).catch(() => {});
+  const keys = await caches.keys();
+  await Promise.all(keys
+    .filter(k => k.startsWith(API_CACHE_PREFIX) && k !== API_CACHE_PREFIX + keepUserId)
+    .map(k => caches.delete(k)));
+}
+
+/**
+ * Network first; a copy of every 200 goes into the signed-in user's cache.
+ * Without a network (or on a 5xx) the cached copy is served instead.
+ */
+async function apiNetworkFirst(request, url) {
+  const name = await apiCacheName();
+  let response;
+  try {
+    response = await fetch(request);
+  } catch (err) {
+    const cached = name && await caches.match(request, { cacheName: name });
+    if (cached) return cached;
+    throw err;
+  }
+  if (response.status >= 500) {
+    const cached = name && await caches.match(request, { cacheName: name });
+    return cached || response;
+  }
+  if (response.status !== 200) return response;
+
+  let cacheName = name;
+  if (url.pathname === '/api/auth/me') {
+    // A different user signed in: their data must not land in the last user's cache
+    const data = await response.clone().json().catch(() => null);
+    const userId = data?.user?.id;
+    if (!userId) return response;
+    if (userId !== apiCacheUser) await wipeApiCache(userId);
+    cacheName = API_CACHE_PREFIX + userId;
+  }
+  if (!cacheName) return response;
+
+  const copy = response.clone();
+  const headers = new Headers(copy.headers);
+  headers.set('X-Ride-Cached-At', new Date().toISOString());
+  const body = await copy.blob();
+  const cache = await caches.open(cacheName);
+  await cache.put(request, new Response(body, { status: copy.status, statusText: copy.statusText, headers }));
+  return response;
+}
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'ride:api-cache-clear') event.waitUntil(wipeApiCache());
+});
+
+/* ── Offline outbox ──────────────────────────────────────────────────── */
+let outboxFlush = null;
+
+/** Strip what can't or needn't be posted to a page (upload blobs, Error objects) */
+function outboxReportMessage(report, pending) {
+  const op = ({ file, ...rest }) => rest;
+  const error = err => ({ status: err?.status ?? 0, message: err?.message || '', body: err?.body ?? null });
+  return {
+    type: 'ride:outbox-synced',
+    pending,
+    report: {
+      applied: report.applied.map(a => ({ op: op(a.op), result: a.result, id: a.id })),
+      conflicts: report.conflicts.map(c => ({ op: op(c.op), error: error(c.error) })),
+      failed: report.failed.map(f => ({ op: op(f.op), error: error(f.error) })),
+      stopped: report.stopped ? error(report.stopped) : null
+    }
+  };
+}
+
+/**
+ * Send queued edits and uploads, then tell open tabs what was applied.
+ * Rejects when the replay stopped early so Background Sync retries later.
+ */
+function flushOutbox() {
+  if (!outboxFlush) {
+    outboxFlush = (async () => {
+      if (!(await Outbox.count())) return;
+      // Only the signed-in user's edits go out, under their session
+      if (!(await apiCacheName())) return;
+      const report = await Outbox.replay(undefined, apiCacheUser);
+      if (report.applied.length || report.conflicts.length || report.failed.length) {
+        const message = outboxReportMessage(report, await Outbox.count());
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(c => c.postMessage(message));
+      }
+      if (report.stopped) throw report.stopped;
+    })().finally(() => { outboxFlush = null; });
+  }
+  return outboxFlush;
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === Outbox.SYNC_TAG) event.waitUntil(flushOutbox());
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === Outbox.SYNC_TAG) {
+    event.waitUntil(flushOutbox().catch(err => console.warn('[SW] Outbox flush stopped', err)));
+  }
+});
+
+/* ── Periodic build polling and outbox retry (every 2 min while SW is alive) ── */
+setInterval(() => {
+  checkForUpdate();
+  flushOutbox().catch(() => {});
+}, 2 * 60 * 1000);
 
 /* ── Fetch ───────────────────────────────────────────────────────────── */
 self.addEventListener('fetch', (event) => {
   const { request } = event;
   const url = new URL(request.url);
 
+  // ── Sign-out / purge: drop cached trip data once the server agrees ──
+  if (request.method === 'POST' && url.origin === self.location.origin && API_WIPE_PATHS.includes(url.pathname)) {
+    event.respondWith(fetch(request).then(async (res) => {
+      if (res.ok) await wipeApiCache();
+      return res;
+    }));
+    return;
+  }
+
   // Non-GET → pass through
   if (request.method !== 'GET') return;
 
-  // ── API: network only ──
+  // ── API: network first with per-user cache for trip reads, else network only ──
   if (url.pathname.startsWith('/api/')) {
-    event.respondWith(fetch(request));
+    if (url.origin === self.location.origin && API_CACHED_PATHS.some(re => re.test(url.pathname))) {
+      event.respondWith(apiNetworkFirst(request, url));
+    } else {
+      event.respondWith(fetch(request));
+    }
     return;
   }
 
@@ -162,17 +370,22 @@ self.addEventListener('fetch', (event) => {
   if (url.hostname.includes('tile.openstreetmap.org') ||
       url.hostname.includes('basemaps.cartocdn.com') ||
       url.hostname.includes('arcgisonline.com')) {
-    event.respondWith(
-      caches.open(TILES_CACHE).then((cache) =>
-        cache.match(request).then((cached) => {
-          const network = fetch(request).then((res) => {
-            if (res && res.status === 200) cache.put(request, res.clone());
-            return res;
-          }).catch(() => cached);
-          return cached || network;
-        })
-      )
-    );
+    let saved = Promise.resolve();
+    const tile = caches.open(TILES_CACHE).then(async (cache) => {
+      const cached = await cache.match(request);
+      if (cached) touchTile(request.url);
+      const network = fetch(request).then((res) => {
+        // Only CORS responses (status 200) are stored; opaque ones can't be sized
+        if (res && res.status === 200) {
+          const bytes = Number(res.headers.get('content-length')) || 0;
+          saved = cache.put(request, res.clone()).then(() => touchTile(request.url, bytes));
+        }
+        return res;
+      }).catch(() => cached);
+      return { response: cached || network, network };
+    });
+    event.respondWith(tile.then(t => t.response));
+    event.waitUntil(tile.then(t => t.network).then(() => saved).catch(() => {}));
     return;
   }
 
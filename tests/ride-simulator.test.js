@@ -0,0 +1,101 @@
+/**
+ * Ride simulator — seeded replays drive the same fixes every run
+ * Run with `npm test` (node:test, no dependencies).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.RideUtils = require('../public/js/utils.js');
+const RideSimulator = require('../public/js/ride-simulator.js');
+
+// About 1.1 km due north, then 1.1 km due east
+const ROUTE = [[-33.8700, 151.2000], [-33.8600, 151.2000], [-33.8600, 151.2120]];
+const START = Date.UTC(2026, 9, 19, 8, 0, 0);
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1">
+  <trk><trkseg>
+    <trkpt lat="-33.8700" lon="151.2000"><time>2026-10-19T08:00:00Z</time></trkpt>
+    <trkpt lat="-33.8690" lon="151.2000"><time>2026-10-19T08:00:10Z</time></trkpt>
+    <trkpt lat="-33.8680" lon="151.2000"><time>2026-10-19T08:00:30Z</time></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+/** Every fix of a replay, stepped synchronously */
+function drain(replay) {
+  const out = [];
+  while (!replay.done) out.push(replay.step());
+  return out;
+}
+
+test('the same seed replays the same noisy fixes', () => {
+  const fixes = RideSimulator.fromRoute(ROUTE, { speed: 10 });
+  const options = { noiseM: 15, seed: 42, startTime: START };
+  const a = drain(RideSimulator.createReplay(fixes, options));
+  const b = drain(RideSimulator.createReplay(fixes, options));
+  const c = drain(RideSimulator.createReplay(fixes, { ...options, seed: 43 }));
+
+  assert.equal(a.length, fixes.length);
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a, c);
+});
+
+test('noise stays near the route and raises the reported accuracy', () => {
+  const fixes = RideSimulator.fromRoute(ROUTE, { speed: 10 });
+  const noisy = drain(RideSimulator.createReplay(fixes, { noiseM: 10, seed: 7, startTime: START }));
+  const errors = noisy.map((fix, i) => RideUtils.haversine(fix, fixes[i]));
+  const mean = errors.reduce((sum, e) => sum + e, 0) / errors.length;
+
+  // Two axes of N(0, 10 m): the mean offset is about 12.5 m
+  assert.ok(mean > 5 && mean < 20, `mean offset ${mean.toFixed(1)} m`);
+  assert.ok(noisy.every(fix => fix.accuracy === 20));
+});
+
+test('a replay without noise emits the sampled path', () => {
+  const fixes = RideSimulator.fromRoute(ROUTE, { speed: 10, intervalS: 2 });
+  const seen = [];
+  let ended = 0;
+  const replay = RideSimulator.createReplay(fixes, {
+    seed: 1,
+    startTime: START,
+    onPosition: fix => seen.push(fix),
+    onEnd: () => { ended += 1; }
+  });
+  drain(replay);
+
+  assert.equal(ended, 1);
+  assert.equal(replay.step(), null);
+  assert.equal(seen.length, fixes.length);
+  seen.forEach((fix, i) => {
+    assert.equal(fix.lat, fixes[i].lat);
+    assert.equal(fix.lng, fixes[i].lng);
+    assert.equal(fix.timestamp, START + fixes[i].t * 1000);
+  });
+  // 20 m apart along the first leg (10 m/s every 2 s)
+  const firstLeg = seen.filter(fix => fix.lng === ROUTE[0][1]);
+  assert.ok(firstLeg.length > 50);
+  for (let i = 1; i < firstLeg.length; i++) {
+    assert.ok(Math.abs(RideUtils.haversine(firstLeg[i - 1], firstLeg[i]) - 20) < 0.5);
+  }
+  assert.deepEqual(RideUtils.toLatLng(seen[seen.length - 1]), RideUtils.toLatLng(ROUTE[2]));
+});
+
+test('a timed GPX track keeps its recorded pacing', () => {
+  const fixes = RideSimulator.fromGPX(GPX);
+
+  assert.deepEqual(fixes.map(f => f.t), [0, 10, 30]);
+  // ~111 m in 10 s, then ~111 m in 20 s
+  assert.ok(Math.abs(fixes[0].speed - 11.1) < 0.2);
+  assert.ok(Math.abs(fixes[1].speed - 5.6) < 0.2);
+  assert.ok(fixes.every(f => Math.abs(f.heading) < 1 || Math.abs(f.heading - 360) < 1));
+});
+
+test('an untimed GPX route is resampled at the given speed', () => {
+  const untimed = GPX.replace(/<time>[^<]+<\/time>/g, '').replace(/trkpt/g, 'rtept').replace(/<\/?trk(seg)?>/g, '');
+  const fixes = RideSimulator.fromGPX(untimed, { speed: 5 });
+
+  assert.equal(RideSimulator.parseGPX(untimed).length, 3);
+  assert.ok(fixes.length > 40);
+  // The last step to the route's end is shorter than a full interval
+  assert.ok(fixes.slice(0, -2).every(f => Math.abs(f.speed - 5) < 0.1));
+});